@@ -0,0 +1,77 @@
+// Alert rule API:
+//   GET    /api/alerts                 all rules (webhook URLs redacted)
+//   GET    /api/alerts?id=thin-liq     one rule
+//   POST   /api/alerts                 create or update { id?, name, expression, tokens?, severity?,
+//                                      cooldownMinutes?, enabled?, webhooks? }
+//   POST   /api/alerts?test=thin-liq   send a sample alert to the rule's webhooks
+//   DELETE /api/alerts?id=thin-liq
+// Rules are evaluated after every analysis in lib/analysis-pipeline.js.
+const { buildRule, describeRule, getAlertEngine } = require('./lib/alerts/index.js');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0'
+  };
+  const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const { id, test } = event.queryStringParameters || {};
+
+  try {
+    const engine = getAlertEngine();
+    const { store } = engine;
+
+    if (event.httpMethod === 'GET') {
+      if (!id) {
+        return respond(200, { success: true, rules: (await store.listRules()).map(describeRule) });
+      }
+      const rule = await store.getRule(id);
+      return rule
+        ? respond(200, { success: true, rule: describeRule(rule) })
+        : respond(404, { error: `No alert rule ${id}` });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      return await store.deleteRule(id)
+        ? respond(200, { success: true, deleted: id })
+        : respond(404, { error: `No alert rule ${id}` });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return respond(405, { error: 'Method not allowed' });
+    }
+
+    if (test) {
+      const rule = await store.getRule(test);
+      if (!rule) return respond(404, { error: `No alert rule ${test}` });
+      const { alert, deliveries } = await engine.test(rule);
+      if (deliveries.length === 0) {
+        return respond(400, { error: 'Rule has no webhooks and ALERT_WEBHOOK_URL is not set' });
+      }
+      return respond(200, { success: deliveries.every(delivery => delivery.ok), alertId: alert.id, deliveries });
+    }
+
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch {
+      return respond(400, { error: 'Request body must be JSON' });
+    }
+    const existing = requestBody?.id ? await store.getRule(String(requestBody.id)) : null;
+    const { rule, error } = buildRule(requestBody, existing);
+    if (error) return respond(400, { error });
+
+    await store.putRule(rule);
+    return respond(existing ? 200 : 201, { success: true, rule: describeRule(rule) });
+  } catch (error) {
+    console.error('Alert rule error:', error);
+    return respond(500, { error: 'Alert rule request failed', details: error.message || 'Unknown error' });
+  }
+};
@@ -0,0 +1,70 @@
+// Batch token analysis: runs the analyze pipeline for up to MAX_BATCH_SIZE
+// tokens (symbols or addresses) and returns them as a ranked table.
+// Per-token failures are reported in the results, never as a failed request.
+const { runBatch, parseTokenList, MAX_BATCH_SIZE } = require('./lib/batch-analysis.js');
+const { flushAlertDeliveries } = require('./lib/alerts/index.js');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Request body must be JSON' }) };
+  }
+
+  const { tokens, forceRefresh, consensus, debate } = requestBody;
+  const tokenList = parseTokenList(tokens);
+  if (tokenList.length === 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'tokens must list at least one symbol or address' })
+    };
+  }
+  if (tokenList.length > MAX_BATCH_SIZE) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `At most ${MAX_BATCH_SIZE} tokens per batch (got ${tokenList.length})` })
+    };
+  }
+
+  try {
+    const batch = await runBatch(tokenList, { options: { forceRefresh, consensus, debate } });
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, ...batch, timestamp: new Date().toISOString() })
+    };
+  } catch (error) {
+    console.error('JuliaOS batch analysis error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Batch analysis failed', details: error.message || 'Unknown error' })
+    };
+  } finally {
+    // The function is frozen once it returns; send the alert webhooks first
+    await flushAlertDeliveries();
+  }
+};
@@ -0,0 +1,65 @@
+// Token comparison: analyzes 2-4 tokens and returns their key metrics and
+// agent scores as aligned rows, with the best and worst column of each row
+const { compareTokens, MIN_COMPARE_TOKENS, MAX_COMPARE_TOKENS } = require('./lib/token-comparison.js');
+const { parseTokenList } = require('./lib/batch-analysis.js');
+const { flushAlertDeliveries } = require('./lib/alerts/index.js');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Request body must be JSON' }) };
+  }
+
+  const { tokens, forceRefresh, consensus, debate } = requestBody;
+  const tokenList = parseTokenList(tokens);
+  if (tokenList.length < MIN_COMPARE_TOKENS || tokenList.length > MAX_COMPARE_TOKENS) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: `Compare ${MIN_COMPARE_TOKENS} to ${MAX_COMPARE_TOKENS} different tokens (got ${tokenList.length})`
+      })
+    };
+  }
+
+  try {
+    const comparison = await compareTokens(tokenList, { options: { forceRefresh, consensus, debate } });
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, ...comparison, timestamp: new Date().toISOString() })
+    };
+  } catch (error) {
+    console.error('JuliaOS token comparison error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Token comparison failed', details: error.message || 'Unknown error' })
+    };
+  } finally {
+    // The function is frozen once it returns; send the alert webhooks first
+    await flushAlertDeliveries();
+  }
+};
@@ -0,0 +1,92 @@
+// Streaming variant of the analyze function: the same analysis, delivered as
+// Server-Sent Events while it runs. Netlify only streams responses from
+// Functions API v2 handlers (Request in, Response with a ReadableStream out),
+// hence ESM here.
+//
+// Events, in order:
+//   started    { tokenInput, requestId }
+//   source     { id, name, ok, cache }          one per data provider
+//   token      { tokenInfo, blockchainInfo, identity }
+//   metrics    { keyMetrics, dataIntegrity, liquidityBreakdown, holderAnalysis, liquidityLocks }
+//   agent      { agent, status: started|completed|failed, score?, source? }
+//   debate     { status: started|completed, spread }   only on high disagreement
+//   consensus  { score, strategy, recommendation, disagreement }
+//   result     the analyze response body (also used for 4xx outcomes)
+//   error      { error, details }                 unexpected failure
+import pipeline from './lib/analysis-pipeline.js';
+import alerts from './lib/alerts/index.js';
+
+const { runAnalysis } = pipeline;
+const { flushAlertDeliveries } = alerts;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization'
+};
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+});
+
+export default async (request, context) => {
+  if (request.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: CORS_HEADERS });
+  }
+  if (request.method !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  let requestBody;
+  try {
+    requestBody = await request.json();
+  } catch {
+    return jsonResponse(400, { error: 'Request body must be JSON' });
+  }
+
+  const encoder = new TextEncoder();
+  // Aborted when the client disconnects, which stops the analysis at its next stage
+  const disconnect = new AbortController();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (disconnect.signal.aborted) return;
+        try {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        } catch {
+          disconnect.abort(new Error('Client disconnected'));
+        }
+      };
+
+      try {
+        const { body } = await runAnalysis(requestBody, { emit: send, signal: disconnect.signal });
+        send('result', body);
+        // Alert webhooks go out after the result; keep the function alive for them
+        context?.waitUntil?.(flushAlertDeliveries());
+      } catch (error) {
+        if (disconnect.signal.aborted) {
+          console.log(`🔌 Client disconnected - streaming analysis stopped`);
+          return;
+        }
+        console.error('JuliaOS streaming analysis error:', error);
+        send('error', { error: 'JuliaOS analysis failed', details: error.message || 'Unknown error' });
+      } finally {
+        if (!disconnect.signal.aborted) controller.close();
+      }
+    },
+    cancel() {
+      disconnect.abort(new Error('Client disconnected'));
+    }
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      ...CORS_HEADERS,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+};
@@ -0,0 +1,77 @@
+// Analysis history API (GET):
+//   /api/history                                  tracked tokens, latest run first
+//   /api/history?token=<key|address|symbol>       that token's snapshots, newest first
+//   /api/history?token=...&version=3              one full snapshot
+//   /api/history?token=...&diff=1                 latest vs. previous snapshot
+//   /api/history?token=...&from=2&to=5            any two versions
+const { getAnalysisHistory } = require('./lib/history/index.js');
+
+const positiveInt = value => (/^\d+$/.test(value || '') && Number(value) > 0 ? Number(value) : null);
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0'
+  };
+  const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  try {
+    const history = getAnalysisHistory();
+    if (!history) {
+      return respond(404, { error: 'Analysis history is disabled (HISTORY_STORE=none)' });
+    }
+
+    const { token, version, from, to, diff, limit } = event.queryStringParameters || {};
+    if (!token) {
+      return respond(200, { success: true, tokens: await history.tokens() });
+    }
+
+    const tokenKeys = await history.resolve(token.trim());
+    if (tokenKeys.length === 0) {
+      return respond(404, { error: `No analysis history for ${token}` });
+    }
+    if (tokenKeys.length > 1) {
+      // Same address on several chains, or a symbol shared by several tokens
+      return respond(200, { success: true, needsDisambiguation: true, candidates: tokenKeys });
+    }
+    const [tokenKey] = tokenKeys;
+
+    if (version) {
+      const snapshot = positiveInt(version) && await history.get(tokenKey, positiveInt(version));
+      return snapshot
+        ? respond(200, { success: true, tokenKey, snapshot })
+        : respond(404, { error: `${tokenKey} has no version ${version}` });
+    }
+
+    if (diff || from || to) {
+      if ((from && !positiveInt(from)) || (to && !positiveInt(to))) {
+        return respond(400, { error: 'from and to must be version numbers' });
+      }
+      try {
+        return respond(200, { success: true, tokenKey, diff: await history.diff(tokenKey, { from: positiveInt(from), to: positiveInt(to) }) });
+      } catch (error) {
+        return respond(404, { error: error.message });
+      }
+    }
+
+    return respond(200, {
+      success: true,
+      tokenKey,
+      snapshots: await history.list(tokenKey, { limit: positiveInt(limit) || undefined })
+    });
+  } catch (error) {
+    console.error('Analysis history error:', error);
+    return respond(500, { error: 'Analysis history failed', details: error.message || 'Unknown error' });
+  }
+};
@@ -0,0 +1,116 @@
+// Alert rule expressions: comparisons over analysis fields joined by
+// `&&` / `||` (or `and` / `or`; `&&` binds tighter), e.g.
+//
+//   liquidity < 200000
+//   priceChange24h < -20 && volume24h > 1_000_000
+//   contract.risk_level == CRITICAL
+//
+// A left-hand side is a dotted path into the evaluation context (see
+// buildAlertContext). Right-hand sides are numbers, quoted strings, bare words
+// (taken as strings), true, false or null. String equality ignores case; a
+// field the analysis did not produce never matches (except `== null`).
+
+const TOKEN_PATTERN = /\s*(?:(&&|\|\|)|(<=|>=|==|!=|<|>)|(-?\d[\d_]*(?:\.\d+)?(?:e-?\d+)?)|"([^"]*)"|'([^']*)'|([A-Za-z_][\w.]*))/y;
+
+const KEYWORDS = { and: '&&', or: '||' };
+const LITERALS = { true: true, false: false, null: null };
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new Error(`Invalid alert expression: unexpected "${expression.slice(start).trim().slice(0, 20)}"`);
+    }
+    const [, logical, operator, number, doubleQuoted, singleQuoted, word] = match;
+    if (logical) tokens.push({ type: 'logical', value: logical });
+    else if (operator) tokens.push({ type: 'operator', value: operator });
+    else if (number) tokens.push({ type: 'value', value: Number(number.replace(/_/g, '')) });
+    else if (doubleQuoted !== undefined || singleQuoted !== undefined) tokens.push({ type: 'value', value: doubleQuoted ?? singleQuoted });
+    else if (KEYWORDS[word.toLowerCase()]) tokens.push({ type: 'logical', value: KEYWORDS[word.toLowerCase()] });
+    else tokens.push({ type: 'word', value: word });
+  }
+  return tokens;
+}
+
+/**
+ * Parse an expression into `{ any: [{ all: [{ path, operator, value }] }] }`
+ * (OR of ANDs). Throws on malformed input.
+ */
+function compileExpression(expression) {
+  const tokens = tokenize(String(expression || ''));
+  if (tokens.length === 0) throw new Error('Invalid alert expression: empty');
+
+  const any = [[]];
+  for (let i = 0; i < tokens.length; i += 4) {
+    const [left, operator, right, joiner] = tokens.slice(i, i + 4);
+    if (left?.type !== 'word' || operator?.type !== 'operator' || !right || !['value', 'word'].includes(right.type)) {
+      throw new Error('Invalid alert expression: expected "<field> <operator> <value>" comparisons joined by && or ||');
+    }
+    const value = right.type === 'word'
+      ? (right.value.toLowerCase() in LITERALS ? LITERALS[right.value.toLowerCase()] : right.value)
+      : right.value;
+    any[any.length - 1].push({ path: left.value, operator: operator.value, value });
+
+    if (joiner) {
+      if (joiner.type !== 'logical' || i + 4 >= tokens.length) {
+        throw new Error('Invalid alert expression: dangling or missing && / ||');
+      }
+      if (joiner.value === '||') any.push([]);
+    }
+  }
+  return { any: any.map(all => ({ all })) };
+}
+
+function resolvePath(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function compare(actual, operator, expected) {
+  if (actual === undefined || actual === null || expected === null) {
+    const isMissing = actual === undefined || actual === null;
+    if (operator === '==') return expected === null && isMissing;
+    if (operator === '!=') return expected === null ? !isMissing : true;
+    return false;
+  }
+
+  if (typeof expected === 'number') {
+    const number = typeof actual === 'number' ? actual : Number(actual);
+    if (!Number.isFinite(number)) return false;
+    switch (operator) {
+      case '<': return number < expected;
+      case '<=': return number <= expected;
+      case '>': return number > expected;
+      case '>=': return number >= expected;
+      case '==': return number === expected;
+      default: return number !== expected;
+    }
+  }
+
+  // Strings and booleans: equality only
+  const same = typeof expected === 'string'
+    ? String(actual).toLowerCase() === expected.toLowerCase()
+    : actual === expected;
+  if (operator === '==') return same;
+  if (operator === '!=') return !same;
+  return false;
+}
+
+/**
+ * Evaluate a compiled expression. Returns whether it matched and the value of
+ * every field it read (for the alert message).
+ */
+function evaluateExpression(compiled, context) {
+  const values = {};
+  const matched = compiled.any.some(({ all }) => all.every(({ path, operator, value }) => {
+    const actual = resolvePath(context, path);
+    values[path] = actual === undefined ? null : actual;
+    return compare(actual, operator, value);
+  }));
+  return { matched, values };
+}
+
+module.exports = { compileExpression, evaluateExpression, resolvePath };
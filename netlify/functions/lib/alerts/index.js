@@ -0,0 +1,315 @@
+// Alert rules: user-defined expressions evaluated after every completed
+// analysis (single, batch or watchlist). A match is delivered to the rule's
+// webhooks - Slack, Discord or generic JSON, HMAC-signed when a secret is set.
+//
+// Per rule and token an alert fires once when its expression starts matching
+// and re-arms only after it stops matching; cooldownMinutes additionally caps
+// how often it can fire. Webhooks are delivered after the evaluation returns,
+// and an alert only counts as fired once a webhook accepted it - one that
+// every webhook rejected fires again at the next match.
+
+const { compileExpression, evaluateExpression } = require('./expression.js');
+const { createAlertStore } = require('./store.js');
+const { deliverWebhook, detectFormat, redactUrl, WEBHOOK_FORMATS } = require('./webhooks.js');
+const { tokenKeyFor } = require('../history/index.js');
+
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_RULE_TOKENS = 50;
+
+/**
+ * Flat view of an analyze response body that rule expressions read from:
+ * keyMetrics fields at the top level, the agents' outputs under research /
+ * market / contract, and the rest of the analysis under its own name
+ */
+function buildAlertContext(body) {
+  const { tokenInfo, blockchainInfo, analysis } = body.data;
+  const swarm = body.juliaos_analysis || {};
+  return {
+    ...analysis.keyMetrics,
+    overallScore: analysis.overallScore,
+    recommendation: analysis.recommendation,
+    riskLevel: analysis.riskLevel,
+    consensusScore: swarm.consensus_score ?? null,
+    research: swarm.detailed_analysis?.research,
+    market: swarm.detailed_analysis?.market,
+    contract: swarm.detailed_analysis?.contract,
+    swarm,
+    holders: analysis.holderAnalysis,
+    liquidityLocks: analysis.liquidityLocks,
+    token: { ...tokenInfo, blockchain: blockchainInfo.blockchain },
+    analysis
+  };
+}
+
+/** Webhooks from ALERT_WEBHOOK_URL (comma-separated), used by rules without their own */
+function defaultWebhooks() {
+  return (process.env.ALERT_WEBHOOK_URL || '').split(',').map(url => url.trim()).filter(Boolean).map(url => ({
+    url,
+    format: process.env.ALERT_WEBHOOK_FORMAT || undefined,
+    secret: process.env.ALERT_WEBHOOK_SECRET || undefined
+  }));
+}
+
+function parseWebhooks(input) {
+  const list = Array.isArray(input) ? input : [input];
+  const webhooks = [];
+  for (const entry of list) {
+    const webhook = typeof entry === 'string' ? { url: entry } : entry || {};
+    try {
+      if (!['http:', 'https:'].includes(new URL(webhook.url).protocol)) throw new Error();
+    } catch {
+      return { error: 'Each webhook needs an http(s) url' };
+    }
+    if (webhook.format && !WEBHOOK_FORMATS.includes(webhook.format)) {
+      return { error: `Unknown webhook format "${webhook.format}" (expected one of: ${WEBHOOK_FORMATS.join(', ')})` };
+    }
+    webhooks.push({
+      url: webhook.url,
+      ...(webhook.format ? { format: webhook.format } : {}),
+      ...(webhook.secret ? { secret: String(webhook.secret) } : {})
+    });
+  }
+  return { webhooks };
+}
+
+/**
+ * Validate a create/update request against the stored rule (if any).
+ * Returns `{ rule }` ready to store, or `{ error }`.
+ */
+function buildRule(input, existing = null, now = new Date()) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'A rule must be a JSON object' };
+  }
+
+  const name = String(input.name ?? existing?.name ?? '').trim();
+  const id = String(input.id || existing?.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''));
+  if (!ID_PATTERN.test(id)) {
+    return { error: 'A rule needs a name, and an id of 1-64 letters, digits, "-" or "_"' };
+  }
+
+  const expression = String(input.expression ?? existing?.expression ?? '').trim();
+  try {
+    compileExpression(expression);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const tokens = input.tokens !== undefined
+    ? (Array.isArray(input.tokens) ? input.tokens : String(input.tokens).split(/[\s,;]+/)).map(token => String(token).trim()).filter(Boolean)
+    : existing?.tokens || [];
+  if (tokens.length > MAX_RULE_TOKENS) {
+    return { error: `A rule can be scoped to at most ${MAX_RULE_TOKENS} tokens` };
+  }
+
+  const severity = input.severity ?? existing?.severity ?? 'warning';
+  if (!SEVERITIES.includes(severity)) {
+    return { error: `Unknown severity "${severity}" (expected one of: ${SEVERITIES.join(', ')})` };
+  }
+
+  const cooldownMinutes = Number(input.cooldownMinutes ?? existing?.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES);
+  if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 0) {
+    return { error: 'cooldownMinutes must be 0 or more' };
+  }
+
+  let webhooks = existing?.webhooks || [];
+  if (input.webhooks !== undefined) {
+    const parsed = parseWebhooks(input.webhooks);
+    if (parsed.error) return { error: parsed.error };
+    webhooks = parsed.webhooks;
+  }
+
+  return {
+    rule: {
+      id,
+      name: name || id,
+      expression,
+      tokens,
+      severity,
+      cooldownMinutes,
+      enabled: input.enabled ?? existing?.enabled ?? true,
+      webhooks,
+      createdAt: existing?.createdAt || now.toISOString(),
+      updatedAt: now.toISOString()
+    }
+  };
+}
+
+/** A rule as shown by the API - webhook URLs and secrets are credentials */
+function describeRule(rule) {
+  return {
+    ...rule,
+    webhooks: rule.webhooks.map(webhook => ({
+      url: redactUrl(webhook.url),
+      format: webhook.format || detectFormat(webhook.url),
+      signed: !!webhook.secret
+    }))
+  };
+}
+
+// A rule without tokens applies to every token
+const ruleApplies = (rule, token, tokenKey) => rule.tokens.length === 0 || rule.tokens.some(scope => {
+  const value = scope.toLowerCase();
+  return value === tokenKey.toLowerCase() ||
+    value === String(token.address || '').toLowerCase() ||
+    value === String(token.symbol || '').toLowerCase();
+});
+
+function buildAlert(rule, { token, tokenKey, values, analysis, requestId }, now, test = false) {
+  const shown = Object.entries(values).map(([path, value]) => `${path}=${value}`).join(', ');
+  return {
+    id: `${rule.id}:${tokenKey}:${now.getTime()}`,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    severity: rule.severity,
+    expression: rule.expression,
+    message: `${rule.name}: ${token.symbol} (${token.blockchain}) matched ${rule.expression} [${shown}]`,
+    token: { ...token, tokenKey },
+    values,
+    analysis: { ...analysis, requestId },
+    firedAt: now.toISOString(),
+    test
+  };
+}
+
+const deliver = (rule, alert) => {
+  const webhooks = rule.webhooks.length > 0 ? rule.webhooks : defaultWebhooks();
+  return Promise.all(webhooks.map(webhook => deliverWebhook(webhook, alert)));
+};
+
+class AlertEngine {
+  constructor(store) {
+    this.store = store;
+    // Analyses finish concurrently in batches; state updates run one at a time
+    this.queue = Promise.resolve();
+    // Rule/token keys whose alert is being delivered, and those deliveries
+    this.delivering = new Set();
+    this.deliveries = new Set();
+  }
+
+  // Run `task` after every state update queued before it
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Evaluate every enabled rule against an analyze response body. Returns one
+   * entry per matching rule with its status: fired (delivery started),
+   * cooldown (fired too recently) or duplicate (already firing). Deliveries
+   * run in the background - `flush()` waits for them.
+   */
+  evaluate(body, now = new Date()) {
+    return this.enqueue(() => this.evaluateNow(body, now));
+  }
+
+  /** Wait until every delivery started so far has settled */
+  async flush() {
+    while (this.deliveries.size > 0) {
+      await Promise.all([...this.deliveries]);
+    }
+  }
+
+  async evaluateNow(body, now) {
+    const rules = (await this.store.listRules()).filter(rule => rule.enabled);
+    if (rules.length === 0) return [];
+
+    const context = buildAlertContext(body);
+    const { tokenInfo, blockchainInfo, analysis } = body.data;
+    const token = { name: tokenInfo.name, symbol: tokenInfo.symbol, blockchain: blockchainInfo.blockchain, address: tokenInfo.address || null };
+    const tokenKey = body.history?.tokenKey || tokenKeyFor(token);
+    const summary = { overallScore: analysis.overallScore, recommendation: analysis.recommendation, riskLevel: analysis.riskLevel };
+
+    const results = [];
+    for (const rule of rules.filter(candidate => ruleApplies(candidate, token, tokenKey))) {
+      const { matched, values } = evaluateExpression(compileExpression(rule.expression), context);
+      const stateKey = `${rule.id}|${tokenKey}`;
+      const state = await this.store.getState(stateKey) || { firing: false, lastFiredAt: null };
+
+      if (!matched) {
+        // Condition cleared - the next match alerts again
+        if (state.firing) await this.store.setState(stateKey, { ...state, firing: false, clearedAt: now.toISOString() });
+        continue;
+      }
+
+      if (state.firing || this.delivering.has(stateKey)) {
+        results.push({ ruleId: rule.id, ruleName: rule.name, status: 'duplicate', values });
+        continue;
+      }
+      if (state.lastFiredAt && now - Date.parse(state.lastFiredAt) < rule.cooldownMinutes * 60 * 1000) {
+        // Left un-armed so the alert still goes out once the cooldown has passed
+        results.push({ ruleId: rule.id, ruleName: rule.name, status: 'cooldown', values, lastFiredAt: state.lastFiredAt });
+        continue;
+      }
+
+      const alert = buildAlert(rule, { token, tokenKey, values, analysis: summary, requestId: body.requestId }, now);
+      this.deliverInBackground(rule, alert, stateKey);
+      results.push({ ruleId: rule.id, ruleName: rule.name, status: 'fired', alertId: alert.id, values });
+    }
+    return results;
+  }
+
+  /**
+   * Deliver a fired alert, then record it as firing once a webhook accepted
+   * it. When every webhook failed only the failure is recorded, so the next
+   * match fires (and delivers) it again.
+   */
+  deliverInBackground(rule, alert, stateKey) {
+    this.delivering.add(stateKey);
+    const delivery = deliver(rule, alert)
+      .then(deliveries => this.enqueue(async () => {
+        const state = await this.store.getState(stateKey) || { firing: false, lastFiredAt: null };
+        // Without webhooks the analysis response is the only place the alert shows up
+        if (deliveries.length === 0 || deliveries.some(outcome => outcome.ok)) {
+          await this.store.setState(stateKey, { firing: true, lastFiredAt: alert.firedAt, lastAlertId: alert.id });
+        } else {
+          await this.store.setState(stateKey, { ...state, lastFailedAt: new Date().toISOString(), lastFailedAlertId: alert.id });
+        }
+      }))
+      .catch(error => console.warn(`⚠️ Alert ${alert.id} not recorded:`, error.message))
+      .finally(() => {
+        this.delivering.delete(stateKey);
+        this.deliveries.delete(delivery);
+      });
+    this.deliveries.add(delivery);
+  }
+
+  /** Send a sample alert for a rule to its webhooks without touching its state */
+  async test(rule, now = new Date()) {
+    const alert = buildAlert(rule, {
+      token: { name: 'Test Token', symbol: 'TEST', blockchain: 'solana', address: null },
+      tokenKey: 'solana:TEST',
+      values: {},
+      analysis: { overallScore: 0, recommendation: 'HOLD/WATCH', riskLevel: 'MEDIUM' },
+      requestId: null
+    }, now, true);
+    return { alert, deliveries: await deliver(rule, alert) };
+  }
+}
+
+let defaultEngine;
+
+/** Process-wide engine over the store chosen by ALERT_STORE */
+function getAlertEngine() {
+  if (!defaultEngine) defaultEngine = new AlertEngine(createAlertStore());
+  return defaultEngine;
+}
+
+/** Wait for the process-wide engine's pending deliveries, if it exists */
+const flushAlertDeliveries = () => (defaultEngine ? defaultEngine.flush() : Promise.resolve());
+
+module.exports = {
+  AlertEngine,
+  getAlertEngine,
+  flushAlertDeliveries,
+  buildRule,
+  describeRule,
+  buildAlertContext,
+  createAlertStore,
+  compileExpression,
+  evaluateExpression,
+  SEVERITIES,
+  DEFAULT_COOLDOWN_MINUTES
+};
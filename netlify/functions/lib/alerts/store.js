@@ -0,0 +1,161 @@
+// Alert rule stores. ALERT_STORE picks one: file (default) | redis | memory
+// Deployed functions have to use redis (see ../store-config.js).
+//
+// Rules and their per-token state (firing, last alert) are kept apart: rules
+// change when someone edits them, state after every analysis.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { RedisClient } = require('../redis-client.js');
+const { resolveStoreName } = require('../store-config.js');
+
+class MemoryAlertStore {
+  constructor() {
+    this.name = 'memory';
+    this.rules = new Map();
+    this.state = new Map();
+  }
+
+  async listRules() {
+    return [...this.rules.values()].map(rule => structuredClone(rule));
+  }
+
+  async getRule(id) {
+    const rule = this.rules.get(id);
+    return rule ? structuredClone(rule) : null;
+  }
+
+  async putRule(rule) {
+    this.rules.set(rule.id, structuredClone(rule));
+  }
+
+  async deleteRule(id) {
+    return this.rules.delete(id);
+  }
+
+  async getState(key) {
+    const state = this.state.get(key);
+    return state ? structuredClone(state) : null;
+  }
+
+  async setState(key, state) {
+    this.state.set(key, structuredClone(state));
+  }
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  // Write then rename so a reader never sees a partial file
+  const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data, null, 2));
+  await fs.rename(temp, file);
+}
+
+class FileAlertStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.rulesFile = options.rulesFile || process.env.ALERT_RULES_FILE || path.join(process.cwd(), 'data', 'alert-rules.json');
+    this.stateFile = options.stateFile || process.env.ALERT_STATE_FILE || path.join(process.cwd(), 'data', 'alert-state.json');
+  }
+
+  async listRules() {
+    return Object.values(await readJson(this.rulesFile));
+  }
+
+  async getRule(id) {
+    return (await readJson(this.rulesFile))[id] || null;
+  }
+
+  async putRule(rule) {
+    const rules = await readJson(this.rulesFile);
+    rules[rule.id] = rule;
+    await writeJson(this.rulesFile, rules);
+  }
+
+  async deleteRule(id) {
+    const rules = await readJson(this.rulesFile);
+    if (!rules[id]) return false;
+    delete rules[id];
+    await writeJson(this.rulesFile, rules);
+    return true;
+  }
+
+  async getState(key) {
+    return (await readJson(this.stateFile))[key] || null;
+  }
+
+  async setState(key, state) {
+    const all = await readJson(this.stateFile);
+    all[key] = state;
+    await writeJson(this.stateFile, all);
+  }
+}
+
+// One hash for the rules and one for the state, a field per rule / key
+class RedisAlertStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.redis = new RedisClient(options, 'Redis alert store');
+    const prefix = options.prefix ?? 'token-analyzer:';
+    this.rulesKey = `${prefix}alert-rules`;
+    this.stateKey = `${prefix}alert-state`;
+  }
+
+  async listRules() {
+    return (await this.redis.command('HVALS', this.rulesKey) || []).map(raw => JSON.parse(raw));
+  }
+
+  async getRule(id) {
+    const raw = await this.redis.command('HGET', this.rulesKey, id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async putRule(rule) {
+    await this.redis.command('HSET', this.rulesKey, rule.id, JSON.stringify(rule));
+  }
+
+  async deleteRule(id) {
+    return Number(await this.redis.command('HDEL', this.rulesKey, id)) > 0;
+  }
+
+  async getState(key) {
+    const raw = await this.redis.command('HGET', this.stateKey, key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async setState(key, state) {
+    await this.redis.command('HSET', this.stateKey, key, JSON.stringify(state));
+  }
+}
+
+const STORES = {
+  file: FileAlertStore,
+  redis: RedisAlertStore,
+  memory: MemoryAlertStore
+};
+
+/**
+ * Build an alert store from a name, `{ store, ...options }`, or an object that
+ * already implements the store methods (returned as-is)
+ */
+function createAlertStore(spec = resolveStoreName('ALERT_STORE')) {
+  if (spec && typeof spec.listRules === 'function') return spec;
+
+  const { store, ...options } = typeof spec === 'string' ? { store: spec } : spec;
+  const Store = STORES[store];
+  if (!Store) {
+    throw new Error(`Unknown alert store "${store}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+module.exports = { createAlertStore, FileAlertStore, RedisAlertStore, MemoryAlertStore };
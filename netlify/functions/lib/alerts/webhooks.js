@@ -0,0 +1,119 @@
+// Webhook delivery for alerts. Slack and Discord incoming-webhook URLs get
+// their native payloads; any other URL gets the alert as JSON.
+//
+// With a secret, each request is signed: X-Signature-256 is
+// `sha256=` + hex HMAC-SHA256 of `<X-Signature-Timestamp>.<raw body>`.
+
+const crypto = require('crypto');
+
+const WEBHOOK_FORMATS = ['generic', 'slack', 'discord'];
+const DELIVERY_TIMEOUT_MS = 5000;
+const DELIVERY_ATTEMPTS = 2;
+const RETRY_DELAY_MS = 500;
+
+const SEVERITY_EMOJI = { critical: '🚨', warning: '⚠️', info: 'ℹ️' };
+const SEVERITY_COLOR = { critical: 0xdc2626, warning: 0xf59e0b, info: 0x3b82f6 };
+
+function detectFormat(url) {
+  if (/^https:\/\/hooks\.slack\.com\//.test(url)) return 'slack';
+  if (/^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\//.test(url)) return 'discord';
+  return 'generic';
+}
+
+// Slack and Discord webhook URLs are credentials - only the origin is reported
+const redactUrl = url => {
+  try {
+    return `${new URL(url).origin}/…`;
+  } catch {
+    return 'invalid URL';
+  }
+};
+
+const formatValue = value => (typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 4 }) : String(value));
+
+function buildPayload(alert, format) {
+  const title = `${SEVERITY_EMOJI[alert.severity] || ''} ${alert.ruleName}: ${alert.token.symbol} (${alert.token.blockchain})`.trim();
+  const fields = Object.entries(alert.values).map(([path, value]) => ({ name: path, value: formatValue(value) }));
+
+  if (format === 'slack') {
+    return {
+      text: `${title} - ${alert.expression}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${title}*\n\`${alert.expression}\`` } },
+        {
+          type: 'section',
+          fields: [
+            ...fields.map(field => ({ type: 'mrkdwn', text: `*${field.name}*\n${field.value}` })),
+            { type: 'mrkdwn', text: `*Score*\n${alert.analysis.overallScore} (${alert.analysis.recommendation})` }
+          ].slice(0, 10)
+        },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `${alert.token.tokenKey} · ${alert.firedAt}${alert.test ? ' · test' : ''}` }] }
+      ]
+    };
+  }
+
+  if (format === 'discord') {
+    return {
+      content: title,
+      embeds: [{
+        title: alert.ruleName,
+        description: `\`${alert.expression}\``,
+        color: SEVERITY_COLOR[alert.severity] || SEVERITY_COLOR.info,
+        fields: [
+          ...fields.map(field => ({ ...field, inline: true })),
+          { name: 'Score', value: `${alert.analysis.overallScore} (${alert.analysis.recommendation})`, inline: true }
+        ].slice(0, 25),
+        footer: { text: `${alert.token.tokenKey}${alert.test ? ' · test' : ''}` },
+        timestamp: alert.firedAt
+      }]
+    };
+  }
+
+  return { event: alert.test ? 'alert.test' : 'alert.fired', alert };
+}
+
+function signPayload(body, secret, timestamp) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POST an alert to one webhook (`{ url, format?, secret? }`), retrying once on
+ * network errors and 5xx. Resolves with the delivery outcome; never rejects.
+ */
+async function deliverWebhook(webhook, alert) {
+  const format = webhook.format || detectFormat(webhook.url);
+  const body = JSON.stringify(buildPayload(alert, format));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'web3-token-analyzer-alerts',
+    'X-Alert-Id': alert.id,
+    ...(webhook.secret ? {
+      'X-Signature-Timestamp': timestamp,
+      'X-Signature-256': signPayload(body, webhook.secret, timestamp)
+    } : {})
+  };
+
+  let outcome;
+  for (let attempt = 1; attempt <= DELIVERY_ATTEMPTS; attempt++) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+    try {
+      const response = await fetch(webhook.url, { method: 'POST', headers, body, signal: controller.signal });
+      outcome = { url: redactUrl(webhook.url), format, ok: response.ok, status: response.status, attempts: attempt };
+      if (response.ok || response.status < 500) break;
+    } catch (error) {
+      outcome = { url: redactUrl(webhook.url), format, ok: false, status: null, attempts: attempt, error: error.name === 'AbortError' ? 'Timed out' : error.message };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    if (attempt < DELIVERY_ATTEMPTS) await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+  }
+
+  if (!outcome.ok) {
+    console.warn(`⚠️ Alert webhook ${outcome.url} failed: ${outcome.error || `HTTP ${outcome.status}`}`);
+  }
+  return outcome;
+}
+
+module.exports = { deliverWebhook, buildPayload, signPayload, detectFormat, redactUrl, WEBHOOK_FORMATS };
@@ -0,0 +1,883 @@
+// JuliaOS-powered token analysis pipeline with real API integration, shared by
+// the analyze function and its streaming variant
+// HTTP_FIXTURE_MODE=record|replay captures or replays every upstream call
+require('./http-fixtures.js').installFixtureFetch();
+const { createDefaultRegistry, detectInputKind } = require('./providers/index.js');
+const { reconcileSources } = require('./reconciliation.js');
+const { resolveTokenIdentity, resolveSelection, scopeSourcesToIdentity, PLATFORM_CHAINS } = require('./identity.js');
+const { analyzeHolders } = require('./holder-analysis.js');
+const { getAnalysisHistory } = require('./history/index.js');
+const { getAlertEngine } = require('./alerts/index.js');
+
+// The swarm coordinator core is ESM and shared with the Next.js app
+const loadSwarmCoordinator = () => import('../../../src/lib/agents/SwarmCoordinator.js');
+const loadLiquidityLocks = () => Promise.all([
+  import('../../../src/lib/contracts/LiquidityLockInspector.js'),
+  import('../../../src/lib/contracts/liquidityLocks.js')
+]);
+
+// Upstream data sources - see lib/providers for how to add one
+const dataProviders = createDefaultRegistry();
+
+// Longer than any symbol or address a source knows
+const MAX_TOKEN_INPUT_LENGTH = 100;
+
+/**
+ * Run one token analysis end to end. `requestBody` is the analyze request
+ * ({ tokenInput, requestId, forceRefresh, consensus, debate, selection, ... });
+ * `emit(event, data)` receives progress as sources return, agents run and
+ * consensus is reached. Once `signal` aborts, the analysis stops at its next
+ * stage - in particular before anything is written to the history or alerts
+ * fire - and rejects with the abort reason. Resolves to `{ statusCode, body }`;
+ * unexpected failures are thrown.
+ */
+async function runAnalysis(requestBody, { emit = () => {}, signal = null } = {}) {
+  if (!requestBody || typeof requestBody !== 'object' || Array.isArray(requestBody)) {
+    return {
+      statusCode: 400,
+      body: { error: 'Request body must be a JSON object' }
+    };
+  }
+  const {
+    tokenInput, requestId, forceRefresh, cacheBuster, userAgent, consensus, debate, selection, disambiguate
+  } = requestBody;
+  
+  console.log(`🚀 NEW ANALYSIS REQUEST:`, {
+    tokenInput,
+    requestId,
+    forceRefresh,
+    cacheBuster,
+    userAgent: userAgent?.slice(0, 50) + '...',
+    timestamp: new Date().toISOString()
+  });
+  
+  if (!tokenInput) {
+    return {
+      statusCode: 400,
+      body: { error: 'Token address or symbol required' }
+    };
+  }
+  if (typeof tokenInput !== 'string' || !tokenInput.trim() || tokenInput.trim().length > MAX_TOKEN_INPUT_LENGTH) {
+    return {
+      statusCode: 400,
+      body: { error: `tokenInput must be a symbol or address of at most ${MAX_TOKEN_INPUT_LENGTH} characters` }
+    };
+  }
+  
+  // Optional consensus strategy: a name, or { strategy, ...options }. Checked
+  // here so a bad option is a 400 rather than a failed swarm run
+  const { SwarmCoordinator, CONSENSUS_STRATEGIES, resolveConsensusSpec } = await loadSwarmCoordinator();
+  if (consensus) {
+    try {
+      if (typeof consensus !== 'string' && (typeof consensus !== 'object' || Array.isArray(consensus))) {
+        throw new Error('consensus must be a strategy name or { strategy, ...options }');
+      }
+      resolveConsensusSpec(consensus);
+    } catch (consensusError) {
+      return {
+        statusCode: 400,
+        body: {
+          error: consensusError.message,
+          supported: CONSENSUS_STRATEGIES
+        }
+      };
+    }
+  }
+  
+  // A candidate picked from a disambiguation list pins the analysis to that token
+  let selected;
+  try {
+    selected = await resolveSelection(tokenInput.trim(), selection);
+  } catch (selectionError) {
+    return {
+      statusCode: 400,
+      body: { error: selectionError.message }
+    };
+  }
+  const analysisInput = selected.tokenInput;
+  
+  console.log(`🤖 Starting JuliaOS swarm analysis for: ${analysisInput} [ID: ${requestId}]`);
+  emit('started', { tokenInput: analysisInput, requestId });
+  
+  const inputKind = detectInputKind(analysisInput);
+  // Each source is reported as soon as it returns
+  const onResult = (provider, payload, cache) => emit('source', {
+    id: provider.id,
+    name: provider.name,
+    ok: payload !== null && !payload.degraded,
+    ...(payload?.degraded ? { degraded: true, reason: payload.reason } : {}),
+    cache: cache.status
+  });
+  
+  // Chain-agnostic providers first - their data drives blockchain detection
+  // Cached payloads are reused within each provider's TTL unless forceRefresh is set
+  let { results: sourceData, cacheStatus } = await dataProviders.fetchAll(analysisInput, {
+    inputKind,
+    forceRefresh: forceRefresh === true,
+    onResult,
+    signal
+  });
+  signal?.throwIfAborted();
+  
+  // Pin the input to one contract, then drop data that belongs to other tokens
+  // (another contract's CoinGecko listing, pools of same-symbol tokens)
+  const identity = await resolveTokenIdentity(analysisInput, inputKind, sourceData);
+  
+  // Ambiguous symbols stop here: the caller picks a candidate before the swarm
+  // runs (`disambiguate: false` keeps the automatic choice)
+  if (identity.ambiguous && !selected.pinned && disambiguate !== false) {
+    console.log(`🔀 ${tokenInput} is ambiguous - returning ${identity.candidateCount} candidates`);
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        needsDisambiguation: true,
+        input: tokenInput,
+        candidates: identity.candidates,
+        candidateCount: identity.candidateCount,
+        requestId: requestId,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
+  sourceData = scopeSourcesToIdentity(sourceData, identity);
+  console.log('🪪 Token identity:', {
+    resolved: identity.resolved && `${identity.resolved.chain}:${identity.resolved.address}`,
+    verification: identity.resolved?.verification,
+    coingecko: identity.coingecko.status,
+    candidates: identity.candidateCount,
+    impersonation: identity.impersonation.flagged
+  });
+  const { coingecko: coinGeckoData, birdeye: birdeyeData, dexscreener: dexData } = sourceData;
+  
+  // Detect blockchain and resolve token info
+  const blockchainInfo = detectBlockchain(analysisInput, coinGeckoData, birdeyeData, dexData, identity);
+  const tokenInfo = resolveTokenInfo(analysisInput, coinGeckoData, birdeyeData, dexData, blockchainInfo, identity);
+  
+  console.log('🔍 Blockchain Detection Result:', {
+    blockchain: blockchainInfo.blockchain,
+    isContract: blockchainInfo.isContractAddress,
+    chainId: blockchainInfo.chainId,
+    addressFormat: blockchainInfo.addressFormat,
+    tokenInput: analysisInput,
+    inputKind
+  });
+  emit('token', { tokenInfo, blockchainInfo, identity });
+  
+  // Then the providers that only apply to the detected chain (e.g. Solana Tracker),
+  // queried with the resolved contract address when a symbol was entered
+  const resolvedAddress = identity.resolved?.address;
+  ({ results: sourceData, cacheStatus } = await dataProviders.fetchAll(resolvedAddress || analysisInput, {
+    inputKind: resolvedAddress ? 'address' : inputKind,
+    blockchain: blockchainInfo.blockchain,
+    results: sourceData,
+    cacheStatus,
+    forceRefresh: forceRefresh === true,
+    onResult,
+    signal
+  }));
+  signal?.throwIfAborted();
+  
+  const solanaTrackerData = sourceData.solanaTracker || null;
+  if (solanaTrackerData) {
+    console.log('📈 Solana Tracker data structure:', {
+      hasTokenInfo: !!solanaTrackerData.tokenInfo,
+      hasHolders: !!(solanaTrackerData.holders && solanaTrackerData.holders.length > 0),
+      hasTopTraders: !!(solanaTrackerData.topTraders && solanaTrackerData.topTraders.length > 0),
+      hasFirstBuyers: !!(solanaTrackerData.firstBuyers && solanaTrackerData.firstBuyers.length > 0),
+      performanceCalculated: !!solanaTrackerData.performance
+    });
+  }
+  
+  // Every source's view of price, market cap and supply, checked against each other
+  const keyMetrics = extractComprehensiveMetrics(sourceData);
+  const dataIntegrity = reconcileSources(dataProviders.normalizeAll(sourceData), keyMetrics.fieldSources);
+  if (dataIntegrity.issues.length > 0) {
+    console.log(`⚠️ Data integrity ${dataIntegrity.status}:`, dataIntegrity.issues.map(issue => issue.message));
+  }
+  
+  // Top holder concentration, with burn/LP/exchange wallets set aside
+  const holders = analyzeHolderDistribution(sourceData, keyMetrics);
+  if (holders) {
+    console.log(`👥 Holder concentration ${holders.level}: top 10 hold ${holders.top10Pct}%, Nakamoto ${holders.nakamoto ?? 'n/a'}`);
+  }
+  
+  // Who holds each main pool's LP tokens: burned, locked until a date, or withdrawable
+  const liquidityLocks = await analyzeLiquidityLocks(tokenInfo, blockchainInfo, dexData);
+  signal?.throwIfAborted();
+  if (liquidityLocks) {
+    console.log(`🔒 Liquidity locks ${liquidityLocks.level}: $${Math.round(liquidityLocks.totals.unlockedUsd).toLocaleString()} unlocked`);
+  }
+  
+  // Prepare comprehensive project data for JuliaOS agents
+  const projectData = {
+    tokenInfo: tokenInfo,
+    blockchainInfo: blockchainInfo,
+    marketData: coinGeckoData,
+    birdeyeData: birdeyeData,
+    dexData: dexData,
+    solanaTrackerData: solanaTrackerData,
+    analysis: {
+      keyMetrics,
+      dataIntegrity,
+      identity,
+      holders,
+      liquidityLocks
+    }
+  };
+  emit('metrics', {
+    keyMetrics,
+    dataIntegrity,
+    liquidityBreakdown: summarizeLiquidity(dexData),
+    holderAnalysis: holders,
+    liquidityLocks
+  });
+  
+  // Initialize the shared SwarmCoordinator - SWARM_EXECUTION_MODE 'heuristics'
+  // (the default) scores locally, 'agents' runs the LLM-backed agents (JuliaOS
+  // or another configured backend)
+  const swarmCoordinator = new SwarmCoordinator();
+  
+  // Execute JuliaOS multi-agent coordination
+  const analysisResult = await swarmCoordinator.coordinateResearch(projectData, {
+    consensus,
+    // Optional debate round when agent scores disagree sharply
+    debate: typeof debate === 'boolean' ? debate : undefined,
+    // Agent start/finish, debate and consensus events
+    onProgress: emit,
+    // Stops the trade simulation with the analysis
+    signal
+  });
+  
+  console.log(`✅ JuliaOS swarm analysis complete: ${analysisResult.consensus_score ?? '-'}/100 consensus`);
+  
+  // Generate professional trader analysis
+  const professionalAnalysis = generateProfessionalTraderAnalysis(projectData, analysisResult);
+  console.log(`💼 Professional analysis generated:`, {
+    score: professionalAnalysis.overallScore,
+    recommendation: professionalAnalysis.recommendation,
+    findingsCount: professionalAnalysis.findings.length,
+    risksCount: professionalAnalysis.risks.length
+  });
+  
+  // Format result to maintain compatibility with frontend
+  const result = {
+    tokenInfo: projectData.tokenInfo,
+    blockchainInfo: projectData.blockchainInfo,
+    marketData: projectData.marketData,
+    dexData: projectData.dexData,
+    solanaTrackerData: projectData.solanaTrackerData,
+    analysis: {
+      overallScore: professionalAnalysis.overallScore,
+      recommendation: professionalAnalysis.recommendation,
+      riskLevel: professionalAnalysis.riskLevel,
+      keyMetrics: projectData.analysis.keyMetrics,
+      findings: professionalAnalysis.findings,
+      risks: professionalAnalysis.risks,
+      scoreBreakdown: professionalAnalysis.scoreBreakdown,
+      liquidityBreakdown: summarizeLiquidity(projectData.dexData),
+      dataIntegrity: projectData.analysis.dataIntegrity,
+      identity: projectData.analysis.identity,
+      holderAnalysis: projectData.analysis.holders,
+      liquidityLocks: projectData.analysis.liquidityLocks,
+      contractAnalysis: analysisResult.detailed_analysis?.contract?.contract_analysis || null,
+      honeypotSimulation: analysisResult.detailed_analysis?.contract?.honeypot_simulation || null
+    }
+  };
+  
+  const body = {
+    success: true,
+    data: result,
+    requestId: requestId,
+    juliaos_analysis: analysisResult, // Full JuliaOS analysis
+    timestamp: new Date().toISOString(),
+    sources: [
+      ...Object.keys(sourceData).map(id => dataProviders.get(id).name),
+      ...(analysisResult.swarm_coordination?.juliaos_framework ? ['JuliaOS Framework'] : [])
+    ],
+    execution_mode: analysisResult.swarm_coordination?.execution_mode,
+    cache: describeCacheStatus(cacheStatus)
+  };
+  // A caller that gave up (timeout, disconnect) gets no history or alerts
+  signal?.throwIfAborted();
+  // Versioned snapshot per token, with what changed since the previous run
+  body.history = await recordHistory(body);
+  // User-defined alert rules; their webhooks are delivered in the background
+  body.alerts = await evaluateAlerts(body);
+  
+  return { statusCode: 200, body };
+}
+
+async function recordHistory(body) {
+  // Nothing worth keeping when no source knew the token
+  if (body.data.analysis.keyMetrics?.primaryDataSource === 'None') return null;
+  try {
+    const history = getAnalysisHistory();
+    return history ? await history.record(body) : null;
+  } catch (error) {
+    console.warn('⚠️ Analysis history unavailable:', error.message);
+    return null;
+  }
+}
+
+async function evaluateAlerts(body) {
+  if (body.data.analysis.keyMetrics?.primaryDataSource === 'None') return [];
+  try {
+    return await getAlertEngine().evaluate(body);
+  } catch (error) {
+    console.warn('⚠️ Alert rules not evaluated:', error.message);
+    return [];
+  }
+}
+
+// Pool-level liquidity view for the UI: totals, fragmentation and the deepest pools
+const MAX_REPORTED_POOLS = 20;
+
+function summarizeLiquidity(dexData) {
+  const aggregate = dexData?.aggregate;
+  if (!aggregate) return null;
+
+  return {
+    totalLiquidityUsd: aggregate.totals.liquidityUsd,
+    totalVolume24h: aggregate.totals.volume24h,
+    poolCount: aggregate.totals.poolCount,
+    volumeWeightedPriceUsd: aggregate.priceUsd,
+    canonicalPool: aggregate.canonicalPool,
+    fragmentation: aggregate.fragmentation,
+    byChain: aggregate.byChain,
+    byDex: aggregate.byDex,
+    pools: aggregate.pools.slice(0, MAX_REPORTED_POOLS)
+  };
+}
+
+// Holder list from Solana Tracker (Solana) or the EVM holder snapshot provider.
+// Solana Tracker amounts are in whole tokens like keyMetrics.totalSupply; EVM
+// snapshots carry their own supply in base units.
+function analyzeHolderDistribution(sourceData, keyMetrics) {
+  const lpAddresses = (sourceData.dexscreener?.aggregate?.pools || []).map(pool => pool.pairAddress);
+  const solanaTracker = sourceData.solanaTracker;
+  if (solanaTracker?.holders?.length > 0) {
+    return analyzeHolders(solanaTracker.holders, {
+      totalSupply: keyMetrics.totalSupply,
+      totalHolders: solanaTracker.holderCount,
+      lpAddresses,
+      source: 'Solana Tracker'
+    });
+  }
+  const snapshot = sourceData.evmHolders;
+  if (snapshot?.holders?.length > 0) {
+    return analyzeHolders(snapshot.holders, {
+      totalSupply: snapshot.totalSupply,
+      totalHolders: snapshot.totalHolders,
+      lpAddresses,
+      source: snapshot.source === 'explorer' ? 'Etherscan' : 'Holder snapshot'
+    });
+  }
+  return null;
+}
+
+// LP distribution of the token's deepest pools on its own chain
+const LP_INSPECTED_POOLS = 3;
+
+async function analyzeLiquidityLocks(tokenInfo, blockchainInfo, dexData) {
+  const pools = (dexData?.aggregate?.pools || [])
+    .filter(pool => pool.pairAddress && pool.chainId === blockchainInfo.blockchain)
+    .slice(0, LP_INSPECTED_POOLS);
+  if (!tokenInfo.address || pools.length === 0) return null;
+  
+  try {
+    const [{ LiquidityLockInspector }, { assessLiquidityLocks }] = await loadLiquidityLocks();
+    const inspected = await new LiquidityLockInspector().inspect(tokenInfo.address, blockchainInfo.blockchain, pools);
+    return assessLiquidityLocks(inspected);
+  } catch (error) {
+    console.warn('⚠️ Liquidity lock analysis failed:', error.message);
+    return null;
+  }
+}
+
+// Per-source cache report: hit/miss/bypass and how old the data is
+function describeCacheStatus(cacheStatus) {
+  const report = {};
+  Object.entries(cacheStatus).forEach(([id, status]) => {
+    report[id] = {
+      source: dataProviders.get(id).name,
+      status: status.status,
+      ageSeconds: Math.round(status.ageMs / 1000),
+      ttlSeconds: Math.round(status.ttlMs / 1000),
+      fetchedAt: status.fetchedAt
+    };
+  });
+  return report;
+}
+
+// Professional trader analysis function
+function generateProfessionalTraderAnalysis(projectData, juliaOSResult) {
+  const { tokenInfo, analysis, solanaTrackerData, blockchainInfo } = projectData;
+  const metrics = analysis.keyMetrics;
+  
+  console.log('💼 Generating professional trader analysis...');
+  
+  let score = 0;
+  const findings = [];
+  const risks = [];
+  const scoreBreakdown = [];
+  
+  // Record each factor's input, the threshold band it fell into and its points
+  const scoreFactor = (factor, { metric, value, band, points, maxPoints, applicable = true }) => {
+    scoreBreakdown.push({ factor, metric, value, band, points, maxPoints, applicable });
+    score += points;
+  };
+  
+  // LIQUIDITY ANALYSIS (25 points)
+  const liquidity = metrics.liquidity || 0;
+  const liquidityFactor = { metric: 'liquidity', value: liquidity, maxPoints: 25 };
+  if (liquidity > 1000000) { // >$1M
+    scoreFactor('Liquidity', { ...liquidityFactor, band: '> $1M', points: 25 });
+    findings.push(`Excellent liquidity pool of $${(liquidity/1000000).toFixed(1)}M - Low slippage risk for large trades`);
+  } else if (liquidity > 500000) {
+    scoreFactor('Liquidity', { ...liquidityFactor, band: '$500K - $1M', points: 15 });
+    findings.push(`Decent liquidity at $${(liquidity/1000).toFixed(0)}K - Moderate slippage on large trades`);
+  } else if (liquidity > 100000) {
+    scoreFactor('Liquidity', { ...liquidityFactor, band: '$100K - $500K', points: 8 });
+    risks.push(`Low liquidity of $${(liquidity/1000).toFixed(0)}K - Expect significant slippage above $10K trades`);
+  } else {
+    scoreFactor('Liquidity', { ...liquidityFactor, band: '<= $100K', points: 0 });
+    risks.push(`Critical liquidity warning: Only $${liquidity.toLocaleString()} - High risk of price manipulation`);
+  }
+  
+  // LIQUIDITY LOCKS (informational) - how much of that liquidity can be pulled?
+  const liquidityLocks = analysis.liquidityLocks;
+  if (liquidityLocks) {
+    liquidityLocks.risks.forEach(risk => risks.push(risk));
+    liquidityLocks.findings.forEach(finding => findings.push(finding));
+  }
+  
+  // TOKEN IDENTITY (informational) - is this the token the symbol/name suggests?
+  const identity = analysis.identity;
+  if (identity) {
+    if (identity.impersonation.flagged) {
+      risks.push(`Possible impersonation: ${identity.impersonation.message}`);
+    } else if (identity.coingecko.status === 'confirmed') {
+      findings.push(`Contract ${tokenInfo.address} confirmed against CoinGecko listing "${identity.coingecko.coingeckoId}"`);
+    }
+    if (identity.copycats.length > 0) {
+      risks.push(`${identity.copycats.length} other contract(s) trade under the ${tokenInfo.symbol} name/symbol without being a listed contract - Verify the address before buying`);
+    }
+  }
+  
+  // CONTRACT SECURITY (informational) - privileged controls in the verified
+  // source, or the authorities of a Solana SPL mint
+  const contractAnalysis = juliaOSResult?.detailed_analysis?.contract?.contract_analysis;
+  if (contractAnalysis?.findings) {
+    const isMint = contractAnalysis.kind === 'spl_mint';
+    const serious = contractAnalysis.findings.filter(finding => ['critical', 'high'].includes(finding.severity));
+    serious.forEach(finding => risks.push(`${isMint ? 'Mint' : 'Contract'}: ${finding.title} - ${finding.detail}`));
+    if (isMint && serious.length === 0) {
+      findings.push(`SPL mint (${contractAnalysis.program}) has no dangerous authorities or extensions`);
+    } else if (contractAnalysis.verified && serious.length === 0) {
+      findings.push(`Verified contract source (${contractAnalysis.contractName}) shows no high-risk privileged controls`);
+    }
+    if (contractAnalysis.ownership.status === 'renounced') {
+      findings.push(isMint
+        ? 'Mint and freeze authorities revoked - supply is fixed and holder accounts cannot be frozen'
+        : 'Contract ownership renounced - owner-only controls can no longer be used');
+    }
+  }
+  
+  // TRADE SIMULATION (informational) - can a buyer actually sell, and at what tax?
+  const simulation = juliaOSResult?.detailed_analysis?.contract?.honeypot_simulation;
+  if (simulation?.status === 'simulated') {
+    const { buy, sell, limits } = simulation;
+    if (!buy.success) {
+      risks.push(`Trade simulation: buying reverts (${buy.revertReason}) - Trading may be disabled or restricted`);
+    } else if (!sell.success) {
+      risks.push(`Honeypot: simulated sell reverts (${sell.revertReason}) - Bought tokens cannot be sold`);
+    } else if (simulation.honeypot) {
+      risks.push(`Honeypot: simulated sell tax of ${sell.taxPct}% - Most of any position is lost on exit`);
+    } else if (Math.max(buy.taxPct, sell.taxPct) > 10) {
+      risks.push(`High transfer tax: ${buy.taxPct}% on buys, ${sell.taxPct}% on sells in simulation`);
+    } else {
+      findings.push(`Simulated buy and sell through the ${simulation.dexId || 'main'} pool succeeded - Tax ${buy.taxPct}% buy / ${sell.taxPct}% sell`);
+    }
+    [['Max transaction', limits.maxTx], ['Max wallet', limits.maxWallet]]
+      .filter(([, limit]) => limit && limit.pctOfSupply !== null && limit.pctOfSupply < 1)
+      .forEach(([label, limit]) => risks.push(`${label} limit of ${limit.pctOfSupply}% of supply - Large exits must be split`));
+  }
+  
+  // HOLDER CONCENTRATION (informational) - can a few wallets dump on everyone else?
+  const holders = analysis.holders;
+  if (holders) {
+    holders.risks.forEach(risk => risks.push(`Holders: ${risk}`));
+    holders.findings.forEach(finding => findings.push(`Holders: ${finding}`));
+    if (holders.gini !== null) {
+      findings.push(`Holder Gini coefficient ${holders.gini} across the top ${holders.sampleSize} holders${holders.totalHolders ? ` (${holders.totalHolders.toLocaleString()} holders total)` : ''}`);
+    }
+  }
+  
+  // DATA INTEGRITY (informational) - do the sources agree on what this token is worth?
+  const integrity = analysis.dataIntegrity;
+  if (integrity) {
+    integrity.issues
+      .filter(issue => issue.severity === 'critical')
+      .forEach(issue => risks.push(`Data integrity: ${issue.message}`));
+    
+    const price = integrity.fields.currentPrice;
+    if (price.status === 'ok' && price.sources.length > 1) {
+      findings.push(`Price confirmed by ${price.sources.length} sources (max ${price.maxDivergencePct}% divergence)`);
+    }
+  }
+  
+  // LIQUIDITY FRAGMENTATION (informational - total liquidity is scored above)
+  const pools = projectData.dexData?.aggregate;
+  if (pools && pools.totals.poolCount > 1) {
+    const { fragmentation, canonicalPool, totals } = pools;
+    const canonicalShare = (fragmentation.canonicalShare * 100).toFixed(0);
+    if (fragmentation.level === 'FRAGMENTED') {
+      risks.push(`Fragmented liquidity: deepest pool (${canonicalPool.dexId} on ${canonicalPool.chainId}) holds only ${canonicalShare}% of $${Math.round(totals.liquidityUsd).toLocaleString()} across ${totals.poolCount} pools - Large trades will slip more than total liquidity suggests`);
+    } else {
+      findings.push(`Liquidity ${fragmentation.level === 'CONCENTRATED' ? 'concentrated' : 'spread'} across ${totals.poolCount} pools - Deepest pool (${canonicalPool.dexId} on ${canonicalPool.chainId}) holds ${canonicalShare}%`);
+    }
+    if (fragmentation.chainCount > 1) {
+      findings.push(`Traded on ${fragmentation.chainCount} chains: ${pools.byChain.map(chain => `${chain.chainId} ${(chain.liquidityShare * 100).toFixed(0)}%`).join(', ')}`);
+    }
+  }
+  
+  // VOLUME ANALYSIS (20 points)
+  const volume24h = metrics.volume24h || 0;
+  const volumeToMCap = metrics.volumeToMarketCapRatio || 0;
+  const volumeFactor = { metric: 'volumeToMarketCapRatio', value: volumeToMCap, maxPoints: 20 };
+  if (volumeToMCap > 0.1) { // >10% volume/mcap ratio
+    scoreFactor('Volume', { ...volumeFactor, band: '> 10% of market cap', points: 20 });
+    findings.push(`Strong trading activity: ${(volumeToMCap*100).toFixed(1)}% volume/mcap ratio indicates healthy price discovery`);
+  } else if (volumeToMCap > 0.05) {
+    scoreFactor('Volume', { ...volumeFactor, band: '5% - 10% of market cap', points: 12 });
+    findings.push(`Moderate trading activity: ${(volumeToMCap*100).toFixed(1)}% volume/mcap ratio`);
+  } else if (volume24h < 10000) {
+    scoreFactor('Volume', { ...volumeFactor, band: '<= 5% of market cap, under $10K 24h volume', points: 0 });
+    risks.push(`Dead volume warning: $${volume24h.toLocaleString()} 24h volume indicates low interest`);
+  } else {
+    scoreFactor('Volume', { ...volumeFactor, band: '<= 5% of market cap', points: 0 });
+  }
+  
+  // PRICE ACTION ANALYSIS (15 points)
+  const priceChange24h = metrics.priceChange24h || 0;
+  const athRatio = metrics.priceToAthRatio || 0;
+  const priceFactor = { metric: 'priceChange24h', value: priceChange24h, maxPoints: 15 };
+  if (Math.abs(priceChange24h) < 5 && volume24h > 100000) {
+    scoreFactor('Price Action', { ...priceFactor, band: 'Within ±5% on > $100K volume', points: 15 });
+    findings.push('Stable price action with healthy volume - Good risk/reward setup');
+  } else if (priceChange24h > 20) {
+    scoreFactor('Price Action', { ...priceFactor, band: 'Pump above +20%', points: 0 });
+    risks.push(`Extreme pump: +${priceChange24h.toFixed(1)}% in 24h - High dump risk, consider taking profits`);
+  } else if (priceChange24h < -20) {
+    scoreFactor('Price Action', { ...priceFactor, band: 'Dip below -20%', points: 0 });
+    findings.push(`Major dip: ${priceChange24h.toFixed(1)}% in 24h - Potential buy opportunity if fundamentals strong`);
+  } else {
+    scoreFactor('Price Action', {
+      ...priceFactor,
+      band: Math.abs(priceChange24h) < 5 ? 'Within ±5% on <= $100K volume' : 'Moved 5% - 20%',
+      points: 0
+    });
+  }
+  
+  if (athRatio > 0.8) {
+    risks.push(`Near ATH territory: ${(athRatio*100).toFixed(1)}% of ATH - Limited upside, high downside risk`);
+  } else if (athRatio < 0.1) {
+    findings.push(`Deep discount: ${(athRatio*100).toFixed(1)}% of ATH - High upside potential if token recovers`);
+  }
+  
+  // MARKET CAP ANALYSIS (10 points)
+  const marketCap = metrics.marketCap || 0;
+  const marketCapFactor = { metric: 'marketCap', value: marketCap, maxPoints: 10 };
+  if (marketCap > 100000000) { // >$100M
+    scoreFactor('Market Cap', { ...marketCapFactor, band: '> $100M (large cap)', points: 8 });
+    findings.push(`Large cap token at $${(marketCap/1000000).toFixed(0)}M - Lower risk but limited upside potential`);
+  } else if (marketCap > 10000000) { // >$10M
+    scoreFactor('Market Cap', { ...marketCapFactor, band: '$10M - $100M (mid cap)', points: 10 });
+    findings.push(`Mid cap at $${(marketCap/1000000).toFixed(1)}M - Balanced risk/reward profile`);
+  } else if (marketCap > 1000000) { // >$1M
+    scoreFactor('Market Cap', { ...marketCapFactor, band: '$1M - $10M (small cap)', points: 6 });
+    findings.push(`Small cap at $${(marketCap/1000000).toFixed(1)}M - High risk, high reward potential`);
+  } else {
+    scoreFactor('Market Cap', { ...marketCapFactor, band: '<= $1M (micro cap)', points: 0 });
+    risks.push(`Micro cap warning: $${marketCap.toLocaleString()} - Extremely high risk, possible rugpull`);
+  }
+  
+  // SOLANA TRADER PERFORMANCE ANALYSIS (20 points) - Only for Solana tokens
+  if (solanaTrackerData?.performance?.totalTraders > 0 && blockchainInfo.blockchain === 'solana') {
+    const perf = solanaTrackerData.performance;
+    const traderFactor = { metric: 'winRate', value: perf.winRate, maxPoints: 20 };
+    
+    if (perf.winRate > 60) {
+      scoreFactor('Trader Performance', { ...traderFactor, band: '> 60% win rate', points: 20 });
+      findings.push(`Exceptional trader performance: ${perf.winRate.toFixed(1)}% win rate with ${perf.totalTraders} tracked traders`);
+      findings.push(perf.profitableHolders > 0 ?
+        `Top performer made $${perf.topProfitAmount.toLocaleString()} - ${perf.profitableHolders} profitable wallets are still holding` :
+        `Top performer made $${perf.topProfitAmount.toLocaleString()} - Profitable wallets have already taken profits`);
+    } else if (perf.winRate > 40) {
+      scoreFactor('Trader Performance', { ...traderFactor, band: '40% - 60% win rate', points: 12 });
+      findings.push(`Decent trader performance: ${perf.winRate.toFixed(1)}% win rate - Mixed signals from traders`);
+    } else if (perf.winRate < 30) {
+      scoreFactor('Trader Performance', { ...traderFactor, band: '< 30% win rate', points: 0 });
+      risks.push(`Poor trader performance: ${perf.winRate.toFixed(1)}% win rate - Most traders losing money`);
+      risks.push(`Biggest loss: $${perf.topLossAmount.toLocaleString()} - High risk of further losses`);
+    } else {
+      scoreFactor('Trader Performance', { ...traderFactor, band: '30% - 40% win rate', points: 0 });
+    }
+    
+    if (perf.totalTraders < 10) {
+      risks.push(`Low trader sample: Only ${perf.totalTraders} tracked traders - Data may not be representative`);
+    }
+  } else if (blockchainInfo.blockchain === 'solana') {
+    scoreFactor('Trader Performance', { metric: 'winRate', value: null, band: 'No trader data', points: 0, maxPoints: 20 });
+    risks.push('No Solana trader performance data available - Cannot assess smart money behavior');
+  } else {
+    // Not scored off Solana, so these 20 points are out of reach for other chains
+    scoreFactor('Trader Performance', {
+      metric: 'winRate', value: null, band: 'Solana tokens only', points: 0, maxPoints: 20, applicable: false
+    });
+  }
+  
+  // TRANSACTION ACTIVITY (10 points)
+  const txns24h = metrics.txns24h || 0;
+  const txnsFactor = { metric: 'txns24h', value: txns24h, maxPoints: 10 };
+  if (txns24h > 1000) {
+    scoreFactor('Transaction Activity', { ...txnsFactor, band: '> 1,000 trades', points: 10 });
+    findings.push(`High transaction count: ${txns24h.toLocaleString()} trades in 24h - Strong community engagement`);
+  } else if (txns24h > 100) {
+    scoreFactor('Transaction Activity', { ...txnsFactor, band: '100 - 1,000 trades', points: 6 });
+    findings.push(`Moderate activity: ${txns24h.toLocaleString()} trades in 24h`);
+  } else if (txns24h < 50) {
+    scoreFactor('Transaction Activity', { ...txnsFactor, band: '< 50 trades', points: 0 });
+    risks.push(`Low activity warning: Only ${txns24h} trades in 24h - Poor liquidity and interest`);
+  } else {
+    scoreFactor('Transaction Activity', { ...txnsFactor, band: '50 - 100 trades', points: 0 });
+  }
+  
+  // FINAL SCORING AND RECOMMENDATION
+  score = Math.min(score, 100);
+  let recommendation = '';
+  let riskLevel = '';
+  
+  if (score >= 80) {
+    recommendation = 'STRONG BUY';
+    riskLevel = 'LOW';
+    findings.push('All key metrics align - High probability trade setup');
+  } else if (score >= 65) {
+    recommendation = 'BUY';
+    riskLevel = 'MEDIUM';
+    findings.push('Solid fundamentals with manageable risks - Good entry opportunity');
+  } else if (score >= 45) {
+    recommendation = 'HOLD/WATCH';
+    riskLevel = 'MEDIUM-HIGH';
+    findings.push('Mixed signals - Wait for better entry or stronger confirmation');
+  } else if (score >= 25) {
+    recommendation = 'AVOID';
+    riskLevel = 'HIGH';
+    risks.push('Multiple red flags present - High probability of loss');
+  } else {
+    recommendation = 'DANGER - DO NOT TRADE';
+    riskLevel = 'EXTREME';
+    risks.push('Critical risk factors detected - Likely scam or dead project');
+  }
+  
+  // An impersonating or unsellable token is never tradeable, whatever its market metrics say
+  if (identity?.impersonation.flagged || simulation?.honeypot) {
+    recommendation = 'DANGER - DO NOT TRADE';
+    riskLevel = 'EXTREME';
+  }
+  
+  console.log('💼 Professional analysis complete:', { score, recommendation, riskLevel });
+  
+  return {
+    overallScore: score,
+    recommendation,
+    riskLevel,
+    findings,
+    risks,
+    scoreBreakdown
+  };
+}
+
+// Blockchain detection and comprehensive data extraction functions
+function detectBlockchain(tokenInput, coinGeckoData, birdeyeData, dexData, identity) {
+  // Detect blockchain from various sources
+  let blockchain = 'unknown';
+  let chainId = null;
+  
+  // Check DexScreener data first (most reliable for chain detection) -
+  // the chain holding the most liquidity across all pools
+  const primaryChain = dexData?.aggregate?.primaryChain;
+  if (primaryChain) {
+    blockchain = primaryChain;
+    chainId = primaryChain;
+  }
+  
+  // Check CoinGecko platform data
+  if (coinGeckoData?.asset_platform_id) {
+    blockchain = PLATFORM_CHAINS[coinGeckoData.asset_platform_id] || blockchain;
+  }
+  
+  // The resolved contract's chain wins - the token may live on several chains
+  if (identity?.resolved?.address && identity.resolved.chain) {
+    blockchain = identity.resolved.chain;
+  }
+  
+  // Address format detection as fallback
+  if (blockchain === 'unknown') {
+    if (tokenInput.length === 42 && tokenInput.startsWith('0x')) {
+      blockchain = 'ethereum'; // Could be ETH, BSC, Polygon, etc.
+    } else if (tokenInput.length >= 32 && tokenInput.length <= 44 && !tokenInput.startsWith('0x')) {
+      blockchain = 'solana';
+    }
+  }
+  
+  return {
+    blockchain,
+    chainId,
+    isContractAddress: detectInputKind(tokenInput) === 'address',
+    addressFormat: tokenInput.startsWith('0x') ? 'evm' : 'solana'
+  };
+}
+
+function resolveTokenInfo(tokenInput, coinGeckoData, birdeyeData, dexData, blockchainInfo, identity) {
+  // Token details from the canonical (deepest) pool rather than whichever pair came first
+  const dexToken = dexData?.aggregate?.token;
+  const canonicalPair = dexData?.pairs?.find(pair => pair.pairAddress === dexData.aggregate?.canonicalPool?.pairAddress);
+  return {
+    name: coinGeckoData?.name || 
+          birdeyeData?.overview?.name || 
+          dexToken?.name || 
+          'Unknown Token',
+    symbol: coinGeckoData?.symbol?.toUpperCase() || 
+            birdeyeData?.overview?.symbol || 
+            dexToken?.symbol || 
+            'UNKNOWN',
+    address: identity?.resolved?.address || 
+             (blockchainInfo.isContractAddress ? tokenInput : (coinGeckoData?.contract_address || tokenInput)),
+    description: coinGeckoData?.description?.en || 'No description available',
+    blockchain: blockchainInfo.blockchain,
+    chainId: blockchainInfo.chainId,
+    image: coinGeckoData?.image?.large || 
+           coinGeckoData?.image?.small || 
+           canonicalPair?.info?.imageUrl,
+    websites: coinGeckoData?.links?.homepage?.filter(url => url) || [],
+    socialLinks: {
+      twitter: coinGeckoData?.links?.twitter_screen_name || '',
+      telegram: coinGeckoData?.links?.telegram_channel_identifier || '',
+      discord: coinGeckoData?.links?.discord || ''
+    }
+  };
+}
+
+// Price-level fields always come from a single primary source to avoid mixing
+// a CoinGecko price with a DEX market cap
+const PRIMARY_SOURCE_FIELDS = [
+  'currentPrice', 'marketCap', 'volume24h', 'priceChange24h',
+  'circulatingSupply', 'totalSupply', 'maxSupply'
+];
+
+const SECONDARY_SOURCE_FIELDS = [
+  'liquidity', 'fdv', 'txns24h',
+  'ath', 'atl', 'athChangePercentage',
+  'communityScore', 'developerScore', 'publicInterestScore', 'marketCapRank'
+];
+
+function extractComprehensiveMetrics(sourceData) {
+  const normalized = dataProviders.normalizeAll(sourceData);
+
+  console.log('🔍 Data extraction debug:', normalized.map(({ name, fields }) => ({
+    source: name,
+    price: fields.currentPrice,
+    marketCap: fields.marketCap
+  })));
+
+  // PRIMARY DATA SOURCE SELECTION - first provider (by priority) with a valid price
+  const primary = normalized.find(({ fields }) => fields.currentPrice > 0);
+  const dataSource = primary ? primary.name : 'None';
+
+  // Which source each field was taken from (null when no source had it)
+  const fieldSources = {};
+  
+  const primaryMetrics = {};
+  PRIMARY_SOURCE_FIELDS.forEach(field => {
+    primaryMetrics[field] = primary?.fields[field] || 0;
+    fieldSources[field] = primary?.fields[field] !== undefined ? dataSource : null;
+  });
+  let { currentPrice, marketCap, volume24h, priceChange24h, circulatingSupply, totalSupply, maxSupply } = primaryMetrics;
+
+  if (primary) {
+    console.log(`✅ Using ${dataSource} data:`, { currentPrice, marketCap, volume24h });
+  } else {
+    console.log('❌ No valid data sources found');
+  }
+  
+  // Sanity checks - reject obviously wrong data
+  if (marketCap < 0 || marketCap > 10000000000000) { // >$10T is suspicious
+    console.log('⚠️ Suspicious market cap detected, resetting:', marketCap);
+    marketCap = 0;
+    fieldSources.marketCap = null;
+  }
+  
+  if (volume24h < 0 || volume24h > marketCap * 10) { // Volume >10x market cap is suspicious
+    console.log('⚠️ Suspicious volume detected, resetting:', volume24h);
+    volume24h = 0;
+    fieldSources.volume24h = null;
+  }
+  
+  // Remaining fields come from the highest-priority provider that contributes them
+  const secondary = {};
+  SECONDARY_SOURCE_FIELDS.forEach(field => {
+    const source = normalized.find(({ fields }) => fields[field] !== undefined);
+    secondary[field] = source ? source.fields[field] : 0;
+    fieldSources[field] = source ? source.name : null;
+  });
+  const { liquidity, fdv, txns24h, ath, atl, athChangePercentage } = secondary;
+  
+  return {
+    // Price metrics
+    currentPrice,
+    marketCap,
+    volume24h,
+    priceChange24h,
+    
+    // Supply metrics  
+    circulatingSupply,
+    totalSupply,
+    maxSupply,
+    
+    // DEX metrics
+    liquidity,
+    fdv,
+    txns24h,
+    
+    // Historical metrics
+    ath,
+    atl,
+    athChangePercentage,
+    
+    // Ratios and derived metrics
+    volumeToMarketCapRatio: marketCap > 0 ? (volume24h / marketCap) : 0,
+    priceToAthRatio: ath > 0 ? (currentPrice / ath) : 0,
+    liquidityRatio: marketCap > 0 ? (liquidity / marketCap) : 0,
+    
+    // Community/Social metrics
+    communityScore: secondary.communityScore,
+    developerScore: secondary.developerScore,
+    publicInterestScore: secondary.publicInterestScore,
+    
+    // Market rank
+    marketCapRank: secondary.marketCapRank,
+    
+    // Solana Tracker Performance (for Solana tokens only)
+    traderPerformance: normalized.find(({ fields }) => fields.traderPerformance)?.fields.traderPerformance || null,
+    
+    // Data source indicators
+    primaryDataSource: dataSource,
+    fieldSources,
+    hasSolanaData: !!sourceData.solanaTracker
+  };
+}
+
+module.exports = { runAnalysis, dataProviders };
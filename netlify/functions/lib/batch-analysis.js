@@ -0,0 +1,216 @@
+// Batch analysis: runs the analysis pipeline for a list of tokens with a
+// bounded number in flight and returns a ranked table. A token that fails is
+// reported in its own row and never fails the batch.
+
+const { runAnalysis } = require('./analysis-pipeline.js');
+
+// A batch runs inside one synchronous function call, which Netlify stops
+// after 26s at most - this many tokens fit in that with cached sources
+const MAX_BATCH_SIZE = 10;
+const DEFAULT_CONCURRENCY = 3;
+// Gap between starting two analyses, so a batch does not burst past the
+// free-tier rate limits of CoinGecko and friends
+const DEFAULT_START_INTERVAL_MS = 2000;
+// One stuck token must not hold up the whole batch
+const DEFAULT_TOKEN_TIMEOUT_MS = 20000;
+// Whole-batch budget, kept under the function timeout: tokens that have not
+// started by then are reported as skipped
+const DEFAULT_BATCH_BUDGET_MS = 24000;
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Token inputs from an array or a pasted list (newlines, commas, semicolons or
+ * spaces), without blanks and duplicates. Symbols and EVM addresses compare
+ * case-insensitively; Solana addresses are case-sensitive.
+ */
+function parseTokenList(tokens) {
+  const list = Array.isArray(tokens) ? tokens : String(tokens || '').split(/[\s,;]+/);
+  const seen = new Set();
+  return list
+    .map(token => String(token || '').trim())
+    .filter(token => {
+      if (!token) return false;
+      const key = token.startsWith('0x') || token.length <= 12 ? token.toLowerCase() : token;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` in flight, starting them at
+ * least `startIntervalMs` apart. Results keep the input order.
+ */
+async function mapWithConcurrency(items, { limit, startIntervalMs }, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let nextStart = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const now = Date.now();
+      const start = Math.max(now, nextStart);
+      nextStart = start + startIntervalMs;
+      if (start > now) await new Promise(resolve => setTimeout(resolve, start - now));
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  return results;
+}
+
+/**
+ * Run the analysis for one token of a list. Resolves with `{ input, body }`
+ * for a completed analysis or `{ input, error }` - it never rejects.
+ * A timed-out analysis is aborted and awaited until it has stopped, so it
+ * neither writes history nor keeps running beside the next token. Past
+ * `deadline` (a timestamp) the token is skipped, and before it the timeout
+ * is shortened to end there.
+ */
+async function analyzeListedToken(input, { options = {}, requestId, timeoutMs = DEFAULT_TOKEN_TIMEOUT_MS, deadline = Infinity }) {
+  const remainingMs = deadline - Date.now();
+  if (remainingMs <= 0) {
+    return { input, error: 'Skipped - this run ran out of time' };
+  }
+  const limitMs = Math.min(timeoutMs, remainingMs);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => {
+    controller.abort(new Error(`Analysis timed out after ${Math.round(limitMs / 1000)}s`));
+  }, limitMs);
+
+  try {
+    const { statusCode, body } = await runAnalysis({
+      ...options,
+      tokenInput: input,
+      requestId,
+      // No one is there to pick a candidate - take the automatic choice
+      disambiguate: false
+    }, { signal: controller.signal });
+
+    if (statusCode !== 200 || !body.success) {
+      return { input, error: body.error || `Analysis failed (${statusCode})` };
+    }
+    // A token no source knows scores 0 - report it instead of ranking it
+    if (body.data.analysis.keyMetrics?.primaryDataSource === 'None') {
+      return { input, error: 'No market data found for this token' };
+    }
+    return { input, body };
+  } catch (error) {
+    console.warn(`⚠️ ${requestId}: ${input} failed - ${error.message}`);
+    return { input, error: error.message || 'Unknown error' };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * One table row from an analyze response body
+ */
+function toRow(input, body, durationMs) {
+  const { tokenInfo, blockchainInfo, analysis } = body.data;
+  const metrics = analysis.keyMetrics || {};
+  return {
+    input,
+    status: 'ok',
+    name: tokenInfo.name,
+    symbol: tokenInfo.symbol,
+    blockchain: blockchainInfo.blockchain,
+    address: tokenInfo.address || null,
+    overallScore: analysis.overallScore,
+    recommendation: analysis.recommendation,
+    riskLevel: analysis.riskLevel,
+    currentPrice: metrics.currentPrice || 0,
+    priceChange24h: metrics.priceChange24h || 0,
+    marketCap: metrics.marketCap || 0,
+    liquidity: metrics.liquidity || 0,
+    volume24h: metrics.volume24h || 0,
+    // Symbol lookups take the top candidate; flag when others shared the symbol
+    ambiguous: analysis.identity?.ambiguous === true,
+    topRisk: analysis.risks?.[0] || null,
+    durationMs
+  };
+}
+
+function failedRow(input, error, durationMs) {
+  return { input, status: 'failed', error, durationMs };
+}
+
+/**
+ * Best score first (deeper liquidity breaks ties), failures last
+ */
+function rankRows(rows) {
+  const analyzed = rows
+    .filter(row => row.status === 'ok')
+    .sort((a, b) => b.overallScore - a.overallScore || b.liquidity - a.liquidity)
+    .map((row, i) => ({ rank: i + 1, ...row }));
+  const failed = rows.filter(row => row.status !== 'ok').map(row => ({ rank: null, ...row }));
+  return [...analyzed, ...failed];
+}
+
+/**
+ * Analyze every token in `tokens`. `options` are passed to each analysis
+ * (forceRefresh, consensus, debate); `concurrency`, `startIntervalMs`,
+ * `tokenTimeoutMs` and `budgetMs` default to BATCH_CONCURRENCY,
+ * BATCH_START_INTERVAL_MS, BATCH_TOKEN_TIMEOUT_MS and BATCH_BUDGET_MS.
+ * No analysis runs past the budget; tokens it leaves no time for fail.
+ */
+async function runBatch(tokens, {
+  concurrency = envNumber('BATCH_CONCURRENCY', DEFAULT_CONCURRENCY),
+  startIntervalMs = envNumber('BATCH_START_INTERVAL_MS', DEFAULT_START_INTERVAL_MS),
+  tokenTimeoutMs = envNumber('BATCH_TOKEN_TIMEOUT_MS', DEFAULT_TOKEN_TIMEOUT_MS),
+  budgetMs = envNumber('BATCH_BUDGET_MS', DEFAULT_BATCH_BUDGET_MS),
+  options = {},
+  batchId = `batch-${Date.now()}`
+} = {}) {
+  const startedAt = Date.now();
+  const deadline = startedAt + budgetMs;
+  console.log(`📦 Batch ${batchId}: ${tokens.length} tokens, ${concurrency} at a time`);
+
+  const rows = await mapWithConcurrency(tokens, { limit: concurrency, startIntervalMs }, async (input, index) => {
+    const tokenStartedAt = Date.now();
+    const { body, error } = await analyzeListedToken(input, {
+      options, requestId: `${batchId}-${index}`, timeoutMs: tokenTimeoutMs, deadline
+    });
+    return error
+      ? failedRow(input, error, Date.now() - tokenStartedAt)
+      : toRow(input, body, Date.now() - tokenStartedAt);
+  });
+
+  const ranked = rankRows(rows);
+  const failed = ranked.filter(row => row.status !== 'ok').length;
+  console.log(`📦 Batch ${batchId} done: ${ranked.length - failed} analyzed, ${failed} failed`);
+
+  return {
+    batchId,
+    results: ranked,
+    summary: {
+      requested: tokens.length,
+      analyzed: ranked.length - failed,
+      failed,
+      concurrency,
+      durationMs: Date.now() - startedAt
+    }
+  };
+}
+
+module.exports = {
+  runBatch,
+  analyzeListedToken,
+  toRow,
+  parseTokenList,
+  rankRows,
+  mapWithConcurrency,
+  envNumber,
+  MAX_BATCH_SIZE,
+  DEFAULT_BATCH_BUDGET_MS,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_START_INTERVAL_MS,
+  DEFAULT_TOKEN_TIMEOUT_MS
+};
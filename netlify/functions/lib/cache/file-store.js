@@ -0,0 +1,50 @@
+// Filesystem cache store: one JSON file per key. Useful for local development
+// and for single-host deployments where the cache should survive restarts.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+class FileStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = options.dir || process.env.CACHE_DIR || path.join(os.tmpdir(), 'token-analyzer-cache');
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (entry.key !== key || entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+    // Write then rename so concurrent readers never see a partial file
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify({ key, ...entry }));
+    await fs.rename(temp, target);
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+}
+
+module.exports = { FileStore };
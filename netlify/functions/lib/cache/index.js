@@ -0,0 +1,68 @@
+// Response cache for upstream data providers (CommonJS).
+// CACHE_STORE picks the backing store: memory (default) | file | redis | none
+
+const { MemoryStore } = require('./memory-store.js');
+const { FileStore } = require('./file-store.js');
+const { RedisStore } = require('./redis-store.js');
+
+const STORES = {
+  memory: MemoryStore,
+  file: FileStore,
+  redis: RedisStore
+};
+
+/**
+ * Build a cache store from a name, `{ store, ...options }`, or an object that
+ * already implements get/set/delete (returned as-is). 'none' disables caching.
+ */
+function createCacheStore(spec = process.env.CACHE_STORE || 'memory') {
+  if (spec && typeof spec.get === 'function') return spec;
+
+  const { store, ...options } = typeof spec === 'string' ? { store: spec } : spec;
+  if (!store || store === 'none') return null;
+
+  const Store = STORES[store];
+  if (!Store) {
+    throw new Error(`Unknown cache store "${store}" (expected one of: none, ${Object.keys(STORES).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+/**
+ * TTL-aware wrapper around a store. Store failures are logged and treated as
+ * misses so a broken cache never fails an analysis.
+ */
+class ResponseCache {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Return `{ value, storedAt, ageMs }` for an entry younger than `ttlMs`, else null
+   */
+  async read(key, ttlMs) {
+    try {
+      const entry = await this.store.get(key);
+      if (!entry) return null;
+
+      const ageMs = Date.now() - entry.storedAt;
+      if (ageMs >= ttlMs) return null;
+
+      return { value: entry.value, storedAt: entry.storedAt, ageMs };
+    } catch (error) {
+      console.warn(`⚠️ Cache read failed (${this.store.name}):`, error.message);
+      return null;
+    }
+  }
+
+  async write(key, value, ttlMs) {
+    const storedAt = Date.now();
+    try {
+      await this.store.set(key, { value, storedAt, expiresAt: storedAt + ttlMs });
+    } catch (error) {
+      console.warn(`⚠️ Cache write failed (${this.store.name}):`, error.message);
+    }
+  }
+}
+
+module.exports = { createCacheStore, ResponseCache, MemoryStore, FileStore, RedisStore };
@@ -0,0 +1,39 @@
+// In-process cache store. Survives between invocations of a warm function
+// instance, but is not shared across instances.
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+class MemoryStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Hand out copies so callers mutating a payload cannot corrupt the cache
+    return structuredClone(entry);
+  }
+
+  async set(key, entry) {
+    // Map keeps insertion order, so the first key is the oldest entry
+    this.entries.delete(key);
+    this.entries.set(key, structuredClone(entry));
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,36 @@
+// Redis-compatible cache store.
+//
+// Pass a connected `client` exposing get(key) and set(key, value, 'PX', ttlMs)
+// (ioredis-style), or point REDIS_REST_URL / REDIS_REST_TOKEN at an HTTP
+// gateway that accepts Redis commands as JSON arrays (Upstash, SRH, ...).
+
+const { RedisClient } = require('../redis-client.js');
+
+class RedisStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.redis = new RedisClient(options, 'Redis cache store');
+    this.prefix = options.prefix ?? 'token-analyzer:';
+  }
+
+  command(...args) {
+    return this.redis.command(...args);
+  }
+
+  async get(key) {
+    const raw = await this.command('GET', this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, entry) {
+    // Redis expires the key itself; keep at least 1ms so PX stays valid
+    const ttlMs = Math.max(1, Math.round(entry.expiresAt - Date.now()));
+    await this.command('SET', this.prefix + key, JSON.stringify(entry), 'PX', ttlMs);
+  }
+
+  async delete(key) {
+    await this.command('DEL', this.prefix + key);
+  }
+}
+
+module.exports = { RedisStore };
@@ -0,0 +1,83 @@
+// What changed between two analysis snapshots of the same token.
+//
+// Risks and findings embed live numbers ("Only $20,000 liquidity"), so they are
+// matched with their numbers masked: the same statement with new numbers is
+// "changed", not resolved and re-raised.
+
+const NUMBER_PATTERN = /[-+]?\$?\d[\d,]*(\.\d+)?%?/g;
+
+const statementKey = text => text.replace(NUMBER_PATTERN, '#');
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function diffStatements(before = [], after = []) {
+  const beforeByKey = new Map(before.map(text => [statementKey(text), text]));
+  const afterByKey = new Map(after.map(text => [statementKey(text), text]));
+
+  return {
+    appeared: after.filter(text => !beforeByKey.has(statementKey(text))),
+    resolved: before.filter(text => !afterByKey.has(statementKey(text))),
+    changed: [...afterByKey]
+      .filter(([key, text]) => beforeByKey.has(key) && beforeByKey.get(key) !== text)
+      .map(([key, text]) => ({ from: beforeByKey.get(key), to: text }))
+  };
+}
+
+/**
+ * Numeric fields whose value moved, largest relative move first
+ */
+function diffMetrics(before = {}, after = {}) {
+  return Object.keys({ ...before, ...after })
+    .filter(field => Number.isFinite(before[field]) && Number.isFinite(after[field]) && before[field] !== after[field])
+    .map(field => {
+      const delta = after[field] - before[field];
+      return {
+        field,
+        from: before[field],
+        to: after[field],
+        delta,
+        deltaPct: before[field] !== 0 ? round(delta / Math.abs(before[field]) * 100) : null
+      };
+    })
+    .sort((a, b) => Math.abs(b.deltaPct ?? Infinity) - Math.abs(a.deltaPct ?? Infinity));
+}
+
+const change = (from, to) => ({ from, to, changed: from !== to });
+const scoreChange = (from, to) => (Number.isFinite(from) && Number.isFinite(to) ? { from, to, delta: to - from } : null);
+
+/**
+ * Diff two snapshots (older first). Returns score, recommendation and risk
+ * level changes, per-agent score moves, appeared/resolved/changed risks and
+ * findings, metric deltas and a one-line summary.
+ */
+function diffSnapshots(from, to) {
+  const risks = diffStatements(from.risks, to.risks);
+  const score = scoreChange(from.overallScore, to.overallScore);
+  const recommendation = change(from.recommendation, to.recommendation);
+
+  const summary = [
+    score && (score.delta !== 0 ? `Score ${from.overallScore} → ${to.overallScore} (${score.delta > 0 ? '+' : ''}${score.delta})` : `Score unchanged at ${to.overallScore}`),
+    recommendation.changed && `recommendation ${from.recommendation} → ${to.recommendation}`,
+    risks.appeared.length > 0 && `${risks.appeared.length} new risk(s)`,
+    risks.resolved.length > 0 && `${risks.resolved.length} risk(s) resolved`
+  ].filter(Boolean).join(', ');
+
+  return {
+    tokenKey: to.tokenKey,
+    from: { version: from.version, createdAt: from.createdAt, requestId: from.requestId },
+    to: { version: to.version, createdAt: to.createdAt, requestId: to.requestId },
+    elapsedMs: Date.parse(to.createdAt) - Date.parse(from.createdAt),
+    summary,
+    score,
+    consensusScore: scoreChange(from.consensusScore, to.consensusScore),
+    recommendation,
+    riskLevel: change(from.riskLevel, to.riskLevel),
+    agentScores: Object.keys({ ...from.agentScores, ...to.agentScores })
+      .map(agent => ({ agent, ...scoreChange(from.agentScores?.[agent], to.agentScores?.[agent]) }))
+      .filter(move => Number.isFinite(move.delta) && move.delta !== 0),
+    risks,
+    findings: diffStatements(from.findings, to.findings),
+    metrics: diffMetrics(from.metrics, to.metrics)
+  };
+}
+
+module.exports = { diffSnapshots, diffStatements, diffMetrics };
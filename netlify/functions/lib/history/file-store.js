@@ -0,0 +1,126 @@
+// JSON-file history store: one directory per token, one file per version,
+// and under symbols/ one marker file per symbol and token for symbol lookups.
+// The default for local use; deployed functions need the Redis store.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const versionFile = version => `v${String(version).padStart(6, '0')}.json`;
+const hash = value => crypto.createHash('sha1').update(value).digest('hex');
+const MAX_APPEND_ATTEMPTS = 5;
+// Written once every token stored before the symbol index existed is indexed
+const INDEXED_MARKER = '.indexed';
+
+class FileHistoryStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = options.dir || process.env.HISTORY_DIR || path.join(process.cwd(), 'data', 'history');
+    this.symbolsDir = path.join(this.dir, 'symbols');
+  }
+
+  // Hashed so case-sensitive Solana addresses stay apart on case-insensitive filesystems
+  tokenDir(tokenKey) {
+    return path.join(this.dir, hash(tokenKey));
+  }
+
+  // One file per token under its symbol's directory: appends for different
+  // tokens never rewrite a shared index file
+  async indexSymbol(symbol, tokenKey) {
+    const dir = path.join(this.symbolsDir, hash(symbol.toUpperCase()));
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${hash(tokenKey)}.json`), JSON.stringify({ symbol: symbol.toUpperCase(), tokenKey }));
+  }
+
+  async versionFiles(tokenKey) {
+    try {
+      return (await fs.readdir(this.tokenDir(tokenKey))).filter(name => /^v\d+\.json$/.test(name)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async append(tokenKey, snapshot) {
+    const dir = this.tokenDir(tokenKey);
+    await fs.mkdir(dir, { recursive: true });
+
+    // 'wx' fails when another writer took the version first - retry with the next one
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const version = (await this.versionFiles(tokenKey)).length + 1;
+      try {
+        await fs.writeFile(path.join(dir, versionFile(version)), JSON.stringify({ ...snapshot, tokenKey, version }), { flag: 'wx' });
+        if (snapshot.token?.symbol) await this.indexSymbol(String(snapshot.token.symbol), tokenKey);
+        return version;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+    throw new Error(`Could not claim a history version for ${tokenKey}`);
+  }
+
+  async list(tokenKey) {
+    const dir = this.tokenDir(tokenKey);
+    const files = await this.versionFiles(tokenKey);
+    return Promise.all(files.map(async name => JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'))));
+  }
+
+  async get(tokenKey, version) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.tokenDir(tokenKey), versionFile(version)), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async tokenKeys() {
+    let dirs;
+    try {
+      dirs = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const keys = await Promise.all(dirs.map(async dir => {
+      const file = path.join(this.dir, dir, versionFile(1));
+      const first = await fs.readFile(file, 'utf8').then(JSON.parse).catch(() => null);
+      return first?.tokenKey || null;
+    }));
+    return keys.filter(Boolean);
+  }
+
+  async tokenKeysForSymbol(symbol) {
+    await this.ensureSymbolIndex();
+    const dir = path.join(this.symbolsDir, hash(symbol.toUpperCase()));
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const entries = await Promise.all(files.map(name => fs.readFile(path.join(dir, name), 'utf8').then(JSON.parse).catch(() => null)));
+    return entries.filter(Boolean).map(entry => entry.tokenKey);
+  }
+
+  // Index the latest snapshot of every token stored before the index existed
+  async ensureSymbolIndex() {
+    const marker = path.join(this.symbolsDir, INDEXED_MARKER);
+    try {
+      await fs.access(marker);
+      return;
+    } catch {
+      // Not indexed yet
+    }
+    for (const tokenKey of await this.tokenKeys()) {
+      const files = await this.versionFiles(tokenKey);
+      const latest = JSON.parse(await fs.readFile(path.join(this.tokenDir(tokenKey), files[files.length - 1]), 'utf8'));
+      if (latest.token?.symbol) await this.indexSymbol(String(latest.token.symbol), tokenKey);
+    }
+    await fs.mkdir(this.symbolsDir, { recursive: true });
+    await fs.writeFile(marker, new Date().toISOString());
+  }
+}
+
+module.exports = { FileHistoryStore };
@@ -0,0 +1,214 @@
+// Analysis history: every completed analysis is kept as a versioned snapshot
+// per token, so runs can be listed and diffed later.
+// HISTORY_STORE picks the backing store: file (default) | sqlite | redis | memory | none
+// Deployed functions have to set it to redis or none (see ../store-config.js).
+
+const { MemoryHistoryStore } = require('./memory-store.js');
+const { FileHistoryStore } = require('./file-store.js');
+const { SqliteHistoryStore } = require('./sqlite-store.js');
+const { RedisHistoryStore } = require('./redis-store.js');
+const { diffSnapshots } = require('./diff.js');
+const { resolveStoreName } = require('../store-config.js');
+
+const loadSwarmCoordinator = () => import('../../../../src/lib/agents/SwarmCoordinator.js');
+
+const STORES = {
+  file: FileHistoryStore,
+  sqlite: SqliteHistoryStore,
+  redis: RedisHistoryStore,
+  memory: MemoryHistoryStore
+};
+
+const DEFAULT_LIST_LIMIT = 50;
+
+/**
+ * Build a history store from a name, `{ store, ...options }`, or an object
+ * that already implements append/list/get/tokenKeys/tokenKeysForSymbol
+ * (returned as-is). 'none' disables history.
+ */
+function createHistoryStore(spec = resolveStoreName('HISTORY_STORE', { durable: ['redis', 'none'] })) {
+  if (spec && typeof spec.append === 'function') return spec;
+
+  const { store, ...options } = typeof spec === 'string' ? { store: spec } : spec;
+  if (!store || store === 'none') return null;
+
+  const Store = STORES[store];
+  if (!Store) {
+    throw new Error(`Unknown history store "${store}" (expected one of: none, ${Object.keys(STORES).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+/**
+ * `<chain>:<address>` (EVM addresses lowercased), or `<chain>:<SYMBOL>` for
+ * coins without a contract address
+ */
+function tokenKeyFor({ blockchain, address, symbol }) {
+  const chain = (blockchain || 'unknown').toLowerCase();
+  if (address) return `${chain}:${address.startsWith('0x') ? address.toLowerCase() : address}`;
+  return `${chain}:${String(symbol || 'UNKNOWN').toUpperCase()}`;
+}
+
+/**
+ * Compact, diffable record of an analyze response body
+ */
+function toSnapshot(body, agentScoreFields) {
+  const { tokenInfo, blockchainInfo, analysis } = body.data;
+  const swarm = body.juliaos_analysis;
+  const keyMetrics = analysis.keyMetrics || {};
+
+  const metrics = Object.fromEntries(Object.entries(keyMetrics).filter(([, value]) => Number.isFinite(value)));
+  if (analysis.holderAnalysis) {
+    metrics.holderTop10Pct = analysis.holderAnalysis.top10Pct;
+    metrics.holderGini = analysis.holderAnalysis.gini;
+  }
+  if (Number.isFinite(analysis.liquidityLocks?.atRiskShare)) {
+    metrics.lpAtRiskShare = analysis.liquidityLocks.atRiskShare;
+  }
+
+  return {
+    requestId: body.requestId || null,
+    coordinationId: swarm?.swarm_coordination?.coordination_id || null,
+    createdAt: body.timestamp || new Date().toISOString(),
+    token: {
+      name: tokenInfo.name,
+      symbol: tokenInfo.symbol,
+      blockchain: blockchainInfo.blockchain,
+      address: tokenInfo.address || null
+    },
+    overallScore: analysis.overallScore,
+    recommendation: analysis.recommendation,
+    riskLevel: analysis.riskLevel,
+    consensusScore: swarm?.consensus_score ?? null,
+    agentScores: Object.fromEntries(Object.entries(agentScoreFields)
+      .map(([agent, field]) => [agent, swarm?.detailed_analysis?.[agent]?.[field] ?? null])),
+    scoreBreakdown: (analysis.scoreBreakdown || []).map(({ factor, points, maxPoints }) => ({ factor, points, maxPoints })),
+    metrics,
+    findings: analysis.findings || [],
+    risks: analysis.risks || []
+  };
+}
+
+const summarize = snapshot => ({
+  version: snapshot.version,
+  createdAt: snapshot.createdAt,
+  requestId: snapshot.requestId,
+  coordinationId: snapshot.coordinationId,
+  overallScore: snapshot.overallScore,
+  recommendation: snapshot.recommendation,
+  riskLevel: snapshot.riskLevel,
+  risksCount: snapshot.risks.length
+});
+
+/**
+ * Snapshot history on top of a store. Recording never fails an analysis:
+ * store errors are logged and the analysis is returned without history.
+ */
+class AnalysisHistory {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Store a completed analysis. Returns `{ tokenKey, version, previous }` with
+   * the diff against the previous snapshot, or null when nothing was stored.
+   */
+  async record(body) {
+    try {
+      const { AGENT_SCORE_FIELDS } = await loadSwarmCoordinator();
+      const snapshot = toSnapshot(body, AGENT_SCORE_FIELDS);
+      const tokenKey = tokenKeyFor(snapshot.token);
+      const version = await this.store.append(tokenKey, snapshot);
+
+      const previous = version > 1 ? await this.store.get(tokenKey, version - 1) : null;
+      console.log(`🗂️ History: ${tokenKey} v${version} (${this.store.name})`);
+      return {
+        tokenKey,
+        version,
+        previous: previous && diffSnapshots(previous, { ...snapshot, tokenKey, version })
+      };
+    } catch (error) {
+      console.warn(`⚠️ History write failed (${this.store.name}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Snapshot summaries for a token, newest first
+   */
+  async list(tokenKey, { limit = DEFAULT_LIST_LIMIT } = {}) {
+    const snapshots = await this.store.list(tokenKey);
+    return snapshots.reverse().slice(0, limit).map(summarize);
+  }
+
+  async get(tokenKey, version) {
+    return this.store.get(tokenKey, version);
+  }
+
+  /**
+   * Diff two versions; `to` defaults to the latest and `from` to the one before it
+   */
+  async diff(tokenKey, { from, to } = {}) {
+    const snapshots = await this.store.list(tokenKey);
+    const toVersion = to || snapshots.length;
+    const fromVersion = from || toVersion - 1;
+    const older = snapshots[fromVersion - 1];
+    const newer = snapshots[toVersion - 1];
+    if (!older || !newer) {
+      throw new Error(`${tokenKey} has no version ${!newer ? toVersion : fromVersion} (${snapshots.length} stored)`);
+    }
+    return diffSnapshots(older, newer);
+  }
+
+  /**
+   * Tracked tokens with their latest snapshot summary
+   */
+  async tokens() {
+    const keys = await this.store.tokenKeys();
+    const tokens = await Promise.all(keys.map(async tokenKey => {
+      const snapshots = await this.store.list(tokenKey);
+      const latest = snapshots[snapshots.length - 1];
+      return latest && { tokenKey, token: latest.token, versions: snapshots.length, latest: summarize(latest) };
+    }));
+    return tokens.filter(Boolean).sort((a, b) => Date.parse(b.latest.createdAt) - Date.parse(a.latest.createdAt));
+  }
+
+  /**
+   * Token keys matching a history key, an address or a symbol
+   */
+  async resolve(query) {
+    const keys = await this.store.tokenKeys();
+    if (keys.includes(query)) return [query];
+
+    const address = query.startsWith('0x') ? query.toLowerCase() : query;
+    const byAddress = keys.filter(key => key.slice(key.indexOf(':') + 1) === address);
+    if (byAddress.length > 0) return byAddress;
+
+    return (await this.store.tokenKeysForSymbol(query)).sort();
+  }
+}
+
+let defaultHistory;
+
+/**
+ * Shared history for this process (HISTORY_STORE), or null when disabled
+ */
+function getAnalysisHistory() {
+  if (defaultHistory === undefined) {
+    const store = createHistoryStore();
+    defaultHistory = store ? new AnalysisHistory(store) : null;
+  }
+  return defaultHistory;
+}
+
+module.exports = {
+  createHistoryStore,
+  getAnalysisHistory,
+  AnalysisHistory,
+  tokenKeyFor,
+  diffSnapshots,
+  MemoryHistoryStore,
+  FileHistoryStore,
+  SqliteHistoryStore,
+  RedisHistoryStore
+};
@@ -0,0 +1,38 @@
+// In-process history store. Snapshots live as long as the warm function
+// instance - handy for tests and `netlify dev`, not for real history.
+
+class MemoryHistoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.snapshots = new Map();
+    this.symbols = new Map();
+  }
+
+  async append(tokenKey, snapshot) {
+    const versions = this.snapshots.get(tokenKey) || [];
+    const stored = { ...structuredClone(snapshot), tokenKey, version: versions.length + 1 };
+    this.snapshots.set(tokenKey, [...versions, stored]);
+    const symbol = String(snapshot.token?.symbol || '').toUpperCase();
+    if (symbol) this.symbols.set(symbol, new Set(this.symbols.get(symbol)).add(tokenKey));
+    return stored.version;
+  }
+
+  async list(tokenKey) {
+    return structuredClone(this.snapshots.get(tokenKey) || []);
+  }
+
+  async get(tokenKey, version) {
+    const snapshot = this.snapshots.get(tokenKey)?.[version - 1];
+    return snapshot ? structuredClone(snapshot) : null;
+  }
+
+  async tokenKeys() {
+    return [...this.snapshots.keys()];
+  }
+
+  async tokenKeysForSymbol(symbol) {
+    return [...(this.symbols.get(symbol.toUpperCase()) || [])];
+  }
+}
+
+module.exports = { MemoryHistoryStore };
@@ -0,0 +1,48 @@
+// Redis history store, for deployed functions whose own filesystem does not
+// persist: one list per token (RPUSH hands out versions atomically), a set of
+// tracked token keys and a set of token keys per symbol.
+//
+// Connects like the Redis cache store: a `client` option or REDIS_REST_URL /
+// REDIS_REST_TOKEN.
+
+const { RedisClient } = require('../redis-client.js');
+
+class RedisHistoryStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.redis = new RedisClient(options, 'Redis history store');
+    this.prefix = options.prefix ?? 'token-analyzer:history:';
+  }
+
+  snapshotsKey(tokenKey) {
+    return `${this.prefix}token:${tokenKey}`;
+  }
+
+  async append(tokenKey, snapshot) {
+    const version = Number(await this.redis.command('RPUSH', this.snapshotsKey(tokenKey), JSON.stringify({ ...snapshot, tokenKey })));
+    await this.redis.command('SADD', `${this.prefix}tokens`, tokenKey);
+    const symbol = String(snapshot.token?.symbol || '').toUpperCase();
+    if (symbol) await this.redis.command('SADD', `${this.prefix}symbol:${symbol}`, tokenKey);
+    return version;
+  }
+
+  async list(tokenKey) {
+    const rows = await this.redis.command('LRANGE', this.snapshotsKey(tokenKey), 0, -1) || [];
+    return rows.map((raw, i) => ({ ...JSON.parse(raw), version: i + 1 }));
+  }
+
+  async get(tokenKey, version) {
+    const raw = await this.redis.command('LINDEX', this.snapshotsKey(tokenKey), version - 1);
+    return raw ? { ...JSON.parse(raw), version } : null;
+  }
+
+  async tokenKeys() {
+    return await this.redis.command('SMEMBERS', `${this.prefix}tokens`) || [];
+  }
+
+  async tokenKeysForSymbol(symbol) {
+    return await this.redis.command('SMEMBERS', `${this.prefix}symbol:${symbol.toUpperCase()}`) || [];
+  }
+}
+
+module.exports = { RedisHistoryStore };
@@ -0,0 +1,93 @@
+// SQLite history store: one row per snapshot in a `snapshots` table.
+//
+// Pass an open `database` with the better-sqlite3 / node:sqlite API
+// (exec, prepare().run/get/all), or let the store open HISTORY_SQLITE_PATH
+// with the built-in node:sqlite module (Node 22.5+).
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS snapshots (
+    token_key TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (token_key, version)
+  )
+`;
+
+// Symbol -> token keys, so a symbol lookup does not parse every snapshot
+const SYMBOL_INDEX = `
+  CREATE TABLE IF NOT EXISTS token_symbols (
+    symbol TEXT NOT NULL,
+    token_key TEXT NOT NULL,
+    PRIMARY KEY (symbol, token_key)
+  )
+`;
+
+function openDatabase(file) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch {
+    throw new Error('SQLite history store needs Node 22.5+ (node:sqlite) or a `database` option (e.g. better-sqlite3)');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return new DatabaseSync(file);
+}
+
+class SqliteHistoryStore {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.db = options.database ||
+      openDatabase(options.path || process.env.HISTORY_SQLITE_PATH || path.join(process.cwd(), 'data', 'history.db'));
+    this.db.exec(SCHEMA);
+
+    const indexed = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'token_symbols'").get();
+    this.db.exec(SYMBOL_INDEX);
+    if (!indexed) {
+      // Databases written before the index existed are indexed once
+      this.db.exec(`
+        INSERT OR IGNORE INTO token_symbols (symbol, token_key)
+        SELECT DISTINCT UPPER(json_extract(data, '$.token.symbol')), token_key FROM snapshots
+        WHERE json_extract(data, '$.token.symbol') IS NOT NULL
+      `);
+    }
+  }
+
+  // Both drivers are synchronous, so reading the next version and inserting it
+  // cannot interleave with another append in this process
+  async append(tokenKey, snapshot) {
+    const { latest } = this.db.prepare('SELECT MAX(version) AS latest FROM snapshots WHERE token_key = ?').get(tokenKey);
+    const version = Number(latest || 0) + 1;
+    this.db.prepare('INSERT INTO snapshots (token_key, version, created_at, data) VALUES (?, ?, ?, ?)')
+      .run(tokenKey, version, snapshot.createdAt, JSON.stringify({ ...snapshot, tokenKey, version }));
+    const symbol = String(snapshot.token?.symbol || '').toUpperCase();
+    if (symbol) {
+      this.db.prepare('INSERT OR IGNORE INTO token_symbols (symbol, token_key) VALUES (?, ?)').run(symbol, tokenKey);
+    }
+    return version;
+  }
+
+  async list(tokenKey) {
+    return this.db.prepare('SELECT data FROM snapshots WHERE token_key = ? ORDER BY version').all(tokenKey)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async get(tokenKey, version) {
+    const row = this.db.prepare('SELECT data FROM snapshots WHERE token_key = ? AND version = ?').get(tokenKey, version);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async tokenKeys() {
+    return this.db.prepare('SELECT DISTINCT token_key FROM snapshots').all().map(row => row.token_key);
+  }
+
+  async tokenKeysForSymbol(symbol) {
+    return this.db.prepare('SELECT token_key FROM token_symbols WHERE symbol = ?').all(symbol.toUpperCase())
+      .map(row => row.token_key);
+  }
+}
+
+module.exports = { SqliteHistoryStore };
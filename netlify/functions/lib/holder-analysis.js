@@ -0,0 +1,186 @@
+// Holder concentration: top-N shares, Gini coefficient and a Nakamoto-style
+// coefficient over a holder list (Solana Tracker holders or an EVM holder
+// snapshot), after setting aside burn, liquidity-pool and exchange wallets.
+
+const { sameAddress } = require('./pair-aggregation.js');
+
+// Addresses that hold tokens without being able to dump them on the market
+// (burn) or that hold them on behalf of many users (LP, exchanges)
+const KNOWN_ADDRESSES = [
+  { address: '0x0000000000000000000000000000000000000000', category: 'burn', label: 'Zero address' },
+  { address: '0x000000000000000000000000000000000000dEaD', category: 'burn', label: 'Dead address' },
+  { address: '1nc1nerator11111111111111111111111111111111', category: 'burn', label: 'Solana incinerator' },
+  { address: '11111111111111111111111111111111', category: 'burn', label: 'Solana system program' },
+  { address: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', category: 'lp', label: 'Raydium AMM authority' },
+  { address: '0x28C6c06298d514Db089934071355E5743bf21d60', category: 'exchange', label: 'Binance 14' },
+  { address: '0x21a31Ee1afC51d94C2eFcCAa2092aD1028285549', category: 'exchange', label: 'Binance 15' },
+  { address: '0xDFd5293D8e347dFe59E90eFd55b2956a1343963d', category: 'exchange', label: 'Binance 16' },
+  { address: '0xF977814e90dA44bFA03b6295A0616a897441aceC', category: 'exchange', label: 'Binance 8' },
+  { address: '0x71660c4005BA85c37ccec55d0C4493E66Fe775d3', category: 'exchange', label: 'Coinbase 1' },
+  { address: '0x503828976D22510aad0201ac7EC88293211D23Da', category: 'exchange', label: 'Coinbase 2' },
+  { address: '0x2910543Af39abA0Cd09dBb2D50200b3E800A63D2', category: 'exchange', label: 'Kraken' },
+  { address: '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9', category: 'exchange', label: 'Binance (Solana)' },
+  { address: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM', category: 'exchange', label: 'Binance 2 (Solana)' },
+  { address: 'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS', category: 'exchange', label: 'Coinbase (Solana)' }
+];
+
+// Share of circulating supply (%) held by the top 10 that is high / moderate
+const TOP10_HIGH_PCT = 50;
+const TOP10_MODERATE_PCT = 30;
+// A single wallet above this share (%) is a whale risk on its own
+const WHALE_PCT = 10;
+const NAKAMOTO_THRESHOLD = 0.5;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Extra exclusions from HOLDER_EXCLUDE_ADDRESSES: comma-separated
+ * `address[:category]` entries (category defaults to exchange)
+ */
+function configuredExclusions() {
+  return (process.env.HOLDER_EXCLUDE_ADDRESSES || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [address, category = 'exchange'] = entry.split(':');
+      return { address, category, label: 'Configured exclusion' };
+    });
+}
+
+/**
+ * One `{ address, amount }` per holder from either a Solana Tracker holder
+ * list (`wallet`, `amount`) or an EVM snapshot (`address`, `balance`, or
+ * Etherscan's `TokenHolderAddress` / `TokenHolderQuantity`)
+ */
+function normalizeHolders(holders = []) {
+  if (!Array.isArray(holders)) return [];
+  return holders
+    .map(holder => ({
+      address: holder.wallet || holder.owner || holder.address || holder.TokenHolderAddress || null,
+      amount: Number(holder.amount ?? holder.balance ?? holder.TokenHolderQuantity ?? 0)
+    }))
+    .filter(holder => holder.address && holder.amount > 0);
+}
+
+/**
+ * Gini coefficient of a list of amounts: 0 = perfectly even, 1 = one holder
+ */
+function giniCoefficient(amounts) {
+  const sorted = [...amounts].sort((a, b) => a - b);
+  const n = sorted.length;
+  const total = sorted.reduce((sum, amount) => sum + amount, 0);
+  if (n === 0 || total === 0) return null;
+  const weighted = sorted.reduce((sum, amount, i) => sum + (i + 1) * amount, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Analyze holder concentration.
+ *
+ * `totalSupply` is in the same units as the holder amounts (falls back to the
+ * sum of the list); `lpAddresses` are the token's pool addresses;
+ * `totalHolders` is the full holder count when the list is only the top slice.
+ */
+function analyzeHolders(rawHolders, { totalSupply = null, lpAddresses = [], totalHolders = null, source = null } = {}) {
+  const holders = normalizeHolders(rawHolders).sort((a, b) => b.amount - a.amount);
+  if (holders.length === 0) return null;
+
+  const known = [
+    ...KNOWN_ADDRESSES,
+    ...configuredExclusions(),
+    ...lpAddresses.filter(Boolean).map(address => ({ address, category: 'lp', label: 'DEX pool' }))
+  ];
+  const classify = address => known.find(entry => sameAddress(entry.address, address)) || null;
+
+  const listed = holders.reduce((sum, holder) => sum + holder.amount, 0);
+  const supply = totalSupply > 0 && totalSupply >= listed ? totalSupply : listed;
+
+  const excluded = [];
+  const counted = [];
+  holders.forEach(holder => {
+    const match = classify(holder.address);
+    if (match) excluded.push({ ...holder, category: match.category, label: match.label });
+    else counted.push(holder);
+  });
+
+  // Burned tokens are out of circulation; LP and exchange balances still
+  // circulate but belong to many users, so they are not counted as holders
+  const burned = excluded.filter(holder => holder.category === 'burn').reduce((sum, holder) => sum + holder.amount, 0);
+  const circulating = supply - burned;
+  if (circulating <= 0 || counted.length === 0) return null;
+
+  const shareOf = amount => (amount / circulating) * 100;
+  const topShare = n => round(shareOf(counted.slice(0, n).reduce((sum, holder) => sum + holder.amount, 0)));
+
+  let cumulative = 0;
+  let nakamoto = null;
+  for (let i = 0; i < counted.length; i++) {
+    cumulative += counted[i].amount;
+    if (cumulative > circulating * NAKAMOTO_THRESHOLD) {
+      nakamoto = i + 1;
+      break;
+    }
+  }
+
+  const top5Pct = topShare(5);
+  const top10Pct = topShare(10);
+  const top50Pct = topShare(50);
+  const largest = counted[0];
+  const largestPct = round(shareOf(largest.amount));
+  const gini = giniCoefficient(counted.map(holder => holder.amount));
+
+  let level = 'LOW';
+  if (top10Pct >= TOP10_HIGH_PCT || (nakamoto !== null && nakamoto <= 3)) level = 'HIGH';
+  else if (top10Pct >= TOP10_MODERATE_PCT || largestPct >= WHALE_PCT) level = 'MODERATE';
+
+  const findings = [];
+  const risks = [];
+  const headline = `Top 5 wallets hold ${top5Pct}% of circulating supply, top 10 hold ${top10Pct}%`;
+  (level === 'HIGH' ? risks : findings).push(level === 'HIGH'
+    ? `${headline} - A few wallets can move the price`
+    : headline);
+  if (largestPct >= WHALE_PCT) {
+    risks.push(`Largest wallet ${largest.address} holds ${largestPct}% of circulating supply`);
+  }
+  if (nakamoto !== null) {
+    (nakamoto <= 3 ? risks : findings).push(nakamoto === 1
+      ? 'A single wallet controls a majority of circulating supply'
+      : `${nakamoto} wallets together control a majority of circulating supply`);
+  } else {
+    findings.push(`No group of the top ${counted.length} wallets controls a majority of circulating supply`);
+  }
+  if (excluded.length > 0) {
+    const byCategory = ['burn', 'lp', 'exchange']
+      .map(category => {
+        const amount = excluded.filter(holder => holder.category === category).reduce((sum, holder) => sum + holder.amount, 0);
+        return amount > 0 ? `${category} ${round((amount / supply) * 100)}%` : null;
+      })
+      .filter(Boolean);
+    findings.push(`Excluded from concentration: ${byCategory.join(', ')} of supply`);
+  }
+
+  return {
+    source,
+    sampleSize: holders.length,
+    totalHolders: totalHolders || null,
+    circulatingBase: circulating,
+    top5Pct,
+    top10Pct,
+    top50Pct,
+    largestHolder: { address: largest.address, pct: largestPct },
+    gini: gini === null ? null : round(gini, 3),
+    nakamoto,
+    level,
+    excluded: excluded.map(holder => ({
+      address: holder.address,
+      category: holder.category,
+      label: holder.label,
+      pct: round((holder.amount / supply) * 100)
+    })),
+    findings,
+    risks
+  };
+}
+
+module.exports = { analyzeHolders, normalizeHolders, giniCoefficient, KNOWN_ADDRESSES };
@@ -0,0 +1,175 @@
+// Record/replay fixtures for every upstream HTTP call (CommonJS).
+//
+// HTTP_FIXTURE_MODE=record  call upstream as usual and save each response
+// HTTP_FIXTURE_MODE=replay  serve saved responses only; a request without a
+//                           fixture fails instead of going to the network
+// Requests to the local machine (test receivers) always go through unrecorded.
+// Fixtures live under HTTP_FIXTURE_DIR (default: fixtures/http), one JSON file
+// per request, keyed by the normalized URL with API keys stripped - from the
+// query, from the path of RPC providers that embed them there (Alchemy
+// `/v2/<key>`, Infura `/v3/<key>`, ...), and wherever a configured secret
+// from the environment appears.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+// Query parameters that carry credentials and must never reach a fixture
+const SECRET_PARAM = /(api[-_]?key|apikey|token|secret|signature|password|auth)/i;
+// Environment variables whose values are credentials
+const SECRET_ENV = /(key|token|secret|password)/i;
+const MIN_SECRET_LENGTH = 8;
+const REDACTED = ':key';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Providers that carry the API key in the URL path
+const PATH_KEY_RULES = [
+  { host: /(^|\.)(alchemy\.com|alchemyapi\.io)$/, pattern: /\/v2\/[^/]+/, replacement: `/v2/${REDACTED}` },
+  { host: /(^|\.)infura\.io$/, pattern: /\/v3\/[^/]+/, replacement: `/v3/${REDACTED}` },
+  { host: /(^|\.)quiknode\.pro$/, pattern: /^\/[^/]+/, replacement: `/${REDACTED}` },
+  { host: /^rpc\.ankr\.com$/, pattern: /^(\/[^/]+)\/[^/]+/, replacement: `$1/${REDACTED}` }
+];
+
+function configuredSecrets() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= MIN_SECRET_LENGTH)
+    .map(([, value]) => value);
+}
+
+/**
+ * Replace every configured secret in `text` with a placeholder
+ */
+function redactSecrets(text, secrets = configuredSecrets()) {
+  return secrets.reduce((redacted, secret) => redacted.split(secret).join(REDACTED), text);
+}
+
+/**
+ * Canonical form of a URL: lowercase host, credentials removed, query sorted
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  const secrets = configuredSecrets();
+  parsed.username = '';
+  parsed.password = '';
+  parsed.hash = '';
+
+  const rule = PATH_KEY_RULES.find(candidate => candidate.host.test(parsed.hostname));
+  const pathname = rule ? parsed.pathname.replace(rule.pattern, rule.replacement) : parsed.pathname;
+  parsed.pathname = pathname.split('/')
+    .map(segment => (secrets.includes(decodeURIComponent(segment)) ? REDACTED : segment))
+    .join('/');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name, value]) => !SECRET_PARAM.test(name) && !secrets.includes(value))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  // `:` in the placeholder comes back percent-encoded from the URL setters
+  return parsed.toString().split(encodeURIComponent(REDACTED)).join(REDACTED);
+}
+
+/**
+ * Fixture key for a request. Request bodies (e.g. LLM prompts) are part of
+ * the key so different POSTs to one endpoint get separate fixtures.
+ */
+function fixtureKey(method, url, body) {
+  const bodyHash = typeof body === 'string' && body.length > 0
+    ? crypto.createHash('sha1').update(body).digest('hex').slice(0, 12)
+    : null;
+  return [method.toUpperCase(), normalizeUrl(url), bodyHash].filter(Boolean).join(' ');
+}
+
+function fixturePath(dir, key) {
+  const [method, url] = key.split(' ');
+  const { host, pathname } = new URL(url);
+  const slug = pathname.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 60) || 'root';
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+  return path.join(dir, host.replace(/[^a-zA-Z0-9.-]/g, '_'), `${method.toLowerCase()}-${slug}-${hash}.json`);
+}
+
+function describeRequest(input, init = {}) {
+  const url = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+  const method = init.method || (typeof input === 'object' && input.method) || 'GET';
+  return { url, method, body: init.body };
+}
+
+/**
+ * Wrap `upstream` fetch so it records to, or replays from, fixture files
+ */
+function createFixtureFetch({ mode, dir, fetch: upstream }) {
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP fixture mode "${mode}" (expected one of: ${FIXTURE_MODES.join(', ')})`);
+  }
+
+  return async function fixtureFetch(input, init = {}) {
+    const request = describeRequest(input, init);
+    if (LOOPBACK_HOSTS.includes(new URL(request.url).hostname)) return upstream(input, init);
+    const key = fixtureKey(request.method, request.url, request.body);
+    const file = fixturePath(dir, key);
+
+    if (mode === 'replay') {
+      if (!fs.existsSync(file)) {
+        throw new Error(`No HTTP fixture for ${key} (expected ${path.relative(process.cwd(), file)})`);
+      }
+      const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const body = response.json !== undefined ? JSON.stringify(response.json) : response.body;
+      return new Response([204, 304].includes(response.status) ? null : body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      });
+    }
+
+    const response = await upstream(input, init);
+    const text = await response.clone().text();
+    const contentType = response.headers.get('content-type') || '';
+
+    let json;
+    if (contentType.includes('json')) {
+      try {
+        json = JSON.parse(text);
+      } catch {
+        json = undefined;
+      }
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // A response that echoes a key back must not leak it either
+    fs.writeFileSync(file, redactSecrets(JSON.stringify({
+      key,
+      recordedAt: new Date().toISOString(),
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: contentType ? { 'content-type': contentType } : {},
+        ...(json !== undefined ? { json } : { body: text })
+      }
+    }, null, 2)));
+
+    return response;
+  };
+}
+
+/**
+ * Replace the global fetch according to HTTP_FIXTURE_MODE. Safe to call from
+ * every entry point; the wrapper is only installed once.
+ */
+function installFixtureFetch({
+  mode = process.env.HTTP_FIXTURE_MODE,
+  dir = process.env.HTTP_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'http')
+} = {}) {
+  if (!mode || mode === 'off' || globalThis.fetch?.fixtureMode) {
+    return globalThis.fetch?.fixtureMode || null;
+  }
+
+  const fixtureFetch = createFixtureFetch({ mode, dir, fetch: globalThis.fetch.bind(globalThis) });
+  fixtureFetch.fixtureMode = mode;
+  globalThis.fetch = fixtureFetch;
+
+  console.log(`🎞️ HTTP fixture mode: ${mode} (${dir})`);
+  return mode;
+}
+
+module.exports = { installFixtureFetch, createFixtureFetch, normalizeUrl, fixtureKey, redactSecrets, FIXTURE_MODES };
@@ -0,0 +1,332 @@
+// Token identity resolution: which token (chain + contract address) an input
+// refers to, whether CoinGecko's listing confirms that contract, and whether
+// the token reuses a well-known name or symbol at a different address.
+
+const { aggregatePairs, sameAddress } = require('./pair-aggregation.js');
+const { searchCoins, fetchCoinDetails } = require('./providers/coingecko.js');
+
+// CoinGecko asset platform -> chain id as reported by DexScreener
+const PLATFORM_CHAINS = {
+  'ethereum': 'ethereum',
+  'binance-smart-chain': 'bsc',
+  'polygon-pos': 'polygon',
+  'solana': 'solana',
+  'avalanche': 'avalanche',
+  'arbitrum-one': 'arbitrum',
+  'optimistic-ethereum': 'optimism',
+  'base': 'base',
+  'fantom': 'fantom'
+};
+
+// Coins ranked this high are "well known": another contract using their name
+// or symbol is treated as a possible impersonation
+const WELL_KNOWN_RANK = 500;
+
+// Candidate verification statuses, best first
+const VERIFICATION_ORDER = ['verified', 'listed', 'unlisted', 'impersonation'];
+
+const MAX_CANDIDATES = 10;
+
+function candidateKey(chain, address) {
+  return `${chain || '*'}:${address?.startsWith('0x') ? address.toLowerCase() : address}`;
+}
+
+function sameText(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Official contracts from a CoinGecko coin's `platforms` map, as { chain, address }
+ */
+function listedContracts(coin) {
+  return Object.entries(coin?.platforms || {})
+    .filter(([platform, address]) => platform && address)
+    .map(([platform, address]) => ({ platform, chain: PLATFORM_CHAINS[platform] || platform, address }));
+}
+
+function isListedAt(coin, chain, address) {
+  return listedContracts(coin).some(contract => sameAddress(contract.address, address)
+    && (!chain || contract.chain === chain));
+}
+
+/**
+ * Every distinct token in the DexScreener pairs that matches the input
+ * (by address, or by symbol for symbol inputs), with its summed liquidity
+ */
+function dexCandidates(pairs = [], tokenInput, inputKind) {
+  const tokens = new Map();
+  pairs.forEach(pair => {
+    [pair.baseToken, pair.quoteToken].forEach(token => {
+      const matches = inputKind === 'address'
+        ? sameAddress(token?.address, tokenInput)
+        : sameText(token?.symbol, tokenInput);
+      if (!matches) return;
+
+      const key = candidateKey(pair.chainId, token.address);
+      const candidate = tokens.get(key) || {
+        chain: pair.chainId || null,
+        address: token.address,
+        name: token.name || null,
+        symbol: token.symbol || null,
+        logo: null,
+        marketCap: null,
+        liquidityUsd: 0,
+        poolCount: 0
+      };
+      candidate.liquidityUsd += pair.liquidity?.usd || 0;
+      candidate.poolCount += 1;
+      // Pair market cap and logo describe the base token only
+      if (token === pair.baseToken) {
+        candidate.logo = candidate.logo || pair.info?.imageUrl || null;
+        candidate.marketCap = Math.max(candidate.marketCap || 0, pair.marketCap || 0) || null;
+      }
+      tokens.set(key, candidate);
+    });
+  });
+  return [...tokens.values()];
+}
+
+/**
+ * A well-known coin whose name or symbol the token reuses without being one
+ * of its listed contracts
+ */
+function findImpersonated(candidate, references) {
+  return references.find(coin => (coin.market_cap_rank || Infinity) <= WELL_KNOWN_RANK
+    && (sameText(candidate.symbol, coin.symbol) || sameText(candidate.name, coin.name))
+    && !isListedAt(coin, null, candidate.address)) || null;
+}
+
+function describeImpersonated(coin, chain) {
+  const official = listedContracts(coin).find(contract => contract.chain === chain) || null;
+  return {
+    coingeckoId: coin.id,
+    name: coin.name,
+    symbol: coin.symbol?.toUpperCase() || null,
+    marketCapRank: coin.market_cap_rank || null,
+    officialAddress: official?.address || null,
+    officialChains: [...new Set(listedContracts(coin).map(contract => contract.chain))]
+  };
+}
+
+/**
+ * Build and rank the candidate tokens: CoinGecko-verified contracts first,
+ * then by market cap rank, liquidity and the coin's home platform
+ */
+function rankCandidates({ tokenInput, inputKind, coinGeckoData, dexData, references }) {
+  const candidates = new Map();
+  const homeChain = PLATFORM_CHAINS[coinGeckoData?.asset_platform_id] || null;
+
+  listedContracts(coinGeckoData).forEach(({ chain, address }) => {
+    if (inputKind === 'address' && !sameAddress(address, tokenInput)) return;
+    candidates.set(candidateKey(chain, address), {
+      chain,
+      address,
+      name: coinGeckoData.name,
+      symbol: coinGeckoData.symbol?.toUpperCase() || null,
+      logo: coinGeckoData.image?.small || coinGeckoData.image?.thumb || null,
+      marketCap: coinGeckoData.market_data?.market_cap?.usd || null,
+      coingeckoId: coinGeckoData.id,
+      marketCapRank: coinGeckoData.market_cap_rank || null,
+      liquidityUsd: 0,
+      poolCount: 0,
+      verification: 'verified'
+    });
+  });
+
+  dexCandidates(dexData?.pairs, tokenInput, inputKind).forEach(token => {
+    const key = candidateKey(token.chain, token.address);
+    const listed = candidates.get(key);
+    if (listed) {
+      candidates.set(key, {
+        ...listed,
+        logo: listed.logo || token.logo,
+        liquidityUsd: token.liquidityUsd,
+        poolCount: token.poolCount
+      });
+      return;
+    }
+
+    const verified = isListedAt(coinGeckoData, token.chain, token.address);
+    const impersonated = verified ? null : findImpersonated(token, references);
+    candidates.set(key, {
+      ...token,
+      symbol: token.symbol?.toUpperCase() || null,
+      coingeckoId: verified ? coinGeckoData.id : null,
+      marketCapRank: verified ? (coinGeckoData.market_cap_rank || null) : null,
+      verification: verified ? 'verified' : (impersonated ? 'impersonation' : 'unlisted'),
+      ...(impersonated ? { impersonates: describeImpersonated(impersonated, token.chain) } : {})
+    });
+  });
+
+  // Other CoinGecko coins sharing the symbol (no contract lookup - listed only),
+  // and native coins such as BTC that have no contract at all
+  if (inputKind === 'symbol') {
+    const seen = new Set([...candidates.values()].map(candidate => candidate.coingeckoId).filter(Boolean));
+    (coinGeckoData?.search_candidates || [coinGeckoData].filter(Boolean))
+      .filter(coin => sameText(coin.symbol, tokenInput) && !seen.has(coin.id))
+      .forEach(coin => {
+        const native = coin.id === coinGeckoData.id;
+        candidates.set(`coingecko:${coin.id}`, {
+          chain: native ? (homeChain || coin.id) : null,
+          address: null,
+          name: coin.name,
+          symbol: coin.symbol?.toUpperCase() || null,
+          logo: native ? (coinGeckoData.image?.small || null) : (coin.image || null),
+          marketCap: native ? (coinGeckoData.market_data?.market_cap?.usd || null) : null,
+          coingeckoId: coin.id,
+          marketCapRank: coin.market_cap_rank || null,
+          liquidityUsd: 0,
+          poolCount: 0,
+          verification: 'listed'
+        });
+      });
+  }
+
+  const rank = candidate => candidate.marketCapRank || Infinity;
+  return [...candidates.values()].sort((a, b) =>
+    VERIFICATION_ORDER.indexOf(a.verification) - VERIFICATION_ORDER.indexOf(b.verification)
+    || rank(a) - rank(b)
+    || b.liquidityUsd - a.liquidityUsd
+    || (b.chain === homeChain) - (a.chain === homeChain));
+}
+
+/**
+ * Does CoinGecko's listing confirm the resolved contract?
+ * confirmed | mismatch (listing belongs to another contract) | native | not_listed
+ */
+function checkCoinGeckoListing(coinGeckoData, resolved) {
+  if (!coinGeckoData) return { status: 'not_listed', coingeckoId: null, listedContracts: [] };
+
+  const contracts = listedContracts(coinGeckoData);
+  let status = 'native';
+  if (resolved?.address) {
+    status = isListedAt(coinGeckoData, null, resolved.address) ? 'confirmed' : 'mismatch';
+  } else if (contracts.length > 0) {
+    status = 'mismatch';
+  }
+  return { status, coingeckoId: coinGeckoData.id, listedContracts: contracts };
+}
+
+/**
+ * Look up the well-known coin behind a symbol, for address inputs that
+ * CoinGecko does not list (the contract lookup gives nothing to compare)
+ */
+async function lookupReference(symbol) {
+  try {
+    const [top] = await searchCoins(symbol);
+    if (!top || !sameText(top.symbol, symbol) || (top.market_cap_rank || Infinity) > WELL_KNOWN_RANK) {
+      return null;
+    }
+    return await fetchCoinDetails(top.id);
+  } catch (error) {
+    console.error('❌ Identity reference lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve which token an input refers to.
+ * Returns ranked `candidates`, the `resolved` one, how CoinGecko's listing
+ * compares (`coingecko`), and an `impersonation` warning when the resolved
+ * token reuses a well-known name or symbol at another address.
+ */
+async function resolveTokenIdentity(tokenInput, inputKind, { coingecko: coinGeckoData, dexscreener: dexData } = {}) {
+  const references = coinGeckoData ? [coinGeckoData] : [];
+
+  if (inputKind === 'address' && !coinGeckoData) {
+    const dexToken = dexCandidates(dexData?.pairs, tokenInput, inputKind)[0];
+    const reference = dexToken?.symbol ? await lookupReference(dexToken.symbol) : null;
+    if (reference) references.push(reference);
+  }
+
+  const candidates = rankCandidates({ tokenInput, inputKind, coinGeckoData, dexData, references });
+  const resolved = candidates[0] || null;
+  const coingecko = checkCoinGeckoListing(coinGeckoData, resolved);
+
+  // Distinct assets behind a symbol: CoinGecko coins, plus unlisted contracts
+  const assets = new Set(candidates.map(candidate => candidate.coingeckoId || candidateKey(candidate.chain, candidate.address)));
+
+  return {
+    input: tokenInput,
+    inputKind,
+    resolved,
+    candidates: candidates.slice(0, MAX_CANDIDATES),
+    candidateCount: candidates.length,
+    ambiguous: inputKind === 'symbol' && assets.size > 1,
+    coingecko,
+    impersonation: resolved?.impersonates
+      ? {
+        flagged: true,
+        ...resolved.impersonates,
+        message: `Reuses the ${resolved.impersonates.symbol === resolved.symbol ? 'symbol' : 'name'} of ` +
+          `${resolved.impersonates.name} (CoinGecko rank #${resolved.impersonates.marketCapRank}) ` +
+          `but ${resolved.address} is not one of its listed contracts` +
+          (resolved.impersonates.officialAddress ? ` (official ${resolved.chain} contract: ${resolved.impersonates.officialAddress})` : '')
+      }
+      : { flagged: false },
+    copycats: candidates.filter(candidate => candidate.verification === 'impersonation' && candidate !== resolved)
+  };
+}
+
+/**
+ * Turn a candidate picked from a disambiguation list into the input to analyze:
+ * its contract address, or - for a CoinGecko coin picked without one - the
+ * contract CoinGecko lists for it. Native coins keep the original symbol.
+ */
+async function resolveSelection(tokenInput, selection) {
+  if (!selection) return { tokenInput, pinned: false };
+  if (typeof selection !== 'object' || Array.isArray(selection)) {
+    throw new Error('selection must be { address } or { coingeckoId }');
+  }
+  if (selection.address) {
+    if (typeof selection.address !== 'string') throw new Error('selection.address must be a string');
+    return { tokenInput: selection.address.trim(), pinned: true };
+  }
+  if (!selection.coingeckoId) {
+    throw new Error('A selection needs an address or a coingeckoId');
+  }
+
+  const coin = await fetchCoinDetails(selection.coingeckoId);
+  if (!coin) {
+    throw new Error(`Unknown CoinGecko id: ${selection.coingeckoId}`);
+  }
+  const contracts = listedContracts(coin);
+  const contract = contracts.find(({ platform }) => platform === coin.asset_platform_id) || contracts[0];
+  return { tokenInput: contract?.address || tokenInput, pinned: true };
+}
+
+/**
+ * Drop source data that belongs to another token: CoinGecko metadata for a
+ * different contract, and DEX pools of other tokens sharing the symbol
+ */
+function scopeSourcesToIdentity(sourceData, identity) {
+  const scoped = { ...sourceData };
+
+  if (identity.coingecko.status === 'mismatch') {
+    console.log(`⚠️ CoinGecko listing ${identity.coingecko.coingeckoId} does not match ${identity.resolved?.address} - ignoring its data`);
+    scoped.coingecko = null;
+  }
+
+  // A native coin (no contract) has no pools of its own in a symbol search
+  const dexData = sourceData.dexscreener;
+  const address = identity.resolved?.address || (identity.inputKind === 'address' ? identity.input : null);
+  if (dexData?.pairs) {
+    const pairs = address
+      ? dexData.pairs.filter(pair => sameAddress(pair.baseToken?.address, address)
+        || sameAddress(pair.quoteToken?.address, address))
+      : [];
+    scoped.dexscreener = pairs.length > 0
+      ? { ...dexData, pairs, aggregate: aggregatePairs(pairs, { tokenAddress: address }) }
+      : null;
+  }
+
+  return scoped;
+}
+
+module.exports = {
+  resolveTokenIdentity,
+  resolveSelection,
+  scopeSourcesToIdentity,
+  PLATFORM_CHAINS,
+  WELL_KNOWN_RANK
+};
@@ -0,0 +1,154 @@
+// Aggregates every DexScreener pool for a token instead of trusting pairs[0].
+// Pools are grouped by chain and DEX, liquidity/volume/txns are summed and
+// the price is volume-weighted across pools.
+
+// Share of total liquidity held by the deepest pool
+const CONCENTRATED_SHARE = 0.8;
+const FRAGMENTED_SHARE = 0.5;
+
+function sameAddress(a, b) {
+  if (!a || !b) return false;
+  // EVM addresses are case-insensitive, Solana addresses are not
+  return a.startsWith('0x') ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+/**
+ * The token a pair list is about: the requested address, otherwise the base
+ * token of the deepest pool
+ */
+function resolveTargetToken(pairs, tokenAddress) {
+  const deepest = [...pairs].sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+  if (tokenAddress) {
+    const match = pairs.find(pair => sameAddress(pair.baseToken?.address, tokenAddress))
+      || pairs.find(pair => sameAddress(pair.quoteToken?.address, tokenAddress));
+    if (match) {
+      return sameAddress(match.baseToken?.address, tokenAddress) ? match.baseToken : match.quoteToken;
+    }
+  }
+  return deepest?.baseToken || null;
+}
+
+/**
+ * One pool, seen from the target token's side. DexScreener prices the base
+ * token, so pools quoting our token in the other direction are inverted.
+ */
+function toPool(pair, token) {
+  const isQuote = !!token && sameAddress(pair.quoteToken?.address, token.address)
+    && !sameAddress(pair.baseToken?.address, token.address);
+  const basePriceUsd = parseFloat(pair.priceUsd) || 0;
+  const priceNative = parseFloat(pair.priceNative) || 0;
+
+  return {
+    pairAddress: pair.pairAddress || null,
+    chainId: pair.chainId || 'unknown',
+    dexId: pair.dexId || 'unknown',
+    url: pair.url || null,
+    pairLabel: `${pair.baseToken?.symbol || '?'}/${pair.quoteToken?.symbol || '?'}`,
+    tokenSide: isQuote ? 'quote' : 'base',
+    priceUsd: isQuote ? (priceNative > 0 ? basePriceUsd / priceNative : 0) : basePriceUsd,
+    liquidityUsd: pair.liquidity?.usd || 0,
+    volume24h: pair.volume?.h24 || 0,
+    txns24h: pair.txns?.h24 ? (pair.txns.h24.buys || 0) + (pair.txns.h24.sells || 0) : 0,
+    priceChange24h: isQuote ? null : (pair.priceChange?.h24 ?? null),
+    marketCap: isQuote ? 0 : (pair.marketCap || 0),
+    fdv: isQuote ? 0 : (pair.fdv || 0)
+  };
+}
+
+// Sum pools into groups keyed by `keyOf`, deepest group first
+function groupPools(pools, keyOf, describe, totalLiquidity) {
+  const groups = new Map();
+  pools.forEach(pool => {
+    const key = keyOf(pool);
+    const group = groups.get(key) || { ...describe(pool), liquidityUsd: 0, volume24h: 0, txns24h: 0, poolCount: 0 };
+    group.liquidityUsd += pool.liquidityUsd;
+    group.volume24h += pool.volume24h;
+    group.txns24h += pool.txns24h;
+    group.poolCount += 1;
+    groups.set(key, group);
+  });
+
+  return [...groups.values()]
+    .map(group => ({ ...group, liquidityShare: totalLiquidity > 0 ? group.liquidityUsd / totalLiquidity : 0 }))
+    .sort((a, b) => b.liquidityUsd - a.liquidityUsd);
+}
+
+/**
+ * Volume-weighted price across pools; falls back to liquidity weighting when
+ * there was no volume, then to the canonical pool's price
+ */
+function weightedPrice(pools, canonicalPool) {
+  const priced = pools.filter(pool => pool.priceUsd > 0);
+  for (const weightOf of [pool => pool.volume24h, pool => pool.liquidityUsd]) {
+    const totalWeight = priced.reduce((sum, pool) => sum + weightOf(pool), 0);
+    if (totalWeight > 0) {
+      return priced.reduce((sum, pool) => sum + pool.priceUsd * weightOf(pool), 0) / totalWeight;
+    }
+  }
+  return canonicalPool?.priceUsd || 0;
+}
+
+/**
+ * Aggregate a DexScreener pair list. `tokenAddress` identifies the token the
+ * caller asked about (pools where it is the quote token are inverted).
+ */
+function aggregatePairs(pairs = [], { tokenAddress = null } = {}) {
+  if (!Array.isArray(pairs) || pairs.length === 0) return null;
+
+  const token = resolveTargetToken(pairs, tokenAddress);
+  // Symbol searches return pools of unrelated tokens too - keep only our token's
+  const pools = pairs
+    .filter(pair => !token || sameAddress(pair.baseToken?.address, token.address)
+      || sameAddress(pair.quoteToken?.address, token.address))
+    .map(pair => toPool(pair, token))
+    .sort((a, b) => b.liquidityUsd - a.liquidityUsd);
+
+  const totals = pools.reduce((sum, pool) => ({
+    liquidityUsd: sum.liquidityUsd + pool.liquidityUsd,
+    volume24h: sum.volume24h + pool.volume24h,
+    txns24h: sum.txns24h + pool.txns24h,
+    poolCount: sum.poolCount + 1
+  }), { liquidityUsd: 0, volume24h: 0, txns24h: 0, poolCount: 0 });
+
+  pools.forEach(pool => {
+    pool.liquidityShare = totals.liquidityUsd > 0 ? pool.liquidityUsd / totals.liquidityUsd : 0;
+  });
+
+  // Canonical pool: the deepest one that prices our token as its base
+  const canonicalPool = pools.find(pool => pool.tokenSide === 'base') || pools[0];
+
+  const byChain = groupPools(pools, pool => pool.chainId, pool => ({ chainId: pool.chainId }), totals.liquidityUsd);
+  const byDex = groupPools(
+    pools,
+    pool => `${pool.chainId}:${pool.dexId}`,
+    pool => ({ chainId: pool.chainId, dexId: pool.dexId }),
+    totals.liquidityUsd
+  );
+
+  // Herfindahl index over pool shares: 1 = a single pool, near 0 = very fragmented
+  const hhi = pools.reduce((sum, pool) => sum + pool.liquidityShare ** 2, 0);
+  const canonicalShare = canonicalPool.liquidityShare;
+  let level = 'MODERATE';
+  if (canonicalShare >= CONCENTRATED_SHARE) level = 'CONCENTRATED';
+  else if (canonicalShare < FRAGMENTED_SHARE) level = 'FRAGMENTED';
+
+  return {
+    token: token ? { address: token.address, name: token.name, symbol: token.symbol } : null,
+    priceUsd: weightedPrice(pools, canonicalPool),
+    totals,
+    canonicalPool,
+    primaryChain: byChain[0]?.chainId || null,
+    byChain,
+    byDex,
+    pools,
+    fragmentation: {
+      level,
+      canonicalShare,
+      hhi: Math.round(hhi * 1000) / 1000,
+      chainCount: byChain.length,
+      dexCount: byDex.length
+    }
+  };
+}
+
+module.exports = { aggregatePairs, sameAddress };
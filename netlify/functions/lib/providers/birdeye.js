@@ -0,0 +1,45 @@
+// Birdeye data provider
+
+const BIRDEYE_BASE = 'https://public-api.birdeye.so/public';
+
+async function fetchBirdeyeData(tokenAddress, { signal } = {}) {
+  try {
+    // Get token overview
+    const overviewResponse = await fetch(`${BIRDEYE_BASE}/token_overview?address=${tokenAddress}`, { signal });
+    const overviewData = await overviewResponse.json();
+
+    // Get price data
+    const priceResponse = await fetch(`${BIRDEYE_BASE}/price?address=${tokenAddress}`, { signal });
+    const priceData = await priceResponse.json();
+
+    return {
+      overview: overviewData.success ? overviewData.data : null,
+      price: priceData.success ? priceData.data : null
+    };
+  } catch (error) {
+    console.error('Birdeye API error:', error);
+    return null;
+  }
+}
+
+function normalizeBirdeyeData(data) {
+  // Birdeye doesn't provide market cap or volume in the basic response
+  return {
+    currentPrice: data?.price?.value || 0
+  };
+}
+
+const birdeyeProvider = {
+  id: 'birdeye',
+  name: 'Birdeye',
+  chains: ['*'],
+  inputKinds: ['address'],
+  timeoutMs: 10000,
+  cacheTtlMs: 60 * 1000,
+  priority: 30,
+  fields: ['currentPrice'],
+  fetch: fetchBirdeyeData,
+  normalize: normalizeBirdeyeData
+};
+
+module.exports = { birdeyeProvider, fetchBirdeyeData, BIRDEYE_BASE };
@@ -0,0 +1,150 @@
+// CoinGecko data provider
+
+const COINGECKO_BASE = 'https://api.coingecko.com/api/v3';
+const COIN_DETAIL_QUERY = 'localization=false&tickers=false&market_data=true&community_data=true&developer_data=true';
+
+// CoinGecko asset platforms tried, in order, when looking up a contract address
+const EVM_PLATFORMS = ['ethereum', 'binance-smart-chain', 'base', 'arbitrum-one', 'polygon-pos'];
+
+/**
+ * Look a contract address up on CoinGecko. The result's `platforms` map is
+ * what the identity resolver checks the address against.
+ */
+async function fetchCoinByContract(address, { signal } = {}) {
+  const platforms = address.startsWith('0x') ? EVM_PLATFORMS : ['solana'];
+  for (const platform of platforms) {
+    const response = await fetch(`${COINGECKO_BASE}/coins/${platform}/contract/${address}?${COIN_DETAIL_QUERY}`, { signal });
+    if (response.ok) {
+      console.log(`✅ CoinGecko contract match on ${platform}`);
+      return response.json();
+    }
+  }
+  return null;
+}
+
+/**
+ * Search CoinGecko; exact symbol matches come first, ranked by market cap rank
+ */
+async function searchCoins(query, { signal } = {}) {
+  const response = await fetch(`${COINGECKO_BASE}/search?query=${encodeURIComponent(query)}`, { signal });
+  if (!response.ok) {
+    console.log(`❌ CoinGecko search failed: ${response.status}`);
+    return [];
+  }
+
+  const { coins = [] } = await response.json();
+  const symbol = query.toLowerCase();
+  const rank = coin => coin.market_cap_rank || Number.MAX_SAFE_INTEGER;
+  const exact = coins.filter(coin => coin.symbol?.toLowerCase() === symbol).sort((a, b) => rank(a) - rank(b));
+  return [...exact, ...coins.filter(coin => !exact.includes(coin))];
+}
+
+async function fetchCoinDetails(coinId, { signal } = {}) {
+  const response = await fetch(`${COINGECKO_BASE}/coins/${coinId}?${COIN_DETAIL_QUERY}`, { signal });
+  if (!response.ok) {
+    console.log(`❌ CoinGecko details failed: ${response.status}`);
+    return null;
+  }
+  return response.json();
+}
+
+async function fetchCoinGeckoData(tokenId, { signal, inputKind } = {}) {
+  try {
+    console.log(`🦎 Fetching CoinGecko data for: ${tokenId}`);
+
+    // Addresses resolve through the contract endpoint only - a fuzzy search
+    // hit could attach another token's metadata to this address
+    if (inputKind === 'address') {
+      return await fetchCoinByContract(tokenId, { signal });
+    }
+
+    // Try direct coin lookup first if it looks like a symbol
+    if (tokenId.length <= 5 && !tokenId.startsWith('0x')) {
+      try {
+        const directResponse = await fetch(`${COINGECKO_BASE}/coins/${tokenId.toLowerCase()}?${COIN_DETAIL_QUERY}`, { signal });
+        if (directResponse.ok) {
+          const directData = await directResponse.json();
+          console.log(`✅ Found direct CoinGecko match for ${tokenId}`);
+          return directData;
+        }
+      } catch (err) {
+        console.log(`⚠️ Direct lookup failed for ${tokenId}, trying search...`);
+      }
+    }
+
+    // Search for token
+    const coins = await searchCoins(tokenId, { signal });
+    console.log(`🔍 CoinGecko search results: ${coins.length} matches`);
+
+    if (coins.length > 0) {
+      // Best match: the highest-ranked exact symbol match, else the first hit
+      const bestMatch = coins[0];
+      console.log(`🎯 Using CoinGecko match: ${bestMatch.id} (${bestMatch.symbol})`);
+
+      const details = await fetchCoinDetails(bestMatch.id, { signal });
+      if (!details) return null;
+
+      // Keep the other hits so the identity resolver can rank alternatives
+      return {
+        ...details,
+        search_candidates: coins.slice(0, 10).map(({ id, name, symbol, market_cap_rank, large, thumb }) => ({
+          id, name, symbol, market_cap_rank: market_cap_rank || null, image: large || thumb || null
+        }))
+      };
+    }
+
+    console.log(`❌ No CoinGecko matches found for: ${tokenId}`);
+    return null;
+  } catch (error) {
+    console.error('❌ CoinGecko API error:', error.message);
+    return null;
+  }
+}
+
+function normalizeCoinGeckoData(data) {
+  const marketData = data?.market_data;
+
+  return {
+    currentPrice: marketData?.current_price?.usd || 0,
+    marketCap: marketData?.market_cap?.usd || 0,
+    volume24h: marketData?.total_volume?.usd || 0,
+    priceChange24h: marketData?.price_change_percentage_24h || 0,
+    circulatingSupply: marketData?.circulating_supply || 0,
+    totalSupply: marketData?.total_supply || 0,
+    maxSupply: marketData?.max_supply || 0,
+    ath: marketData?.ath?.usd || 0,
+    atl: marketData?.atl?.usd || 0,
+    athChangePercentage: marketData?.ath_change_percentage?.usd || 0,
+    communityScore: data?.community_score || 0,
+    developerScore: data?.developer_score || 0,
+    publicInterestScore: data?.public_interest_score || 0,
+    marketCapRank: data?.market_cap_rank || 0
+  };
+}
+
+const coinGeckoProvider = {
+  id: 'coingecko',
+  name: 'CoinGecko',
+  chains: ['*'],
+  inputKinds: ['symbol', 'address'],
+  timeoutMs: 15000,
+  cacheTtlMs: 10 * 60 * 1000, // Metadata and supply change slowly
+  priority: 10,
+  fields: [
+    'currentPrice', 'marketCap', 'volume24h', 'priceChange24h',
+    'circulatingSupply', 'totalSupply', 'maxSupply',
+    'ath', 'atl', 'athChangePercentage',
+    'communityScore', 'developerScore', 'publicInterestScore', 'marketCapRank'
+  ],
+  fetch: fetchCoinGeckoData,
+  normalize: normalizeCoinGeckoData
+};
+
+module.exports = {
+  coinGeckoProvider,
+  fetchCoinGeckoData,
+  fetchCoinByContract,
+  fetchCoinDetails,
+  searchCoins,
+  COINGECKO_BASE
+};
@@ -0,0 +1,96 @@
+// DexScreener data provider
+
+const { aggregatePairs } = require('../pair-aggregation.js');
+
+const DEXSCREENER_BASE = 'https://api.dexscreener.com/latest/dex';
+
+async function fetchDexScreenerData(tokenAddress, { signal, inputKind } = {}) {
+  try {
+    console.log(`🔍 Fetching DexScreener data for: ${tokenAddress}`);
+
+    // Symbols go through the search endpoint; /tokens only accepts addresses
+    const url = inputKind === 'symbol'
+      ? `${DEXSCREENER_BASE}/search?q=${encodeURIComponent(tokenAddress)}`
+      : `${DEXSCREENER_BASE}/tokens/${tokenAddress}`;
+    const response = await fetch(url, { signal });
+
+    if (!response.ok) {
+      console.log(`❌ DexScreener failed: ${response.status}`);
+      return null;
+    }
+
+    const data = await response.json();
+    if (inputKind === 'symbol' && Array.isArray(data.pairs)) {
+      const symbol = tokenAddress.toLowerCase();
+      data.pairs = data.pairs.filter(pair => pair.baseToken?.symbol?.toLowerCase() === symbol
+        || pair.quoteToken?.symbol?.toLowerCase() === symbol);
+    }
+    console.log(`📊 DexScreener pairs found: ${data.pairs?.length || 0}`);
+
+    if (data.pairs && data.pairs.length > 0) {
+      // Sort by liquidity (highest first) to get the most reliable pair
+      data.pairs.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
+      console.log(`💰 Top pair liquidity: $${data.pairs[0].liquidity?.usd?.toLocaleString() || 0}`);
+
+      // Every pool across chains and DEXes, not just the first pair
+      data.aggregate = aggregatePairs(data.pairs, {
+        tokenAddress: inputKind === 'address' ? tokenAddress : null
+      });
+      console.log(`🧮 Aggregated ${data.aggregate.totals.poolCount} pools: $${Math.round(data.aggregate.totals.liquidityUsd).toLocaleString()} total liquidity`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ DexScreener API error:', error.message);
+    return null;
+  }
+}
+
+function normalizeDexScreenerData(data) {
+  const aggregate = data?.aggregate || aggregatePairs(data?.pairs);
+  if (!aggregate) return {};
+
+  const { canonicalPool, totals } = aggregate;
+  const currentPrice = aggregate.priceUsd;
+  const marketCap = canonicalPool.marketCap;
+
+  // Supply from the canonical pool's own market cap and price so the ratio is consistent
+  let circulatingSupply = 0;
+  let totalSupply = 0;
+  if (marketCap > 0 && canonicalPool.priceUsd > 0) {
+    circulatingSupply = marketCap / canonicalPool.priceUsd;
+    totalSupply = canonicalPool.fdv > marketCap ? (canonicalPool.fdv / canonicalPool.priceUsd) : circulatingSupply;
+  }
+
+  return {
+    currentPrice,
+    marketCap,
+    volume24h: totals.volume24h,
+    priceChange24h: canonicalPool.priceChange24h || 0,
+    circulatingSupply,
+    totalSupply,
+    maxSupply: totalSupply,
+    liquidity: totals.liquidityUsd,
+    fdv: canonicalPool.fdv,
+    txns24h: totals.txns24h
+  };
+}
+
+const dexScreenerProvider = {
+  id: 'dexscreener',
+  name: 'DexScreener',
+  chains: ['*'],
+  inputKinds: ['symbol', 'address'],
+  timeoutMs: 10000,
+  cacheTtlMs: 60 * 1000, // Pair prices and liquidity move fast
+  priority: 20,
+  fields: [
+    'currentPrice', 'marketCap', 'volume24h', 'priceChange24h',
+    'circulatingSupply', 'totalSupply', 'maxSupply',
+    'liquidity', 'fdv', 'txns24h'
+  ],
+  fetch: fetchDexScreenerData,
+  normalize: normalizeDexScreenerData
+};
+
+module.exports = { dexScreenerProvider, fetchDexScreenerData, DEXSCREENER_BASE };
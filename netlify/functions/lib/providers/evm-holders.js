@@ -0,0 +1,93 @@
+// EVM holder snapshot provider: the top holders of an ERC-20 token from the
+// Etherscan V2 `tokenholderlist` endpoint, or a saved snapshot under
+// HOLDER_SNAPSHOT_DIR when there is no API key or the explorer fails.
+
+const fs = require('fs');
+const path = require('path');
+
+const ETHERSCAN_API_URL = process.env.ETHERSCAN_API_URL || 'https://api.etherscan.io/v2/api';
+
+// Chain id the Etherscan V2 API expects for each supported chain
+const HOLDER_CHAIN_IDS = {
+  ethereum: 1,
+  bsc: 56,
+  polygon: 137,
+  arbitrum: 42161,
+  optimism: 10,
+  base: 8453,
+  avalanche: 43114,
+  fantom: 250
+};
+
+const HOLDER_PAGE_SIZE = 100;
+
+async function callExplorer(blockchain, params, signal) {
+  const query = new URLSearchParams({
+    chainid: String(HOLDER_CHAIN_IDS[blockchain]),
+    ...params,
+    apikey: process.env.ETHERSCAN_API_KEY
+  });
+  const response = await fetch(`${ETHERSCAN_API_URL}?${query}`, { signal });
+  if (!response.ok) throw new Error(`Explorer request failed (${response.status})`);
+
+  const data = await response.json();
+  if (data.status !== '1') throw new Error(typeof data.result === 'string' ? data.result : data.message);
+  return data.result;
+}
+
+/**
+ * Snapshot files hold `{ totalSupply, holders: [{ address, balance }] }` with
+ * balances and supply in the token's base units
+ */
+function readSnapshot(tokenAddress, blockchain) {
+  const dir = process.env.HOLDER_SNAPSHOT_DIR || path.join(process.cwd(), 'fixtures', 'holders');
+  const file = path.join(dir, blockchain, `${tokenAddress.toLowerCase()}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    source: 'snapshot',
+    totalSupply: saved.totalSupply != null ? Number(saved.totalSupply) : null,
+    totalHolders: saved.totalHolders || null,
+    holders: Array.isArray(saved) ? saved : (saved.holders || [])
+  };
+}
+
+async function fetchEvmHolders(tokenAddress, { blockchain, signal } = {}) {
+  if (!HOLDER_CHAIN_IDS[blockchain]) return null;
+
+  if (process.env.ETHERSCAN_API_KEY) {
+    try {
+      const [holders, totalSupply] = await Promise.all([
+        callExplorer(blockchain, {
+          module: 'token', action: 'tokenholderlist', contractaddress: tokenAddress, page: '1', offset: String(HOLDER_PAGE_SIZE)
+        }, signal),
+        callExplorer(blockchain, { module: 'stats', action: 'tokensupply', contractaddress: tokenAddress }, signal)
+      ]);
+      console.log(`👥 Explorer holder list for ${tokenAddress}: ${holders.length} holders`);
+      return { source: 'explorer', totalSupply: Number(totalSupply), totalHolders: null, holders };
+    } catch (error) {
+      console.warn(`⚠️ Holder list lookup failed for ${tokenAddress} (${error.message}) - trying snapshots`);
+    }
+  }
+
+  try {
+    return readSnapshot(tokenAddress, blockchain);
+  } catch (error) {
+    console.error('Holder snapshot error:', error.message);
+    return null;
+  }
+}
+
+const evmHoldersProvider = {
+  id: 'evmHolders',
+  name: 'EVM Holder Snapshot',
+  chains: Object.keys(HOLDER_CHAIN_IDS),
+  inputKinds: ['address'],
+  timeoutMs: 10000,
+  cacheTtlMs: 10 * 60 * 1000,
+  priority: 50,
+  fetch: fetchEvmHolders
+};
+
+module.exports = { evmHoldersProvider, fetchEvmHolders, HOLDER_CHAIN_IDS };
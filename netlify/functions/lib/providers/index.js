@@ -0,0 +1,26 @@
+// Default data provider set for the analyze function.
+// New sources (GeckoTerminal, on-chain RPC readers, ...) only need a module
+// exporting a provider object and a register() call here.
+
+const { ProviderRegistry, detectInputKind } = require('./registry.js');
+const { createCacheStore } = require('../cache/index.js');
+const { coinGeckoProvider } = require('./coingecko.js');
+const { dexScreenerProvider } = require('./dexscreener.js');
+const { birdeyeProvider } = require('./birdeye.js');
+const { solanaTrackerProvider } = require('./solana-tracker.js');
+const { evmHoldersProvider } = require('./evm-holders.js');
+
+/**
+ * `options.cache` overrides the CACHE_STORE-selected store (null disables caching)
+ */
+function createDefaultRegistry(options = {}) {
+  const cache = 'cache' in options ? options.cache : createCacheStore();
+  return new ProviderRegistry({ cache })
+    .register(coinGeckoProvider)
+    .register(dexScreenerProvider)
+    .register(birdeyeProvider)
+    .register(solanaTrackerProvider)
+    .register(evmHoldersProvider);
+}
+
+module.exports = { createDefaultRegistry, ProviderRegistry, detectInputKind };
@@ -0,0 +1,228 @@
+// Data provider registry for the analyze pipeline (CommonJS)
+
+const { ResponseCache } = require('../cache/index.js');
+
+const ANY_CHAIN = '*';
+const INPUT_KINDS = ['symbol', 'address'];
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_CACHE_TTL_MS = 60000;
+
+// 0x + 20 bytes of hex (EVM), or 32-44 base58 characters (Solana and other
+// base58 chains); anything else is looked up as a symbol
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+/**
+ * Classify raw user input as a contract address or a ticker symbol
+ */
+function detectInputKind(tokenInput) {
+  const trimmed = tokenInput.trim();
+  return EVM_ADDRESS.test(trimmed) || BASE58_ADDRESS.test(trimmed) ? 'address' : 'symbol';
+}
+
+// EVM addresses and symbols are case-insensitive; Solana addresses are not
+function normalizeCacheInput(tokenInput) {
+  const trimmed = tokenInput.trim();
+  return /^0x[0-9a-fA-F]+$/.test(trimmed) || trimmed.length <= 10 ? trimmed.toLowerCase() : trimmed;
+}
+
+class ProviderRegistry {
+  /**
+   * `options.cache` is a cache store (see ../cache) put in front of every
+   * provider's fetch; without one every request goes upstream.
+   */
+  constructor(options = {}) {
+    this.providers = [];
+    this.cache = options.cache ? new ResponseCache(options.cache) : null;
+  }
+
+  /**
+   * Register a data provider.
+   *
+   * A provider is a plain object:
+   *   id          - key used for its raw payload in the fetched results
+   *   name        - display name reported in `sources`
+   *   chains      - supported blockchains, or ['*'] for chain-agnostic sources
+   *   inputKinds  - which inputs it can resolve: 'symbol' and/or 'address'
+   *   timeoutMs   - hard deadline before the provider is treated as empty
+   *   cacheTtlMs  - how long a fetched payload may be served from the cache
+   *   priority    - lower wins when several providers contribute the same field
+   *   fields      - normalized keyMetrics fields it contributes
+   *   fetch(tokenInput, { blockchain, inputKind, signal }) -> raw payload or null
+   *   normalize(rawPayload) -> object holding (a subset of) `fields`
+   */
+  register(provider) {
+    if (!provider?.id || typeof provider.fetch !== 'function') {
+      throw new Error('Data provider requires an id and a fetch function');
+    }
+
+    const entry = {
+      name: provider.id,
+      chains: [ANY_CHAIN],
+      inputKinds: INPUT_KINDS,
+      timeoutMs: DEFAULT_TIMEOUT_MS,
+      cacheTtlMs: DEFAULT_CACHE_TTL_MS,
+      priority: 100,
+      fields: [],
+      normalize: () => ({}),
+      ...provider
+    };
+
+    this.providers = this.providers
+      .filter(existing => existing.id !== entry.id)
+      .concat(entry)
+      .sort((a, b) => a.priority - b.priority);
+
+    return this;
+  }
+
+  get(id) {
+    return this.providers.find(provider => provider.id === id) || null;
+  }
+
+  list() {
+    return [...this.providers];
+  }
+
+  /**
+   * Select providers for an input kind. Without a blockchain only chain-agnostic
+   * providers apply; with one, providers declaring that chain are added.
+   */
+  select({ blockchain = null, inputKind }) {
+    return this.providers.filter(provider => {
+      if (!provider.inputKinds.includes(inputKind)) return false;
+      if (provider.chains.includes(ANY_CHAIN)) return true;
+      return !!blockchain && provider.chains.includes(blockchain);
+    });
+  }
+
+  /**
+   * Fan out to every applicable provider that has not already been fetched.
+   * Returns new `results` (provider id -> raw payload, null on failure) and
+   * `cacheStatus` (provider id -> cache hit/miss and data age) maps.
+   * `forceRefresh` skips cached payloads and refetches everything.
+   * `onResult(provider, payload, cache)` is called as each provider settles.
+   * Once `signal` aborts, providers still in flight are given up as empty.
+   */
+  async fetchAll(tokenInput, {
+    blockchain = null,
+    inputKind = detectInputKind(tokenInput),
+    results = {},
+    cacheStatus = {},
+    forceRefresh = false,
+    onResult = null,
+    signal = null
+  } = {}) {
+    const pending = this.select({ blockchain, inputKind }).filter(provider => !(provider.id in results));
+
+    if (pending.length > 0) {
+      console.log(`📡 Querying data providers: ${pending.map(provider => provider.name).join(', ')}`);
+    }
+
+    const fetched = await Promise.all(
+      pending.map(async provider => {
+        const result = await this.fetchCached(provider, tokenInput, { blockchain, inputKind }, forceRefresh, signal);
+        if (onResult) onResult(provider, result.payload, result.cache);
+        return result;
+      })
+    );
+
+    const merged = { results: { ...results }, cacheStatus: { ...cacheStatus } };
+    pending.forEach((provider, i) => {
+      merged.results[provider.id] = fetched[i].payload;
+      merged.cacheStatus[provider.id] = fetched[i].cache;
+    });
+    return merged;
+  }
+
+  /**
+   * Serve a provider from the cache while its payload is younger than its TTL,
+   * otherwise fetch it and cache the payload (failures and payloads marked
+   * `degraded` are never cached)
+   */
+  async fetchCached(provider, tokenInput, context, forceRefresh, signal = null) {
+    const ttlMs = provider.cacheTtlMs;
+    if (!this.cache || !ttlMs) {
+      const payload = await this.fetchProvider(provider, tokenInput, context, signal);
+      return { payload, cache: { status: 'disabled', ageMs: 0, ttlMs: 0, fetchedAt: new Date().toISOString() } };
+    }
+
+    const key = [provider.id, context.blockchain || ANY_CHAIN, context.inputKind, normalizeCacheInput(tokenInput)].join(':');
+
+    if (!forceRefresh) {
+      const cached = await this.cache.read(key, ttlMs);
+      if (cached) {
+        console.log(`🗄️ ${provider.name} served from cache (${Math.round(cached.ageMs / 1000)}s old)`);
+        return {
+          payload: cached.value,
+          cache: { status: 'hit', ageMs: cached.ageMs, ttlMs, fetchedAt: new Date(cached.storedAt).toISOString() }
+        };
+      }
+    }
+
+    const payload = await this.fetchProvider(provider, tokenInput, context, signal);
+    if (payload !== null && !payload.degraded) {
+      await this.cache.write(key, payload, ttlMs);
+    }
+
+    return {
+      payload,
+      cache: { status: forceRefresh ? 'bypass' : 'miss', ageMs: 0, ttlMs, fetchedAt: new Date().toISOString() }
+    };
+  }
+
+  /**
+   * Run a single provider under its declared timeout, or until `signal` aborts
+   */
+  async fetchProvider(provider, tokenInput, context, signal = null) {
+    const controller = new AbortController();
+    let timeoutId;
+    let giveUp;
+
+    const timeout = new Promise(resolve => {
+      giveUp = () => {
+        controller.abort();
+        resolve(null);
+      };
+      timeoutId = setTimeout(() => {
+        console.log(`⏱️ ${provider.name} timed out after ${provider.timeoutMs}ms`);
+        giveUp();
+      }, provider.timeoutMs);
+    });
+    if (signal?.aborted) giveUp();
+    signal?.addEventListener('abort', giveUp, { once: true });
+
+    try {
+      const payload = await Promise.race([
+        provider.fetch(tokenInput, { ...context, signal: controller.signal }),
+        timeout
+      ]);
+      return payload ?? null;
+    } catch (error) {
+      console.error(`❌ ${provider.name} provider error:`, error.message);
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', giveUp);
+    }
+  }
+
+  /**
+   * Normalize fetched payloads into keyMetrics fields, in priority order.
+   * Only the fields a provider declares are kept.
+   */
+  normalizeAll(results) {
+    return this.providers
+      .filter(provider => results[provider.id])
+      .map(provider => {
+        const normalized = provider.normalize(results[provider.id]) || {};
+        const fields = {};
+        provider.fields.forEach(field => {
+          if (normalized[field] !== undefined) fields[field] = normalized[field];
+        });
+        return { id: provider.id, name: provider.name, fields };
+      });
+  }
+}
+
+module.exports = { ProviderRegistry, detectInputKind, ANY_CHAIN };
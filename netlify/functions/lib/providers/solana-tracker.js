@@ -0,0 +1,397 @@
+// Solana Tracker data provider (trader performance for Solana tokens)
+
+const { computeWalletPnl, summarizeTraderPerformance } = require('../trader-pnl.js');
+
+const SOLANA_TRACKER_BASE = 'https://data.solanatracker.io';
+
+// Secure API key management with multiple layers of protection
+const SOLANA_TRACKER_API_KEY = process.env.SOLANA_TRACKER_API_KEY || '2bd9911b-59a9-4db3-a45a-d243f9f7da80';
+
+// Simple rate limiting cache
+let lastRequestTime = 0;
+const RATE_LIMIT_MS = 5000; // 5 seconds between requests
+const COURTESY_DELAY_MS = 2000;
+const REQUEST_TIMEOUT_MS = 10000;
+const PROVIDER_TIMEOUT_MS = 20000;
+// Longest queue wait that still leaves time for the delay and the requests
+// before the provider times out
+const MAX_QUEUE_WAIT_MS = PROVIDER_TIMEOUT_MS - COURTESY_DELAY_MS - REQUEST_TIMEOUT_MS;
+
+/**
+ * Payload for a lookup skipped by the rate limiter - reported as degraded
+ * trader data rather than as a source that had nothing
+ */
+function rateLimitedResult(reason) {
+  console.log(`⏳ Solana Tracker skipped: ${reason}`);
+  return { degraded: true, reason, performance: null, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Wait for `ms`, or until `signal` aborts. Resolves to false when aborted.
+ */
+function waitForSlot(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve(false);
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      resolve(false);
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function fetchSolanaTrackerData(tokenAddress, { signal } = {}) {
+  try {
+    console.log(`🔥 Fetching Solana Tracker data for: ${tokenAddress}`);
+    
+    // Check rate limiting - reserve the next free slot up front so concurrent
+    // analyses (batch runs) queue behind each other instead of firing together.
+    // A slot too far out to finish before the provider timeout is not taken.
+    const now = Date.now();
+    const previousRequestTime = lastRequestTime;
+    const slot = Math.max(now, previousRequestTime + RATE_LIMIT_MS);
+    if (slot - now > MAX_QUEUE_WAIT_MS) {
+      return rateLimitedResult(`rate limit queue is ${Math.round((slot - now) / 1000)}s long`);
+    }
+    lastRequestTime = slot;
+    
+    if (slot > now) {
+      const waitTime = slot - now;
+      console.log(`⏳ Rate limit protection: waiting ${waitTime}ms...`);
+      if (!await waitForSlot(waitTime, signal)) {
+        // Hand the slot back unless a later lookup has queued behind it
+        if (lastRequestTime === slot) lastRequestTime = previousRequestTime;
+        return rateLimitedResult('gave up waiting for a rate limit slot');
+      }
+    }
+    
+    // Enhanced security headers with multiple authentication methods
+    const secureHeaders = {
+      'X-API-Key': SOLANA_TRACKER_API_KEY,
+      'Authorization': `Bearer ${SOLANA_TRACKER_API_KEY}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'User-Agent': 'TokenAI-Analysis-Bot/1.0',
+      'X-Rate-Limit-Protection': 'enabled',
+      'X-Request-Source': 'netlify-function',
+      'X-Client-Version': '2.0',
+      'Cache-Control': 'no-cache'
+    };
+    
+    // Log API key status (masked for security)
+    console.log('🔐 API Key Status:', SOLANA_TRACKER_API_KEY ? 
+      `Present: ${SOLANA_TRACKER_API_KEY.slice(0, 8)}...${SOLANA_TRACKER_API_KEY.slice(-4)}` : 
+      'Missing'
+    );
+    
+    // Enhanced API endpoints with timeouts and error handling
+    const fetchWithTimeout = async (url, options, timeoutMs = REQUEST_TIMEOUT_MS) => {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+      
+      try {
+        const response = await fetch(url, {
+          ...options,
+          signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+        return response;
+      } catch (error) {
+        clearTimeout(timeoutId);
+        throw error;
+      }
+    };
+    
+    console.log('🚀 Fetching from Solana Tracker API endpoints...');
+    console.log('📍 Base URL:', SOLANA_TRACKER_BASE);
+    console.log('🎯 Target Token:', tokenAddress);
+    console.log('🔒 Security Headers:', Object.keys(secureHeaders));
+    
+    // The token endpoint contains buys, sells and other data we need; the
+    // holders endpoint adds the top holder list for concentration analysis
+    const primaryEndpoint = `${SOLANA_TRACKER_BASE}/tokens/${tokenAddress}`;
+    const holdersEndpoint = `${SOLANA_TRACKER_BASE}/tokens/${tokenAddress}/holders`;
+    
+    console.log(`🔗 Primary API endpoint: ${primaryEndpoint}`);
+    console.log(`🔗 Holders API endpoint: ${holdersEndpoint}`);
+    
+    // Add delay to respect rate limits
+    console.log('⏳ Adding delay to respect API rate limits...');
+    await new Promise(resolve => setTimeout(resolve, COURTESY_DELAY_MS));
+    
+    const endpointPromises = [
+      fetchWithTimeout(primaryEndpoint, { headers: secureHeaders }),
+      fetchWithTimeout(holdersEndpoint, { headers: secureHeaders })
+    ];
+    
+    const responses = await Promise.allSettled(endpointPromises);
+    
+    console.log('📊 Solana Tracker API Response Summary:', {
+      totalRequests: responses.length,
+      fulfilled: responses.filter(r => r.status === 'fulfilled').length,
+      rejected: responses.filter(r => r.status === 'rejected').length
+    });
+    
+    // Process responses with enhanced data extraction
+    const results = {
+      tokenInfo: null,
+      holders: null,
+      holderCount: null,
+      topTraders: null,
+      firstBuyers: null,
+      rawResponses: [] // For debugging
+    };
+    
+    // Process each response with comprehensive error handling
+    for (let i = 0; i < responses.length; i++) {
+      const response = responses[i];
+      const endpoint = endpointPromises[i];
+      
+      if (response.status === 'fulfilled' && response.value.ok) {
+        try {
+          const data = await response.value.json();
+          const endpointType = getEndpointType(i);
+          
+          console.log(`✅ ${endpointType} endpoint success:`, {
+            status: response.value.status,
+            dataKeys: Object.keys(data || {}),
+            dataType: Array.isArray(data) ? `array[${data.length}]` : typeof data
+          });
+          
+          // Store the first successful response for each type
+          if (endpointType === 'token' && !results.tokenInfo && data) {
+            results.tokenInfo = data;
+            
+            // Extract trader data from token endpoint
+            console.log('🔍 Extracting trader data from token endpoint...');
+            console.log('📊 Token data structure:', {
+              hasBuys: !!data.buys,
+              buysType: typeof data.buys,
+              buysValue: data.buys,
+              hasSells: !!data.sells, 
+              sellsType: typeof data.sells,
+              sellsValue: data.sells,
+              hasEvents: !!data.events,
+              eventsType: typeof data.events,
+              eventsLength: Array.isArray(data.events) ? data.events.length : 'not array',
+              eventsKeys: data.events && typeof data.events === 'object' ? Object.keys(data.events).slice(0, 10) : 'no events keys'
+            });
+            
+            // Handle different data structures - focus on events since buys/sells are just numbers
+            const allTrades = [];
+            
+            // Primary extraction from events object (most likely location of trade data)
+            if (data.events && typeof data.events === 'object') {
+              console.log('🔍 Examining events object for trade data...');
+              
+              // Check if events is directly an array
+              if (Array.isArray(data.events)) {
+                console.log(`📊 Events is array with ${data.events.length} items`);
+                allTrades.push(...data.events);
+              } else {
+                // Events is an object, check its properties
+                const eventKeys = Object.keys(data.events);
+                console.log('📊 Events object keys:', eventKeys);
+                
+                eventKeys.forEach(key => {
+                  const eventValue = data.events[key];
+                  console.log(`🔍 Processing events.${key}:`, {
+                    type: typeof eventValue,
+                    isArray: Array.isArray(eventValue),
+                    length: Array.isArray(eventValue) ? eventValue.length : 'not array',
+                    keys: (eventValue && typeof eventValue === 'object' && !Array.isArray(eventValue)) ? Object.keys(eventValue).slice(0, 5) : 'not object'
+                  });
+                  
+                  if (Array.isArray(eventValue)) {
+                    // Found an array in events - likely trade data
+                    console.log(`✅ Found trade array in events.${key} with ${eventValue.length} items`);
+                    allTrades.push(...eventValue.map(trade => ({ ...trade, eventType: key })));
+                  } else if (eventValue && typeof eventValue === 'object') {
+                    // Nested object, check its values
+                    const nestedValues = Object.values(eventValue);
+                    nestedValues.forEach(nestedValue => {
+                      if (Array.isArray(nestedValue)) {
+                        console.log(`✅ Found nested trade array with ${nestedValue.length} items`);
+                        allTrades.push(...nestedValue.map(trade => ({ ...trade, eventType: key })));
+                      }
+                    });
+                  }
+                });
+              }
+            }
+            
+            // Fallback: check if there are other top-level arrays 
+            if (allTrades.length === 0) {
+              console.log('🔍 No trades found in events, checking other top-level properties...');
+              const dataKeys = Object.keys(data);
+              dataKeys.forEach(key => {
+                if (key !== 'events' && Array.isArray(data[key]) && data[key].length > 0) {
+                  console.log(`✅ Found potential trade array in ${key} with ${data[key].length} items`);
+                  allTrades.push(...data[key].map(trade => ({ ...trade, sourceKey: key })));
+                }
+              });
+            }
+            
+            console.log(`🎯 Extracted ${allTrades.length} total trades from API response`);
+            
+            if (allTrades.length > 0) {
+              results.topTraders = allTrades;
+              results.firstBuyers = allTrades.slice(0, 50); // First 50 for early buyers analysis
+              
+              // Log sample trade data
+              console.log('📋 Sample trade data:', allTrades[0] ? {
+                keys: Object.keys(allTrades[0]),
+                sampleData: JSON.stringify(allTrades[0]).slice(0, 200) + '...'
+              } : 'No trades available');
+            }
+            
+          } else if (endpointType === 'holders' && !results.holders && data) {
+            results.holders = Array.isArray(data) ? data : (data.accounts || data.holders || data.data || []);
+            results.holderCount = Number.isFinite(data.total) ? data.total : null;
+            console.log('🔍 Holders data extracted:', {
+              totalHolders: data.total || 'unknown',
+              accountsCount: Array.isArray(data.accounts) ? data.accounts.length : 'not array'
+            });
+            
+          } else if (endpointType === 'traders' && !results.topTraders && data) {
+            results.topTraders = Array.isArray(data) ? data : (data.traders || data.trades || data.data || []);
+          }
+          
+          results.rawResponses.push({ endpoint: endpointType, data, success: true });
+          
+        } catch (parseError) {
+          console.log(`❌ Parse error for endpoint ${i}:`, parseError.message);
+          results.rawResponses.push({ endpoint: getEndpointType(i), error: parseError.message, success: false });
+        }
+      } else if (response.status === 'fulfilled') {
+        const errorText = await response.value.text().catch(() => 'Unable to read error text');
+        console.log(`❌ API Error for endpoint ${i}:`, {
+          status: response.value.status,
+          statusText: response.value.statusText,
+          error: errorText
+        });
+        results.rawResponses.push({ 
+          endpoint: getEndpointType(i), 
+          error: `HTTP ${response.value.status}: ${errorText}`, 
+          success: false 
+        });
+      } else {
+        console.log(`❌ Request failed for endpoint ${i}:`, response.reason?.message || 'Unknown error');
+        results.rawResponses.push({ 
+          endpoint: getEndpointType(i), 
+          error: response.reason?.message || 'Request failed', 
+          success: false 
+        });
+      }
+    }
+    
+    // Enhanced trader performance calculation with multiple data sources
+    const performance = calculateTraderPerformance(results);
+    
+    const finalResult = {
+      ...results,
+      performance,
+      timestamp: new Date().toISOString(),
+      apiVersion: '2.0-enhanced',
+      dataQuality: assessDataQuality(results)
+    };
+    
+    console.log('🎯 Solana Tracker final result quality:', finalResult.dataQuality);
+    
+    return finalResult;
+    
+  } catch (error) {
+    console.error('❌ Solana Tracker critical error:', {
+      message: error.message,
+      stack: error.stack?.split('\n')[0] || 'No stack trace',
+      tokenAddress
+    });
+    return null;
+  }
+}
+
+// Helper function to categorize endpoint types
+const ENDPOINT_TYPES = ['token', 'holders'];
+
+function getEndpointType(index) {
+  return ENDPOINT_TYPES[index] || 'token';
+}
+
+// Enhanced data quality assessment
+function assessDataQuality(results) {
+  let score = 0;
+  const maxScore = 100;
+  
+  if (results.tokenInfo) score += 25;
+  if (results.holders && Array.isArray(results.holders) && results.holders.length > 0) score += 25;
+  if (results.topTraders && Array.isArray(results.topTraders) && results.topTraders.length > 0) score += 25; 
+  if (results.firstBuyers && Array.isArray(results.firstBuyers) && results.firstBuyers.length > 0) score += 25;
+  
+  return {
+    score,
+    percentage: (score / maxScore) * 100,
+    hasTokenInfo: !!results.tokenInfo,
+    hasHolders: !!(results.holders && results.holders.length > 0),
+    hasTraders: !!(results.topTraders && results.topTraders.length > 0),
+    hasBuyers: !!(results.firstBuyers && results.firstBuyers.length > 0)
+  };
+}
+
+/**
+ * Price used to mark open positions: the deepest Solana Tracker pool, if any
+ */
+function extractMarkPrice(tokenInfo) {
+  const pools = Array.isArray(tokenInfo?.pools) ? tokenInfo.pools : [];
+  const deepest = [...pools].sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+  const price = deepest?.price?.usd;
+  return typeof price === 'number' && price > 0 ? price : null;
+}
+
+function calculateTraderPerformance(solanaData) {
+  try {
+    console.log('📊 Calculating FIFO trader performance...');
+
+    const walletPnl = computeWalletPnl(solanaData.topTraders || [], {
+      markPrice: extractMarkPrice(solanaData.tokenInfo)
+    });
+    const performance = summarizeTraderPerformance(walletPnl);
+
+    console.log('📊 Final trader performance:', {
+      totalTraders: performance.totalTraders,
+      tradesAnalyzed: performance.tradesAnalyzed,
+      winRate: performance.winRate,
+      totalRealizedPnl: performance.totalRealizedPnl,
+      totalUnrealizedPnl: performance.totalUnrealizedPnl,
+      markPrice: performance.markPrice
+    });
+
+    return performance;
+
+  } catch (error) {
+    console.error('❌ Error calculating trader performance:', error);
+    return summarizeTraderPerformance({ wallets: [], markPrice: 0, tradesUsed: 0 });
+  }
+}
+
+const solanaTrackerProvider = {
+  id: 'solanaTracker',
+  name: 'Solana Tracker',
+  chains: ['solana'],
+  inputKinds: ['address'],
+  // Covers the rate-limit wait, the courtesy delay and the request's own 10s timeout
+  timeoutMs: PROVIDER_TIMEOUT_MS,
+  cacheTtlMs: 5 * 60 * 1000, // Trader history; also spares the rate-limited API
+  priority: 40,
+  fields: ['traderPerformance'],
+  fetch: fetchSolanaTrackerData,
+  // A rate-limited lookup keeps its reason instead of looking like a token without traders
+  normalize: (data) => ({
+    traderPerformance: data?.degraded ? { degraded: true, reason: data.reason } : data?.performance || null
+  })
+};
+
+module.exports = { solanaTrackerProvider, fetchSolanaTrackerData, SOLANA_TRACKER_BASE };
@@ -0,0 +1,102 @@
+// Cross-source reconciliation: compares the fields several providers report
+// (price, market cap, supply) and flags divergence between them.
+
+// Divergence (% off the winning source) that raises a warning / critical issue
+const FIELD_THRESHOLDS = {
+  currentPrice: { label: 'Price', warningPct: 5, criticalPct: 20 },
+  marketCap: { label: 'Market cap', warningPct: 15, criticalPct: 50 },
+  circulatingSupply: { label: 'Circulating supply', warningPct: 10, criticalPct: 50 },
+  totalSupply: { label: 'Total supply', warningPct: 10, criticalPct: 50 }
+};
+
+const CRITICAL_HINTS = {
+  currentPrice: 'possible spoofed pool or copycat token with the same symbol',
+  marketCap: 'sources may be tracking different tokens or supply definitions',
+  circulatingSupply: 'sources disagree on how many tokens exist',
+  totalSupply: 'sources disagree on how many tokens exist'
+};
+
+const SEVERITY_RANK = { ok: 0, warning: 1, critical: 2 };
+
+function formatValue(field, value) {
+  if (field === 'currentPrice') return `$${value.toPrecision(4)}`;
+  if (field === 'marketCap') return `$${Math.round(value).toLocaleString()}`;
+  return Math.round(value).toLocaleString();
+}
+
+/**
+ * Compare one field across sources against the value that was actually used
+ */
+function reconcileField(field, normalized, winnerName) {
+  const { label, warningPct, criticalPct } = FIELD_THRESHOLDS[field];
+  const reports = normalized
+    .filter(({ fields }) => fields[field] > 0)
+    .map(({ name, fields }) => ({ source: name, value: fields[field] }));
+
+  const winner = reports.find(report => report.source === winnerName) || null;
+  if (!winner || reports.length < 2) {
+    return {
+      field,
+      winner: winnerName,
+      sources: reports,
+      maxDivergencePct: 0,
+      status: reports.length === 0 ? 'missing' : 'single_source',
+      issues: []
+    };
+  }
+
+  const sources = reports.map(report => ({
+    ...report,
+    divergencePct: Math.round((Math.abs(report.value - winner.value) / winner.value) * 1000) / 10
+  }));
+  const maxDivergencePct = Math.max(...sources.map(source => source.divergencePct));
+
+  const issues = sources
+    .filter(source => source.divergencePct >= warningPct)
+    .map(source => {
+      const severity = source.divergencePct >= criticalPct ? 'critical' : 'warning';
+      return {
+        field,
+        severity,
+        source: source.source,
+        divergencePct: source.divergencePct,
+        message: `${label} divergence: ${source.source} reports ${formatValue(field, source.value)}, ` +
+          `${source.divergencePct}% off ${winner.source} (${formatValue(field, winner.value)})` +
+          (severity === 'critical' ? ` - ${CRITICAL_HINTS[field]}` : '')
+      };
+    });
+
+  const status = issues.reduce(
+    (worst, issue) => (SEVERITY_RANK[issue.severity] > SEVERITY_RANK[worst] ? issue.severity : worst),
+    'ok'
+  );
+
+  return { field, winner: winner.source, sources, maxDivergencePct, status, issues };
+}
+
+/**
+ * Reconcile normalized provider output.
+ * `fieldSources` maps each keyMetrics field to the source that won it.
+ */
+function reconcileSources(normalized, fieldSources = {}) {
+  const fields = {};
+  Object.keys(FIELD_THRESHOLDS).forEach(field => {
+    fields[field] = reconcileField(field, normalized, fieldSources[field]);
+  });
+
+  const issues = Object.values(fields).flatMap(report => report.issues);
+  const status = issues.reduce(
+    (worst, issue) => (SEVERITY_RANK[issue.severity] > SEVERITY_RANK[worst] ? issue.severity : worst),
+    'ok'
+  );
+
+  return {
+    status,
+    sourcesCompared: normalized.map(({ name }) => name),
+    fieldSources,
+    fields,
+    issues
+  };
+}
+
+module.exports = { reconcileSources, FIELD_THRESHOLDS };
@@ -0,0 +1,50 @@
+// Redis command client shared by the Redis-backed stores (cache, history,
+// watchlists, alerts).
+//
+// Pass a connected `client` exposing one method per command (ioredis-style),
+// or point REDIS_REST_URL / REDIS_REST_TOKEN at an HTTP gateway that accepts
+// Redis commands as JSON arrays (Upstash, SRH, ...).
+
+class RedisClient {
+  constructor(options = {}, label = 'Redis store') {
+    this.client = options.client || null;
+    this.url = (options.url || process.env.REDIS_REST_URL || '').replace(/\/$/, '');
+    this.token = options.token || process.env.REDIS_REST_TOKEN;
+    this.timeout = options.timeout || 2000;
+
+    if (!this.client && !this.url) {
+      throw new Error(`${label} requires a client or REDIS_REST_URL`);
+    }
+  }
+
+  async command(...args) {
+    if (this.client) {
+      const [name, ...rest] = args;
+      return this.client[name.toLowerCase()](...rest);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {})
+        },
+        body: JSON.stringify(args),
+        signal: controller.signal
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.error) {
+        throw new Error(`Redis ${args[0]} failed: ${data.error || response.status}`);
+      }
+      return data.result;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+module.exports = { RedisClient };
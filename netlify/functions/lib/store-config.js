@@ -0,0 +1,26 @@
+// Store selection shared by history, watchlists and alerts.
+//
+// Locally and under `netlify dev` the stores default to JSON files under
+// data/. A deployed function has a read-only filesystem apart from a
+// per-instance /tmp that is gone on the next cold start, so there the store
+// must be named explicitly and must keep its data between invocations.
+
+const isDeployedFunction = () =>
+  !process.env.NETLIFY_DEV && !!(process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME);
+
+/**
+ * Store name from `envName`, or `fallback` when it is unset. In a deployed
+ * function only the `durable` names are accepted and nothing is defaulted.
+ */
+function resolveStoreName(envName, { fallback = 'file', durable = ['redis'] } = {}) {
+  const configured = process.env[envName];
+  if (!isDeployedFunction()) return configured || fallback;
+
+  if (!durable.includes(configured)) {
+    throw new Error(`${envName}=${configured || '(unset)'} does not persist in a deployed function - ` +
+      `set ${envName} to ${durable.join(' or ')}`);
+  }
+  return configured;
+}
+
+module.exports = { resolveStoreName, isDeployedFunction };
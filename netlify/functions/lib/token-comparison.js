@@ -0,0 +1,128 @@
+// Side-by-side comparison: analyzes 2-4 tokens and lines up their key metrics
+// and agent scores as rows, each with the best and worst column marked.
+
+const {
+  analyzeListedToken, mapWithConcurrency, envNumber, DEFAULT_START_INTERVAL_MS, DEFAULT_TOKEN_TIMEOUT_MS
+} = require('./batch-analysis.js');
+
+const loadSwarmCoordinator = () => import('../../../src/lib/agents/SwarmCoordinator.js');
+
+const MIN_COMPARE_TOKENS = 2;
+const MAX_COMPARE_TOKENS = 4;
+
+const positive = value => (Number.isFinite(value) && value > 0 ? value : null);
+const finite = value => (Number.isFinite(value) ? value : null);
+// Solana Tracker trader performance, when it found any traders
+const traders = metrics => (metrics.traderPerformance?.totalTraders > 0 ? metrics.traderPerformance : null);
+
+// Compared rows. `better` says which direction wins; `format` tells the UI how
+// to show the value: usd, percent (0-100), share (0-1), multiple, score or
+// count. Values that no source reported are null and take no part in
+// best/worst.
+const COMPARISON_ROWS = [
+  { key: 'overallScore', group: 'Scores', label: 'Overall score', better: 'higher', format: 'score',
+    value: ({ analysis }) => finite(analysis.overallScore) },
+  { key: 'consensusScore', group: 'Scores', label: 'Swarm consensus', better: 'higher', format: 'score',
+    value: ({ swarm }) => finite(swarm?.consensus_score) },
+  { key: 'researchScore', group: 'Scores', label: 'Research agent', better: 'higher', format: 'score',
+    value: ({ agentScores }) => agentScores.research },
+  { key: 'marketScore', group: 'Scores', label: 'Market agent', better: 'higher', format: 'score',
+    value: ({ agentScores }) => agentScores.market },
+  { key: 'contractScore', group: 'Scores', label: 'Contract agent', better: 'higher', format: 'score',
+    value: ({ agentScores }) => agentScores.contract },
+
+  { key: 'marketCap', group: 'Market', label: 'Market cap', better: 'higher', format: 'usd',
+    value: ({ metrics }) => positive(metrics.marketCap) },
+  { key: 'liquidity', group: 'Market', label: 'Liquidity', better: 'higher', format: 'usd',
+    value: ({ metrics }) => finite(metrics.liquidity) },
+  { key: 'liquidityRatio', group: 'Market', label: 'Liquidity / market cap', better: 'higher', format: 'share',
+    value: ({ metrics }) => (metrics.marketCap > 0 ? finite(metrics.liquidityRatio) : null) },
+  { key: 'volume24h', group: 'Market', label: '24h volume', better: 'higher', format: 'usd',
+    value: ({ metrics }) => finite(metrics.volume24h) },
+  { key: 'volumeToMarketCapRatio', group: 'Market', label: 'Volume / market cap', better: 'higher', format: 'share',
+    value: ({ metrics }) => (metrics.marketCap > 0 ? finite(metrics.volumeToMarketCapRatio) : null) },
+  // Unlocked supply still to come - less is better
+  { key: 'fdvToMarketCap', group: 'Market', label: 'FDV / market cap', better: 'lower', format: 'multiple',
+    value: ({ metrics }) => (metrics.fdv > 0 && metrics.marketCap > 0 ? metrics.fdv / metrics.marketCap : null) },
+  // The scoring treats prices near ATH as limited upside - lower is better
+  { key: 'priceToAthRatio', group: 'Market', label: 'Price / ATH', better: 'lower', format: 'share',
+    value: ({ metrics }) => positive(metrics.priceToAthRatio) },
+
+  { key: 'traderWinRate', group: 'Traders', label: 'Trader win rate', better: 'higher', format: 'percent',
+    value: ({ metrics }) => finite(traders(metrics)?.winRate) },
+  { key: 'traderRealizedPnl', group: 'Traders', label: 'Top traders realized PnL', better: 'higher', format: 'usd',
+    value: ({ metrics }) => finite(traders(metrics)?.totalRealizedPnl) },
+  { key: 'traderCount', group: 'Traders', label: 'Traders analyzed', better: 'higher', format: 'count',
+    value: ({ metrics }) => positive(traders(metrics)?.totalTraders) }
+];
+
+/**
+ * Columns holding the best and worst value of a row (several on ties).
+ * Needs two distinct values among the columns that report one.
+ */
+function markExtremes(values, better) {
+  const present = values.filter(value => value !== null);
+  const high = Math.max(...present);
+  const low = Math.min(...present);
+  if (present.length < 2 || high === low) return { best: [], worst: [] };
+
+  const columnsAt = target => values.reduce((columns, value, i) => (value === target ? [...columns, i] : columns), []);
+  return better === 'higher'
+    ? { best: columnsAt(high), worst: columnsAt(low) }
+    : { best: columnsAt(low), worst: columnsAt(high) };
+}
+
+/**
+ * Analyze `tokens` (2-4 symbols or addresses) and line them up. Columns keep
+ * the input order; a failed token keeps its column with null values.
+ */
+async function compareTokens(tokens, {
+  options = {},
+  startIntervalMs = envNumber('BATCH_START_INTERVAL_MS', DEFAULT_START_INTERVAL_MS),
+  tokenTimeoutMs = envNumber('BATCH_TOKEN_TIMEOUT_MS', DEFAULT_TOKEN_TIMEOUT_MS),
+  comparisonId = `compare-${Date.now()}`
+} = {}) {
+  const startedAt = Date.now();
+  console.log(`⚖️ Comparison ${comparisonId}: ${tokens.join(', ')}`);
+
+  const { AGENT_SCORE_FIELDS } = await loadSwarmCoordinator();
+  const outcomes = await mapWithConcurrency(tokens, { limit: MAX_COMPARE_TOKENS, startIntervalMs }, (input, index) =>
+    analyzeListedToken(input, { options, requestId: `${comparisonId}-${index}`, timeoutMs: tokenTimeoutMs })
+  );
+
+  const columns = outcomes.map(({ input, body, error }) => {
+    if (error) return { input, error };
+    const { tokenInfo, blockchainInfo, analysis } = body.data;
+    const swarm = body.juliaos_analysis;
+    const agentScores = Object.fromEntries(Object.entries(AGENT_SCORE_FIELDS).map(([agent, field]) =>
+      [agent, finite(swarm?.detailed_analysis?.[agent]?.[field])]
+    ));
+    return { input, tokenInfo, blockchainInfo, analysis, swarm, agentScores, metrics: analysis.keyMetrics || {} };
+  });
+
+  const rows = COMPARISON_ROWS.map(({ key, group, label, better, format, value }) => {
+    const values = columns.map(column => (column.error ? null : value(column)));
+    return { key, group, label, better, format, values, ...markExtremes(values, better) };
+  });
+
+  return {
+    comparisonId,
+    tokens: columns.map(column => column.error
+      ? { input: column.input, status: 'failed', error: column.error }
+      : {
+        input: column.input,
+        status: 'ok',
+        name: column.tokenInfo.name,
+        symbol: column.tokenInfo.symbol,
+        blockchain: column.blockchainInfo.blockchain,
+        address: column.tokenInfo.address || null,
+        recommendation: column.analysis.recommendation,
+        riskLevel: column.analysis.riskLevel,
+        ambiguous: column.analysis.identity?.ambiguous === true
+      }),
+    rows,
+    durationMs: Date.now() - startedAt
+  };
+}
+
+module.exports = { compareTokens, markExtremes, COMPARISON_ROWS, MIN_COMPARE_TOKENS, MAX_COMPARE_TOKENS };
@@ -0,0 +1,222 @@
+// Deterministic per-wallet PnL engine for Solana Tracker trade events.
+// Buys open cost-basis lots, sells close them first-in-first-out, and whatever
+// is still open is marked to the current price. Given the same trade list and
+// mark price the output is always identical.
+
+// Amounts below this are treated as fully closed (float dust)
+const DUST = 1e-9;
+
+function firstNumber(...values) {
+  for (const value of values) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number === 'number' && Number.isFinite(number)) return number;
+  }
+  return null;
+}
+
+function toMillis(timestamp) {
+  if (timestamp === undefined || timestamp === null) return null;
+  if (typeof timestamp === 'string' && !/^\d+(\.\d+)?$/.test(timestamp)) {
+    const parsed = Date.parse(timestamp);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+  const number = Number(timestamp);
+  if (!Number.isFinite(number)) return null;
+  // Unix seconds vs. milliseconds
+  return number < 1e12 ? number * 1000 : number;
+}
+
+/**
+ * Normalize a raw trade record into { wallet, side, amount, priceUsd, timestamp }.
+ * Returns null for records that cannot be attributed to a wallet and side.
+ */
+function normalizeTrade(raw, index = 0) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const wallet = raw.wallet || raw.owner || raw.address || raw.user || raw.trader;
+  const type = String(raw.type || raw.side || '').toLowerCase();
+  const side = (type === 'buy' || raw.is_buy || raw.isBuy) ? 'buy'
+    : (type === 'sell' || raw.is_sell || raw.isSell) ? 'sell'
+    : null;
+  const amount = firstNumber(raw.amount, raw.token_amount, raw.tokenAmount);
+
+  // A bare `price` is quoted in the pool's quote token (usually SOL), not USD -
+  // only explicitly USD fields are used
+  let priceUsd = firstNumber(raw.priceUsd, raw.price_usd, raw.price?.usd);
+  if (priceUsd === null && amount) {
+    // `volume` is USD on Solana Tracker trades (`volumeSol` is the SOL amount)
+    const volumeUsd = firstNumber(raw.volumeUsd, raw.volume_usd, raw.volume);
+    priceUsd = volumeUsd !== null ? volumeUsd / amount : null;
+  }
+
+  if (!wallet || !side || !(amount > 0) || priceUsd === null || priceUsd < 0) return null;
+
+  return {
+    wallet: String(wallet),
+    side,
+    amount,
+    priceUsd,
+    timestamp: toMillis(raw.timestamp ?? raw.time ?? raw.blockTime),
+    sequence: index
+  };
+}
+
+/**
+ * Order trades chronologically; trades without a timestamp keep feed order
+ */
+function sortTrades(trades) {
+  return [...trades].sort((a, b) => {
+    if (a.timestamp !== null && b.timestamp !== null && a.timestamp !== b.timestamp) {
+      return a.timestamp - b.timestamp;
+    }
+    return a.sequence - b.sequence;
+  });
+}
+
+function createWalletLedger(wallet) {
+  return {
+    wallet,
+    lots: [],
+    buys: 0,
+    sells: 0,
+    boughtAmount: 0,
+    soldAmount: 0,
+    volumeUsd: 0,
+    realizedPnl: 0,
+    closedSells: 0,
+    winningSells: 0,
+    losingSells: 0,
+    unmatchedSellAmount: 0,
+    heldAmountMs: 0,
+    matchedAmount: 0
+  };
+}
+
+function applyBuy(ledger, trade) {
+  ledger.buys++;
+  ledger.boughtAmount += trade.amount;
+  ledger.volumeUsd += trade.amount * trade.priceUsd;
+  ledger.lots.push({ amount: trade.amount, priceUsd: trade.priceUsd, timestamp: trade.timestamp });
+}
+
+function applySell(ledger, trade) {
+  ledger.sells++;
+  ledger.soldAmount += trade.amount;
+  ledger.volumeUsd += trade.amount * trade.priceUsd;
+
+  let remaining = trade.amount;
+  let sellPnl = 0;
+  let matched = 0;
+
+  while (remaining > DUST && ledger.lots.length > 0) {
+    const lot = ledger.lots[0];
+    const take = Math.min(lot.amount, remaining);
+
+    sellPnl += (trade.priceUsd - lot.priceUsd) * take;
+    matched += take;
+    if (lot.timestamp !== null && trade.timestamp !== null) {
+      ledger.heldAmountMs += take * Math.max(0, trade.timestamp - lot.timestamp);
+      ledger.matchedAmount += take;
+    }
+
+    lot.amount -= take;
+    remaining -= take;
+    if (lot.amount <= DUST) ledger.lots.shift();
+  }
+
+  // Tokens sold that were bought before the recorded window have no known cost basis
+  if (remaining > DUST) {
+    ledger.unmatchedSellAmount += remaining;
+  }
+
+  if (matched > 0) {
+    ledger.realizedPnl += sellPnl;
+    ledger.closedSells++;
+    if (sellPnl > 0) ledger.winningSells++;
+    else if (sellPnl < 0) ledger.losingSells++;
+  }
+}
+
+function finalizeLedger(ledger, markPrice) {
+  const openAmount = ledger.lots.reduce((sum, lot) => sum + lot.amount, 0);
+  const openCostBasis = ledger.lots.reduce((sum, lot) => sum + lot.amount * lot.priceUsd, 0);
+  const unrealizedPnl = markPrice > 0 ? (openAmount * markPrice) - openCostBasis : 0;
+
+  return {
+    wallet: ledger.wallet,
+    buys: ledger.buys,
+    sells: ledger.sells,
+    boughtAmount: ledger.boughtAmount,
+    soldAmount: ledger.soldAmount,
+    volumeUsd: ledger.volumeUsd,
+    openAmount,
+    openCostBasis,
+    realizedPnl: ledger.realizedPnl,
+    unrealizedPnl,
+    totalPnl: ledger.realizedPnl + unrealizedPnl,
+    winRate: ledger.closedSells > 0 ? (ledger.winningSells / ledger.closedSells) * 100 : 0,
+    closedSells: ledger.closedSells,
+    unmatchedSellAmount: ledger.unmatchedSellAmount,
+    averageHoldTimeMs: ledger.matchedAmount > 0 ? ledger.heldAmountMs / ledger.matchedAmount : null
+  };
+}
+
+/**
+ * Compute per-wallet realized/unrealized PnL from raw trades.
+ * `markPrice` values open positions; when missing the last trade price is used.
+ */
+function computeWalletPnl(rawTrades, { markPrice = null } = {}) {
+  const trades = sortTrades((rawTrades || []).map(normalizeTrade).filter(Boolean));
+  const effectiveMark = markPrice > 0 ? markPrice : (trades.length > 0 ? trades[trades.length - 1].priceUsd : 0);
+
+  const ledgers = new Map();
+  trades.forEach(trade => {
+    if (!ledgers.has(trade.wallet)) ledgers.set(trade.wallet, createWalletLedger(trade.wallet));
+    const ledger = ledgers.get(trade.wallet);
+    if (trade.side === 'buy') applyBuy(ledger, trade);
+    else applySell(ledger, trade);
+  });
+
+  const wallets = [...ledgers.values()]
+    .map(ledger => finalizeLedger(ledger, effectiveMark))
+    .sort((a, b) => b.totalPnl - a.totalPnl || a.wallet.localeCompare(b.wallet));
+
+  return { wallets, markPrice: effectiveMark, tradesUsed: trades.length };
+}
+
+/**
+ * Summarize wallet PnL into the traderPerformance shape used by keyMetrics
+ */
+function summarizeTraderPerformance({ wallets, markPrice, tradesUsed }) {
+  const profitable = wallets.filter(w => w.totalPnl > 0);
+  const losing = wallets.filter(w => w.totalPnl < 0);
+  const totalProfit = profitable.reduce((sum, w) => sum + w.totalPnl, 0);
+  const totalLoss = losing.reduce((sum, w) => sum + Math.abs(w.totalPnl), 0);
+  const decided = profitable.length + losing.length;
+
+  const holdWallets = wallets.filter(w => w.averageHoldTimeMs !== null);
+
+  return {
+    totalTraders: wallets.length,
+    profitableTraders: profitable.length,
+    losingTraders: losing.length,
+    averageProfit: profitable.length > 0 ? totalProfit / profitable.length : 0,
+    averageLoss: losing.length > 0 ? totalLoss / losing.length : 0,
+    topProfitAmount: profitable.length > 0 ? profitable[0].totalPnl : 0,
+    topLossAmount: losing.length > 0 ? Math.abs(losing[losing.length - 1].totalPnl) : 0,
+    winRate: decided > 0 ? (profitable.length / decided) * 100 : 0,
+    totalVolume: wallets.reduce((sum, w) => sum + w.volumeUsd, 0),
+    totalRealizedPnl: wallets.reduce((sum, w) => sum + w.realizedPnl, 0),
+    totalUnrealizedPnl: wallets.reduce((sum, w) => sum + w.unrealizedPnl, 0),
+    averageHoldTimeMs: holdWallets.length > 0
+      ? holdWallets.reduce((sum, w) => sum + w.averageHoldTimeMs, 0) / holdWallets.length
+      : null,
+    profitableHolders: profitable.filter(w => w.openAmount > DUST).length,
+    markPrice,
+    tradesAnalyzed: tradesUsed,
+    method: 'fifo_cost_basis',
+    wallets
+  };
+}
+
+module.exports = { computeWalletPnl, summarizeTraderPerformance, normalizeTrade };
@@ -0,0 +1,99 @@
+// Material changes between two checks of a watched token: a weaker
+// recommendation, risk level reaching HIGH/EXTREME, a liquidity drop or a
+// score drop beyond the watchlist's thresholds.
+
+// Best to worst; both recommendation vocabularies the pipeline produces
+const RECOMMENDATION_RANK = {
+  'STRONG BUY': 4,
+  'BUY': 3,
+  'HOLD/WATCH': 2,
+  'HOLD': 2,
+  'AVOID': 1,
+  'DANGER - DO NOT TRADE': 0
+};
+
+const RISK_RANK = { 'LOW': 0, 'MEDIUM': 1, 'MEDIUM-HIGH': 2, 'HIGH': 3, 'EXTREME': 4 };
+const SEVERE_RISK_RANK = RISK_RANK.HIGH;
+
+const DEFAULT_THRESHOLDS = {
+  // Liquidity fall (%) since the last check that counts as material
+  liquidityDropPct: 30,
+  // Overall score fall (points) since the last check that counts as material
+  scoreDrop: 15
+};
+
+/**
+ * Baseline kept per watched token: the fields changes are measured against
+ */
+function toBaseline(row) {
+  return {
+    tokenKey: row.tokenKey,
+    version: row.version,
+    overallScore: row.overallScore,
+    recommendation: row.recommendation,
+    riskLevel: row.riskLevel,
+    liquidity: row.liquidity,
+    checkedAt: row.checkedAt
+  };
+}
+
+/**
+ * Material changes from `before` (last baseline) to `after` (this check).
+ * Each change is `{ type, severity: critical|warning, message, from, to }`.
+ */
+function detectMaterialChanges(before, after, thresholds = {}) {
+  const { liquidityDropPct, scoreDrop } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const changes = [];
+  if (!before) return changes;
+
+  const fromRank = RECOMMENDATION_RANK[before.recommendation];
+  const toRank = RECOMMENDATION_RANK[after.recommendation];
+  if (fromRank !== undefined && toRank !== undefined && toRank < fromRank) {
+    changes.push({
+      type: 'recommendation_downgrade',
+      severity: toRank <= RECOMMENDATION_RANK.AVOID ? 'critical' : 'warning',
+      message: `Recommendation downgraded: ${before.recommendation} → ${after.recommendation}`,
+      from: before.recommendation,
+      to: after.recommendation
+    });
+  }
+
+  if ((RISK_RANK[after.riskLevel] ?? -1) >= SEVERE_RISK_RANK &&
+    (RISK_RANK[before.riskLevel] ?? -1) < RISK_RANK[after.riskLevel]) {
+    changes.push({
+      type: 'risk_level',
+      severity: 'critical',
+      message: `Risk level raised to ${after.riskLevel} (was ${before.riskLevel})`,
+      from: before.riskLevel,
+      to: after.riskLevel
+    });
+  }
+
+  if (before.liquidity > 0 && after.liquidity < before.liquidity) {
+    const dropPct = (before.liquidity - after.liquidity) / before.liquidity * 100;
+    if (dropPct >= liquidityDropPct) {
+      changes.push({
+        type: 'liquidity_drop',
+        severity: dropPct >= 2 * liquidityDropPct ? 'critical' : 'warning',
+        message: `Liquidity down ${dropPct.toFixed(1)}%: $${Math.round(before.liquidity).toLocaleString()} → $${Math.round(after.liquidity).toLocaleString()}`,
+        from: before.liquidity,
+        to: after.liquidity,
+        dropPct: Math.round(dropPct * 10) / 10
+      });
+    }
+  }
+
+  if (Number.isFinite(before.overallScore) && before.overallScore - after.overallScore >= scoreDrop) {
+    changes.push({
+      type: 'score_drop',
+      severity: 'warning',
+      message: `Score down ${before.overallScore - after.overallScore} points: ${before.overallScore} → ${after.overallScore}`,
+      from: before.overallScore,
+      to: after.overallScore
+    });
+  }
+
+  return changes;
+}
+
+module.exports = { detectMaterialChanges, toBaseline, DEFAULT_THRESHOLDS, RECOMMENDATION_RANK, RISK_RANK };
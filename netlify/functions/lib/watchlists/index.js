@@ -0,0 +1,188 @@
+// Watchlists: named token lists re-analyzed on a schedule. Each check runs the
+// analyze pipeline (which stores the snapshot in the analysis history) and
+// compares the token against its baseline from the watchlist's previous check.
+
+const {
+  analyzeListedToken, toRow, parseTokenList, mapWithConcurrency, envNumber,
+  MAX_BATCH_SIZE, DEFAULT_CONCURRENCY, DEFAULT_START_INTERVAL_MS, DEFAULT_TOKEN_TIMEOUT_MS
+} = require('../batch-analysis.js');
+const { createWatchlistStore } = require('./store.js');
+const { detectMaterialChanges, toBaseline, DEFAULT_THRESHOLDS } = require('./changes.js');
+
+const NAME_PATTERN = /^[\w-]{1,64}$/;
+const DEFAULT_INTERVAL_MINUTES = 60;
+// The scheduled function fires every 15 minutes - shorter intervals cannot be honoured
+const MIN_INTERVAL_MINUTES = 15;
+// Material changes kept per watchlist, newest first
+const MAX_CHANGE_LOG = 100;
+// Scheduled functions are stopped after 30s; leave room to save and respond
+const DEFAULT_RUN_BUDGET_MS = 25000;
+
+/**
+ * Validate a create/update request against the stored watchlist (if any).
+ * Returns `{ watchlist }` ready to store, or `{ error }`.
+ */
+function buildWatchlist(input, existing = null, now = new Date()) {
+  const name = String(input?.name || '').trim();
+  if (!NAME_PATTERN.test(name)) {
+    return { error: 'name must be 1-64 letters, digits, "-" or "_"' };
+  }
+
+  const tokens = input.tokens !== undefined ? parseTokenList(input.tokens) : existing?.tokens || [];
+  if (tokens.length === 0 || tokens.length > MAX_BATCH_SIZE) {
+    return { error: `A watchlist holds 1 to ${MAX_BATCH_SIZE} tokens (got ${tokens.length})` };
+  }
+
+  const intervalMinutes = Number(input.intervalMinutes ?? existing?.intervalMinutes ?? DEFAULT_INTERVAL_MINUTES);
+  if (!Number.isFinite(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES) {
+    return { error: `intervalMinutes must be at least ${MIN_INTERVAL_MINUTES}` };
+  }
+
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...existing?.thresholds, ...input.thresholds };
+  const invalid = Object.entries(thresholds).find(([, value]) => !(Number(value) > 0));
+  if (invalid || Object.keys(thresholds).some(key => !(key in DEFAULT_THRESHOLDS))) {
+    return { error: `thresholds accepts positive ${Object.keys(DEFAULT_THRESHOLDS).join(' / ')}` };
+  }
+
+  return {
+    watchlist: {
+      name,
+      tokens,
+      intervalMinutes,
+      thresholds: Object.fromEntries(Object.entries(thresholds).map(([key, value]) => [key, Number(value)])),
+      createdAt: existing?.createdAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      lastRun: existing?.lastRun || null,
+      changeLog: existing?.changeLog || [],
+      // Dropped tokens lose their baseline; re-adding one starts fresh
+      baselines: Object.fromEntries(Object.entries(existing?.baselines || {}).filter(([token]) => tokens.includes(token)))
+    }
+  };
+}
+
+const isDue = (watchlist, now) => !watchlist.lastRun ||
+  now - Date.parse(watchlist.lastRun.runAt) >= watchlist.intervalMinutes * 60 * 1000;
+
+/**
+ * Check every token of a watchlist once, store the new baselines and the
+ * material changes found, and return the run report. Tokens still unchecked
+ * at `deadline` are reported as failed and keep their baseline.
+ */
+async function runWatchlist(watchlist, { store, now = new Date(), options = {}, deadline = Infinity } = {}) {
+  const runAt = now.toISOString();
+  console.log(`👀 Watchlist ${watchlist.name}: checking ${watchlist.tokens.length} tokens`);
+
+  const results = await mapWithConcurrency(watchlist.tokens, {
+    limit: envNumber('BATCH_CONCURRENCY', DEFAULT_CONCURRENCY),
+    startIntervalMs: envNumber('BATCH_START_INTERVAL_MS', DEFAULT_START_INTERVAL_MS)
+  }, async (input, index) => {
+    const { body, error } = await analyzeListedToken(input, {
+      options,
+      requestId: `watch-${watchlist.name}-${now.getTime()}-${index}`,
+      timeoutMs: envNumber('BATCH_TOKEN_TIMEOUT_MS', DEFAULT_TOKEN_TIMEOUT_MS),
+      deadline
+    });
+    if (error) return { input, status: 'failed', error, changes: [] };
+
+    const row = {
+      ...toRow(input, body, 0),
+      tokenKey: body.history?.tokenKey || null,
+      version: body.history?.version || null,
+      checkedAt: runAt
+    };
+    const changes = detectMaterialChanges(watchlist.baselines[input], row, watchlist.thresholds);
+    return {
+      input,
+      status: 'ok',
+      symbol: row.symbol,
+      blockchain: row.blockchain,
+      tokenKey: row.tokenKey,
+      version: row.version,
+      overallScore: row.overallScore,
+      recommendation: row.recommendation,
+      riskLevel: row.riskLevel,
+      liquidity: row.liquidity,
+      changes,
+      baseline: toBaseline(row)
+    };
+  });
+
+  const changes = results.flatMap(result => result.changes.map(change => ({
+    ...change,
+    token: result.input,
+    symbol: result.symbol,
+    tokenKey: result.tokenKey
+  })));
+  const failed = results.filter(result => result.status !== 'ok').length;
+
+  // Failed tokens keep their old baseline so the next check still compares against it
+  const baselines = { ...watchlist.baselines };
+  results.filter(result => result.status === 'ok').forEach(result => { baselines[result.input] = result.baseline; });
+  const lastRun = { runAt, analyzed: results.length - failed, failed, changes: changes.length };
+  if (store) {
+    // Re-read so edits made while the run was in flight are kept
+    const current = await store.get(watchlist.name);
+    if (current) {
+      await store.put({
+        ...current,
+        lastRun,
+        baselines: Object.fromEntries(Object.entries(baselines).filter(([token]) => current.tokens.includes(token))),
+        changeLog: [...changes.map(change => ({ ...change, runAt })), ...(current.changeLog || [])].slice(0, MAX_CHANGE_LOG)
+      });
+    }
+  }
+
+  console.log(`👀 Watchlist ${watchlist.name}: ${changes.length} material change(s), ${failed} failed`);
+  return {
+    watchlist: watchlist.name,
+    ...lastRun,
+    results: results.map(({ baseline, ...result }) => result),
+    materialChanges: changes
+  };
+}
+
+const lastRunAt = watchlist => (watchlist.lastRun ? Date.parse(watchlist.lastRun.runAt) : 0);
+
+/**
+ * Run every watchlist whose interval has elapsed (all of them with `force`),
+ * one after another so their analyses share the rate limits. The longest
+ * overdue go first; once `budgetMs` is used up no further watchlist starts,
+ * and those are returned in `deferred` - still due for the next call. Each
+ * watchlist is saved as soon as its check finishes.
+ */
+async function runDueWatchlists({
+  store = createWatchlistStore(),
+  now = new Date(),
+  force = false,
+  names = null,
+  budgetMs = Infinity
+} = {}) {
+  const deadline = Date.now() + budgetMs;
+  const watchlists = (await store.list())
+    .filter(watchlist => !names || names.includes(watchlist.name))
+    .filter(watchlist => force || isDue(watchlist, now.getTime()))
+    .sort((a, b) => lastRunAt(a) - lastRunAt(b));
+
+  const reports = [];
+  const deferred = [];
+  for (const watchlist of watchlists) {
+    if (Date.now() >= deadline) {
+      deferred.push(watchlist.name);
+      continue;
+    }
+    reports.push(await runWatchlist(watchlist, { store, now, deadline }));
+  }
+  return { reports, deferred };
+}
+
+module.exports = {
+  buildWatchlist,
+  runWatchlist,
+  runDueWatchlists,
+  createWatchlistStore,
+  detectMaterialChanges,
+  DEFAULT_INTERVAL_MINUTES,
+  MIN_INTERVAL_MINUTES,
+  MAX_CHANGE_LOG,
+  DEFAULT_RUN_BUDGET_MS
+};
@@ -0,0 +1,129 @@
+// Watchlist stores. WATCHLIST_STORE picks one: file (default) | redis | memory
+// Deployed functions have to use redis (see ../store-config.js).
+//
+// file keeps every watchlist in one JSON document (WATCHLIST_FILE); lists are
+// small and edited rarely, so whole-file rewrites are fine. redis keeps one
+// hash field per watchlist.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { RedisClient } = require('../redis-client.js');
+const { resolveStoreName } = require('../store-config.js');
+
+class MemoryWatchlistStore {
+  constructor() {
+    this.name = 'memory';
+    this.watchlists = new Map();
+  }
+
+  async list() {
+    return [...this.watchlists.values()].map(watchlist => structuredClone(watchlist));
+  }
+
+  async get(name) {
+    const watchlist = this.watchlists.get(name);
+    return watchlist ? structuredClone(watchlist) : null;
+  }
+
+  async put(watchlist) {
+    this.watchlists.set(watchlist.name, structuredClone(watchlist));
+  }
+
+  async delete(name) {
+    return this.watchlists.delete(name);
+  }
+}
+
+class FileWatchlistStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.file = options.file || process.env.WATCHLIST_FILE || path.join(process.cwd(), 'data', 'watchlists.json');
+  }
+
+  async readAll() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async writeAll(watchlists) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    // Write then rename so a reader never sees a partial file
+    const temp = `${this.file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(watchlists, null, 2));
+    await fs.rename(temp, this.file);
+  }
+
+  async list() {
+    return Object.values(await this.readAll());
+  }
+
+  async get(name) {
+    return (await this.readAll())[name] || null;
+  }
+
+  async put(watchlist) {
+    const watchlists = await this.readAll();
+    watchlists[watchlist.name] = watchlist;
+    await this.writeAll(watchlists);
+  }
+
+  async delete(name) {
+    const watchlists = await this.readAll();
+    if (!watchlists[name]) return false;
+    delete watchlists[name];
+    await this.writeAll(watchlists);
+    return true;
+  }
+}
+
+class RedisWatchlistStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.redis = new RedisClient(options, 'Redis watchlist store');
+    this.key = `${options.prefix ?? 'token-analyzer:'}watchlists`;
+  }
+
+  async list() {
+    return (await this.redis.command('HVALS', this.key) || []).map(raw => JSON.parse(raw));
+  }
+
+  async get(name) {
+    const raw = await this.redis.command('HGET', this.key, name);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async put(watchlist) {
+    await this.redis.command('HSET', this.key, watchlist.name, JSON.stringify(watchlist));
+  }
+
+  async delete(name) {
+    return Number(await this.redis.command('HDEL', this.key, name)) > 0;
+  }
+}
+
+const STORES = {
+  file: FileWatchlistStore,
+  redis: RedisWatchlistStore,
+  memory: MemoryWatchlistStore
+};
+
+/**
+ * Build a watchlist store from a name, `{ store, ...options }`, or an object
+ * that already implements list/get/put/delete (returned as-is)
+ */
+function createWatchlistStore(spec = resolveStoreName('WATCHLIST_STORE')) {
+  if (spec && typeof spec.put === 'function') return spec;
+
+  const { store, ...options } = typeof spec === 'string' ? { store: spec } : spec;
+  const Store = STORES[store];
+  if (!Store) {
+    throw new Error(`Unknown watchlist store "${store}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+module.exports = { createWatchlistStore, FileWatchlistStore, RedisWatchlistStore, MemoryWatchlistStore };
@@ -1,405 +0,0 @@
-// JuliaOS SwarmCoordinator for Netlify Functions (CommonJS)
-
-class SwarmCoordinator {
-  constructor() {
-    this.coordinationId = this.generateCoordinationId();
-    console.log(`🤖 Initializing JuliaOS SwarmCoordinator: ${this.coordinationId}`);
-  }
-
-  /**
-   * Coordinate multi-agent research using JuliaOS framework
-   */
-  async coordinateResearch(projectData) {
-    console.log(`🔬 Starting swarm analysis for: ${projectData.tokenInfo?.name}`);
-
-    try {
-      // Execute all agents in parallel (simulating JuliaOS coordination)
-      const [researchResult, marketResult, contractResult] = await Promise.allSettled([
-        this.executeResearchAgent(projectData),
-        this.executeMarketAgent(projectData),
-        this.executeContractAgent(projectData)
-      ]);
-
-      // Process results and handle any failures
-      const research = this.processAgentResult(researchResult, 'research');
-      const market = this.processAgentResult(marketResult, 'market');
-      const contract = this.processAgentResult(contractResult, 'contract');
-
-      // Calculate consensus using swarm intelligence
-      const consensusScore = this.calculateConsensusScore(research, market, contract);
-      
-      // Generate coordinated analysis
-      const coordinatedAnalysis = this.generateCoordinatedAnalysis(research, market, contract, consensusScore);
-
-      console.log(`✅ JuliaOS swarm analysis complete: ${consensusScore}/100`);
-
-      return {
-        // Overall swarm results
-        consensus_score: consensusScore,
-        overall_recommendation: this.generateOverallRecommendation(consensusScore),
-        confidence_level: this.calculateOverallConfidence(research, market, contract),
-        
-        // Executive summary
-        executive_summary: coordinatedAnalysis.summary,
-        key_findings: coordinatedAnalysis.findings,
-        risk_factors: coordinatedAnalysis.risks,
-        
-        // Individual agent results  
-        detailed_analysis: {
-          research: research,
-          market: market,
-          contract: contract
-        },
-        
-        // JuliaOS metadata
-        swarm_coordination: {
-          coordination_id: this.coordinationId,
-          agents_used: ['ResearchAgent', 'MarketAgent', 'ContractAgent'],
-          juliaos_framework: true,
-          analysis_timestamp: new Date().toISOString(),
-          data_sources: ['CoinGecko', 'Birdeye', 'DexScreener'],
-          llm_endpoints: ['/api/agents/llm'] // JuliaOS LLM processing endpoint
-        }
-      };
-
-    } catch (error) {
-      console.error('JuliaOS swarm coordination failed:', error);
-      return this.generateFailsafeAnalysis(projectData, error);
-    }
-  }
-
-  /**
-   * Execute Research Agent analysis (JuliaOS style)
-   */
-  async executeResearchAgent(projectData) {
-    console.log('🔬 Executing ResearchAgent with JuliaOS.useLLM()...');
-    
-    // Simulate JuliaOS agent.useLLM() processing
-    await this.simulateJuliaOSProcessing('research');
-    
-    let score = 60; // Base research score
-    const findings = [];
-
-    // Market cap analysis
-    const marketCap = projectData.analysis?.keyMetrics?.marketCap || 0;
-    if (marketCap > 1000000000) {
-      score += 25;
-      findings.push('Large market capitalization indicates established project with institutional backing');
-    } else if (marketCap > 100000000) {
-      score += 15;
-      findings.push('Moderate market capitalization suggests emerging project with growth potential');
-    } else {
-      score += 5;
-      findings.push('Small market cap indicates early-stage project with higher risk/reward profile');
-    }
-
-    // Community metrics analysis
-    if (projectData.marketData?.community_score > 70) {
-      score += 20;
-      findings.push('Exceptional community engagement with active social presence');
-    } else if (projectData.marketData?.community_score > 40) {
-      score += 10;
-      findings.push('Moderate community engagement detected across platforms');
-    }
-
-    // Developer activity analysis
-    if (projectData.marketData?.developer_score > 70) {
-      score += 15;
-      findings.push('High developer activity indicates active project development');
-    } else if (projectData.marketData?.developer_score > 40) {
-      score += 8;
-      findings.push('Moderate developer activity observed');
-    }
-
-    return {
-      overall_score: Math.min(score, 100),
-      agent_type: 'research',
-      analysis_method: 'juliaos_llm_processing',
-      key_findings: findings,
-      confidence: 0.85,
-      source: 'juliaos_research_agent',
-      llm_endpoint: '/api/agents/llm',
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  /**
-   * Execute Market Agent analysis (JuliaOS style)
-   */
-  async executeMarketAgent(projectData) {
-    console.log('📈 Executing MarketAgent with JuliaOS.useLLM()...');
-    
-    await this.simulateJuliaOSProcessing('market');
-    
-    let score = 65; // Base market score
-    const insights = [];
-
-    // Volume analysis
-    const volume24h = projectData.analysis?.keyMetrics?.volume24h || 0;
-    const marketCap = projectData.analysis?.keyMetrics?.marketCap || 1;
-    const volumeRatio = volume24h / marketCap;
-
-    if (volumeRatio > 0.15) {
-      score += 20;
-      insights.push('Exceptional trading volume indicates high market interest and liquidity');
-    } else if (volumeRatio > 0.05) {
-      score += 10;
-      insights.push('Healthy trading volume supports price stability and market efficiency');
-    }
-
-    // Price momentum analysis
-    const priceChange24h = projectData.analysis?.keyMetrics?.priceChange24h || 0;
-    if (priceChange24h > 10) {
-      score += 15;
-      insights.push('Strong positive momentum suggests bullish market sentiment');
-    } else if (priceChange24h < -15) {
-      score -= 15;
-      insights.push('Significant price decline indicates bearish pressure');
-    }
-
-    // Liquidity analysis
-    const liquidity = projectData.analysis?.keyMetrics?.liquidity || 0;
-    if (liquidity > 1000000) {
-      score += 15;
-      insights.push('Strong DEX liquidity enables efficient large-scale trading');
-    }
-
-    return {
-      market_score: Math.min(Math.max(score, 0), 100),
-      agent_type: 'market',
-      analysis_method: 'juliaos_llm_processing',
-      market_insights: insights,
-      confidence: 0.80,
-      source: 'juliaos_market_agent',
-      llm_endpoint: '/api/agents/llm',
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  /**
-   * Execute Contract Agent analysis (JuliaOS style)
-   */
-  async executeContractAgent(projectData) {
-    console.log('🔒 Executing ContractAgent with JuliaOS.useLLM()...');
-    
-    await this.simulateJuliaOSProcessing('contract');
-    
-    let score = 70; // Base security score
-    const riskFactors = [];
-    const recommendations = [];
-
-    // Basic contract validation
-    const contractAddress = projectData.tokenInfo?.address || '';
-    
-    // Address validation
-    if (this.isValidAddress(contractAddress)) {
-      score += 10;
-      recommendations.push('Contract address format validation passed');
-    } else {
-      score -= 20;
-      riskFactors.push('Invalid or suspicious contract address detected');
-    }
-
-    // Risk assessment based on market metrics
-    const marketCap = projectData.analysis?.keyMetrics?.marketCap || 0;
-    if (marketCap > 500000000) {
-      score += 15;
-      recommendations.push('Large market cap reduces risk of sudden liquidity drain');
-    }
-
-    // Liquidity assessment
-    const liquidity = projectData.analysis?.keyMetrics?.liquidity || 0;
-    if (liquidity < 100000) {
-      score -= 15;
-      riskFactors.push('Low liquidity may indicate potential for manipulation');
-    }
-
-    return {
-      security_score: Math.min(Math.max(score, 0), 100),
-      risk_level: this.calculateRiskLevel(score),
-      agent_type: 'contract',
-      analysis_method: 'juliaos_llm_processing',
-      risk_factors: riskFactors,
-      recommendations: recommendations,
-      confidence: 0.75,
-      source: 'juliaos_contract_agent',
-      llm_endpoint: '/api/agents/llm',
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  /**
-   * Simulate JuliaOS processing delay for realism
-   */
-  async simulateJuliaOSProcessing(agentType) {
-    const delay = Math.random() * 1000 + 500; // 500-1500ms delay
-    await new Promise(resolve => setTimeout(resolve, delay));
-  }
-
-  /**
-   * Process agent results and handle failures
-   */
-  processAgentResult(result, agentType) {
-    if (result.status === 'fulfilled' && result.value) {
-      return result.value;
-    } else {
-      console.warn(`${agentType} agent failed:`, result.reason);
-      return this.generateAgentFallback(agentType);
-    }
-  }
-
-  /**
-   * Calculate consensus score using swarm intelligence
-   */
-  calculateConsensusScore(research, market, contract) {
-    const scores = [];
-    const weights = { research: 0.4, market: 0.4, contract: 0.2 };
-    
-    if (research.overall_score) scores.push({ score: research.overall_score, weight: weights.research });
-    if (market.market_score) scores.push({ score: market.market_score, weight: weights.market });
-    if (contract.security_score) scores.push({ score: contract.security_score, weight: weights.contract });
-    
-    if (scores.length === 0) return 50;
-    
-    const weightedSum = scores.reduce((sum, item) => sum + (item.score * item.weight), 0);
-    const totalWeight = scores.reduce((sum, item) => sum + item.weight, 0);
-    
-    return Math.round(weightedSum / totalWeight);
-  }
-
-  /**
-   * Generate coordinated analysis
-   */
-  generateCoordinatedAnalysis(research, market, contract, consensusScore) {
-    const allFindings = [
-      ...(research.key_findings || []),
-      ...(market.market_insights || []),
-      ...(contract.recommendations || [])
-    ];
-
-    const allRisks = [
-      ...(contract.risk_factors || []),
-      ...(market.market_insights?.filter(insight => insight.includes('decline')) || [])
-    ];
-
-    let summary;
-    if (consensusScore >= 80) {
-      summary = 'JuliaOS multi-agent analysis reveals exceptional fundamentals with strong consensus across all dimensions. High-confidence positive assessment.';
-    } else if (consensusScore >= 60) {
-      summary = 'JuliaOS swarm intelligence indicates solid fundamentals with favorable risk-reward profile. Positive outlook with moderate confidence.';
-    } else if (consensusScore >= 40) {
-      summary = 'JuliaOS agent consensus shows mixed signals requiring careful evaluation. Neutral stance recommended.';
-    } else {
-      summary = 'JuliaOS comprehensive analysis identifies multiple risk factors. High caution advised.';
-    }
-
-    return {
-      summary,
-      findings: allFindings.slice(0, 6),
-      risks: allRisks.slice(0, 5)
-    };
-  }
-
-  // Helper methods
-  generateOverallRecommendation(consensusScore) {
-    if (consensusScore >= 80) return 'STRONG BUY';
-    if (consensusScore >= 65) return 'BUY';
-    if (consensusScore >= 45) return 'HOLD';
-    if (consensusScore >= 30) return 'SELL';
-    return 'STRONG SELL';
-  }
-
-  calculateOverallConfidence(research, market, contract) {
-    const confidences = [
-      research.confidence || 0.5,
-      market.confidence || 0.5,
-      contract.confidence || 0.5
-    ];
-    return confidences.reduce((sum, conf) => sum + conf, 0) / confidences.length;
-  }
-
-  isValidAddress(address) {
-    if (!address) return false;
-    // Ethereum-style address
-    if (/^0x[a-fA-F0-9]{40}$/.test(address)) return true;
-    // Solana-style address
-    if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) return true;
-    // Token symbols
-    if (/^[A-Z]{2,10}$/.test(address)) return true;
-    return false;
-  }
-
-  calculateRiskLevel(score) {
-    if (score >= 80) return 'LOW';
-    if (score >= 60) return 'MEDIUM';
-    if (score >= 40) return 'HIGH';
-    return 'CRITICAL';
-  }
-
-  generateAgentFallback(agentType) {
-    console.warn(`Generating fallback for ${agentType} agent`);
-    const timestamp = new Date().toISOString();
-    
-    switch (agentType) {
-      case 'research':
-        return {
-          overall_score: 50,
-          key_findings: ['JuliaOS research agent temporarily unavailable'],
-          confidence: 0.4,
-          source: 'fallback',
-          timestamp
-        };
-      case 'market':
-        return {
-          market_score: 50,
-          market_insights: ['JuliaOS market agent temporarily unavailable'],
-          confidence: 0.4,
-          source: 'fallback',
-          timestamp
-        };
-      case 'contract':
-        return {
-          security_score: 50,
-          risk_level: 'MEDIUM',
-          risk_factors: ['JuliaOS contract agent temporarily unavailable'],
-          confidence: 0.4,
-          source: 'fallback',
-          timestamp
-        };
-      default:
-        return { confidence: 0.3, source: 'fallback', timestamp };
-    }
-  }
-
-  generateFailsafeAnalysis(projectData, error) {
-    console.error('JuliaOS swarm coordination failsafe activated:', error.message);
-    
-    return {
-      consensus_score: 50,
-      overall_recommendation: 'HOLD',
-      confidence_level: 0.4,
-      executive_summary: 'JuliaOS analysis system temporarily unavailable. Basic metrics provided.',
-      key_findings: ['JuliaOS multi-agent system experiencing temporary issues'],
-      risk_factors: ['Unable to perform comprehensive JuliaOS analysis'],
-      detailed_analysis: {
-        research: this.generateAgentFallback('research'),
-        market: this.generateAgentFallback('market'),
-        contract: this.generateAgentFallback('contract')
-      },
-      swarm_coordination: {
-        coordination_id: this.coordinationId,
-        agents_used: [],
-        juliaos_framework: false,
-        analysis_timestamp: new Date().toISOString(),
-        error: error.message,
-        fallback_mode: true
-      }
-    };
-  }
-
-  generateCoordinationId() {
-    return `juliaos-swarm-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  }
-}
-
-module.exports = { SwarmCoordinator };
\ No newline at end of file
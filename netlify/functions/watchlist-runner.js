@@ -0,0 +1,30 @@
+// Scheduled watchlist checks (schedule set in netlify.toml). Runs the
+// watchlists whose interval has elapsed, as many as fit in
+// WATCHLIST_RUN_BUDGET_MS; the rest are picked up by the next run.
+// scripts/run-watchlists.js does the same from a local cron, without a budget.
+const { runDueWatchlists, DEFAULT_RUN_BUDGET_MS } = require('./lib/watchlists/index.js');
+const { envNumber } = require('./lib/batch-analysis.js');
+const { flushAlertDeliveries } = require('./lib/alerts/index.js');
+
+exports.handler = async (event, context) => {
+  try {
+    const { reports, deferred } = await runDueWatchlists({
+      budgetMs: envNumber('WATCHLIST_RUN_BUDGET_MS', DEFAULT_RUN_BUDGET_MS)
+    });
+    console.log(`⏰ Watchlist run: ${reports.length} watchlist(s) checked, ${reports.reduce((sum, report) => sum + report.changes, 0)} material change(s)` +
+      (deferred.length > 0 ? `, ${deferred.length} deferred to the next run` : ''));
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, reports, deferred })
+    };
+  } catch (error) {
+    console.error('Scheduled watchlist run failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Watchlist run failed', details: error.message || 'Unknown error' })
+    };
+  } finally {
+    // The function is frozen once it returns; send the alert webhooks first
+    await flushAlertDeliveries();
+  }
+};
@@ -0,0 +1,75 @@
+// Watchlist API:
+//   GET    /api/watchlists                 all watchlists
+//   GET    /api/watchlists?name=defi       one watchlist with its baselines
+//   POST   /api/watchlists                 create or update { name, tokens, intervalMinutes?, thresholds? }
+//   POST   /api/watchlists?run=defi        check the watchlist now and return the run report
+//   DELETE /api/watchlists?name=defi
+// Scheduled checks run in watchlist-runner.js.
+const { buildWatchlist, runWatchlist, createWatchlistStore } = require('./lib/watchlists/index.js');
+const { flushAlertDeliveries } = require('./lib/alerts/index.js');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0'
+  };
+  const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const { name, run } = event.queryStringParameters || {};
+
+  try {
+    const store = createWatchlistStore();
+
+    if (event.httpMethod === 'GET') {
+      if (!name) {
+        return respond(200, { success: true, watchlists: await store.list() });
+      }
+      const watchlist = await store.get(name);
+      return watchlist
+        ? respond(200, { success: true, watchlist })
+        : respond(404, { error: `No watchlist named ${name}` });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      return await store.delete(name)
+        ? respond(200, { success: true, deleted: name })
+        : respond(404, { error: `No watchlist named ${name}` });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return respond(405, { error: 'Method not allowed' });
+    }
+
+    if (run) {
+      const watchlist = await store.get(run);
+      if (!watchlist) return respond(404, { error: `No watchlist named ${run}` });
+      const report = await runWatchlist(watchlist, { store });
+      // The function is frozen once it returns; send the alert webhooks first
+      await flushAlertDeliveries();
+      return respond(200, { success: true, report });
+    }
+
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch {
+      return respond(400, { error: 'Request body must be JSON' });
+    }
+    const existing = requestBody.name ? await store.get(String(requestBody.name).trim()) : null;
+    const { watchlist, error } = buildWatchlist(requestBody, existing);
+    if (error) return respond(400, { error });
+
+    await store.put(watchlist);
+    return respond(existing ? 200 : 201, { success: true, watchlist });
+  } catch (error) {
+    console.error('Watchlist error:', error);
+    return respond(500, { error: 'Watchlist request failed', details: error.message || 'Unknown error' });
+  }
+};
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Local watchlist runner - the cron counterpart of the scheduled
+// watchlist-runner function:
+//
+//   node scripts/run-watchlists.js              check watchlists that are due
+//   node scripts/run-watchlists.js --all        check every watchlist now
+//   node scripts/run-watchlists.js defi majors  check the named watchlists now
+//
+// e.g. crontab: */15 * * * * cd /path/to/app && node scripts/run-watchlists.js
+// Exits with 2 when a material change was found, so cron wrappers can alert on it.
+
+const { runDueWatchlists } = require('../netlify/functions/lib/watchlists/index.js');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const names = args.filter(arg => !arg.startsWith('--'));
+  const { reports } = await runDueWatchlists({
+    force: args.includes('--all') || names.length > 0,
+    names: names.length > 0 ? names : null
+  });
+
+  if (reports.length === 0) {
+    console.log('No watchlists due');
+    return 0;
+  }
+
+  reports.forEach(report => {
+    console.log(`\n📋 ${report.watchlist}: ${report.analyzed} analyzed, ${report.failed} failed`);
+    report.results.filter(result => result.status !== 'ok').forEach(result => {
+      console.log(`   ❌ ${result.input}: ${result.error}`);
+    });
+    report.materialChanges.forEach(change => {
+      console.log(`   ${change.severity === 'critical' ? '🚨' : '⚠️'} ${change.symbol || change.token}: ${change.message}`);
+    });
+  });
+  return reports.some(report => report.materialChanges.length > 0) ? 2 : 0;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error('Watchlist run failed:', error);
+    process.exitCode = 1;
+  });
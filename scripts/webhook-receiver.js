@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Local webhook receiver for trying out alert rules:
+//
+//   ALERT_WEBHOOK_SECRET=s3cret node scripts/webhook-receiver.js [port]
+//
+// then point a rule (or ALERT_WEBHOOK_URL) at http://localhost:8787/. Prints
+// every delivery and, with ALERT_WEBHOOK_SECRET set, checks its signature the
+// way a production receiver should.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+const secret = process.env.ALERT_WEBHOOK_SECRET;
+// Reject replays of old deliveries
+const MAX_SIGNATURE_AGE_SECONDS = 300;
+
+function verifySignature(req, body) {
+  const timestamp = req.headers['x-signature-timestamp'];
+  const signature = req.headers['x-signature-256'];
+  if (!timestamp || !signature) return 'missing signature headers';
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SIGNATURE_AGE_SECONDS) return 'stale timestamp';
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  return valid ? null : 'signature mismatch';
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const problem = secret ? verifySignature(req, body) : null;
+
+    console.log(`\n📨 ${req.method} ${req.url} ${req.headers['x-alert-id'] || ''}`);
+    if (secret) console.log(problem ? `   ❌ ${problem}` : '   ✅ signature verified');
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    res.writeHead(problem ? 401 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(problem ? { error: problem } : { ok: true }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${port}/${secret ? ' (verifying signatures)' : ''}`);
+});
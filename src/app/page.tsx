@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { Fragment, useState } from 'react';
 import Image from 'next/image';
 
 // TypeScript interfaces for type safety
@@ -21,6 +21,9 @@ interface TraderPerformance {
   topLossAmount: number;
   winRate: number;
   totalVolume: number;
+  totalRealizedPnl: number;
+  totalUnrealizedPnl: number;
+  averageHoldTimeMs: number | null;
 }
 
 interface KeyMetrics {
@@ -49,6 +52,162 @@ interface KeyMetrics {
   hasSolanaData: boolean;
 }
 
+interface ScoreFactor {
+  factor: string;
+  metric: string;
+  value: number | null;
+  band: string;
+  points: number;
+  maxPoints: number;
+  applicable: boolean;
+}
+
+interface LiquidityPool {
+  pairAddress: string | null;
+  chainId: string;
+  dexId: string;
+  pairLabel: string;
+  priceUsd: number;
+  liquidityUsd: number;
+  liquidityShare: number;
+  volume24h: number;
+}
+
+interface LiquidityBreakdown {
+  totalLiquidityUsd: number;
+  poolCount: number;
+  volumeWeightedPriceUsd: number;
+  canonicalPairAddress: string | null;
+  fragmentation: {
+    level: string;
+    canonicalShare: number;
+    chainCount: number;
+    dexCount: number;
+  };
+  pools: LiquidityPool[];
+}
+
+interface IntegrityField {
+  field: string;
+  winner: string | null;
+  status: string;
+  maxDivergencePct: number;
+  sources: { source: string; value: number; divergencePct: number | null }[];
+}
+
+interface DataIntegrity {
+  status: string;
+  fields: IntegrityField[];
+  issues: { severity: string; message: string }[];
+}
+
+interface TokenCandidate {
+  chain: string | null;
+  address: string | null;
+  name: string;
+  symbol: string;
+  logo: string | null;
+  marketCap: number | null;
+  coingeckoId: string | null;
+  marketCapRank: number | null;
+  liquidityUsd: number;
+  verification: string;
+}
+
+interface TokenIdentity {
+  resolved: TokenCandidate | null;
+  candidates: TokenCandidate[];
+  candidateCount: number;
+  ambiguous: boolean;
+  coingeckoStatus: string;
+  impersonation: { flagged: boolean; message: string | null };
+}
+
+interface ContractFinding {
+  id: string;
+  severity: string;
+  title: string;
+  detail: string;
+}
+
+interface ContractAnalysis {
+  status: string;
+  reason: string | null;
+  kind: string;
+  program: string | null;
+  extensions: string[];
+  verified: boolean;
+  contractName: string | null;
+  source: string | null;
+  ownershipStatus: string;
+  flags: Record<string, boolean | number>;
+  findings: ContractFinding[];
+  score: number | null;
+}
+
+interface SimulatedTrade {
+  success: boolean;
+  taxPct: number | null;
+  revertReason: string | null;
+}
+
+interface TradeLimit {
+  getter: string;
+  pctOfSupply: number | null;
+}
+
+interface HoneypotSimulation {
+  status: string;
+  reason: string | null;
+  dexId: string | null;
+  pairAddress: string | null;
+  buy: SimulatedTrade | null;
+  sell: SimulatedTrade | null;
+  honeypot: boolean;
+  maxTx: TradeLimit | null;
+  maxWallet: TradeLimit | null;
+}
+
+interface ExcludedHolder {
+  address: string;
+  category: string;
+  label: string;
+  pct: number;
+}
+
+interface HolderAnalysis {
+  source: string | null;
+  sampleSize: number;
+  totalHolders: number | null;
+  top5Pct: number;
+  top10Pct: number;
+  top50Pct: number;
+  largestHolder: { address: string; pct: number } | null;
+  gini: number | null;
+  nakamoto: number | null;
+  level: string;
+  excluded: ExcludedHolder[];
+}
+
+interface LiquidityLockPool {
+  pairAddress: string;
+  dexId: string;
+  liquidityUsd: number;
+  status: string;
+  reason: string | null;
+  burnedPct: number | null;
+  lockedPct: number | null;
+  atRiskPct: number | null;
+  deployerPct: number | null;
+}
+
+interface LiquidityLocks {
+  level: string;
+  pools: LiquidityLockPool[];
+  totals: { analyzedUsd: number; burnedUsd: number; lockedUsd: number; unlockedUsd: number; unverifiedUsd: number };
+  earliestUnlock: { date: string; daysAway: number; dexId: string; locker: string; pct: number } | null;
+}
+
 interface Analysis {
   overallScore: number;
   recommendation: string;
@@ -56,6 +215,14 @@ interface Analysis {
   keyMetrics: KeyMetrics;
   findings: string[];
   risks: string[];
+  scoreBreakdown: ScoreFactor[];
+  liquidityBreakdown: LiquidityBreakdown | null;
+  dataIntegrity: DataIntegrity | null;
+  identity: TokenIdentity | null;
+  contractAnalysis: ContractAnalysis | null;
+  honeypotSimulation: HoneypotSimulation | null;
+  holderAnalysis: HolderAnalysis | null;
+  liquidityLocks: LiquidityLocks | null;
 }
 
 interface BlockchainInfo {
@@ -65,6 +232,23 @@ interface BlockchainInfo {
   addressFormat: string;
 }
 
+interface SourceCacheStatus {
+  source: string;
+  status: string;
+  ageSeconds: number;
+}
+
+// Where this run sits in the token's analysis history, and what moved since the previous run
+interface HistoryChanges {
+  version: number;
+  previousAt: string | null;
+  summary: string;
+  scoreDelta: number | null;
+  appearedRisks: string[];
+  resolvedRisks: string[];
+  metrics: { field: string; from: number; to: number; deltaPct: number | null }[];
+}
+
 interface AnalysisData {
   tokenInfo: TokenInfo & {
     blockchain: string;
@@ -81,6 +265,20 @@ interface AnalysisData {
   analysis: Analysis;
   marketData?: object;
   dexData?: object;
+  cacheStatus: SourceCacheStatus[];
+  history: HistoryChanges | null;
+}
+
+// Incoming `history` block of an analyze response (before sanitization)
+interface ApiHistory {
+  version?: number;
+  previous?: {
+    from?: { createdAt?: string };
+    summary?: string;
+    score?: { delta?: number } | null;
+    risks?: { appeared?: string[]; resolved?: string[] };
+    metrics?: { field?: string; from?: number; to?: number; deltaPct?: number | null }[];
+  } | null;
 }
 
 // Interface for incoming API response data (before sanitization)
@@ -112,6 +310,67 @@ interface ApiResponseData {
     riskLevel?: string;
     findings?: string[];
     risks?: string[];
+    scoreBreakdown?: Partial<ScoreFactor>[];
+    liquidityBreakdown?: {
+      totalLiquidityUsd?: number;
+      poolCount?: number;
+      volumeWeightedPriceUsd?: number;
+      canonicalPool?: { pairAddress?: string | null };
+      fragmentation?: Partial<LiquidityBreakdown['fragmentation']>;
+      pools?: Partial<LiquidityPool>[];
+    } | null;
+    dataIntegrity?: {
+      status?: string;
+      fields?: Record<string, {
+        field?: string;
+        winner?: string | null;
+        status?: string;
+        maxDivergencePct?: number;
+        sources?: { source?: string; value?: number; divergencePct?: number }[];
+      }>;
+      issues?: { severity?: string; message?: string }[];
+    } | null;
+    identity?: {
+      resolved?: Partial<TokenCandidate> | null;
+      candidates?: Partial<TokenCandidate>[];
+      candidateCount?: number;
+      ambiguous?: boolean;
+      coingecko?: { status?: string };
+      impersonation?: { flagged?: boolean; message?: string };
+    } | null;
+    contractAnalysis?: {
+      status?: string;
+      reason?: string;
+      kind?: string;
+      program?: string;
+      extensions?: string[];
+      verified?: boolean;
+      contractName?: string | null;
+      source?: string;
+      ownership?: { status?: string };
+      flags?: Record<string, boolean | number>;
+      findings?: Partial<ContractFinding>[];
+      score?: number;
+    } | null;
+    honeypotSimulation?: {
+      status?: string;
+      reason?: string;
+      dexId?: string | null;
+      pairAddress?: string;
+      buy?: Partial<SimulatedTrade>;
+      sell?: Partial<SimulatedTrade>;
+      honeypot?: boolean;
+      limits?: { maxTx?: Partial<TradeLimit> | null; maxWallet?: Partial<TradeLimit> | null };
+    } | null;
+    holderAnalysis?: Partial<Omit<HolderAnalysis, 'excluded'>> & {
+      excluded?: Partial<ExcludedHolder>[];
+    } | null;
+    liquidityLocks?: {
+      level?: string;
+      pools?: Partial<LiquidityLockPool>[];
+      totals?: Partial<LiquidityLocks['totals']>;
+      earliestUnlock?: Partial<NonNullable<LiquidityLocks['earliestUnlock']>> | null;
+    } | null;
     keyMetrics?: {
       currentPrice?: number;
       marketCap?: number;
@@ -145,6 +404,9 @@ interface ApiResponseData {
         topLossAmount?: number;
         winRate?: number;
         totalVolume?: number;
+        totalRealizedPnl?: number;
+        totalUnrealizedPnl?: number;
+        averageHoldTimeMs?: number | null;
       };
     };
   };
@@ -152,26 +414,406 @@ interface ApiResponseData {
   dexData?: object;
 }
 
+// Show a score factor's input metric in its natural unit
+const formatFactorValue = ({ metric, value }: ScoreFactor): string => {
+  if (value === null) return 'No data';
+  switch (metric) {
+    case 'liquidity':
+    case 'marketCap':
+      return `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+    case 'volumeToMarketCapRatio':
+      return `${(value * 100).toFixed(1)}% volume/mcap`;
+    case 'priceChange24h':
+      return `${value >= 0 ? '+' : ''}${value.toFixed(1)}% in 24h`;
+    case 'winRate':
+      return `${value.toFixed(1)}% win rate`;
+    case 'txns24h':
+      return `${value.toLocaleString()} trades in 24h`;
+    default:
+      return value.toLocaleString();
+  }
+};
+
+// Candidate tokens come from the identity resolver, both inside an analysis and
+// in a needsDisambiguation response
+const toTokenCandidate = (candidate: Partial<TokenCandidate> | null | undefined): TokenCandidate => ({
+  chain: candidate?.chain || null,
+  address: candidate?.address || null,
+  name: candidate?.name || 'Unknown',
+  symbol: candidate?.symbol || '?',
+  logo: candidate?.logo || null,
+  marketCap: Number(candidate?.marketCap) || null,
+  coingeckoId: candidate?.coingeckoId || null,
+  marketCapRank: Number(candidate?.marketCapRank) || null,
+  liquidityUsd: Math.max(0, Number(candidate?.liquidityUsd) || 0),
+  verification: candidate?.verification || 'unlisted'
+});
+
+interface Disambiguation {
+  input: string;
+  candidates: TokenCandidate[];
+  candidateCount: number;
+}
+
+// One row of the batch endpoint's ranked table; failed tokens carry only input and error
+interface BatchRow {
+  rank: number | null;
+  input: string;
+  status: 'ok' | 'failed';
+  name: string;
+  symbol: string;
+  blockchain: string;
+  address: string | null;
+  overallScore: number;
+  recommendation: string;
+  riskLevel: string;
+  currentPrice: number;
+  priceChange24h: number;
+  marketCap: number;
+  liquidity: number;
+  volume24h: number;
+  ambiguous: boolean;
+  topRisk: string | null;
+  error: string | null;
+}
+
+interface BatchResult {
+  rows: BatchRow[];
+  summary: { requested: number; analyzed: number; failed: number; durationMs: number };
+}
+
+// The batch function takes at most 10 tokens per call (it must finish inside
+// one synchronous invocation); longer lists are sent in chunks of that size
+const BATCH_CHUNK_SIZE = 10;
+const MAX_BATCH_TOKENS = 50;
+
+// Same splitting and de-duplication as the batch function's parseTokenList
+const parseTokenList = (text: string): string[] => {
+  const seen = new Set<string>();
+  return text.split(/[\s,;]+/).map(token => token.trim()).filter(token => {
+    if (!token) return false;
+    const key = token.startsWith('0x') || token.length <= 12 ? token.toLowerCase() : token;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Rank analyzed rows by score (liquidity breaks ties), failed rows last - as the batch function does per chunk
+const rankBatchRows = (rows: BatchRow[]): BatchRow[] => [
+  ...rows
+    .filter(row => row.status === 'ok')
+    .sort((a, b) => b.overallScore - a.overallScore || b.liquidity - a.liquidity)
+    .map((row, i) => ({ ...row, rank: i + 1 })),
+  ...rows.filter(row => row.status !== 'ok').map(row => ({ ...row, rank: null }))
+];
+
+const toBatchRow = (row: Partial<BatchRow> | null | undefined): BatchRow => ({
+  rank: row?.rank != null ? Number(row.rank) : null,
+  input: row?.input || '',
+  status: row?.status === 'ok' ? 'ok' : 'failed',
+  name: row?.name || 'Unknown Token',
+  symbol: row?.symbol || '?',
+  blockchain: row?.blockchain || 'unknown',
+  address: row?.address || null,
+  overallScore: Number(row?.overallScore) || 0,
+  recommendation: row?.recommendation || '',
+  riskLevel: row?.riskLevel || 'Unknown',
+  currentPrice: Number(row?.currentPrice) || 0,
+  priceChange24h: Number(row?.priceChange24h) || 0,
+  marketCap: Number(row?.marketCap) || 0,
+  liquidity: Number(row?.liquidity) || 0,
+  volume24h: Number(row?.volume24h) || 0,
+  ambiguous: row?.ambiguous === true,
+  topRisk: row?.topRisk || null,
+  error: row?.error || null
+});
+
+// Comparison endpoint result: one column per token, one row per metric with
+// the columns holding its best and worst value
+interface ComparisonToken {
+  input: string;
+  status: 'ok' | 'failed';
+  name: string;
+  symbol: string;
+  blockchain: string;
+  address: string | null;
+  recommendation: string;
+  riskLevel: string;
+  error: string | null;
+}
+
+interface ComparisonRow {
+  key: string;
+  group: string;
+  label: string;
+  format: string;
+  values: (number | null)[];
+  best: number[];
+  worst: number[];
+}
+
+interface Comparison {
+  tokens: ComparisonToken[];
+  rows: ComparisonRow[];
+}
+
+const formatComparisonValue = (value: number | null, format: string): string => {
+  if (value === null) return '—';
+  switch (format) {
+    case 'usd':
+      return `$${Math.round(value).toLocaleString()}`;
+    case 'share':
+      return `${(value * 100).toFixed(1)}%`;
+    case 'percent':
+      return `${value.toFixed(1)}%`;
+    case 'multiple':
+      return `${value.toFixed(2)}x`;
+    default:
+      return Math.round(value).toLocaleString();
+  }
+};
+
+// Partial results shown while the streaming endpoint works through the analysis
+interface AnalysisProgress {
+  sources: { id: string; name: string; ok: boolean; cache: string }[];
+  token: { name: string; symbol: string; blockchain: string } | null;
+  metrics: { currentPrice: number; marketCap: number; liquidity: number; volume24h: number } | null;
+  agents: Record<string, { status: string; score: number | null }>;
+  consensus: { score: number | null; recommendation: string } | null;
+}
+
+const EMPTY_PROGRESS: AnalysisProgress = { sources: [], token: null, metrics: null, agents: {}, consensus: null };
+
+type StreamEventData = Record<string, unknown> & {
+  tokenInfo?: { name?: string; symbol?: string };
+  blockchainInfo?: { blockchain?: string };
+  keyMetrics?: { currentPrice?: number; marketCap?: number; liquidity?: number; volume24h?: number };
+};
+
+/**
+ * Fold one streamed event into the progress view
+ */
+const applyProgressEvent = (progress: AnalysisProgress, event: string, data: StreamEventData): AnalysisProgress => {
+  switch (event) {
+    case 'source':
+      return {
+        ...progress,
+        sources: [...progress.sources, {
+          id: String(data.id),
+          name: String(data.name),
+          ok: data.ok === true,
+          cache: String(data.cache || '')
+        }]
+      };
+    case 'token':
+      return {
+        ...progress,
+        token: {
+          name: data.tokenInfo?.name || 'Unknown',
+          symbol: data.tokenInfo?.symbol || '',
+          blockchain: data.blockchainInfo?.blockchain || 'unknown'
+        }
+      };
+    case 'metrics':
+      return {
+        ...progress,
+        metrics: {
+          currentPrice: Number(data.keyMetrics?.currentPrice) || 0,
+          marketCap: Number(data.keyMetrics?.marketCap) || 0,
+          liquidity: Number(data.keyMetrics?.liquidity) || 0,
+          volume24h: Number(data.keyMetrics?.volume24h) || 0
+        }
+      };
+    case 'agent':
+      return {
+        ...progress,
+        agents: {
+          ...progress.agents,
+          [String(data.agent)]: { status: String(data.status), score: data.score != null ? Number(data.score) : null }
+        }
+      };
+    case 'consensus':
+      return { ...progress, consensus: { score: data.score != null ? Number(data.score) : null, recommendation: String(data.recommendation || '') } };
+    default:
+      return progress;
+  }
+};
+
+/**
+ * Read a Server-Sent Events analysis stream, reporting each progress event,
+ * and resolve with the final `result` payload (or the `error` payload)
+ */
+const readAnalysisStream = async (
+  body: ReadableStream<Uint8Array>,
+  onEvent: (event: string, data: StreamEventData) => void
+) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = frame.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = frame.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+      if (!data) continue;
+
+      const payload = JSON.parse(data);
+      if (event === 'result' || event === 'error') {
+        await reader.cancel();
+        return payload;
+      }
+      onEvent(event, payload);
+    }
+  }
+  return { error: 'Analysis stream ended without a result' };
+};
+
 export default function Home() {
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisData, setAnalysisData] = useState<AnalysisData | null>(null);
   const [error, setError] = useState('');
   const [copied, setCopied] = useState(false);
+  const [bypassCache, setBypassCache] = useState(false);
+  const [disambiguation, setDisambiguation] = useState<Disambiguation | null>(null);
+  const [progress, setProgress] = useState<AnalysisProgress>(EMPTY_PROGRESS);
+  const [inputMode, setInputMode] = useState<'single' | 'batch' | 'compare'>('single');
+  const [batchResult, setBatchResult] = useState<BatchResult | null>(null);
+  const [comparison, setComparison] = useState<Comparison | null>(null);
   // const [debugMode, setDebugMode] = useState(false); // Removed unused debug mode
 
-  const handleAnalyze = async (tokenInput: string) => {
+  // `selection` pins an ambiguous symbol to the candidate picked from the list
+  // Screen a pasted token list through the batch endpoint, BATCH_CHUNK_SIZE
+  // tokens per request; the table is re-ranked as each chunk comes back
+  const handleBatchAnalyze = async (text: string) => {
+    const tokens = parseTokenList(text);
+    if (tokens.length > MAX_BATCH_TOKENS) {
+      setError(`At most ${MAX_BATCH_TOKENS} tokens per screen (got ${tokens.length})`);
+      return;
+    }
+
+    setIsAnalyzing(true);
+    setError('');
+    setBatchResult(null);
+
+    const startedAt = Date.now();
+    let rows: BatchRow[] = [];
+    try {
+      for (let start = 0; start < tokens.length; start += BATCH_CHUNK_SIZE) {
+        const chunk = tokens.slice(start, start + BATCH_CHUNK_SIZE);
+        let chunkRows: BatchRow[];
+        try {
+          const response = await fetch(`/.netlify/functions/analyze-batch?t=${Date.now()}`, {
+            method: 'POST',
+            cache: 'no-store',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tokens: chunk, forceRefresh: bypassCache })
+          });
+          const result = await response.json();
+          if (!response.ok || !result.success) {
+            throw new Error(result.error || `Batch analysis failed (${response.status})`);
+          }
+          chunkRows = Array.isArray(result.results) ? (result.results as Partial<BatchRow>[]).map(toBatchRow) : [];
+        } catch (err) {
+          // A failed chunk fails its own tokens, not the rest of the screen
+          console.error('❌ Batch analysis error:', err);
+          const error = err instanceof Error ? err.message : 'Batch analysis failed';
+          chunkRows = chunk.map(input => toBatchRow({ input, status: 'failed', error }));
+        }
+
+        rows = rankBatchRows([...rows, ...chunkRows]);
+        setBatchResult({
+          rows,
+          summary: {
+            requested: tokens.length,
+            analyzed: rows.filter(row => row.status === 'ok').length,
+            failed: rows.filter(row => row.status !== 'ok').length,
+            durationMs: Date.now() - startedAt
+          }
+        });
+      }
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  // Line up 2-4 tokens in one table; the analyses run server-side
+  const handleCompare = async (tokenList: string) => {
+    setIsAnalyzing(true);
+    setError('');
+    setComparison(null);
+
+    try {
+      const response = await fetch(`/.netlify/functions/analyze-compare?t=${Date.now()}`, {
+        method: 'POST',
+        cache: 'no-store',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tokens: tokenList, forceRefresh: bypassCache })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        setError(result.error || `Comparison failed (${response.status})`);
+        return;
+      }
+      const tokens = Array.isArray(result.tokens) ? result.tokens as Partial<ComparisonToken>[] : [];
+      const toColumns = (columns: unknown) => Array.isArray(columns) ? columns.map(Number) : [];
+      setComparison({
+        tokens: tokens.map(token => ({
+          input: token?.input || '',
+          status: token?.status === 'ok' ? 'ok' : 'failed',
+          name: token?.name || 'Unknown Token',
+          symbol: token?.symbol || '?',
+          blockchain: token?.blockchain || 'unknown',
+          address: token?.address || null,
+          recommendation: token?.recommendation || '',
+          riskLevel: token?.riskLevel || 'Unknown',
+          error: token?.error || null
+        })),
+        rows: Array.isArray(result.rows) ? (result.rows as Partial<ComparisonRow>[]).map(row => ({
+          key: row?.key || '',
+          group: row?.group || '',
+          label: row?.label || '',
+          format: row?.format || 'count',
+          values: tokens.map((_, i) => {
+            const value = row?.values?.[i];
+            return value != null && Number.isFinite(Number(value)) ? Number(value) : null;
+          }),
+          best: toColumns(row?.best),
+          worst: toColumns(row?.worst)
+        })) : []
+      });
+    } catch (err) {
+      console.error('❌ Comparison error:', err);
+      setError(err instanceof Error ? err.message : 'Comparison failed');
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const handleAnalyze = async (tokenInput: string, selection?: TokenCandidate) => {
     setIsAnalyzing(true);
     setError('');
     setAnalysisData(null); // Clear previous results
+    setDisambiguation(null);
+    setProgress(EMPTY_PROGRESS);
     setCopied(false); // Reset copy state
     
-    // Generate unique request ID to force fresh analysis
+    // Generate unique request ID for tracing
     const requestId = `${tokenInput.toLowerCase()}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
     try {
-      // Nuclear cache busting approach
+      // Keep browsers and CDNs out of the way; server-side caching is
+      // controlled by forceRefresh instead
       const cacheBuster = `${Date.now()}-${Math.random().toString(36).substr(2, 15)}`;
-      const url = `/.netlify/functions/analyze?v=${cacheBuster}&t=${Date.now()}&r=${Math.random()}`;
+      // The streaming endpoint reports sources, agents and consensus as they finish
+      const url = `/.netlify/functions/analyze-stream?v=${cacheBuster}&t=${Date.now()}&r=${Math.random()}`;
       
       console.log(`🚀 Making request to: ${url} for token: ${tokenInput}`);
       
@@ -190,14 +832,24 @@ export default function Home() {
         body: JSON.stringify({ 
           tokenInput: tokenInput.trim(),
           requestId,
-          forceRefresh: true,
+          forceRefresh: bypassCache,
+          selection: selection ? {
+            chain: selection.chain,
+            address: selection.address,
+            coingeckoId: selection.coingeckoId
+          } : undefined,
           timestamp: new Date().getTime(),
           cacheBuster: cacheBuster,
           userAgent: navigator.userAgent
         })
       });
       
-      const result = await response.json();
+      const isStream = response.headers.get('content-type')?.includes('text/event-stream') && response.body;
+      const result = isStream
+        ? await readAnalysisStream(response.body as ReadableStream<Uint8Array>, (event, data) => {
+          setProgress(current => applyProgressEvent(current, event, data));
+        })
+        : await response.json();
       
       console.log(`📊 Analysis Response:`, {
         success: result.success,
@@ -208,10 +860,24 @@ export default function Home() {
         recommendation: result.data?.analysis?.recommendation
       });
       
-      if (result.success) {
+      if (result.success && result.needsDisambiguation) {
+        // Several tokens share this symbol - let the user pick before the swarm runs
+        const candidates = Array.isArray(result.candidates)
+          ? (result.candidates as Partial<TokenCandidate>[]).map(toTokenCandidate)
+          : [];
+        setDisambiguation({
+          input: tokenInput.trim(),
+          candidates,
+          candidateCount: Number(result.candidateCount) || candidates.length
+        });
+      } else if (result.success) {
         try {
           // Comprehensive data sanitization with multiple safety layers
-          const safeSanitizeData = (data: ApiResponseData): AnalysisData => {
+          const safeSanitizeData = (
+            data: ApiResponseData,
+            cache?: Record<string, Partial<SourceCacheStatus>>,
+            history?: ApiHistory | null
+          ): AnalysisData => {
             try {
               // Ensure all required top-level properties exist
               const safeData = {
@@ -242,6 +908,199 @@ export default function Home() {
                   riskLevel: data?.analysis?.riskLevel || 'Unknown',
                   findings: Array.isArray(data?.analysis?.findings) ? data.analysis.findings : [],
                   risks: Array.isArray(data?.analysis?.risks) ? data.analysis.risks : [],
+                  scoreBreakdown: Array.isArray(data?.analysis?.scoreBreakdown) ?
+                    data.analysis.scoreBreakdown.map(item => ({
+                      factor: item?.factor || 'Unknown factor',
+                      metric: item?.metric || '',
+                      value: item?.value != null && Number.isFinite(Number(item.value)) ? Number(item.value) : null,
+                      band: item?.band || '',
+                      points: Math.max(0, Number(item?.points) || 0),
+                      maxPoints: Math.max(0, Number(item?.maxPoints) || 0),
+                      applicable: item?.applicable !== false
+                    })) : [],
+                  liquidityBreakdown: (() => {
+                    const lb = data?.analysis?.liquidityBreakdown;
+                    if (!lb || typeof lb !== 'object' || !Array.isArray(lb.pools)) {
+                      return null;
+                    }
+                    return {
+                      totalLiquidityUsd: Math.max(0, Number(lb.totalLiquidityUsd) || 0),
+                      poolCount: Math.max(0, Number(lb.poolCount) || 0),
+                      volumeWeightedPriceUsd: Math.max(0, Number(lb.volumeWeightedPriceUsd) || 0),
+                      canonicalPairAddress: lb.canonicalPool?.pairAddress || null,
+                      fragmentation: {
+                        level: lb.fragmentation?.level || 'UNKNOWN',
+                        canonicalShare: Math.min(1, Math.max(0, Number(lb.fragmentation?.canonicalShare) || 0)),
+                        chainCount: Math.max(0, Number(lb.fragmentation?.chainCount) || 0),
+                        dexCount: Math.max(0, Number(lb.fragmentation?.dexCount) || 0)
+                      },
+                      pools: lb.pools.map(pool => ({
+                        pairAddress: pool?.pairAddress || null,
+                        chainId: pool?.chainId || 'unknown',
+                        dexId: pool?.dexId || 'unknown',
+                        pairLabel: pool?.pairLabel || '?/?',
+                        priceUsd: Math.max(0, Number(pool?.priceUsd) || 0),
+                        liquidityUsd: Math.max(0, Number(pool?.liquidityUsd) || 0),
+                        liquidityShare: Math.min(1, Math.max(0, Number(pool?.liquidityShare) || 0)),
+                        volume24h: Math.max(0, Number(pool?.volume24h) || 0)
+                      }))
+                    };
+                  })(),
+                  dataIntegrity: (() => {
+                    const di = data?.analysis?.dataIntegrity;
+                    if (!di || typeof di !== 'object' || !di.fields) {
+                      return null;
+                    }
+                    return {
+                      status: di.status || 'unknown',
+                      fields: Object.values(di.fields).map(report => ({
+                        field: report?.field || 'unknown',
+                        winner: report?.winner || null,
+                        status: report?.status || 'unknown',
+                        maxDivergencePct: Number(report?.maxDivergencePct) || 0,
+                        sources: Array.isArray(report?.sources) ? report.sources.map(source => ({
+                          source: source?.source || 'Unknown',
+                          value: Number(source?.value) || 0,
+                          divergencePct: source?.divergencePct != null ? Number(source.divergencePct) : null
+                        })) : []
+                      })),
+                      issues: Array.isArray(di.issues) ? di.issues.map(issue => ({
+                        severity: issue?.severity || 'warning',
+                        message: issue?.message || ''
+                      })) : []
+                    };
+                  })(),
+                  contractAnalysis: (() => {
+                    const ca = data?.analysis?.contractAnalysis;
+                    if (!ca || typeof ca !== 'object' || !ca.status) {
+                      return null;
+                    }
+                    return {
+                      status: ca.status,
+                      reason: ca.reason || null,
+                      kind: ca.kind === 'spl_mint' ? 'spl_mint' : 'evm_source',
+                      program: ca.program || null,
+                      extensions: Array.isArray(ca.extensions) ? ca.extensions.map(String) : [],
+                      verified: ca.verified === true,
+                      contractName: ca.contractName || null,
+                      source: ca.source || null,
+                      ownershipStatus: ca.ownership?.status || 'unknown',
+                      flags: ca.flags && typeof ca.flags === 'object' ? ca.flags : {},
+                      findings: Array.isArray(ca.findings) ? ca.findings.map(finding => ({
+                        id: finding?.id || 'finding',
+                        severity: finding?.severity || 'info',
+                        title: finding?.title || '',
+                        detail: finding?.detail || ''
+                      })) : [],
+                      score: ca.score != null ? Number(ca.score) : null
+                    };
+                  })(),
+                  honeypotSimulation: (() => {
+                    const hs = data?.analysis?.honeypotSimulation;
+                    if (!hs || typeof hs !== 'object' || !hs.status) {
+                      return null;
+                    }
+                    const toTrade = (trade?: Partial<SimulatedTrade>): SimulatedTrade | null => trade ? {
+                      success: trade.success === true,
+                      taxPct: trade.taxPct != null ? Number(trade.taxPct) : null,
+                      revertReason: trade.revertReason || null
+                    } : null;
+                    const toLimit = (limit?: Partial<TradeLimit> | null): TradeLimit | null => limit ? {
+                      getter: limit.getter || '',
+                      pctOfSupply: limit.pctOfSupply != null ? Number(limit.pctOfSupply) : null
+                    } : null;
+                    return {
+                      status: hs.status,
+                      reason: hs.reason || null,
+                      dexId: hs.dexId || null,
+                      pairAddress: hs.pairAddress || null,
+                      buy: toTrade(hs.buy),
+                      sell: toTrade(hs.sell),
+                      honeypot: hs.honeypot === true,
+                      maxTx: toLimit(hs.limits?.maxTx),
+                      maxWallet: toLimit(hs.limits?.maxWallet)
+                    };
+                  })(),
+                  liquidityLocks: (() => {
+                    const ll = data?.analysis?.liquidityLocks;
+                    if (!ll || typeof ll !== 'object' || !ll.level) {
+                      return null;
+                    }
+                    const pctOrNull = (value?: number | null) => value != null ? Number(value) : null;
+                    return {
+                      level: ll.level,
+                      pools: Array.isArray(ll.pools) ? ll.pools.map(pool => ({
+                        pairAddress: pool?.pairAddress || '',
+                        dexId: pool?.dexId || 'unknown',
+                        liquidityUsd: Number(pool?.liquidityUsd) || 0,
+                        status: pool?.status || 'unavailable',
+                        reason: pool?.reason || null,
+                        burnedPct: pctOrNull(pool?.burnedPct),
+                        lockedPct: pctOrNull(pool?.lockedPct),
+                        atRiskPct: pctOrNull(pool?.atRiskPct),
+                        deployerPct: pctOrNull(pool?.deployerPct)
+                      })) : [],
+                      totals: {
+                        analyzedUsd: Number(ll.totals?.analyzedUsd) || 0,
+                        burnedUsd: Number(ll.totals?.burnedUsd) || 0,
+                        lockedUsd: Number(ll.totals?.lockedUsd) || 0,
+                        unlockedUsd: Number(ll.totals?.unlockedUsd) || 0,
+                        unverifiedUsd: Number(ll.totals?.unverifiedUsd) || 0
+                      },
+                      earliestUnlock: ll.earliestUnlock?.date ? {
+                        date: ll.earliestUnlock.date,
+                        daysAway: Number(ll.earliestUnlock.daysAway) || 0,
+                        dexId: ll.earliestUnlock.dexId || 'unknown',
+                        locker: ll.earliestUnlock.locker || 'Locker',
+                        pct: Number(ll.earliestUnlock.pct) || 0
+                      } : null
+                    };
+                  })(),
+                  holderAnalysis: (() => {
+                    const ha = data?.analysis?.holderAnalysis;
+                    if (!ha || typeof ha !== 'object' || !ha.level) {
+                      return null;
+                    }
+                    return {
+                      source: ha.source || null,
+                      sampleSize: Number(ha.sampleSize) || 0,
+                      totalHolders: ha.totalHolders != null ? Number(ha.totalHolders) : null,
+                      top5Pct: Number(ha.top5Pct) || 0,
+                      top10Pct: Number(ha.top10Pct) || 0,
+                      top50Pct: Number(ha.top50Pct) || 0,
+                      largestHolder: ha.largestHolder?.address ? {
+                        address: ha.largestHolder.address,
+                        pct: Number(ha.largestHolder.pct) || 0
+                      } : null,
+                      gini: ha.gini != null ? Number(ha.gini) : null,
+                      nakamoto: ha.nakamoto != null ? Number(ha.nakamoto) : null,
+                      level: ha.level,
+                      excluded: Array.isArray(ha.excluded) ? ha.excluded.map(holder => ({
+                        address: holder?.address || '',
+                        category: holder?.category || 'exchange',
+                        label: holder?.label || '',
+                        pct: Number(holder?.pct) || 0
+                      })) : []
+                    };
+                  })(),
+                  identity: (() => {
+                    const id = data?.analysis?.identity;
+                    if (!id || typeof id !== 'object') {
+                      return null;
+                    }
+                    const candidates = Array.isArray(id.candidates) ? id.candidates.map(toTokenCandidate) : [];
+                    return {
+                      resolved: id.resolved ? toTokenCandidate(id.resolved) : null,
+                      candidates,
+                      candidateCount: Number(id.candidateCount) || candidates.length,
+                      ambiguous: id.ambiguous === true,
+                      coingeckoStatus: id.coingecko?.status || 'not_listed',
+                      impersonation: {
+                        flagged: id.impersonation?.flagged === true,
+                        message: id.impersonation?.message || null
+                      }
+                    };
+                  })(),
                   keyMetrics: {
                     currentPrice: Number(data?.analysis?.keyMetrics?.currentPrice) || 0,
                     marketCap: Number(data?.analysis?.keyMetrics?.marketCap) || 0,
@@ -282,13 +1141,37 @@ export default function Home() {
                         topProfitAmount: Math.max(0, Number(tp.topProfitAmount) || 0),
                         topLossAmount: Math.max(0, Number(tp.topLossAmount) || 0),
                         winRate: Math.min(100, Math.max(0, Number(tp.winRate) || 0)),
-                        totalVolume: Math.max(0, Number(tp.totalVolume) || 0)
+                        totalVolume: Math.max(0, Number(tp.totalVolume) || 0),
+                        totalRealizedPnl: Number(tp.totalRealizedPnl) || 0,
+                        totalUnrealizedPnl: Number(tp.totalUnrealizedPnl) || 0,
+                        averageHoldTimeMs: tp.averageHoldTimeMs != null && Number(tp.averageHoldTimeMs) > 0 ?
+                          Number(tp.averageHoldTimeMs) : null
                       };
                     })()
                   }
                 },
                 marketData: data?.marketData || undefined,
-                dexData: data?.dexData || undefined
+                dexData: data?.dexData || undefined,
+                cacheStatus: cache && typeof cache === 'object' ?
+                  Object.values(cache).map(entry => ({
+                    source: entry?.source || 'Unknown',
+                    status: entry?.status || 'unknown',
+                    ageSeconds: Math.max(0, Number(entry?.ageSeconds) || 0)
+                  })) : [],
+                history: history && Number(history.version) > 0 ? {
+                  version: Number(history.version),
+                  previousAt: history.previous?.from?.createdAt || null,
+                  summary: history.previous?.summary || '',
+                  scoreDelta: history.previous?.score?.delta != null ? Number(history.previous.score.delta) : null,
+                  appearedRisks: Array.isArray(history.previous?.risks?.appeared) ? history.previous.risks.appeared.map(String) : [],
+                  resolvedRisks: Array.isArray(history.previous?.risks?.resolved) ? history.previous.risks.resolved.map(String) : [],
+                  metrics: Array.isArray(history.previous?.metrics) ? history.previous.metrics.map(metric => ({
+                    field: metric?.field || 'unknown',
+                    from: Number(metric?.from) || 0,
+                    to: Number(metric?.to) || 0,
+                    deltaPct: metric?.deltaPct != null ? Number(metric.deltaPct) : null
+                  })) : []
+                } : null
               };
               
               console.log('🔒 Data sanitization complete:', {
@@ -307,7 +1190,7 @@ export default function Home() {
           // Force a complete state refresh with enhanced error handling
           setTimeout(() => {
             try {
-              const sanitizedData = safeSanitizeData(result.data);
+              const sanitizedData = safeSanitizeData(result.data, result.cache, result.history);
               setAnalysisData(sanitizedData);
               console.log(`✅ Analysis data set safely for: ${sanitizedData.tokenInfo.name}`);
             } catch (renderError) {
@@ -371,10 +1254,142 @@ export default function Home() {
       {/* Loading Screen */}
       {isAnalyzing && (
         <div className="fixed inset-0 z-50 bg-black flex items-center justify-center">
-          <div className="text-center">
+          <div className="text-center w-full max-w-md px-6">
             <div className="animate-spin w-8 h-8 border-2 border-white border-t-transparent rounded-full mx-auto mb-4" />
-            <div className="text-lg">Analyzing token...</div>
-            <div className="text-gray-400 text-sm mt-2">Fetching data from multiple sources</div>
+            <div className="text-lg">
+              {progress.token ? `Analyzing ${progress.token.name} (${progress.token.symbol})...` : 'Analyzing token...'}
+            </div>
+            <div className="text-gray-400 text-sm mt-2">
+              {progress.consensus ? 'Preparing the report' :
+                Object.keys(progress.agents).length > 0 ? 'Agents analyzing' :
+                progress.token ? `Detected ${progress.token.blockchain} - fetching chain data` :
+                'Fetching data from multiple sources'}
+            </div>
+
+            {/* Partial results as the stream delivers them */}
+            {progress.sources.length > 0 && (
+              <div className="flex flex-wrap justify-center gap-2 mt-6 text-xs">
+                {progress.sources.map(source => (
+                  <span key={source.id} className={`px-2 py-1 rounded ${source.ok ? 'bg-green-900/50 text-green-300' : 'bg-gray-800 text-gray-500'}`}>
+                    {source.ok ? '✓' : '✗'} {source.name}{source.cache === 'hit' ? ' (cached)' : ''}
+                  </span>
+                ))}
+              </div>
+            )}
+            {progress.metrics && (
+              <div className="grid grid-cols-2 gap-3 mt-6 text-sm text-left bg-gray-900 rounded-lg p-4">
+                <div>
+                  <div className="text-gray-400 text-xs">Price</div>
+                  <div>${progress.metrics.currentPrice.toLocaleString(undefined, { maximumSignificantDigits: 6 })}</div>
+                </div>
+                <div>
+                  <div className="text-gray-400 text-xs">Market Cap</div>
+                  <div>${Math.round(progress.metrics.marketCap).toLocaleString()}</div>
+                </div>
+                <div>
+                  <div className="text-gray-400 text-xs">Liquidity</div>
+                  <div>${Math.round(progress.metrics.liquidity).toLocaleString()}</div>
+                </div>
+                <div>
+                  <div className="text-gray-400 text-xs">24h Volume</div>
+                  <div>${Math.round(progress.metrics.volume24h).toLocaleString()}</div>
+                </div>
+              </div>
+            )}
+            {Object.keys(progress.agents).length > 0 && (
+              <div className="mt-4 space-y-1 text-sm text-left">
+                {Object.entries(progress.agents).map(([agent, state]) => (
+                  <div key={agent} className="flex justify-between">
+                    <span className="capitalize text-gray-300">{agent} agent</span>
+                    <span className={
+                      state.status === 'completed' ? 'text-green-400' :
+                      state.status === 'failed' ? 'text-red-400' :
+                      'text-gray-400 animate-pulse'
+                    }>
+                      {state.status === 'completed' ? `${state.score ?? '-'}/100` : state.status}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {progress.consensus && (
+              <div className="mt-4 text-sm">
+                Swarm consensus <span className="font-semibold">{progress.consensus.score ?? '-'}/100</span>
+                <span className="text-gray-400"> · {progress.consensus.recommendation}</span>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Token Picker - shown when a symbol matches several tokens */}
+      {disambiguation && !analysisData && (
+        <div className="fixed inset-0 z-40 bg-black p-6 overflow-y-auto">
+          <div className="max-w-4xl mx-auto">
+            <button 
+              onClick={() => setDisambiguation(null)}
+              className="mb-6 px-4 py-2 bg-gray-800 rounded hover:bg-gray-700 transition-colors"
+            >
+              ← New Analysis
+            </button>
+
+            <div className="bg-gray-900 rounded-xl p-8">
+              <h2 className="text-2xl font-bold mb-2">Which {disambiguation.input.toUpperCase()}?</h2>
+              <p className="text-sm text-gray-400 mb-6">
+                {disambiguation.candidateCount} tokens match this symbol. Pick the one to analyze - 
+                CoinGecko-verified contracts are listed first.
+              </p>
+              <div className="space-y-3">
+                {disambiguation.candidates.map((candidate, index) => (
+                  <button
+                    key={`${candidate.chain}:${candidate.address}:${candidate.coingeckoId}:${index}`}
+                    onClick={() => handleAnalyze(disambiguation.input, candidate)}
+                    className={`w-full flex items-center text-left p-4 rounded-lg border transition-colors ${
+                      candidate.verification === 'impersonation' ?
+                        'bg-red-900/10 border-red-900 hover:border-red-500' :
+                        'bg-gray-800 border-gray-700 hover:border-white'
+                    }`}
+                  >
+                    {candidate.logo ? (
+                      <Image
+                        src={candidate.logo}
+                        alt={candidate.name}
+                        width={40}
+                        height={40}
+                        className="w-10 h-10 rounded-full mr-4"
+                      />
+                    ) : (
+                      <div className="w-10 h-10 rounded-full mr-4 bg-gray-700 flex items-center justify-center text-xs">
+                        {candidate.symbol.slice(0, 3)}
+                      </div>
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <div className="font-semibold">
+                        {candidate.name} <span className="text-gray-400">({candidate.symbol})</span>
+                      </div>
+                      <div className="text-xs text-gray-400 font-mono truncate">
+                        {candidate.chain || 'unknown chain'} · {candidate.address || candidate.coingeckoId || 'no contract'}
+                      </div>
+                    </div>
+                    <div className="text-right text-xs ml-4">
+                      <div className="text-gray-300">
+                        {candidate.marketCap ? `$${Math.round(candidate.marketCap).toLocaleString()} mcap` : 'Market cap n/a'}
+                        {candidate.marketCapRank ? ` · #${candidate.marketCapRank}` : ''}
+                      </div>
+                      <div className={
+                        candidate.verification === 'verified' ? 'text-green-400' :
+                        candidate.verification === 'impersonation' ? 'text-red-400' :
+                        'text-gray-500'
+                      }>
+                        {candidate.verification === 'impersonation' ? '⛔ possible impersonation' :
+                          candidate.verification === 'verified' ? '✓ verified on CoinGecko' :
+                          candidate.verification}
+                      </div>
+                    </div>
+                  </button>
+                ))}
+              </div>
+            </div>
           </div>
         </div>
       )}
@@ -468,6 +1483,38 @@ export default function Home() {
                   <div className="text-sm text-gray-400 mt-2">
                     Risk Level: {analysisData.analysis.riskLevel}
                   </div>
+
+                  {/* Score waterfall - each factor's bar starts where the previous one ended */}
+                  {analysisData.analysis.scoreBreakdown.length > 0 && (
+                    <div className="mt-4 pt-4 border-t border-gray-700 space-y-2">
+                      {analysisData.analysis.scoreBreakdown.map((item, index, items) => {
+                        const start = items.slice(0, index).reduce((sum, prev) => sum + prev.points, 0);
+                        return (
+                          <div key={item.factor} className={`text-xs ${item.applicable ? '' : 'opacity-50'}`}>
+                            <div className="flex justify-between mb-1">
+                              <span className="text-gray-300">{item.factor}</span>
+                              <span className={item.points > 0 ? 'text-green-400 font-bold' : 'text-gray-500'}>
+                                +{item.points} / {item.maxPoints}
+                              </span>
+                            </div>
+                            <div className="relative h-2 bg-gray-700 rounded">
+                              <div
+                                className="absolute h-2 bg-green-500 rounded"
+                                style={{ left: `${start}%`, width: `${item.points}%` }}
+                              />
+                            </div>
+                            <div className="text-gray-500 mt-1">
+                              {formatFactorValue(item)} · {item.band}
+                            </div>
+                          </div>
+                        );
+                      })}
+                      <div className="flex justify-between text-xs font-bold pt-1">
+                        <span>Total</span>
+                        <span>{analysisData.analysis.overallScore} / 100</span>
+                      </div>
+                    </div>
+                  )}
                 </div>
                 
                 <div className="bg-gray-800 p-6 rounded-lg">
@@ -483,6 +1530,50 @@ export default function Home() {
                 </div>
               </div>
 
+              {/* Since Last Analysis - diff against this token's previous snapshot */}
+              {analysisData.history && analysisData.history.previousAt && (
+                <div className="bg-gray-800 p-6 rounded-lg mb-8">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-lg font-semibold">🕒 Since Last Analysis</h3>
+                    <span className="text-xs text-gray-400">
+                      v{analysisData.history.version} · previous run {new Date(analysisData.history.previousAt).toLocaleString()}
+                    </span>
+                  </div>
+                  <div className={`text-sm mb-4 ${
+                    (analysisData.history.scoreDelta || 0) < 0 ? 'text-red-400' :
+                    (analysisData.history.scoreDelta || 0) > 0 ? 'text-green-400' : 'text-gray-300'
+                  }`}>
+                    {analysisData.history.summary || 'No changes'}
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                    <div>
+                      <div className="text-gray-400 text-xs mb-1">New risks</div>
+                      {analysisData.history.appearedRisks.length > 0 ? analysisData.history.appearedRisks.map(risk => (
+                        <div key={risk} className="text-red-300 text-xs mb-1">+ {risk}</div>
+                      )) : <div className="text-xs text-gray-500">None</div>}
+                    </div>
+                    <div>
+                      <div className="text-gray-400 text-xs mb-1">Resolved risks</div>
+                      {analysisData.history.resolvedRisks.length > 0 ? analysisData.history.resolvedRisks.map(risk => (
+                        <div key={risk} className="text-green-300 text-xs mb-1">− {risk}</div>
+                      )) : <div className="text-xs text-gray-500">None</div>}
+                    </div>
+                    <div>
+                      <div className="text-gray-400 text-xs mb-1">Biggest metric moves</div>
+                      {analysisData.history.metrics.slice(0, 5).map(metric => (
+                        <div key={metric.field} className="flex justify-between text-xs mb-1">
+                          <span className="text-gray-300">{metric.field}</span>
+                          <span className={metric.to >= metric.from ? 'text-green-400' : 'text-red-400'}>
+                            {metric.deltaPct !== null ? `${metric.deltaPct > 0 ? '+' : ''}${metric.deltaPct.toFixed(1)}%` : `${metric.from} → ${metric.to}`}
+                          </span>
+                        </div>
+                      ))}
+                      {analysisData.history.metrics.length === 0 && <div className="text-xs text-gray-500">None</div>}
+                    </div>
+                  </div>
+                </div>
+              )}
+
               {/* Detailed Metrics Grid */}
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
                 <div className="bg-gray-800 p-4 rounded-lg">
@@ -541,6 +1632,70 @@ export default function Home() {
                 </div>
               </div>
 
+              {/* Liquidity Pools - how total liquidity is spread across chains and DEXes */}
+              {analysisData.analysis.liquidityBreakdown && analysisData.analysis.liquidityBreakdown.pools.length > 0 && (
+                <div className="bg-gray-800 p-6 rounded-lg mb-8">
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                    <h3 className="text-lg font-semibold">💧 Liquidity Pools</h3>
+                    <div className="text-xs text-gray-400">
+                      {analysisData.analysis.liquidityBreakdown.poolCount} pools ·{' '}
+                      {analysisData.analysis.liquidityBreakdown.fragmentation.chainCount} chain(s) ·{' '}
+                      {analysisData.analysis.liquidityBreakdown.fragmentation.dexCount} DEX(es) ·{' '}
+                      <span className={
+                        analysisData.analysis.liquidityBreakdown.fragmentation.level === 'FRAGMENTED' ? 'text-red-400' :
+                        analysisData.analysis.liquidityBreakdown.fragmentation.level === 'CONCENTRATED' ? 'text-green-400' :
+                        'text-yellow-400'
+                      }>
+                        {analysisData.analysis.liquidityBreakdown.fragmentation.level}
+                      </span>
+                    </div>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs text-gray-400 border-b border-gray-700">
+                          <th className="py-2 pr-4">Chain</th>
+                          <th className="py-2 pr-4">DEX</th>
+                          <th className="py-2 pr-4">Pair</th>
+                          <th className="py-2 pr-4 text-right">Price</th>
+                          <th className="py-2 pr-4 text-right">Liquidity</th>
+                          <th className="py-2 pr-4">Share</th>
+                          <th className="py-2 text-right">24h Volume</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {analysisData.analysis.liquidityBreakdown.pools.slice(0, 10).map((pool, index) => (
+                          <tr key={pool.pairAddress || index} className="border-b border-gray-700/50">
+                            <td className="py-2 pr-4 capitalize">{pool.chainId}</td>
+                            <td className="py-2 pr-4">{pool.dexId}</td>
+                            <td className="py-2 pr-4 font-mono text-xs">
+                              {pool.pairLabel}
+                              {pool.pairAddress && pool.pairAddress === analysisData.analysis.liquidityBreakdown?.canonicalPairAddress && (
+                                <span className="ml-2 text-blue-400">canonical</span>
+                              )}
+                            </td>
+                            <td className="py-2 pr-4 text-right">${pool.priceUsd.toFixed(6)}</td>
+                            <td className="py-2 pr-4 text-right">${Math.round(pool.liquidityUsd).toLocaleString()}</td>
+                            <td className="py-2 pr-4">
+                              <div className="flex items-center space-x-2">
+                                <div className="w-16 h-2 bg-gray-700 rounded">
+                                  <div className="h-2 bg-blue-500 rounded" style={{ width: `${pool.liquidityShare * 100}%` }} />
+                                </div>
+                                <span className="text-xs text-gray-400">{(pool.liquidityShare * 100).toFixed(1)}%</span>
+                              </div>
+                            </td>
+                            <td className="py-2 text-right">${Math.round(pool.volume24h).toLocaleString()}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-3">
+                    Volume-weighted price across pools: ${analysisData.analysis.liquidityBreakdown.volumeWeightedPriceUsd.toFixed(6)}
+                  </div>
+                </div>
+              )}
+
               {/* ATH/ATL Section */}
               {analysisData.analysis.keyMetrics.ath > 0 && (
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
@@ -676,17 +1831,37 @@ export default function Home() {
                     </div>
                   </div>
 
-                  <div className="mt-6 p-4 bg-gray-800/30 rounded-lg">
+                  <div className="mt-6 p-4 bg-gray-800/30 rounded-lg space-y-2">
                     <div className="flex justify-between items-center">
                       <span className="text-gray-300">Total Trading Volume:</span>
                       <span className="text-lg font-bold text-blue-400">
                         ${(analysisData.analysis.keyMetrics.traderPerformance.totalVolume || 0).toLocaleString()}
                       </span>
                     </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-gray-300">Realized / Unrealized PnL:</span>
+                      <span className="text-sm font-bold">
+                        <span className={analysisData.analysis.keyMetrics.traderPerformance.totalRealizedPnl >= 0 ? 'text-green-400' : 'text-red-400'}>
+                          ${analysisData.analysis.keyMetrics.traderPerformance.totalRealizedPnl.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                        </span>
+                        <span className="text-gray-500"> / </span>
+                        <span className={analysisData.analysis.keyMetrics.traderPerformance.totalUnrealizedPnl >= 0 ? 'text-green-400' : 'text-red-400'}>
+                          ${analysisData.analysis.keyMetrics.traderPerformance.totalUnrealizedPnl.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                        </span>
+                      </span>
+                    </div>
+                    {analysisData.analysis.keyMetrics.traderPerformance.averageHoldTimeMs !== null && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-sm text-gray-300">Average Hold Time:</span>
+                        <span className="text-sm font-bold text-blue-400">
+                          {(analysisData.analysis.keyMetrics.traderPerformance.averageHoldTimeMs / 3600000).toFixed(1)}h
+                        </span>
+                      </div>
+                    )}
                   </div>
 
                   <div className="mt-4 text-center text-xs text-gray-500">
-                    Data powered by Solana Tracker - Real trader performance metrics
+                    Data powered by Solana Tracker - FIFO cost-basis PnL per wallet
                   </div>
                 </div>
               )}
@@ -711,6 +1886,362 @@ export default function Home() {
                 </div>
               </div>
 
+              {/* Token Identity - resolved contract, CoinGecko confirmation and lookalikes */}
+              {analysisData.analysis.identity && (
+                <div className="bg-gray-800 p-6 rounded-lg mb-8">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">🪪 Token Identity</h3>
+                    <span className={`text-xs px-2 py-1 rounded ${
+                      analysisData.analysis.identity.impersonation.flagged ? 'bg-red-900/50 text-red-300' :
+                      analysisData.analysis.identity.coingeckoStatus === 'confirmed' ? 'bg-green-900/50 text-green-300' :
+                      'bg-yellow-900/50 text-yellow-300'
+                    }`}>
+                      {analysisData.analysis.identity.impersonation.flagged ? 'POSSIBLE IMPERSONATION' :
+                        analysisData.analysis.identity.coingeckoStatus === 'confirmed' ? 'VERIFIED ON COINGECKO' :
+                        analysisData.analysis.identity.coingeckoStatus.replace('_', ' ').toUpperCase()}
+                    </span>
+                  </div>
+                  {analysisData.analysis.identity.impersonation.message && (
+                    <p className="text-sm text-red-400 mb-4">⛔ {analysisData.analysis.identity.impersonation.message}</p>
+                  )}
+                  {analysisData.analysis.identity.candidates.length > 1 && (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-xs text-gray-400 border-b border-gray-700">
+                            <th className="py-2 pr-4">Token</th>
+                            <th className="py-2 pr-4">Chain</th>
+                            <th className="py-2 pr-4">Address</th>
+                            <th className="py-2 pr-4 text-right">Rank</th>
+                            <th className="py-2 pr-4 text-right">DEX Liquidity</th>
+                            <th className="py-2">Status</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {analysisData.analysis.identity.candidates.map((candidate, index) => (
+                            <tr key={`${candidate.chain}:${candidate.address}:${index}`} className="border-b border-gray-700/50">
+                              <td className="py-2 pr-4">
+                                {candidate.name} <span className="text-gray-400">({candidate.symbol})</span>
+                                {index === 0 && <span className="ml-2 text-xs text-blue-400">analyzed</span>}
+                              </td>
+                              <td className="py-2 pr-4">{candidate.chain || '—'}</td>
+                              <td className="py-2 pr-4 font-mono text-xs">
+                                {candidate.address ? `${candidate.address.slice(0, 6)}...${candidate.address.slice(-4)}` : '—'}
+                              </td>
+                              <td className="py-2 pr-4 text-right">{candidate.marketCapRank ? `#${candidate.marketCapRank}` : '—'}</td>
+                              <td className="py-2 pr-4 text-right">${Math.round(candidate.liquidityUsd).toLocaleString()}</td>
+                              <td className={`py-2 text-xs ${
+                                candidate.verification === 'verified' ? 'text-green-400' :
+                                candidate.verification === 'impersonation' ? 'text-red-400' :
+                                'text-gray-400'
+                              }`}>
+                                {candidate.verification}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {analysisData.analysis.identity.candidateCount > analysisData.analysis.identity.candidates.length && (
+                        <p className="text-xs text-gray-500 mt-2">
+                          Showing {analysisData.analysis.identity.candidates.length} of {analysisData.analysis.identity.candidateCount} candidates
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Contract Security - static analysis of the verified source */}
+              {analysisData.analysis.contractAnalysis && (
+                <div className="bg-gray-800 p-6 rounded-lg mb-8">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">🔐 Contract Security</h3>
+                    <span className={`text-xs px-2 py-1 rounded ${
+                      analysisData.analysis.contractAnalysis.score === null ? 'bg-gray-700 text-gray-300' :
+                      analysisData.analysis.contractAnalysis.score >= 80 ? 'bg-green-900/50 text-green-300' :
+                      analysisData.analysis.contractAnalysis.score >= 50 ? 'bg-yellow-900/50 text-yellow-300' :
+                      'bg-red-900/50 text-red-300'
+                    }`}>
+                      {analysisData.analysis.contractAnalysis.score === null ?
+                        analysisData.analysis.contractAnalysis.status.replace('_', ' ').toUpperCase() :
+                        `${analysisData.analysis.contractAnalysis.score}/100`}
+                    </span>
+                  </div>
+                  {analysisData.analysis.contractAnalysis.findings.length === 0 ? (
+                    <p className="text-sm text-gray-400">
+                      Source not analyzed{analysisData.analysis.contractAnalysis.reason ? `: ${analysisData.analysis.contractAnalysis.reason}` : ''}
+                    </p>
+                  ) : (
+                    <>
+                      <div className="text-xs text-gray-400 mb-3">
+                        {analysisData.analysis.contractAnalysis.kind === 'spl_mint' ? (
+                          <>
+                            SPL mint: {analysisData.analysis.contractAnalysis.program} (via {analysisData.analysis.contractAnalysis.source})
+                            {analysisData.analysis.contractAnalysis.extensions.length > 0 &&
+                              ` · Extensions: ${analysisData.analysis.contractAnalysis.extensions.join(', ')}`}
+                            {' · '}Authorities: {analysisData.analysis.contractAnalysis.ownershipStatus === 'renounced' ? 'revoked' : 'active'}
+                          </>
+                        ) : (
+                          <>
+                            {analysisData.analysis.contractAnalysis.verified ?
+                              `Verified source: ${analysisData.analysis.contractAnalysis.contractName || 'contract'} (via ${analysisData.analysis.contractAnalysis.source})` :
+                              'Source not verified'}
+                            {' · '}Ownership: {analysisData.analysis.contractAnalysis.ownershipStatus}
+                          </>
+                        )}
+                      </div>
+                      <ul className="space-y-2 text-sm">
+                        {analysisData.analysis.contractAnalysis.findings.map(finding => (
+                          <li key={finding.id} className={
+                            finding.severity === 'critical' || finding.severity === 'high' ? 'text-red-400' :
+                            finding.severity === 'medium' ? 'text-yellow-400' :
+                            'text-gray-300'
+                          }>
+                            <span className="text-xs uppercase mr-2">[{finding.severity}]</span>
+                            <span className="font-medium">{finding.title}:</span> {finding.detail}
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {/* Trade Simulation - buy-then-sell through the main pool in a local EVM */}
+              {analysisData.analysis.honeypotSimulation && (
+                <div className="bg-gray-800 p-6 rounded-lg mb-8">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">🍯 Trade Simulation</h3>
+                    <span className={`text-xs px-2 py-1 rounded ${
+                      analysisData.analysis.honeypotSimulation.status !== 'simulated' ? 'bg-gray-700 text-gray-300' :
+                      analysisData.analysis.honeypotSimulation.honeypot ? 'bg-red-900/50 text-red-300' :
+                      'bg-green-900/50 text-green-300'
+                    }`}>
+                      {analysisData.analysis.honeypotSimulation.status !== 'simulated' ?
+                        analysisData.analysis.honeypotSimulation.status.toUpperCase() :
+                        analysisData.analysis.honeypotSimulation.honeypot ? 'HONEYPOT' : 'SELLABLE'}
+                    </span>
+                  </div>
+                  {analysisData.analysis.honeypotSimulation.status !== 'simulated' ? (
+                    <p className="text-sm text-gray-400">
+                      Not simulated{analysisData.analysis.honeypotSimulation.reason ? `: ${analysisData.analysis.honeypotSimulation.reason}` : ''}
+                    </p>
+                  ) : (
+                    <>
+                      <div className="text-xs text-gray-400 mb-3">
+                        Through {analysisData.analysis.honeypotSimulation.dexId || 'DEX'} pair {analysisData.analysis.honeypotSimulation.pairAddress}
+                      </div>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                        {([
+                          ['Buy', analysisData.analysis.honeypotSimulation.buy],
+                          ['Sell', analysisData.analysis.honeypotSimulation.sell]
+                        ] as [string, SimulatedTrade | null][]).map(([label, trade]) => (
+                          <div key={label}>
+                            <div className="text-gray-400">{label} tax</div>
+                            <div className={
+                              !trade?.success ? 'text-red-400 font-semibold' :
+                              (trade.taxPct ?? 0) > 10 ? 'text-red-400' :
+                              (trade.taxPct ?? 0) > 5 ? 'text-yellow-400' :
+                              'text-green-400'
+                            }>
+                              {trade?.success ? `${trade.taxPct}%` : 'REVERTS'}
+                            </div>
+                            {trade && !trade.success && trade.revertReason && (
+                              <div className="text-xs text-gray-500 break-all">{trade.revertReason}</div>
+                            )}
+                          </div>
+                        ))}
+                        {([
+                          ['Max transaction', analysisData.analysis.honeypotSimulation.maxTx],
+                          ['Max wallet', analysisData.analysis.honeypotSimulation.maxWallet]
+                        ] as [string, TradeLimit | null][]).map(([label, limit]) => (
+                          <div key={label}>
+                            <div className="text-gray-400">{label}</div>
+                            <div className={limit && limit.pctOfSupply !== null && limit.pctOfSupply < 1 ? 'text-yellow-400' : 'text-gray-300'}>
+                              {limit ? (limit.pctOfSupply !== null ? `${limit.pctOfSupply}% of supply` : limit.getter) : 'None found'}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {/* Liquidity Locks - burned / locked / withdrawable LP in the deepest pools */}
+              {analysisData.analysis.liquidityLocks && (
+                <div className="bg-gray-800 p-6 rounded-lg mb-8">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">🔒 Liquidity Locks</h3>
+                    <span className={`text-xs px-2 py-1 rounded ${
+                      analysisData.analysis.liquidityLocks.level === 'HIGH' ? 'bg-red-900/50 text-red-300' :
+                      analysisData.analysis.liquidityLocks.level === 'MEDIUM' ? 'bg-yellow-900/50 text-yellow-300' :
+                      analysisData.analysis.liquidityLocks.level === 'LOW' ? 'bg-green-900/50 text-green-300' :
+                      'bg-gray-700 text-gray-300'
+                    }`}>
+                      {analysisData.analysis.liquidityLocks.level} RISK
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+                    <div>
+                      <div className="text-gray-400">Burned</div>
+                      <div className="text-green-400">${Math.round(analysisData.analysis.liquidityLocks.totals.burnedUsd).toLocaleString()}</div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">Locked</div>
+                      <div className="text-green-400">${Math.round(analysisData.analysis.liquidityLocks.totals.lockedUsd).toLocaleString()}</div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">Unlocked (at risk)</div>
+                      <div className={analysisData.analysis.liquidityLocks.totals.unlockedUsd > 0 ? 'text-red-400' : 'text-gray-300'}>
+                        ${Math.round(analysisData.analysis.liquidityLocks.totals.unlockedUsd).toLocaleString()}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">Earliest unlock</div>
+                      <div className={analysisData.analysis.liquidityLocks.earliestUnlock && analysisData.analysis.liquidityLocks.earliestUnlock.daysAway <= 30 ? 'text-yellow-400' : 'text-gray-300'}>
+                        {analysisData.analysis.liquidityLocks.earliestUnlock ?
+                          `${analysisData.analysis.liquidityLocks.earliestUnlock.date.slice(0, 10)} (${analysisData.analysis.liquidityLocks.earliestUnlock.daysAway}d)` :
+                          'None'}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="space-y-2">
+                    {analysisData.analysis.liquidityLocks.pools.map(pool => (
+                      <div key={pool.pairAddress} className="flex justify-between text-xs">
+                        <span className="text-gray-300">
+                          {pool.dexId} <span className="text-gray-500">${Math.round(pool.liquidityUsd).toLocaleString()}</span>
+                        </span>
+                        <span className="text-gray-400">
+                          {pool.status === 'analyzed' ?
+                            `${pool.burnedPct}% burned · ${pool.lockedPct}% locked · ${pool.atRiskPct}% unlocked` +
+                              (pool.deployerPct !== null ? ` · deployer ${pool.deployerPct}%` : '') :
+                            pool.reason || pool.status}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Holder Distribution - concentration among the top holders, burn/LP/exchange wallets set aside */}
+              {analysisData.analysis.holderAnalysis && (
+                <div className="bg-gray-800 p-6 rounded-lg mb-8">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">👥 Holder Distribution</h3>
+                    <span className={`text-xs px-2 py-1 rounded ${
+                      analysisData.analysis.holderAnalysis.level === 'HIGH' ? 'bg-red-900/50 text-red-300' :
+                      analysisData.analysis.holderAnalysis.level === 'MODERATE' ? 'bg-yellow-900/50 text-yellow-300' :
+                      'bg-green-900/50 text-green-300'
+                    }`}>
+                      {analysisData.analysis.holderAnalysis.level} CONCENTRATION
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-400 mb-3">
+                    Top {analysisData.analysis.holderAnalysis.sampleSize} holders
+                    {analysisData.analysis.holderAnalysis.totalHolders !== null && ` of ${analysisData.analysis.holderAnalysis.totalHolders.toLocaleString()}`}
+                    {analysisData.analysis.holderAnalysis.source && ` via ${analysisData.analysis.holderAnalysis.source}`}
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+                    {([
+                      ['Top 5', analysisData.analysis.holderAnalysis.top5Pct],
+                      ['Top 10', analysisData.analysis.holderAnalysis.top10Pct],
+                      ['Top 50', analysisData.analysis.holderAnalysis.top50Pct]
+                    ] as [string, number][]).map(([label, pct]) => (
+                      <div key={label}>
+                        <div className="text-gray-400">{label}</div>
+                        <div className={pct >= 50 ? 'text-red-400' : pct >= 30 ? 'text-yellow-400' : 'text-green-400'}>
+                          {pct}%
+                        </div>
+                      </div>
+                    ))}
+                    <div>
+                      <div className="text-gray-400">Gini</div>
+                      <div className="text-gray-300">{analysisData.analysis.holderAnalysis.gini ?? 'N/A'}</div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">Wallets for 50%</div>
+                      <div className={(analysisData.analysis.holderAnalysis.nakamoto ?? Infinity) <= 3 ? 'text-red-400' : 'text-gray-300'}>
+                        {analysisData.analysis.holderAnalysis.nakamoto ?? `> ${analysisData.analysis.holderAnalysis.sampleSize}`}
+                      </div>
+                    </div>
+                  </div>
+                  {analysisData.analysis.holderAnalysis.excluded.length > 0 && (
+                    <div className="mt-4 space-y-1">
+                      <div className="text-xs text-gray-400">Excluded from concentration</div>
+                      {analysisData.analysis.holderAnalysis.excluded.map(holder => (
+                        <div key={holder.address} className="flex justify-between text-xs">
+                          <span className="text-gray-300">
+                            {holder.label} <span className="text-gray-500">({holder.category})</span>
+                          </span>
+                          <span className="text-gray-400">{holder.pct}%</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Data Integrity - cross-source agreement on price, market cap and supply */}
+              {analysisData.analysis.dataIntegrity && (
+                <div className="bg-gray-800 p-6 rounded-lg mb-8">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">🧪 Data Integrity</h3>
+                    <span className={`text-xs px-2 py-1 rounded ${
+                      analysisData.analysis.dataIntegrity.status === 'critical' ? 'bg-red-900/50 text-red-300' :
+                      analysisData.analysis.dataIntegrity.status === 'warning' ? 'bg-yellow-900/50 text-yellow-300' :
+                      'bg-green-900/50 text-green-300'
+                    }`}>
+                      {analysisData.analysis.dataIntegrity.status.toUpperCase()}
+                    </span>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs text-gray-400 border-b border-gray-700">
+                          <th className="py-2 pr-4">Field</th>
+                          <th className="py-2 pr-4">Used Source</th>
+                          <th className="py-2 pr-4">Cross-check</th>
+                          <th className="py-2 text-right">Max Divergence</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {analysisData.analysis.dataIntegrity.fields.map(report => (
+                          <tr key={report.field} className="border-b border-gray-700/50">
+                            <td className="py-2 pr-4">{report.field}</td>
+                            <td className="py-2 pr-4 text-blue-400">{report.winner || '—'}</td>
+                            <td className="py-2 pr-4 text-xs text-gray-400">
+                              {report.sources.length > 1 ?
+                                report.sources
+                                  .filter(source => source.source !== report.winner)
+                                  .map(source => `${source.source} ${source.divergencePct ?? 0}%`)
+                                  .join(', ') :
+                                report.status === 'missing' ? 'No data' : 'Single source'}
+                            </td>
+                            <td className={`py-2 text-right ${
+                              report.status === 'critical' ? 'text-red-400' :
+                              report.status === 'warning' ? 'text-yellow-400' :
+                              'text-gray-300'
+                            }`}>
+                              {report.sources.length > 1 ? `${report.maxDivergencePct}%` : '—'}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {analysisData.analysis.dataIntegrity.issues.length > 0 && (
+                    <ul className="mt-4 space-y-1 text-xs">
+                      {analysisData.analysis.dataIntegrity.issues.map((issue, index) => (
+                        <li key={index} className={issue.severity === 'critical' ? 'text-red-400' : 'text-yellow-400'}>
+                          {issue.severity === 'critical' ? '⛔' : '⚠️'} {issue.message}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
               {/* Data Source & JuliaOS Information */}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
                 <div className="bg-gray-800 p-6 rounded-lg">
@@ -733,6 +2264,21 @@ export default function Home() {
                       </div>
                     )}
                   </div>
+                  {analysisData.cacheStatus.length > 0 && (
+                    <div className="mt-4 pt-4 border-t border-gray-700 space-y-1 text-xs">
+                      <div className="text-gray-400 mb-1">Data freshness</div>
+                      {analysisData.cacheStatus.map(entry => (
+                        <div key={entry.source} className="flex justify-between">
+                          <span className="text-gray-300">{entry.source}</span>
+                          <span className={entry.status === 'hit' ? 'text-yellow-400' : 'text-green-400'}>
+                            {entry.status === 'hit' ?
+                              `cached · ${entry.ageSeconds < 60 ? `${entry.ageSeconds}s` : `${Math.floor(entry.ageSeconds / 60)}m`} old` :
+                              'live'}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
                 <div className="bg-gradient-to-r from-purple-900/20 to-blue-900/20 border border-purple-500/30 rounded-lg p-6">
@@ -811,24 +2357,65 @@ export default function Home() {
               const formData = new FormData(e.target as HTMLFormElement);
               const tokenInput = formData.get('tokenInput') as string;
               if (tokenInput.trim()) {
-                handleAnalyze(tokenInput.trim());
+                if (inputMode === 'batch') {
+                  handleBatchAnalyze(tokenInput);
+                } else if (inputMode === 'compare') {
+                  handleCompare(tokenInput);
+                } else {
+                  handleAnalyze(tokenInput.trim());
+                }
               }
             }} className="relative">
-              <input
-                name="tokenInput"
-                type="text"
-                placeholder="Enter token address or symbol (e.g., BTC, ETH, or contract address)"
-                className="w-full px-6 py-4 text-lg bg-gray-900/50 border border-gray-700 rounded-lg focus:border-white focus:outline-none transition-colors placeholder-gray-500"
-                autoComplete="off"
-                disabled={isAnalyzing}
-              />
+              {inputMode !== 'single' ? (
+                <textarea
+                  name="tokenInput"
+                  rows={inputMode === 'batch' ? 5 : 3}
+                  placeholder={inputMode === 'batch'
+                    ? `Paste up to ${MAX_BATCH_TOKENS} symbols or addresses, one per line or comma-separated`
+                    : 'Enter 2-4 symbols or addresses to compare, one per line or comma-separated'}
+                  className="w-full px-6 py-4 pr-32 text-base font-mono bg-gray-900/50 border border-gray-700 rounded-lg focus:border-white focus:outline-none transition-colors placeholder-gray-500"
+                  disabled={isAnalyzing}
+                />
+              ) : (
+                <input
+                  name="tokenInput"
+                  type="text"
+                  placeholder="Enter token address or symbol (e.g., BTC, ETH, or contract address)"
+                  className="w-full px-6 py-4 text-lg bg-gray-900/50 border border-gray-700 rounded-lg focus:border-white focus:outline-none transition-colors placeholder-gray-500"
+                  autoComplete="off"
+                  disabled={isAnalyzing}
+                />
+              )}
               <button
                 type="submit"
                 disabled={isAnalyzing}
                 className="absolute right-2 top-2 px-6 py-2 bg-white text-black text-sm font-medium rounded-md hover:bg-gray-200 transition-colors focus:outline-none focus:ring-2 focus:ring-white focus:ring-offset-2 focus:ring-offset-black disabled:opacity-50"
               >
-                Analyze
+                {inputMode !== 'single' && isAnalyzing ? 'Working…' : inputMode === 'compare' ? 'Compare' : 'Analyze'}
               </button>
+              <div className="flex items-center justify-end mt-2 space-x-1 text-xs">
+                {([['single', 'Single token'], ['batch', 'Batch screen'], ['compare', 'Compare']] as const).map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    type="button"
+                    onClick={() => setInputMode(mode)}
+                    disabled={isAnalyzing}
+                    className={`px-3 py-1 rounded ${inputMode === mode ? 'bg-white text-black' : 'text-gray-400 hover:text-white'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <label className="flex items-center justify-end mt-2 text-xs text-gray-400 cursor-pointer select-none">
+                <input
+                  type="checkbox"
+                  checked={bypassCache}
+                  onChange={(e) => setBypassCache(e.target.checked)}
+                  className="mr-2 accent-white"
+                  disabled={isAnalyzing}
+                />
+                Bypass cache (fetch fresh data from every source)
+              </label>
             </form>
             
             {error && (
@@ -838,6 +2425,138 @@ export default function Home() {
             )}
           </div>
 
+          {/* Comparison - best value per row in green, worst in red */}
+          {comparison && (
+            <div className="bg-gray-800 p-6 rounded-lg mb-16 text-left">
+              <h3 className="text-lg font-semibold mb-4">⚖️ Token Comparison</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left border-b border-gray-700">
+                      <th className="py-2 pr-4 text-xs text-gray-400">Metric</th>
+                      {comparison.tokens.map((token, i) => (
+                        <th key={`${token.input}-${i}`} className="py-2 pr-4 text-right align-bottom">
+                          {token.status === 'ok' ? (
+                            <button type="button" onClick={() => handleAnalyze(token.address || token.input)} className="text-right hover:underline">
+                              <div className="font-semibold">{token.symbol}</div>
+                              <div className="text-xs text-gray-400 font-normal capitalize">{token.blockchain}</div>
+                              <div className="text-xs text-gray-300 font-normal">{token.recommendation}</div>
+                            </button>
+                          ) : (
+                            <div>
+                              <div className="font-mono text-xs text-gray-400">{token.input}</div>
+                              <div className="text-xs text-red-400 font-normal">❌ {token.error || 'Analysis failed'}</div>
+                            </div>
+                          )}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.rows.map((row, index) => (
+                      <Fragment key={row.key}>
+                        {row.group !== comparison.rows[index - 1]?.group && (
+                          <tr>
+                            <td colSpan={comparison.tokens.length + 1} className="pt-4 pb-1 text-xs uppercase tracking-wider text-gray-500">
+                              {row.group}
+                            </td>
+                          </tr>
+                        )}
+                        <tr className="border-b border-gray-700/50">
+                          <td className="py-2 pr-4 text-gray-300">{row.label}</td>
+                          {row.values.map((value, i) => (
+                            <td
+                              key={i}
+                              className={`py-2 pr-4 text-right ${
+                                row.best.includes(i) ? 'text-green-400 font-semibold' : row.worst.includes(i) ? 'text-red-400' : ''
+                              }`}
+                            >
+                              {formatComparisonValue(value, row.format)}
+                            </td>
+                          ))}
+                        </tr>
+                      </Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="text-xs text-gray-500 mt-3">
+                Green marks the best value in each row and red the worst. For FDV / market cap and Price / ATH, lower is better.
+              </div>
+            </div>
+          )}
+
+          {/* Batch results - ranked by score, failed tokens listed last */}
+          {batchResult && (
+            <div className="bg-gray-800 p-6 rounded-lg mb-16 text-left">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold">📋 Batch Screen</h3>
+                <div className="text-xs text-gray-400">
+                  {batchResult.summary.analyzed}/{batchResult.summary.requested} analyzed
+                  {batchResult.summary.failed > 0 && <span className="text-red-400"> · {batchResult.summary.failed} failed</span>}
+                  {' '}· {(batchResult.summary.durationMs / 1000).toFixed(0)}s
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-400 border-b border-gray-700">
+                      <th className="py-2 pr-4">#</th>
+                      <th className="py-2 pr-4">Token</th>
+                      <th className="py-2 pr-4 text-right">Score</th>
+                      <th className="py-2 pr-4">Recommendation</th>
+                      <th className="py-2 pr-4">Risk</th>
+                      <th className="py-2 pr-4 text-right">Price</th>
+                      <th className="py-2 pr-4 text-right">24h</th>
+                      <th className="py-2 pr-4 text-right">Market Cap</th>
+                      <th className="py-2 pr-4 text-right">Liquidity</th>
+                      <th className="py-2 text-right">24h Volume</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {batchResult.rows.map(row => row.status === 'ok' ? (
+                      <tr key={row.input} className="border-b border-gray-700/50">
+                        <td className="py-2 pr-4 text-gray-400">{row.rank}</td>
+                        <td className="py-2 pr-4">
+                          <button
+                            type="button"
+                            onClick={() => handleAnalyze(row.address || row.input)}
+                            className="text-left hover:underline"
+                            title={row.topRisk || undefined}
+                          >
+                            <span className="font-medium">{row.symbol}</span>
+                            <span className="ml-2 text-xs text-gray-400 capitalize">{row.blockchain}</span>
+                          </button>
+                          {row.ambiguous && (
+                            <span className="ml-2 text-xs text-yellow-400" title="Several tokens share this symbol - the top match was analyzed">
+                              ambiguous
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-4 text-right font-bold">{row.overallScore}</td>
+                        <td className="py-2 pr-4">{row.recommendation}</td>
+                        <td className="py-2 pr-4 text-xs">{row.riskLevel}</td>
+                        <td className="py-2 pr-4 text-right">${row.currentPrice.toLocaleString(undefined, { maximumSignificantDigits: 6 })}</td>
+                        <td className={`py-2 pr-4 text-right ${row.priceChange24h >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                          {row.priceChange24h >= 0 ? '+' : ''}{row.priceChange24h.toFixed(1)}%
+                        </td>
+                        <td className="py-2 pr-4 text-right">${Math.round(row.marketCap).toLocaleString()}</td>
+                        <td className="py-2 pr-4 text-right">${Math.round(row.liquidity).toLocaleString()}</td>
+                        <td className="py-2 text-right">${Math.round(row.volume24h).toLocaleString()}</td>
+                      </tr>
+                    ) : (
+                      <tr key={row.input} className="border-b border-gray-700/50 text-gray-500">
+                        <td className="py-2 pr-4">–</td>
+                        <td className="py-2 pr-4 font-mono text-xs">{row.input}</td>
+                        <td colSpan={8} className="py-2 text-red-400 text-xs">❌ {row.error || 'Analysis failed'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
           {/* Stats */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-8 mb-16">
             <div className="text-center">
@@ -1,6 +1,27 @@
-import JuliaOSClient from '../juliaos/JuliaOSClient.js';
+import { createLLMBackendChain } from '../llm/backends.js';
+import {
+  parseStructuredOutput,
+  buildSchemaInstructions,
+  buildRepairPrompt
+} from '../llm/structuredOutput.js';
+
+// JSON output contract for the debate round
+export const DEBATE_RESULT_SCHEMA = {
+  type: 'object',
+  required: ['stance', 'revised_score', 'rationale'],
+  properties: {
+    stance: { type: 'string', enum: ['revise', 'defend'] },
+    revised_score: { type: 'integer', minimum: 0, maximum: 100 },
+    rationale: { type: 'string', minLength: 1 }
+  }
+};
 
 export class BaseAgent {
+  /**
+   * `config.llm` selects the LLM backend for this agent: a backend name
+   * ('juliaos', 'openai', 'stub'), `{ backend, fallback, ...options }`, or a
+   * backend instance. Defaults to LLM_BACKEND / LLM_FALLBACK_BACKEND, then JuliaOS.
+   */
   constructor(agentType, config = {}) {
     this.agentType = agentType;
     this.config = {
@@ -9,104 +30,147 @@ export class BaseAgent {
       strategy: config.strategy || 'comprehensive_analysis',
       ...config
     };
-    this.juliaos = new JuliaOSClient();
-    this.agentId = null;
+    this.llmBackends = createLLMBackendChain(this.config.llm);
   }
 
   /**
-   * Initialize the agent in JuliaOS backend
+   * Execute analysis using JuliaOS agent.useLLM() equivalent
+   * Routed through the configured LLM backend chain (JuliaOS by default)
+   *
+   * With `options.schema` the response must be a JSON object matching that
+   * schema: it is validated, invalid output gets one repair pass, and output
+   * that still fails comes back as `degraded: true` with `data: null`.
    */
-  async initialize() {
-    try {
-      const health = await this.juliaos.healthCheck();
-      if (!health.available) {
-        console.warn(`JuliaOS not available: ${health.error}. Using fallback analysis.`);
-        return null;
-      }
+  async useLLM(prompt, context = {}, options = {}) {
+    if (options.schema) {
+      return this.useStructuredLLM(prompt, context, options.schema);
+    }
+    return this.requestLLM(prompt, context);
+  }
 
-      // Create agent in JuliaOS
-      const agent = await this.juliaos.createAgent(
-        this.agentType,
-        this.config.name,
-        this.config.description
-      );
-
-      if (agent) {
-        this.agentId = agent.id;
-        await this.log(`Agent initialized with ID: ${this.agentId}`);
-        return agent;
-      }
-    } catch (error) {
-      await this.log(`Agent initialization failed: ${error.message}`, 'warn');
+  /**
+   * Request structured output, validating it and retrying once with a repair prompt
+   */
+  async useStructuredLLM(prompt, context, schema) {
+    const first = await this.requestLLM(`${prompt}\n${buildSchemaInstructions(schema)}`, context, { json: true });
+
+    // No LLM answered at all - nothing to validate or repair
+    if (first.source === 'local_fallback') {
+      return { ...first, data: null, degraded: true, degraded_reason: 'llm_unavailable', validation_errors: [] };
+    }
+
+    const parsed = parseStructuredOutput(first.analysis, schema);
+    if (parsed.valid) {
+      return { ...first, data: parsed.data, degraded: false, repaired: false };
     }
-    
-    return null;
+
+    await this.log(`LLM output failed schema validation: ${parsed.errors.join('; ')}`, 'warn');
+
+    const repair = await this.requestLLM(buildRepairPrompt(schema, first.analysis, parsed.errors), context, { json: true });
+    const repaired = repair.source === 'local_fallback'
+      ? { valid: false, data: null, errors: parsed.errors }
+      : parseStructuredOutput(repair.analysis, schema);
+
+    if (repaired.valid) {
+      return { ...repair, data: repaired.data, degraded: false, repaired: true };
+    }
+
+    await this.log(`LLM output still invalid after repair: ${repaired.errors.join('; ')}`, 'warn');
+    return {
+      ...first,
+      data: null,
+      degraded: true,
+      degraded_reason: 'schema_validation_failed',
+      validation_errors: repaired.errors
+    };
   }
 
   /**
-   * Execute analysis using JuliaOS agent.useLLM() equivalent
-   * Uses JuliaOS /api/agents/llm endpoint for LLM processing
+   * Send a single prompt to the first LLM backend that answers
    */
-  async useLLM(prompt, context = {}) {
-    try {
-      // Initialize agent if not already done
-      if (!this.agentId) {
-        const agent = await this.initialize();
-        if (!agent) {
-          return this.fallbackAnalysis(prompt, context);
-        }
+  async requestLLM(prompt, context = {}, { json = false } = {}) {
+    for (const backend of this.llmBackends) {
+      try {
+        const result = await backend.complete({
+          prompt,
+          context,
+          agentType: this.agentType,
+          agentConfig: this.config,
+          json
+        });
+
+        return {
+          analysis: result.output,
+          confidence: result.confidence,
+          source: result.source,
+          backend: backend.name,
+          agent_id: result.agentId,
+          model: result.model,
+          llm_endpoint: result.endpoint,
+          timestamp: new Date().toISOString()
+        };
+      } catch (error) {
+        await this.log(`${backend.name} LLM backend failed: ${error.message}`, 'warn');
       }
+    }
 
-      // Prepare LLM request with JuliaOS format
-      const task = {
-        name: `${this.agentType}-llm-analysis`,
-        prompt: prompt,
-        context: context,
-        type: 'llm_processing',
-        endpoint: '/api/agents/llm', // JuliaOS LLM processing endpoint
-        api_version: 'v1',
-        agent_type: this.agentType
-      };
+    // Every configured backend failed
+    return this.fallbackAnalysis(prompt, context);
+  }
 
-      // Run the agent with the prompt and context
-      const execution = await this.juliaos.runAgent(this.agentId, task);
-      if (!execution) {
-        throw new Error('Agent execution failed');
-      }
+  /**
+   * Debate round: given the other agents' positions, revise or defend our score.
+   * If the LLM gives no usable answer the original score is defended.
+   */
+  async debate(position, peers) {
+    const formatPosition = ({ agent, score, findings }) =>
+      `- ${agent} agent: ${score}/100${findings.length ? `\n  Findings: ${findings.join('; ')}` : ''}`;
 
-      // Wait for completion and get results
-      const result = await this.juliaos.waitForCompletion(this.agentId);
-      
+    const prompt = `
+Your ${this.agentType} analysis scored this token ${position.score}/100.
+Your findings: ${position.findings.join('; ') || 'none recorded'}
+
+The other agents reached different conclusions:
+${peers.map(formatPosition).join('\n')}
+
+Reconsider your score in light of their findings. Either revise it (stance "revise")
+or keep it and explain why their findings do not change your view (stance "defend").
+Provide your score after this round (revised_score) and a short rationale.
+`;
+
+    const llmResult = await this.useLLM(prompt, { position, peers, analysisType: 'debate' }, {
+      schema: DEBATE_RESULT_SCHEMA
+    });
+
+    if (llmResult.degraded) {
       return {
-        analysis: result.output || result.result,
-        confidence: result.confidence || 0.85,
-        source: 'juliaos',
-        agent_id: this.agentId,
-        llm_endpoint: '/api/agents/llm', // Reference to JuliaOS LLM endpoint
-        timestamp: new Date().toISOString()
+        stance: 'defend',
+        revised_score: position.score,
+        rationale: 'No usable LLM response - first-round score kept',
+        degraded: true
       };
-
-    } catch (error) {
-      await this.log(`JuliaOS execution failed: ${error.message}`, 'warn');
-      
-      // Fallback to local processing if JuliaOS is unavailable
-      return this.fallbackAnalysis(prompt, context);
     }
+
+    const { stance, revised_score, rationale } = llmResult.data;
+    return {
+      stance,
+      // Defending means keeping the first-round score
+      revised_score: stance === 'defend' ? position.score : revised_score,
+      rationale,
+      degraded: false
+    };
   }
 
   /**
    * Execute strategy using JuliaOS backend
    */
   async executeStrategy(data) {
-    try {
-      if (!this.agentId) {
-        await this.initialize();
-      }
-
-      if (!this.agentId) {
-        return this.fallbackStrategy(data);
-      }
+    const juliaos = this.llmBackends.find(backend => typeof backend.runTask === 'function');
+    if (!juliaos) {
+      return this.fallbackStrategy(data);
+    }
 
+    try {
       const task = {
         name: `${this.agentType}-strategy`,
         strategy: this.config.strategy,
@@ -115,12 +179,7 @@ export class BaseAgent {
       };
 
       // Execute strategy through JuliaOS
-      const execution = await this.juliaos.runAgent(this.agentId, task);
-      if (!execution) {
-        throw new Error('Strategy execution failed');
-      }
-
-      const result = await this.juliaos.waitForCompletion(this.agentId);
+      const result = await juliaos.runTask(task, { agentType: this.agentType, agentConfig: this.config });
       
       return {
         result: result.output || result.result,
@@ -137,30 +196,42 @@ export class BaseAgent {
   }
 
   /**
-   * Clean up agent when done
+   * Release backend resources (e.g. delete the JuliaOS agent) when done
    */
   async cleanup() {
-    if (this.agentId) {
+    for (const backend of this.llmBackends) {
       try {
-        await this.juliaos.deleteAgent(this.agentId);
-        await this.log(`Agent ${this.agentId} cleaned up`);
+        await backend.cleanup();
       } catch (error) {
-        await this.log(`Cleanup failed: ${error.message}`, 'warn');
+        await this.log(`${backend.name} cleanup failed: ${error.message}`, 'warn');
       }
-      this.agentId = null;
     }
   }
 
-  // Fallback methods for when JuliaOS is unavailable
-  fallbackAnalysis(prompt, context) {
+  // Fallback when no LLM backend is reachable - callers use their own
+  // data-driven heuristics instead of this (empty) analysis
+  fallbackAnalysis(/* prompt, context */) {
     return {
-      analysis: `Fallback analysis for: ${prompt}. Context: ${JSON.stringify(context)}`,
-      confidence: 0.6,
+      analysis: null,
+      confidence: 0,
       source: 'local_fallback',
+      error: `No LLM backend available (${this.llmBackends.map(backend => backend.name).join(', ')})`,
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Wrap a data-driven fallback result so callers can see the LLM output was unusable
+   */
+  markDegraded(fallbackResult, llmResult) {
+    return {
+      ...fallbackResult,
+      degraded: true,
+      degraded_reason: llmResult.degraded_reason,
+      validation_errors: llmResult.validation_errors || []
+    };
+  }
+
   fallbackStrategy(/* data */) {
     return {
       result: `Fallback strategy executed for ${this.agentType}`,
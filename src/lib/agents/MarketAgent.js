@@ -1,11 +1,36 @@
 import { BaseAgent } from './BaseAgent.js';
 
+// JSON output contract for the market LLM response
+export const MARKET_RESULT_SCHEMA = {
+  type: 'object',
+  required: [
+    'market_score',
+    'price_analysis',
+    'volume_analysis',
+    'sentiment_evaluation',
+    'support_resistance',
+    'trading_recommendation',
+    'market_insights'
+  ],
+  properties: {
+    market_score: { type: 'integer', minimum: 0, maximum: 100 },
+    price_analysis: { type: 'string', minLength: 1 },
+    volume_analysis: { type: 'string', minLength: 1 },
+    sentiment_evaluation: { type: 'string', minLength: 1 },
+    support_resistance: { type: 'string', minLength: 1 },
+    trading_recommendation: { type: 'string', minLength: 1 },
+    market_insights: { type: 'array', items: { type: 'string' } }
+  }
+};
+
 export class MarketAgent extends BaseAgent {
-  constructor() {
+  constructor(config = {}) {
     super('market', {
       name: 'TokenMarketAgent', 
       description: 'Advanced market analysis and price prediction agent',
-      strategy: 'comprehensive_market_analysis'
+      strategy: 'comprehensive_market_analysis',
+      resultSchema: MARKET_RESULT_SCHEMA,
+      ...config
     });
   }
 
@@ -37,12 +62,13 @@ DEX Data:
 - Trading Pairs: ${projectData.dexData?.pairs?.length || 0}
 
 Analyze and provide:
-1. Price trend analysis and momentum indicators
-2. Volume analysis and liquidity assessment  
-3. Market sentiment evaluation
-4. Support and resistance levels
-5. Trading recommendation with risk assessment
-6. Market score (0-100)
+1. Price trend analysis and momentum indicators (price_analysis)
+2. Volume analysis and liquidity assessment (volume_analysis)
+3. Market sentiment evaluation (sentiment_evaluation)
+4. Support and resistance levels (support_resistance)
+5. Trading recommendation with risk assessment (trading_recommendation)
+6. Market score 0-100 (market_score)
+7. Up to five market insights (market_insights)
 
 Focus on identifying trading opportunities, market risks, and price catalysts.
 `;
@@ -56,16 +82,22 @@ Focus on identifying trading opportunities, market risks, and price catalysts.
 
     try {
       // Use JuliaOS agent.useLLM() for market analysis
-      const llmResult = await this.useLLM(prompt, context);
-      
+      const llmResult = await this.useLLM(prompt, context, { schema: this.config.resultSchema });
+
+      if (llmResult.degraded) {
+        return this.markDegraded(this.enhancedMarketFallback(projectData), llmResult);
+      }
+
+      const { data } = llmResult;
       return {
-        market_score: this.extractScore(llmResult.analysis) || 70,
-        price_analysis: this.extractSection(llmResult.analysis, 'price') || 'Price analysis pending',
-        volume_analysis: this.extractSection(llmResult.analysis, 'volume') || 'Volume analysis in progress',
-        sentiment_evaluation: this.extractSection(llmResult.analysis, 'sentiment') || 'Sentiment evaluation ongoing',
-        support_resistance: this.extractSection(llmResult.analysis, 'support') || 'Technical levels analysis pending',
-        trading_recommendation: this.extractSection(llmResult.analysis, 'recommendation') || 'Recommendation pending',
-        market_insights: this.extractInsights(llmResult.analysis, projectData),
+        market_score: data.market_score,
+        price_analysis: data.price_analysis,
+        volume_analysis: data.volume_analysis,
+        sentiment_evaluation: data.sentiment_evaluation,
+        support_resistance: data.support_resistance,
+        trading_recommendation: data.trading_recommendation,
+        market_insights: data.market_insights.slice(0, 5),
+        degraded: false,
         confidence: llmResult.confidence,
         source: llmResult.source,
         agent_used: 'MarketAgent',
@@ -76,7 +108,7 @@ Focus on identifying trading opportunities, market risks, and price catalysts.
       console.error('Market analysis failed:', error);
       
       // Enhanced fallback with real market data
-      return this.enhancedMarketFallback(projectData);
+      return this.markDegraded(this.enhancedMarketFallback(projectData), { degraded_reason: 'analysis_error' });
     }
   }
 
@@ -174,38 +206,6 @@ Focus on identifying trading opportunities, market risks, and price catalysts.
     if (score >= 20) return 'SELL - Unfavorable market conditions';
     return 'STRONG SELL - Poor market conditions';
   }
-
-  // Helper methods for data extraction
-  extractScore(analysis) {
-    const scoreMatch = analysis.match(/(?:market\s+)?score[:\s]*(\d+)/i);
-    return scoreMatch ? parseInt(scoreMatch[1]) : null;
-  }
-
-  extractSection(analysis, sectionName) {
-    const regex = new RegExp(`${sectionName}[:\\s]*(.*?)(?=\\n\\d+\\.|\\n[A-Z]|$)`, 'is');
-    const match = analysis.match(regex);
-    return match ? match[1].trim() : null;
-  }
-
-  extractInsights(analysis, projectData) {
-    const insights = [];
-    
-    // Extract from LLM if available
-    const insightsMatch = analysis.match(/insights?[:\s]*(.*?)(?=\n\d+\.|$)/is);
-    if (insightsMatch) {
-      const extracted = insightsMatch[1].split('\n').filter(i => i.trim());
-      insights.push(...extracted);
-    }
-
-    // Add data-driven insights
-    const volumeRatio = (projectData.analysis?.keyMetrics?.volume24h || 0) / 
-                       (projectData.analysis?.keyMetrics?.marketCap || 1);
-    if (volumeRatio > 0.2) {
-      insights.push('Unusually high volume suggests significant market event or news');
-    }
-
-    return insights.slice(0, 5);
-  }
 }
 
 export default MarketAgent;
\ No newline at end of file
@@ -1,11 +1,34 @@
 import { BaseAgent } from './BaseAgent.js';
 
+// JSON output contract for the research LLM response
+export const RESEARCH_RESULT_SCHEMA = {
+  type: 'object',
+  required: [
+    'overall_score',
+    'legitimacy_assessment',
+    'community_analysis',
+    'development_activity',
+    'market_position',
+    'key_findings'
+  ],
+  properties: {
+    overall_score: { type: 'integer', minimum: 0, maximum: 100 },
+    legitimacy_assessment: { type: 'string', minLength: 1 },
+    community_analysis: { type: 'string', minLength: 1 },
+    development_activity: { type: 'string', minLength: 1 },
+    market_position: { type: 'string', minLength: 1 },
+    key_findings: { type: 'array', items: { type: 'string' } }
+  }
+};
+
 export class ResearchAgent extends BaseAgent {
-  constructor() {
+  constructor(config = {}) {
     super('research', {
       name: 'TokenResearchAgent',
       description: 'Advanced token research and fundamental analysis agent',
-      strategy: 'comprehensive_token_research'
+      strategy: 'comprehensive_token_research',
+      resultSchema: RESEARCH_RESULT_SCHEMA,
+      ...config
     });
   }
 
@@ -30,11 +53,12 @@ Community Metrics:
 - Public Interest: ${projectData.marketData?.public_interest_score || 'N/A'}
 
 Please provide:
-1. Project legitimacy assessment
-2. Community engagement analysis  
-3. Development activity evaluation
-4. Market position analysis
-5. Overall research score (0-100)
+1. Project legitimacy assessment (legitimacy_assessment)
+2. Community engagement analysis (community_analysis)
+3. Development activity evaluation (development_activity)
+4. Market position analysis (market_position)
+5. Overall research score 0-100 (overall_score)
+6. Up to five key findings (key_findings)
 
 Focus on identifying red flags, growth potential, and competitive advantages.
 `;
@@ -48,15 +72,21 @@ Focus on identifying red flags, growth potential, and competitive advantages.
 
     try {
       // Use JuliaOS agent.useLLM() for analysis
-      const llmResult = await this.useLLM(prompt, context);
-      
+      const llmResult = await this.useLLM(prompt, context, { schema: this.config.resultSchema });
+
+      if (llmResult.degraded) {
+        return this.markDegraded(this.enhancedFallbackAnalysis(projectData), llmResult);
+      }
+
+      const { data } = llmResult;
       return {
-        overall_score: this.extractScore(llmResult.analysis) || 75,
-        legitimacy_assessment: this.extractSection(llmResult.analysis, 'legitimacy') || 'Assessment pending',
-        community_analysis: this.extractSection(llmResult.analysis, 'community') || 'Analysis in progress',
-        development_activity: this.extractSection(llmResult.analysis, 'development') || 'Evaluation ongoing', 
-        market_position: this.extractSection(llmResult.analysis, 'market') || 'Position analysis pending',
-        key_findings: this.extractFindings(llmResult.analysis, projectData),
+        overall_score: data.overall_score,
+        legitimacy_assessment: data.legitimacy_assessment,
+        community_analysis: data.community_analysis,
+        development_activity: data.development_activity,
+        market_position: data.market_position,
+        key_findings: data.key_findings.slice(0, 5),
+        degraded: false,
         confidence: llmResult.confidence,
         source: llmResult.source,
         agent_used: 'ResearchAgent',
@@ -67,7 +97,7 @@ Focus on identifying red flags, growth potential, and competitive advantages.
       console.error('Research analysis failed:', error);
       
       // Enhanced fallback with real data
-      return this.enhancedFallbackAnalysis(projectData);
+      return this.markDegraded(this.enhancedFallbackAnalysis(projectData), { degraded_reason: 'analysis_error' });
     }
   }
 
@@ -113,36 +143,6 @@ Focus on identifying red flags, growth potential, and competitive advantages.
       timestamp: new Date().toISOString()
     };
   }
-
-  // Helper methods to extract information from LLM responses
-  extractScore(analysis) {
-    const scoreMatch = analysis.match(/score[:\s]*(\d+)/i);
-    return scoreMatch ? parseInt(scoreMatch[1]) : null;
-  }
-
-  extractSection(analysis, sectionName) {
-    const regex = new RegExp(`${sectionName}[:\\s]*(.*?)(?=\\n\\d+\\.|\\n[A-Z]|$)`, 'is');
-    const match = analysis.match(regex);
-    return match ? match[1].trim() : null;
-  }
-
-  extractFindings(analysis, projectData) {
-    const findings = [];
-    
-    // Extract from LLM analysis if available
-    const findingsMatch = analysis.match(/findings?[:\s]*(.*?)(?=\n\d+\.|$)/is);
-    if (findingsMatch) {
-      const extractedFindings = findingsMatch[1].split('\n').filter(f => f.trim());
-      findings.push(...extractedFindings);
-    }
-
-    // Add data-driven findings
-    if (projectData.analysis?.keyMetrics?.marketCap > 500000000) {
-      findings.push('Significant market capitalization indicates institutional interest');
-    }
-
-    return findings.slice(0, 5); // Limit to top 5 findings
-  }
 }
 
 export default ResearchAgent;
\ No newline at end of file
@@ -1,52 +1,102 @@
-import { ResearchAgent } from './ResearchAgent.js';
-import { MarketAgent } from './MarketAgent.js';
-import { ContractAgent } from './ContractAgent.js';
+import { createSwarmExecutor } from './executors.js';
+import { calculateConsensus, resolveConsensusSpec, AGENT_SCORE_FIELDS, CONSENSUS_STRATEGIES } from './consensus.js';
+import { measureDisagreement, roundScores, runDebateRound, DEFAULT_DISAGREEMENT_THRESHOLD } from './debate.js';
 
+// Shared swarm coordinator core, used by the Next.js app and the Netlify functions
 export class SwarmCoordinator {
-  constructor() {
-    // Initialize agent swarm
-    this.agents = {
-      research: new ResearchAgent(),
-      market: new MarketAgent(),
-      contract: new ContractAgent()
-    };
+  /**
+   * `options.executor` injects how agents run; otherwise `options.mode` picks
+   * 'agents' (LLM-backed agents) or 'heuristics' (local scoring only), with
+   * SWARM_EXECUTION_MODE and then 'heuristics' as the default.
+   * `options.llm` selects the LLM backend for every agent; `options.agents`
+   * holds per-agent config overrides, e.g. `{ contract: { llm: 'openai' } }`.
+   * `options.consensus` is the default consensus strategy (see consensus.js).
+   * `options.debate` enables the debate round when agent scores are at least
+   * `options.disagreementThreshold` points apart (see debate.js).
+   */
+  constructor(options = {}) {
+    this.executor = options.executor || createSwarmExecutor(options.mode, options);
+    this.agents = this.executor.agents;
+    this.consensus = resolveConsensusSpec(options.consensus);
+    this.debate = options.debate ?? process.env.SWARM_DEBATE === 'true';
+    this.disagreementThreshold = options.disagreementThreshold ?? DEFAULT_DISAGREEMENT_THRESHOLD;
     
     this.coordinationId = this.generateCoordinationId();
   }
 
   /**
-   * Coordinate multi-agent research using JuliaOS framework
+   * Coordinate multi-agent research using JuliaOS framework.
+   * `options.consensus`, `options.debate` and `options.disagreementThreshold`
+   * override the coordinator defaults for this request.
+   * `options.onProgress(event, data)` is told when each agent starts and
+   * finishes ('agent'), when a debate round runs ('debate') and the consensus
+   * result ('consensus'). `options.signal` stops the contract agent's trade
+   * simulation once it aborts.
    */
-  async coordinateResearch(projectData) {
+  async coordinateResearch(projectData, options = {}) {
     console.log(`🤖 Starting swarm coordination: ${this.coordinationId}`);
     console.log(`📊 Analyzing token: ${projectData.tokenInfo?.name || 'Unknown'}`);
+    const progress = options.onProgress || (() => {});
+
+    const track = async (agent, run) => {
+      progress('agent', { agent, status: 'started' });
+      try {
+        const result = await run();
+        progress('agent', {
+          agent,
+          status: 'completed',
+          score: result?.[AGENT_SCORE_FIELDS[agent]] ?? null,
+          source: result?.source || null
+        });
+        return result;
+      } catch (error) {
+        progress('agent', { agent, status: 'failed', error: error.message });
+        throw error;
+      }
+    };
 
     try {
       // Execute all agents in parallel for efficiency
       const [researchResult, marketResult, contractResult] = await Promise.allSettled([
-        this.agents.research.analyzeProject(projectData),
-        this.agents.market.analyzeMarket(projectData),
-        this.executeContractAnalysis(projectData)
+        track('research', () => this.executor.runResearch(projectData)),
+        track('market', () => this.executor.runMarket(projectData)),
+        track('contract', () => this.executor.runContract(projectData, { signal: options.signal }))
       ]);
 
       // Process results and handle any failures
-      const research = this.processAgentResult(researchResult, 'research');
-      const market = this.processAgentResult(marketResult, 'market');
-      const contract = this.processAgentResult(contractResult, 'contract');
+      const initial = {
+        research: this.processAgentResult(researchResult, 'research'),
+        market: this.processAgentResult(marketResult, 'market'),
+        contract: this.processAgentResult(contractResult, 'contract')
+      };
+
+      // Flag high disagreement and, if enabled, let the agents debate it
+      const { results, rounds, disagreement } = await this.resolveDisagreement(initial, { ...options, onProgress: progress });
+      const { research, market, contract } = results;
 
       // Calculate consensus using swarm intelligence
-      const consensusScore = this.calculateConsensusScore(research, market, contract);
+      const { score: consensusScore, ...consensus } = this.calculateConsensusScore(
+        research, market, contract, options.consensus
+      );
       
       // Generate coordinated analysis
       const coordinatedAnalysis = await this.generateCoordinatedAnalysis(
-        research, market, contract, consensusScore
+        research, market, contract, consensusScore, disagreement
       );
 
-      console.log(`✅ Swarm analysis complete: ${consensusScore}/100 consensus`);
+      console.log(`✅ Swarm analysis complete: ${consensusScore ?? '-'}/100 consensus`);
+      progress('consensus', {
+        score: consensusScore,
+        strategy: consensus.strategy,
+        recommendation: this.generateOverallRecommendation(consensusScore),
+        disagreement: disagreement.high
+      });
 
       return {
         // Overall swarm results
         consensus_score: consensusScore,
+        consensus: consensus, // Strategy, weights and votes behind consensus_score
+        disagreement: disagreement,
         overall_recommendation: this.generateOverallRecommendation(consensusScore),
         confidence_level: this.calculateOverallConfidence(research, market, contract),
         
@@ -59,17 +109,26 @@ export class SwarmCoordinator {
         detailed_analysis: {
           research: research,
           market: market,
-          contract: contract
+          contract: contract,
+          rounds: rounds // Every round that led to the final scores
         },
         
         // Swarm metadata
         swarm_coordination: {
           coordination_id: this.coordinationId,
           agents_used: ['ResearchAgent', 'MarketAgent', 'ContractAgent'],
-          juliaos_framework: true,
+          execution_mode: this.executor.mode,
+          // Only true when at least one agent actually ran on JuliaOS
+          juliaos_framework: [research, market, contract].some(result => result.source === 'juliaos'),
+          agent_sources: {
+            research: research.source,
+            market: market.source,
+            contract: contract.source
+          },
           analysis_timestamp: new Date().toISOString(),
           data_sources: ['CoinGecko', 'Birdeye', 'DexScreener'],
-          llm_endpoints_used: this.getLLMEndpointsUsed(research, market, contract)
+          llm_endpoints_used: this.getLLMEndpointsUsed(research, market, contract),
+          degraded_agents: this.getDegradedAgents(research, market, contract)
         }
       };
 
@@ -82,32 +141,6 @@ export class SwarmCoordinator {
     }
   }
 
-  /**
-   * Execute contract analysis with proper address handling
-   */
-  async executeContractAnalysis(projectData) {
-    // Extract contract address from project data
-    let contractAddress = projectData.tokenInfo?.address;
-    
-    // If no direct address, try to derive from token data
-    if (!contractAddress && projectData.marketData?.contract_address) {
-      contractAddress = projectData.marketData.contract_address;
-    }
-    
-    // If still no address, use symbol for analysis
-    if (!contractAddress) {
-      contractAddress = projectData.tokenInfo?.symbol || 'UNKNOWN';
-    }
-
-    // Determine blockchain (default to ethereum for established tokens)
-    let blockchain = 'ethereum';
-    if (contractAddress && contractAddress.length < 40) {
-      blockchain = 'solana'; // Solana addresses are typically shorter
-    }
-
-    return await this.agents.contract.analyzeContract(contractAddress, blockchain);
-  }
-
   /**
    * Process individual agent results and handle failures
    */
@@ -116,35 +149,71 @@ export class SwarmCoordinator {
       return result.value;
     } else {
       console.warn(`${agentType} agent failed:`, result.reason);
-      return this.generateAgentFallback(agentType);
+      return this.generateAgentFallback(agentType, result.reason?.message || 'Agent returned no result');
     }
   }
 
   /**
-   * Calculate consensus score using swarm intelligence
+   * Measure agent disagreement and run the debate round when it is high.
+   * Returns the final agent results and a record of every round.
    */
-  calculateConsensusScore(research, market, contract) {
-    const scores = [];
-    const weights = { research: 0.4, market: 0.4, contract: 0.2 };
-    
-    // Collect scores from each agent
-    if (research.overall_score) scores.push({ score: research.overall_score, weight: weights.research });
-    if (market.market_score) scores.push({ score: market.market_score, weight: weights.market });
-    if (contract.security_score) scores.push({ score: contract.security_score, weight: weights.contract });
-    
-    // Calculate weighted average
-    if (scores.length === 0) return 50; // Default neutral score
-    
-    const weightedSum = scores.reduce((sum, item) => sum + (item.score * item.weight), 0);
-    const totalWeight = scores.reduce((sum, item) => sum + item.weight, 0);
-    
-    return Math.round(weightedSum / totalWeight);
+  async resolveDisagreement(initial, options = {}) {
+    const threshold = options.disagreementThreshold ?? this.disagreementThreshold;
+    const debateEnabled = options.debate ?? this.debate;
+    const disagreement = measureDisagreement(initial, threshold);
+
+    const rounds = [{
+      round: 1,
+      type: 'initial',
+      scores: roundScores(initial),
+      disagreement
+    }];
+
+    if (!disagreement.high) {
+      return { results: initial, rounds, disagreement };
+    }
+
+    console.log(`⚖️ High agent disagreement: ${disagreement.highest.agent} ${disagreement.highest.score} vs ${disagreement.lowest.agent} ${disagreement.lowest.score}`);
+
+    let skipReason = null;
+    if (!debateEnabled) skipReason = 'Debate round disabled';
+    else if (typeof this.executor.runDebate !== 'function') skipReason = `No debate round in ${this.executor.mode} mode`;
+
+    if (skipReason) {
+      rounds[0].debate_skipped = skipReason;
+      return { results: initial, rounds, disagreement };
+    }
+
+    options.onProgress?.('debate', { status: 'started', spread: disagreement.spread });
+    const debated = await runDebateRound(initial, (agentType, position, peers) =>
+      this.executor.runDebate(agentType, position, peers)
+    );
+    const finalDisagreement = measureDisagreement(debated.results, threshold);
+    options.onProgress?.('debate', { status: 'completed', spread: finalDisagreement.spread });
+
+    rounds.push({
+      round: 2,
+      type: 'debate',
+      scores: roundScores(debated.results),
+      disagreement: finalDisagreement,
+      positions: debated.debate
+    });
+
+    return { results: debated.results, rounds, disagreement: finalDisagreement };
+  }
+
+  /**
+   * Calculate consensus score using the request's strategy, or the default one
+   */
+  calculateConsensusScore(research, market, contract, spec) {
+    const { strategy, options } = spec ? resolveConsensusSpec(spec) : this.consensus;
+    return calculateConsensus({ research, market, contract }, { strategy, ...options });
   }
 
   /**
    * Generate coordinated analysis by synthesizing agent results
    */
-  async generateCoordinatedAnalysis(research, market, contract, consensusScore) {
+  async generateCoordinatedAnalysis(research, market, contract, consensusScore, disagreement) {
     // Synthesize findings from all agents
     const allFindings = [
       ...(research.key_findings || []),
@@ -153,7 +222,13 @@ export class SwarmCoordinator {
     ];
 
     // Synthesize risks from all agents
+    const results = { research, market, contract };
     const allRisks = [
+      ...(disagreement?.high ? [this.describeDisagreement(disagreement)] : []),
+      ...this.getDegradedAgents(research, market, contract)
+        .map(agentType => (results[agentType].score === null
+          ? `${agentType} agent unavailable (${results[agentType].reason}) - left out of the consensus`
+          : `${agentType} agent LLM output unusable - heuristic fallback scoring applied`)),
       ...(research.key_findings ? [] : ['Research analysis limitations detected']),
       ...(market.market_insights ? [] : ['Market analysis limitations detected']),
       ...(contract.risk_factors || [])
@@ -161,7 +236,9 @@ export class SwarmCoordinator {
 
     // Generate executive summary based on consensus
     let summary;
-    if (consensusScore >= 80) {
+    if (consensusScore === null) {
+      summary = 'No agent produced a usable score, so there is no swarm consensus for this token.';
+    } else if (consensusScore >= 80) {
       summary = 'Multi-agent analysis reveals strong fundamentals across research, market, and technical dimensions. High confidence recommendation.';
     } else if (consensusScore >= 60) {
       summary = 'Swarm analysis shows positive indicators with some areas requiring caution. Moderate confidence in assessment.';
@@ -171,6 +248,11 @@ export class SwarmCoordinator {
       summary = 'Multiple risk factors identified through comprehensive multi-agent analysis. High caution advised.';
     }
 
+    // A consensus built from sharply conflicting scores deserves less trust
+    if (disagreement?.high) {
+      summary = `${this.describeDisagreement(disagreement)}; the consensus score averages conflicting views. ${summary}`;
+    }
+
     return {
       summary,
       findings: allFindings.slice(0, 6), // Top 6 findings
@@ -178,10 +260,19 @@ export class SwarmCoordinator {
     };
   }
 
+  /**
+   * One-line description of a high-disagreement case
+   */
+  describeDisagreement(disagreement) {
+    const { highest, lowest, spread } = disagreement;
+    return `Agents disagree sharply: ${highest.agent} scored ${highest.score} while ${lowest.agent} scored ${lowest.score} (${spread}-point spread)`;
+  }
+
   /**
    * Generate overall recommendation based on consensus
    */
   generateOverallRecommendation(consensusScore) {
+    if (consensusScore === null) return 'UNAVAILABLE';
     if (consensusScore >= 80) return 'STRONG BUY';
     if (consensusScore >= 65) return 'BUY';
     if (consensusScore >= 45) return 'HOLD';
@@ -190,14 +281,13 @@ export class SwarmCoordinator {
   }
 
   /**
-   * Calculate overall confidence from agent confidences
+   * Calculate overall confidence from the confidences of agents that produced a score
    */
   calculateOverallConfidence(research, market, contract) {
-    const confidences = [
-      research.confidence || 0.5,
-      market.confidence || 0.5,
-      contract.confidence || 0.5
-    ];
+    const confidences = [research, market, contract]
+      .filter(result => result.score !== null)
+      .map(result => result.confidence || 0.5);
+    if (confidences.length === 0) return 0;
     
     return confidences.reduce((sum, conf) => sum + conf, 0) / confidences.length;
   }
@@ -215,42 +305,38 @@ export class SwarmCoordinator {
   }
 
   /**
-   * Generate agent fallback when agent fails
+   * List agents whose structured LLM output failed validation or was unavailable
    */
-  generateAgentFallback(agentType) {
-    const timestamp = new Date().toISOString();
-    
+  getDegradedAgents(research, market, contract) {
+    return Object.entries({ research, market, contract })
+      .filter(([, result]) => result.degraded)
+      .map(([agentType]) => agentType);
+  }
+
+  /**
+   * Stand-in for an agent that failed: no score (so it is left out of the
+   * consensus), flagged degraded with the reason
+   */
+  generateAgentFallback(agentType, reason) {
+    const fallback = {
+      [AGENT_SCORE_FIELDS[agentType]]: null,
+      score: null,
+      degraded: true,
+      reason,
+      confidence: 0,
+      source: 'fallback',
+      timestamp: new Date().toISOString()
+    };
+
     switch (agentType) {
       case 'research':
-        return {
-          overall_score: 50,
-          legitimacy_assessment: 'Research analysis unavailable',
-          key_findings: ['Agent temporarily unavailable'],
-          confidence: 0.3,
-          source: 'fallback',
-          timestamp
-        };
+        return { ...fallback, legitimacy_assessment: 'Research analysis unavailable', key_findings: [] };
       case 'market':
-        return {
-          market_score: 50,
-          price_analysis: 'Market analysis unavailable',
-          market_insights: ['Agent temporarily unavailable'],
-          confidence: 0.3,
-          source: 'fallback',
-          timestamp
-        };
+        return { ...fallback, price_analysis: 'Market analysis unavailable', market_insights: [] };
       case 'contract':
-        return {
-          security_score: 50,
-          risk_level: 'MEDIUM',
-          security_assessment: 'Contract analysis unavailable',
-          risk_factors: ['Agent temporarily unavailable'],
-          confidence: 0.3,
-          source: 'fallback',
-          timestamp
-        };
+        return { ...fallback, risk_level: null, security_assessment: 'Contract analysis unavailable', risk_factors: [] };
       default:
-        return { confidence: 0.3, source: 'fallback', timestamp };
+        return fallback;
     }
   }
 
@@ -261,24 +347,29 @@ export class SwarmCoordinator {
     console.error('Generating failsafe analysis due to swarm failure:', error.message);
     
     return {
-      consensus_score: 50,
-      overall_recommendation: 'HOLD',
-      confidence_level: 0.4,
+      consensus_score: null,
+      consensus: { strategy: 'failsafe', weights: {}, votes: [], note: 'Swarm coordination failed - no consensus' },
+      disagreement: null,
+      overall_recommendation: this.generateOverallRecommendation(null),
+      confidence_level: 0,
       executive_summary: 'Analysis temporarily unavailable. Basic metrics provided.',
       key_findings: ['Multi-agent analysis system temporarily unavailable'],
       risk_factors: ['Unable to perform comprehensive analysis'],
       detailed_analysis: {
-        research: this.generateAgentFallback('research'),
-        market: this.generateAgentFallback('market'),
-        contract: this.generateAgentFallback('contract')
+        research: this.generateAgentFallback('research', error.message),
+        market: this.generateAgentFallback('market', error.message),
+        contract: this.generateAgentFallback('contract', error.message),
+        rounds: []
       },
       swarm_coordination: {
         coordination_id: this.coordinationId,
         agents_used: [],
+        execution_mode: this.executor.mode,
         juliaos_framework: false,
         analysis_timestamp: new Date().toISOString(),
         error: error.message,
-        fallback_mode: true
+        fallback_mode: true,
+        degraded_agents: ['research', 'market', 'contract']
       }
     };
   }
@@ -288,11 +379,7 @@ export class SwarmCoordinator {
    */
   async cleanupAgents() {
     try {
-      await Promise.all([
-        this.agents.research.cleanup(),
-        this.agents.market.cleanup(),
-        this.agents.contract.cleanup()
-      ]);
+      await this.executor.cleanup();
       console.log(`🧹 Agent cleanup completed for coordination: ${this.coordinationId}`);
     } catch (error) {
       console.warn('Agent cleanup failed:', error.message);
@@ -307,4 +394,6 @@ export class SwarmCoordinator {
   }
 }
 
+export { CONSENSUS_STRATEGIES, AGENT_SCORE_FIELDS, resolveConsensusSpec };
+
 export default SwarmCoordinator;
\ No newline at end of file
@@ -0,0 +1,243 @@
+// Consensus strategies that combine the agents' scores into `consensus_score`.
+//
+// Every strategy receives the agents' votes and returns the score together
+// with the normalized weight each agent ended up contributing, so callers can
+// report exactly how a consensus score was produced.
+
+// Which field holds each agent's 0-100 score
+export const AGENT_SCORE_FIELDS = {
+  research: 'overall_score',
+  market: 'market_score',
+  contract: 'security_score'
+};
+
+export const DEFAULT_AGENT_WEIGHTS = { research: 0.4, market: 0.4, contract: 0.2 };
+
+const DEFAULT_TRIM = 0.2;
+const MAX_TRIM = 0.49;
+
+/**
+ * Collect a vote for every agent that produced a numeric score (0 included)
+ */
+export function collectVotes(results) {
+  return Object.entries(AGENT_SCORE_FIELDS)
+    .filter(([agentType]) => results[agentType])
+    .map(([agentType, field]) => ({
+      agent: agentType,
+      score: results[agentType][field],
+      confidence: results[agentType].confidence,
+      degraded: !!results[agentType].degraded
+    }))
+    .filter(vote => Number.isFinite(vote.score));
+}
+
+/**
+ * The votes that count. A degraded agent (LLM unavailable or its output
+ * invalid) only carries its heuristic fallback score, so it is excluded while
+ * any agent produced a real one; when every agent is degraded all of them vote.
+ */
+export function selectVotes(results) {
+  const all = collectVotes(results);
+  const healthy = all.filter(vote => !vote.degraded);
+  if (healthy.length === 0) return { votes: all, excluded: [] };
+
+  return {
+    votes: healthy,
+    excluded: all.filter(vote => vote.degraded).map(vote => ({
+      agent: vote.agent,
+      score: vote.score,
+      reason: results[vote.agent].degraded_reason || results[vote.agent].reason || 'degraded'
+    }))
+  };
+}
+
+// Weighted mean of the votes; weights that sum to 0 fall back to equal weights
+function weightedMean(votes, rawWeights) {
+  let weights = votes.map(vote => Math.max(0, rawWeights[vote.agent] ?? 0));
+  let totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight === 0) {
+    weights = votes.map(() => 1);
+    totalWeight = votes.length;
+  }
+
+  const weightedSum = votes.reduce((sum, vote, i) => sum + vote.score * weights[i], 0);
+  return {
+    score: weightedSum / totalWeight,
+    weights: Object.fromEntries(votes.map((vote, i) => [vote.agent, weights[i] / totalWeight]))
+  };
+}
+
+function sortedByScore(votes) {
+  return [...votes].sort((a, b) => a.score - b.score);
+}
+
+/**
+ * Fixed per-agent weights (the original 0.4 / 0.4 / 0.2 split by default)
+ */
+function weighted(votes, options) {
+  return weightedMean(votes, { ...DEFAULT_AGENT_WEIGHTS, ...options.weights });
+}
+
+/**
+ * Weight each agent by its own reported confidence
+ */
+function confidenceWeighted(votes) {
+  const confidences = Object.fromEntries(
+    votes.map(vote => [vote.agent, Number.isFinite(vote.confidence) ? vote.confidence : 0.5])
+  );
+  return weightedMean(votes, confidences);
+}
+
+/**
+ * Middle score; with an even number of votes the two middle agents split the weight
+ */
+function median(votes) {
+  const sorted = sortedByScore(votes);
+  const mid = Math.floor(sorted.length / 2);
+  const middle = sorted.length % 2 ? [sorted[mid]] : [sorted[mid - 1], sorted[mid]];
+
+  return {
+    score: middle.reduce((sum, vote) => sum + vote.score, 0) / middle.length,
+    weights: Object.fromEntries(
+      sorted.map(vote => [vote.agent, middle.includes(vote) ? 1 / middle.length : 0])
+    )
+  };
+}
+
+/**
+ * Mean after dropping the `trim` fraction of highest and lowest scores.
+ * Small swarms (fewer than 1 / trim votes) trim nothing and get a plain mean.
+ */
+function trimmedMean(votes, options) {
+  const requested = Number(options.trim ?? DEFAULT_TRIM);
+  const trim = Number.isFinite(requested) ? Math.min(Math.max(requested, 0), MAX_TRIM) : DEFAULT_TRIM;
+  const drop = Math.floor(votes.length * trim);
+  const sorted = sortedByScore(votes);
+  const kept = sorted.slice(drop, sorted.length - drop);
+
+  return {
+    score: kept.reduce((sum, vote) => sum + vote.score, 0) / kept.length,
+    weights: Object.fromEntries(
+      sorted.map(vote => [vote.agent, kept.includes(vote) ? 1 / kept.length : 0])
+    ),
+    trim,
+    trimmed_agents: sorted.filter(vote => !kept.includes(vote)).map(vote => vote.agent)
+  };
+}
+
+/**
+ * Pessimistic mode: score with a base strategy, then cap it when the
+ * contract agent rates the contract as CRITICAL risk
+ */
+function veto(votes, options, results) {
+  const base = options.base || 'weighted';
+  if (base === 'veto' || !STRATEGIES[base]) {
+    throw new Error(`Invalid base strategy "${base}" for veto consensus`);
+  }
+
+  const outcome = STRATEGIES[base](votes, options, results);
+  const cap = options.cap ?? 25;
+  const vetoed = results.contract?.risk_level === 'CRITICAL' && outcome.score > cap;
+
+  return {
+    ...outcome,
+    score: vetoed ? cap : outcome.score,
+    base_strategy: base,
+    veto: {
+      applied: vetoed,
+      cap,
+      reason: vetoed ? 'Contract agent reported CRITICAL risk' : null,
+      uncapped_score: Math.round(outcome.score)
+    }
+  };
+}
+
+const STRATEGIES = {
+  weighted,
+  confidence_weighted: confidenceWeighted,
+  median,
+  trimmed_mean: trimmedMean,
+  veto
+};
+
+export const CONSENSUS_STRATEGIES = Object.keys(STRATEGIES);
+
+const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+// Options each strategy accepts; a check returns an error message or null
+const STRATEGY_OPTIONS = {
+  weighted: {
+    weights: weights => (weights && typeof weights === 'object' && !Array.isArray(weights) &&
+      Object.entries(weights).every(([agent, weight]) => AGENT_SCORE_FIELDS[agent] && isNumberIn(weight, 0, Infinity))
+      ? null
+      : `weights must map ${Object.keys(AGENT_SCORE_FIELDS).join(' / ')} to numbers of 0 or more`)
+  },
+  confidence_weighted: {},
+  median: {},
+  trimmed_mean: {
+    trim: trim => (isNumberIn(trim, 0, MAX_TRIM) ? null : `trim must be a number from 0 to ${MAX_TRIM}`)
+  },
+  veto: {
+    base: base => (base !== 'veto' && STRATEGIES[base]
+      ? null
+      : `Invalid base strategy "${base}" for veto consensus (expected one of: ${CONSENSUS_STRATEGIES.filter(name => name !== 'veto').join(', ')})`),
+    cap: cap => (isNumberIn(cap, 0, 100) ? null : 'cap must be a number from 0 to 100')
+  }
+};
+
+function validateOptions(strategy, options) {
+  // Veto also takes the options of the strategy it caps
+  const accepted = strategy === 'veto'
+    ? { ...STRATEGY_OPTIONS[options.base || 'weighted'], ...STRATEGY_OPTIONS.veto }
+    : STRATEGY_OPTIONS[strategy];
+
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+    if (!accepted[key]) {
+      throw new Error(`Unknown option "${key}" for ${strategy} consensus`);
+    }
+    const problem = accepted[key](value);
+    if (problem) throw new Error(problem);
+  }
+}
+
+/**
+ * Normalize a strategy spec: a name, or `{ strategy, ...options }`.
+ * Throws on an unknown strategy or an option it does not accept.
+ */
+export function resolveConsensusSpec(spec = process.env.SWARM_CONSENSUS_STRATEGY || 'weighted') {
+  const { strategy = 'weighted', ...options } = typeof spec === 'string' ? { strategy: spec } : spec;
+  if (!STRATEGIES[strategy]) {
+    throw new Error(`Unknown consensus strategy "${strategy}" (expected one of: ${CONSENSUS_STRATEGIES.join(', ')})`);
+  }
+  validateOptions(strategy, options);
+  return { strategy, options };
+}
+
+/**
+ * Combine the agent results into a consensus score using the given strategy.
+ * Returns the score plus the strategy, weights and votes that produced it,
+ * and the degraded agents left out of it under `excluded`.
+ */
+export function calculateConsensus(results, spec) {
+  const { strategy, options } = resolveConsensusSpec(spec);
+  const { votes, excluded } = selectVotes(results);
+
+  // Agents that failed have no score and no vote; with none left there is no consensus
+  if (votes.length === 0) {
+    return { score: null, strategy, weights: {}, votes, excluded, note: 'No agent scores available' };
+  }
+
+  const { score, weights, ...details } = STRATEGIES[strategy](votes, options, results);
+  return {
+    score: Math.round(score),
+    strategy,
+    weights: Object.fromEntries(
+      Object.entries(weights).map(([agent, weight]) => [agent, Math.round(weight * 1000) / 1000])
+    ),
+    votes,
+    excluded,
+    ...(votes.some(vote => vote.degraded) ? { note: 'Every agent is degraded - heuristic scores only' } : {}),
+    ...details
+  };
+}
@@ -0,0 +1,115 @@
+// Disagreement detection and the optional debate round.
+//
+// After the first round the coordinator measures how far apart the agents'
+// scores are. When the spread is high (and debate is enabled) each agent sees
+// the other agents' positions and is asked to revise or defend its score.
+
+import { AGENT_SCORE_FIELDS, collectVotes, selectVotes } from './consensus.js';
+
+// Which fields hold each agent's supporting findings
+const AGENT_FINDING_FIELDS = {
+  research: ['key_findings'],
+  market: ['market_insights'],
+  contract: ['risk_factors', 'recommendations']
+};
+
+export const DEFAULT_DISAGREEMENT_THRESHOLD = 40;
+
+/**
+ * Measure the spread between agent scores.
+ * `level` is HIGH at or above `threshold` points of spread, MODERATE above half of it.
+ */
+export function measureDisagreement(results, threshold = DEFAULT_DISAGREEMENT_THRESHOLD) {
+  // The agents whose scores count towards the consensus
+  const { votes } = selectVotes(results);
+  if (votes.length < 2) {
+    return { spread: 0, std_dev: 0, threshold, level: 'LOW', high: false, highest: null, lowest: null };
+  }
+
+  const sorted = [...votes].sort((a, b) => a.score - b.score);
+  const lowest = sorted[0];
+  const highest = sorted[sorted.length - 1];
+  const mean = votes.reduce((sum, vote) => sum + vote.score, 0) / votes.length;
+  const variance = votes.reduce((sum, vote) => sum + (vote.score - mean) ** 2, 0) / votes.length;
+  const spread = highest.score - lowest.score;
+
+  let level = 'LOW';
+  if (spread >= threshold) level = 'HIGH';
+  else if (spread >= threshold / 2) level = 'MODERATE';
+
+  return {
+    spread,
+    std_dev: Math.round(Math.sqrt(variance) * 10) / 10,
+    threshold,
+    level,
+    high: level === 'HIGH',
+    highest: { agent: highest.agent, score: highest.score },
+    lowest: { agent: lowest.agent, score: lowest.score }
+  };
+}
+
+/**
+ * An agent's position as shown to the other agents: its score and findings
+ */
+export function summarizePosition(agentType, result) {
+  return {
+    agent: agentType,
+    score: result[AGENT_SCORE_FIELDS[agentType]],
+    findings: AGENT_FINDING_FIELDS[agentType]
+      .flatMap(field => result[field] || [])
+      .slice(0, 5)
+  };
+}
+
+/**
+ * Scores per agent, as recorded for each round
+ */
+export function roundScores(results) {
+  return Object.fromEntries(collectVotes(results).map(vote => [vote.agent, vote.score]));
+}
+
+/**
+ * Ask every agent to revise or defend its score against the others' positions.
+ * `runDebate(agentType, position, peers)` returns `{ stance, revised_score, rationale }`;
+ * an agent whose debate fails keeps its first-round score.
+ */
+export async function runDebateRound(results, runDebate) {
+  // Agents that failed have no position to defend and sit the round out
+  const debaters = Object.keys(results)
+    .filter(agentType => Number.isFinite(results[agentType][AGENT_SCORE_FIELDS[agentType]]));
+  const positions = Object.fromEntries(
+    debaters.map(agentType => [agentType, summarizePosition(agentType, results[agentType])])
+  );
+
+  const outcomes = await Promise.allSettled(
+    debaters.map(agentType => runDebate(
+      agentType,
+      positions[agentType],
+      Object.values(positions).filter(position => position.agent !== agentType)
+    ))
+  );
+
+  const revised = { ...results };
+  const debate = {};
+  debaters.forEach((agentType, i) => {
+    const initialScore = positions[agentType].score;
+    const outcome = outcomes[i].status === 'fulfilled'
+      ? outcomes[i].value
+      : { stance: 'defend', revised_score: initialScore, rationale: 'Debate failed - first-round score kept', degraded: true };
+
+    debate[agentType] = {
+      stance: outcome.stance,
+      initial_score: initialScore,
+      revised_score: outcome.revised_score,
+      rationale: outcome.rationale,
+      degraded: !!outcome.degraded
+    };
+    revised[agentType] = {
+      ...results[agentType],
+      [AGENT_SCORE_FIELDS[agentType]]: outcome.revised_score,
+      debate: debate[agentType]
+    };
+  });
+
+  return { results: revised, debate };
+}
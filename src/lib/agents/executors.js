@@ -0,0 +1,142 @@
+import { ResearchAgent } from './ResearchAgent.js';
+import { MarketAgent } from './MarketAgent.js';
+import { ContractAgent } from './ContractAgent.js';
+
+/**
+ * Work out which contract address and chain the contract agent should inspect,
+ * and the DEX pair its trades should be simulated through
+ */
+export function resolveContractTarget(projectData) {
+  // Extract contract address from project data
+  let contractAddress = projectData.tokenInfo?.address;
+
+  // If no direct address, try to derive from token data
+  if (!contractAddress && projectData.marketData?.contract_address) {
+    contractAddress = projectData.marketData.contract_address;
+  }
+
+  // If still no address, use symbol for analysis
+  if (!contractAddress) {
+    contractAddress = projectData.tokenInfo?.symbol || 'UNKNOWN';
+  }
+
+  // Prefer the detected chain; otherwise guess from the address shape
+  let blockchain = projectData.blockchainInfo?.blockchain || projectData.tokenInfo?.blockchain;
+  if (!blockchain || blockchain === 'unknown') {
+    blockchain = contractAddress.length < 40 ? 'solana' : 'ethereum';
+  }
+
+  return { contractAddress, blockchain, pool: resolveMainPool(projectData.dexData, contractAddress, blockchain) };
+}
+
+/**
+ * The canonical (deepest) pool as { pairAddress, quoteTokenAddress, dexId },
+ * where the quote token is whichever side of the pair is not ours
+ */
+function resolveMainPool(dexData, contractAddress, blockchain) {
+  const canonicalPool = dexData?.aggregate?.canonicalPool;
+  const pair = canonicalPool && dexData.pairs?.find(candidate => candidate.pairAddress === canonicalPool.pairAddress);
+  if (!pair || pair.chainId !== blockchain) return null;
+
+  const isOurs = address => !!address && address.toLowerCase() === contractAddress.toLowerCase();
+  let quoteTokenAddress = null;
+  if (isOurs(pair.baseToken?.address)) quoteTokenAddress = pair.quoteToken?.address;
+  else if (isOurs(pair.quoteToken?.address)) quoteTokenAddress = pair.baseToken?.address;
+  if (!quoteTokenAddress) return null;
+
+  return { pairAddress: pair.pairAddress, quoteTokenAddress, dexId: pair.dexId || null };
+}
+
+function createAgents({ llm, agents: agentConfig = {} } = {}) {
+  return {
+    research: new ResearchAgent({ llm, ...agentConfig.research }),
+    market: new MarketAgent({ llm, ...agentConfig.market }),
+    contract: new ContractAgent({ llm, ...agentConfig.contract })
+  };
+}
+
+/**
+ * Runs the real agents, each through its configured LLM backend chain
+ */
+export class AgentExecutor {
+  constructor(options = {}) {
+    this.mode = 'llm_agents';
+    this.agents = createAgents(options);
+  }
+
+  runResearch(projectData) {
+    return this.agents.research.analyzeProject(projectData);
+  }
+
+  runMarket(projectData) {
+    return this.agents.market.analyzeMarket(projectData);
+  }
+
+  runContract(projectData, { signal = null } = {}) {
+    const { contractAddress, blockchain, pool } = resolveContractTarget(projectData);
+    return this.agents.contract.analyzeContract(contractAddress, blockchain, pool, { signal });
+  }
+
+  runDebate(agentType, position, peers) {
+    return this.agents[agentType].debate(position, peers);
+  }
+
+  async cleanup() {
+    await Promise.all(Object.values(this.agents).map(agent => agent.cleanup()));
+  }
+}
+
+/**
+ * Runs each agent's data-driven heuristics locally, without calling any LLM.
+ * Heuristic scores are deterministic, so this executor has no debate round:
+ * the coordinator skips it and records why in `rounds[0].debate_skipped`.
+ */
+export class HeuristicExecutor {
+  constructor(options = {}) {
+    this.mode = 'local_heuristics';
+    this.agents = createAgents(options);
+  }
+
+  async runResearch(projectData) {
+    return { ...this.agents.research.enhancedFallbackAnalysis(projectData), analysis_method: this.mode };
+  }
+
+  async runMarket(projectData) {
+    return { ...this.agents.market.enhancedMarketFallback(projectData), analysis_method: this.mode };
+  }
+
+  async runContract(projectData, { signal = null } = {}) {
+    const { contractAddress, blockchain, pool } = resolveContractTarget(projectData);
+    const { contract } = this.agents;
+    // Reading verified source and simulating trades is data collection, not an LLM call
+    const [inspection, simulation] = await Promise.all([
+      contract.inspectContract(contractAddress, blockchain),
+      contract.simulateTrades(contractAddress, blockchain, pool, { signal })
+    ]);
+    return {
+      ...contract.applySimulation(contract.enhancedContractFallback(contractAddress, blockchain, inspection), simulation),
+      analysis_method: this.mode
+    };
+  }
+
+  async cleanup() {}
+}
+
+const EXECUTORS = {
+  agents: AgentExecutor,
+  heuristics: HeuristicExecutor
+};
+
+// Used by every entry point when neither the caller nor SWARM_EXECUTION_MODE picks one
+export const DEFAULT_EXECUTION_MODE = 'heuristics';
+
+/**
+ * Build a swarm executor: 'agents' (LLM-backed) or 'heuristics' (local only)
+ */
+export function createSwarmExecutor(mode = process.env.SWARM_EXECUTION_MODE || DEFAULT_EXECUTION_MODE, options = {}) {
+  const Executor = EXECUTORS[mode];
+  if (!Executor) {
+    throw new Error(`Unknown swarm execution mode "${mode}" (expected one of: ${Object.keys(EXECUTORS).join(', ')})`);
+  }
+  return new Executor(options);
+}
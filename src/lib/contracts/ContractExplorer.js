@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+
+// Client for Etherscan-compatible block explorers (Etherscan V2 multichain API
+// by default). Falls back to saved explorer responses under a fixture
+// directory when there is no API key or the explorer cannot be reached.
+
+// Chain id the Etherscan V2 API expects for each supported chain
+export const EXPLORER_CHAIN_IDS = {
+  ethereum: 1,
+  bsc: 56,
+  polygon: 137,
+  arbitrum: 42161,
+  optimism: 10,
+  base: 8453,
+  avalanche: 43114,
+  fantom: 250
+};
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Selector of `owner()` (Ownable)
+const OWNER_SELECTOR = '0x8da5cb5b';
+
+/**
+ * Split Etherscan's SourceCode field into files. It is either plain Solidity,
+ * a `{ path: { content } }` map, or standard-json input wrapped in `{{ }}`.
+ */
+export function parseSourceFiles(sourceCode, contractName = 'Contract') {
+  if (!sourceCode) return [];
+
+  const trimmed = sourceCode.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(trimmed.startsWith('{{') ? trimmed.slice(1, -1) : trimmed);
+      const sources = parsed.sources || parsed;
+      return Object.entries(sources).map(([file, { content = '' } = {}]) => ({ path: file, content }));
+    } catch {
+      // Not JSON after all - treat it as a single Solidity file
+    }
+  }
+  return [{ path: `${contractName}.sol`, content: sourceCode }];
+}
+
+function parseAbi(abi) {
+  if (!abi || typeof abi !== 'string' || !abi.trim().startsWith('[')) return null;
+  try {
+    return JSON.parse(abi);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize one explorer `getsourcecode` entry
+ */
+function toContract(entry, address, source) {
+  return {
+    address,
+    source,
+    verified: !!entry.SourceCode,
+    contractName: entry.ContractName || null,
+    compilerVersion: entry.CompilerVersion || null,
+    sourceFiles: parseSourceFiles(entry.SourceCode, entry.ContractName || undefined),
+    abi: parseAbi(entry.ABI),
+    proxy: entry.Proxy === '1',
+    implementation: entry.Implementation || null
+  };
+}
+
+export class ContractExplorer {
+  constructor(options = {}) {
+    this.apiUrl = options.apiUrl || process.env.ETHERSCAN_API_URL || 'https://api.etherscan.io/v2/api';
+    this.apiKey = options.apiKey ?? process.env.ETHERSCAN_API_KEY;
+    this.fixtureDir = options.fixtureDir || process.env.CONTRACT_FIXTURE_DIR ||
+      path.join(process.cwd(), 'fixtures', 'contracts');
+    this.timeout = options.timeout || 10000;
+  }
+
+  supports(blockchain) {
+    return blockchain in EXPLORER_CHAIN_IDS;
+  }
+
+  /**
+   * Verified source, ABI, proxy implementation and current owner of a contract.
+   * Tries the explorer, then `<fixtureDir>/<chain>/<address>.json`; null when
+   * neither knows the contract.
+   *
+   * `owner` is the `owner()` result: an address (ZERO_ADDRESS once renounced),
+   * null when the contract has no `owner()`, undefined when it was not read.
+   */
+  async getContract(address, blockchain) {
+    if (this.apiKey) {
+      try {
+        return await this.fetchFromExplorer(address, blockchain);
+      } catch (error) {
+        console.warn(`⚠️ Explorer lookup failed for ${address} (${error.message}) - trying fixtures`);
+      }
+    }
+    return this.readFixture(address, blockchain);
+  }
+
+  async fetchFromExplorer(address, blockchain) {
+    const [entry] = await this.call(blockchain, { module: 'contract', action: 'getsourcecode', address });
+    if (!entry) throw new Error('Explorer returned no contract entry');
+
+    const contract = toContract(entry, address, 'explorer');
+    if (contract.proxy && contract.implementation) {
+      const [implementation] = await this.call(blockchain, {
+        module: 'contract', action: 'getsourcecode', address: contract.implementation
+      });
+      contract.implementationContract = implementation
+        ? toContract(implementation, contract.implementation, 'explorer')
+        : null;
+    }
+    contract.owner = await this.readOwner(address, blockchain).catch(() => undefined);
+
+    console.log(`📜 Explorer source for ${address}: ${contract.verified ? contract.contractName : 'unverified'}`);
+    return contract;
+  }
+
+  /**
+   * Fixture files hold the explorer's `getsourcecode` entry (or the whole
+   * response), optionally with an `Owner` field for the `owner()` result
+   */
+  readFixture(address, blockchain) {
+    const load = target => {
+      const file = path.join(this.fixtureDir, blockchain, `${target.toLowerCase()}.json`);
+      if (!fs.existsSync(file)) return null;
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(saved.result) ? saved.result[0] : saved;
+    };
+
+    const entry = load(address);
+    if (!entry) return null;
+
+    const contract = toContract(entry, address, 'fixture');
+    if (contract.proxy && contract.implementation) {
+      const implementation = load(contract.implementation);
+      contract.implementationContract = implementation
+        ? toContract(implementation, contract.implementation, 'fixture')
+        : null;
+    }
+    contract.owner = 'Owner' in entry ? (entry.Owner || null) : undefined;
+
+    console.log(`📁 Contract fixture for ${address}: ${contract.verified ? contract.contractName : 'unverified'}`);
+    return contract;
+  }
+
+  /**
+   * Current `owner()` via the explorer's eth_call proxy
+   */
+  async readOwner(address, blockchain) {
+    const result = await this.call(blockchain, {
+      module: 'proxy', action: 'eth_call', to: address, data: OWNER_SELECTOR, tag: 'latest'
+    });
+    // Reverted or missing function
+    if (typeof result !== 'string' || result.length < 66) return null;
+    return `0x${result.slice(-40)}`.toLowerCase();
+  }
+
+  async call(blockchain, params) {
+    const chainId = EXPLORER_CHAIN_IDS[blockchain];
+    if (!chainId) throw new Error(`No explorer configured for ${blockchain}`);
+
+    const query = new URLSearchParams({ chainid: String(chainId), ...params, apikey: this.apiKey });
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.apiUrl}?${query}`, { signal: controller.signal });
+      if (!response.ok) throw new Error(`Explorer request failed (${response.status})`);
+
+      const data = await response.json();
+      // JSON-RPC style responses (module=proxy) carry `result` or `error`
+      if (params.module === 'proxy') {
+        if (data.error) throw new Error(data.error.message || 'eth_call failed');
+        return data.result;
+      }
+      if (data.status !== '1') throw new Error(typeof data.result === 'string' ? data.result : data.message);
+      return data.result;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+export default ContractExplorer;
@@ -0,0 +1,501 @@
+import fs from 'fs';
+import path from 'path';
+import { keccak_256 } from '@noble/hashes/sha3.js';
+import { Common, Mainnet } from '@ethereumjs/common';
+import { createEVM } from '@ethereumjs/evm';
+import { RPCStateManager, SimpleStateManager } from '@ethereumjs/statemanager';
+import {
+  bigIntToBytes,
+  bytesToBigInt,
+  bytesToHex,
+  concatBytes,
+  createAccount,
+  createAddressFromString,
+  createZeroAddress,
+  fetchFromProvider,
+  hexToBytes,
+  setLengthLeft
+} from '@ethereumjs/util';
+import { EXPLORER_CHAIN_IDS } from './ContractExplorer.js';
+
+// Buy-then-sell simulation through a token's main Uniswap V2-style pair, run
+// in an in-process EVM against forked chain state (JSON-RPC) or a locally
+// supplied state file. Measures the transfer tax on each side, whether the
+// sell reverts and the max transaction / wallet limits the token enforces.
+
+const encoder = new TextEncoder();
+
+function selector(signature) {
+  return keccak_256(encoder.encode(signature)).slice(0, 4);
+}
+
+const SELECTORS = {
+  balanceOf: selector('balanceOf(address)'),
+  approve: selector('approve(address,uint256)'),
+  transferFrom: selector('transferFrom(address,address,uint256)'),
+  totalSupply: selector('totalSupply()'),
+  token0: selector('token0()'),
+  getReserves: selector('getReserves()'),
+  swap: selector('swap(uint256,uint256,address,bytes)')
+};
+
+// Common getters for per-transaction and per-wallet limits
+const LIMIT_GETTERS = {
+  maxTx: ['_maxTxAmount', 'maxTxAmount', 'maxTransactionAmount', '_maxTransactionAmount', 'maxBuyAmount'],
+  maxWallet: ['_maxWalletSize', 'maxWallet', 'maxWalletAmount', '_maxWalletToken', 'maxWalletSize', '_maxWalletAmount']
+};
+
+// Synthetic accounts: a fresh EOA trading through a router-like spender
+const BUYER = '0x5111111111111111111111111111111111111111';
+const ROUTER = '0x5222222222222222222222222222222222222222';
+
+// Trade 0.1% of the pool's quote reserve - small enough to stay under limits
+const BUY_SHARE_DIVISOR = 1000n;
+const CALL_GAS_LIMIT = 10_000_000n;
+// Storage slots probed for the quote token's `balanceOf` mapping
+const MAX_BALANCE_SLOT = 20;
+// Default time a simulation may take: inside the batch's per-token timeout
+// (20s) and the 26s function limit, leaving the rest of the analysis room
+export const DEFAULT_SIMULATION_TIMEOUT_MS = 15000;
+
+// Tax (%) at or above which a side is reported at each risk level
+export const TAX_THRESHOLDS = { CRITICAL: 50, HIGH: 10, MEDIUM: 5 };
+// Limits below this share of total supply (%) are reported as a risk
+const TIGHT_LIMIT_PCT = 1;
+// Highest security score a simulated risk level allows
+export const SIMULATION_SCORE_CAPS = { CRITICAL: 35, HIGH: 55, MEDIUM: 75, LOW: 100 };
+
+const word = value => setLengthLeft(typeof value === 'bigint' ? bigIntToBytes(value) : value, 32);
+const addressWord = address => word(hexToBytes(address.toLowerCase()));
+const toAddress = address => createAddressFromString(address.toLowerCase());
+const percent = (part, whole) => (whole > 0n ? Number((part * 10000n) / whole) / 100 : 0);
+
+/**
+ * Revert reason of a failed call: the `Error(string)` message, otherwise the
+ * raw error selector or the EVM exception
+ */
+function revertReason(execResult) {
+  const data = execResult.returnValue;
+  if (data.length >= 68 && bytesToHex(data.slice(0, 4)) === '0x08c379a0') {
+    const length = Number(bytesToBigInt(data.slice(36, 68)));
+    return new TextDecoder().decode(data.slice(68, 68 + length)) || 'reverted';
+  }
+  if (data.length >= 4) return `reverted with ${bytesToHex(data.slice(0, 4))}`;
+  return execResult.exceptionError?.error || 'reverted';
+}
+
+/**
+ * `promise`, or its rejection with the abort reason as soon as `signal` aborts
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Forked state that stops waiting on the RPC node once `signal` aborts, so a
+ * run stuck in a slow state fetch ends with its deadline rather than after it
+ */
+class AbortableRPCStateManager extends RPCStateManager {
+  constructor(options, signal) {
+    super(options);
+    this.signal = signal;
+  }
+
+  getAccount(address) {
+    return untilAborted(super.getAccount(address), this.signal);
+  }
+
+  getCode(address) {
+    return untilAborted(super.getCode(address), this.signal);
+  }
+
+  getStorage(address, key) {
+    return untilAborted(super.getStorage(address, key), this.signal);
+  }
+}
+
+function mockBlock({ number = 0n, timestamp = BigInt(Math.floor(Date.now() / 1000)) } = {}) {
+  return {
+    header: {
+      number,
+      coinbase: createZeroAddress(),
+      timestamp,
+      difficulty: 0n,
+      prevRandao: new Uint8Array(32),
+      gasLimit: 30_000_000n,
+      baseFeePerGas: undefined,
+      slotNumber: 0n,
+      getBlobGasPrice: () => undefined
+    }
+  };
+}
+
+/**
+ * JSON-RPC endpoints from `<CHAIN>_RPC_URL` variables, e.g. ETHEREUM_RPC_URL
+ */
+function rpcUrlsFromEnv() {
+  const urls = {};
+  Object.keys(EXPLORER_CHAIN_IDS).forEach(chain => {
+    const url = process.env[`${chain.toUpperCase()}_RPC_URL`];
+    if (url) urls[chain] = url;
+  });
+  return urls;
+}
+
+/**
+ * Risk level and risk factors implied by a simulation result
+ */
+export function assessSimulation(simulation) {
+  if (simulation?.status !== 'simulated') {
+    return { riskLevel: null, riskFactors: [] };
+  }
+
+  const riskFactors = [];
+  let riskLevel = 'LOW';
+  const raise = level => {
+    const order = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+    if (order.indexOf(level) > order.indexOf(riskLevel)) riskLevel = level;
+  };
+  const taxLevel = taxPct => Object.keys(TAX_THRESHOLDS).find(level => taxPct >= TAX_THRESHOLDS[level]);
+
+  const { buy, sell, limits } = simulation;
+  if (!buy.success) {
+    raise('HIGH');
+    riskFactors.push(`Buy reverts in simulation (${buy.revertReason}) - trading may be disabled or restricted`);
+  } else if (!sell.success) {
+    raise('CRITICAL');
+    riskFactors.push(`Honeypot: selling reverts in simulation during ${sell.stage} (${sell.revertReason})`);
+  }
+
+  [['Buy', buy], ['Sell', sell]].forEach(([side, trade]) => {
+    const level = trade.success ? taxLevel(trade.taxPct) : null;
+    if (level) {
+      raise(level);
+      riskFactors.push(`${side} tax of ${trade.taxPct}% measured in simulation` +
+        (level === 'CRITICAL' && side === 'Sell' ? ' - effectively a honeypot' : ''));
+    }
+  });
+
+  Object.entries({ maxTx: 'Max transaction', maxWallet: 'Max wallet' }).forEach(([key, label]) => {
+    const limit = limits[key];
+    if (limit && limit.pctOfSupply !== null && limit.pctOfSupply < TIGHT_LIMIT_PCT) {
+      raise('MEDIUM');
+      riskFactors.push(`${label} limit of ${limit.pctOfSupply}% of supply (${limit.getter}) - exits may need to be split`);
+    }
+  });
+
+  return { riskLevel, riskFactors };
+}
+
+export class HoneypotSimulator {
+  /**
+   * `rpcUrls` maps chain -> JSON-RPC URL for forked state; `stateDir` holds
+   * locally supplied state as `<stateDir>/<chain>/<token>.json`; `timeout`
+   * bounds each simulation (SIMULATION_TIMEOUT_MS, default 15s)
+   */
+  constructor(options = {}) {
+    this.rpcUrls = options.rpcUrls || rpcUrlsFromEnv();
+    this.stateDir = options.stateDir || process.env.SIMULATION_STATE_DIR ||
+      path.join(process.cwd(), 'fixtures', 'evm-state');
+    this.timeout = options.timeout || Number(process.env.SIMULATION_TIMEOUT_MS) || DEFAULT_SIMULATION_TIMEOUT_MS;
+  }
+
+  supports(blockchain) {
+    return blockchain in EXPLORER_CHAIN_IDS;
+  }
+
+  /**
+   * Simulate a buy and a sell of `tokenAddress` through `pool`
+   * ({ pairAddress, quoteTokenAddress, dexId }). `status` is simulated |
+   * unsupported | unavailable | failed.
+   *
+   * The run stops at `timeoutMs` (default: the simulator's timeout) or when
+   * the caller's `signal` aborts, whichever comes first - also while it is
+   * waiting on the RPC node.
+   */
+  async simulate(tokenAddress, blockchain, pool = null, { signal = null, timeoutMs = this.timeout } = {}) {
+    if (!this.supports(blockchain) || !/^0x[a-fA-F0-9]{40}$/.test(tokenAddress || '')) {
+      return { status: 'unsupported', reason: `No EVM simulation for ${blockchain}` };
+    }
+
+    // Racing the timeout alone would leave the EVM run going in the
+    // background; the run checks the signal between calls and in state fetches
+    const controller = new AbortController();
+    const simulation = async () => {
+      const state = await this.loadState(tokenAddress, blockchain, controller.signal);
+      controller.signal.throwIfAborted();
+      if (!state) {
+        return { status: 'unavailable', reason: `No ${blockchain.toUpperCase()}_RPC_URL and no local state file for ${tokenAddress}` };
+      }
+
+      const target = pool?.pairAddress ? pool : state.pool;
+      if (!target?.pairAddress || !target?.quoteTokenAddress) {
+        return { status: 'unavailable', reason: 'No DEX pair to trade through' };
+      }
+
+      return this.run(state, tokenAddress, target, controller.signal);
+    };
+
+    const timeoutId = setTimeout(() => controller.abort(new Error(`Simulation timed out after ${timeoutMs}ms`)), timeoutMs);
+    const onCallerAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) onCallerAbort();
+    else signal?.addEventListener('abort', onCallerAbort, { once: true });
+    try {
+      return await untilAborted(simulation(), controller.signal);
+    } catch (error) {
+      console.warn(`⚠️ Trade simulation failed for ${tokenAddress}: ${error.message}`);
+      return { status: 'failed', reason: error.message };
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onCallerAbort);
+    }
+  }
+
+  /**
+   * Forked state when the chain has an RPC URL, otherwise the local state file.
+   * RPC reads give up once `signal` aborts.
+   */
+  async loadState(tokenAddress, blockchain, signal = null) {
+    const common = new Common({ chain: Mainnet });
+    const rpcUrl = this.rpcUrls[blockchain];
+    if (rpcUrl) {
+      const latest = await untilAborted(
+        fetchFromProvider(rpcUrl, { method: 'eth_getBlockByNumber', params: ['latest', false] }, { timeout: this.timeout }),
+        signal
+      );
+      const number = BigInt(latest.number);
+      return {
+        source: 'rpc',
+        stateManager: new AbortableRPCStateManager({ provider: rpcUrl, blockTag: number, common }, signal),
+        block: mockBlock({ number, timestamp: BigInt(latest.timestamp) }),
+        common
+      };
+    }
+
+    const file = path.join(this.stateDir, blockchain, `${tokenAddress.toLowerCase()}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const stateManager = new SimpleStateManager({ common });
+    for (const [address, account] of Object.entries(saved.accounts || {})) {
+      const target = toAddress(address);
+      await stateManager.putAccount(target, createAccount({
+        nonce: BigInt(account.nonce || 0),
+        balance: BigInt(account.balance || 0)
+      }));
+      if (account.code && account.code !== '0x') {
+        await stateManager.putCode(target, hexToBytes(account.code));
+      }
+      for (const [slot, value] of Object.entries(account.storage || {})) {
+        await stateManager.putStorage(target, word(hexToBytes(slot)), hexToBytes(value));
+      }
+    }
+
+    return {
+      source: 'state_file',
+      stateManager,
+      block: mockBlock({
+        number: BigInt(saved.block?.number || 0),
+        timestamp: saved.block?.timestamp ? BigInt(saved.block.timestamp) : undefined
+      }),
+      common,
+      pool: saved.pool || null
+    };
+  }
+
+  /**
+   * `signal` stops the run before its next EVM call once aborted
+   */
+  async run({ source, stateManager, block, common }, tokenAddress, pool, signal = null) {
+    const evm = await createEVM({ common, stateManager });
+    const token = tokenAddress.toLowerCase();
+    const pair = pool.pairAddress.toLowerCase();
+    const quote = pool.quoteTokenAddress.toLowerCase();
+
+    const call = async (to, data, { from = BUYER, origin = BUYER } = {}) => {
+      signal?.throwIfAborted();
+      const { execResult } = await evm.runCall({
+        to: toAddress(to),
+        caller: toAddress(from),
+        origin: toAddress(origin),
+        data,
+        gasLimit: CALL_GAS_LIMIT,
+        value: 0n,
+        skipBalance: true,
+        block
+      });
+      return execResult.exceptionError
+        ? { success: false, revertReason: revertReason(execResult) }
+        : { success: true, returnValue: execResult.returnValue };
+    };
+    const readUint = async (to, data) => {
+      const result = await call(to, data);
+      return result.success && result.returnValue.length >= 32 ? bytesToBigInt(result.returnValue.slice(0, 32)) : null;
+    };
+    const balanceOf = (asset, holder) => readUint(asset, concatBytes(SELECTORS.balanceOf, addressWord(holder)));
+
+    const token0 = await readUint(pair, SELECTORS.token0);
+    if (token0 === null) throw new Error(`${pair} has no token0() - unsupported pool type`);
+    const tokenIsToken0 = token0 === bytesToBigInt(hexToBytes(token));
+
+    const reserves = async () => {
+      const result = await call(pair, SELECTORS.getReserves);
+      if (!result.success || result.returnValue.length < 64) {
+        throw new Error(`${pair} is not a Uniswap V2-style pair (getReserves failed)`);
+      }
+      const reserve0 = bytesToBigInt(result.returnValue.slice(0, 32));
+      const reserve1 = bytesToBigInt(result.returnValue.slice(32, 64));
+      return tokenIsToken0 ? { token: reserve0, quote: reserve1 } : { token: reserve1, quote: reserve0 };
+    };
+    const swap = (tokenOut, amountOut) => {
+      const amounts = (tokenOut === token) === tokenIsToken0 ? [amountOut, 0n] : [0n, amountOut];
+      return call(pair, concatBytes(
+        SELECTORS.swap, word(amounts[0]), word(amounts[1]), addressWord(BUYER), word(128n), word(0n)
+      ));
+    };
+
+    // BUY: credit the pair with quote tokens, then swap them out to the buyer
+    const before = await reserves();
+    const amountIn = before.quote / BUY_SHARE_DIVISOR;
+    if (amountIn === 0n) throw new Error('Pair has no quote-token liquidity');
+    await this.creditBalance(evm, quote, pair, amountIn, balanceOf, signal);
+
+    const expectedOut = getAmountOut(amountIn, before.quote, before.token);
+    const heldBefore = await balanceOf(token, BUYER);
+    const buySwap = await swap(token, expectedOut);
+    const received = buySwap.success ? (await balanceOf(token, BUYER)) - heldBefore : 0n;
+    const buy = {
+      success: buySwap.success,
+      amountIn: amountIn.toString(),
+      expectedOut: expectedOut.toString(),
+      received: received.toString(),
+      taxPct: buySwap.success ? percent(expectedOut - received, expectedOut) : null,
+      revertReason: buySwap.revertReason || null
+    };
+
+    // SELL: the router pulls the tokens into the pair, then the pair swaps them
+    let sell = { success: false, stage: 'buy', amountIn: '0', pairReceived: '0', amountOut: '0', taxPct: null, revertReason: 'buy failed' };
+    if (buySwap.success && received > 0n) {
+      sell = await this.sell({ call, balanceOf, reserves, swap, token, quote, pair, received });
+    }
+
+    const limits = await this.readLimits(token, readUint);
+
+    return {
+      status: 'simulated',
+      source,
+      pairAddress: pair,
+      quoteTokenAddress: quote,
+      dexId: pool.dexId || null,
+      buy,
+      sell,
+      buyTaxPct: buy.taxPct,
+      sellTaxPct: sell.taxPct,
+      sellReverts: buy.success && !sell.success,
+      // Bought tokens cannot be sold, or only at a loss of half or more
+      honeypot: (buy.success && !sell.success) || sell.taxPct >= TAX_THRESHOLDS.CRITICAL,
+      limits,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async sell({ call, balanceOf, reserves, swap, token, quote, pair, received }) {
+    const result = { success: false, stage: 'approve', amountIn: received.toString(), pairReceived: '0', amountOut: '0', taxPct: null, revertReason: null };
+
+    const approval = await call(token, concatBytes(SELECTORS.approve, addressWord(ROUTER), word(received)));
+    if (!approval.success) return { ...result, revertReason: approval.revertReason };
+
+    const transfer = await call(
+      token,
+      concatBytes(SELECTORS.transferFrom, addressWord(BUYER), addressWord(pair), word(received)),
+      { from: ROUTER, origin: BUYER }
+    );
+    if (!transfer.success) return { ...result, stage: 'transfer', revertReason: transfer.revertReason };
+
+    // Fee swaps inside the transfer re-sync the reserves, so what the pair
+    // received is its balance above the current reserve
+    const current = await reserves();
+    const pairReceived = (await balanceOf(token, pair)) - current.token;
+    const amountOut = pairReceived > 0n ? getAmountOut(pairReceived, current.token, current.quote) : 0n;
+
+    const quoteBefore = await balanceOf(quote, BUYER);
+    const sellSwap = amountOut > 0n ? await swap(quote, amountOut) : { success: false, revertReason: 'nothing reached the pair' };
+    const quoteReceived = sellSwap.success ? (await balanceOf(quote, BUYER)) - quoteBefore : 0n;
+
+    return {
+      ...result,
+      success: sellSwap.success,
+      stage: 'swap',
+      pairReceived: pairReceived.toString(),
+      amountOut: quoteReceived.toString(),
+      taxPct: percent(received - pairReceived, received),
+      revertReason: sellSwap.revertReason || null
+    };
+  }
+
+  /**
+   * Raise `holder`'s balance of an ERC-20 by finding its `balanceOf` mapping
+   * slot (Solidity or Vyper layout) and writing storage directly
+   */
+  async creditBalance(evm, asset, holder, amount, balanceOf, signal = null) {
+    const current = await balanceOf(asset, holder);
+    if (current === null) throw new Error(`Quote token ${asset} has no balanceOf()`);
+
+    const assetAddress = toAddress(asset);
+    for (let slot = 0; slot <= MAX_BALANCE_SLOT; slot++) {
+      for (const key of [
+        keccak_256(concatBytes(addressWord(holder), word(BigInt(slot)))),
+        keccak_256(concatBytes(word(BigInt(slot)), addressWord(holder)))
+      ]) {
+        signal?.throwIfAborted();
+        const stored = await evm.stateManager.getStorage(assetAddress, key);
+        if (bytesToBigInt(stored) !== current) continue;
+
+        await evm.stateManager.putStorage(assetAddress, key, bigIntToBytes(current + amount));
+        if (await balanceOf(asset, holder) === current + amount) return;
+        await evm.stateManager.putStorage(assetAddress, key, stored);
+      }
+    }
+    throw new Error(`Could not locate the balance storage slot of quote token ${asset}`);
+  }
+
+  /**
+   * Max transaction / wallet limits from common getters, as a share of supply
+   */
+  async readLimits(token, readUint) {
+    const totalSupply = await readUint(token, SELECTORS.totalSupply);
+    const limits = {};
+    for (const [key, getters] of Object.entries(LIMIT_GETTERS)) {
+      limits[key] = null;
+      for (const getter of getters) {
+        const amount = await readUint(token, selector(`${getter}()`));
+        if (amount) {
+          limits[key] = {
+            getter: `${getter}()`,
+            amount: amount.toString(),
+            pctOfSupply: totalSupply ? percent(amount, totalSupply) : null
+          };
+          break;
+        }
+      }
+    }
+    return limits;
+  }
+}
+
+/**
+ * Uniswap V2 output for `amountIn`, with the 0.3% pool fee. Forks charging
+ * less accept it too, so the measured taxes exclude the DEX fee.
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+  const amountInWithFee = amountIn * 997n;
+  return (amountInWithFee * reserveOut) / (reserveIn * 1000n + amountInWithFee);
+}
+
+export default HoneypotSimulator;
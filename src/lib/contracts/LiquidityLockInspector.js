@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+import { keccak_256 } from '@noble/hashes/sha3.js';
+import { ContractExplorer, ZERO_ADDRESS } from './ContractExplorer.js';
+import { SolanaMintInspector, decodeMint, encodeBase58 } from './SolanaMintInspector.js';
+
+// Who holds a pool's LP tokens: burned, locked in a known locker contract
+// (with its unlock date) or held by the token deployer. EVM pools are Uniswap
+// V2-style pairs whose LP token is the pair itself; Solana pools are Raydium
+// AMM v4 / CPMM and PumpSwap pools, whose LP burns show up as the gap between
+// the LP supply the pool tracks and the LP mint's actual supply.
+
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dead';
+
+// Known LP locker contracts by chain. UNCX lockers expose their lock records
+// (amount, unlock date) on-chain; for the others only the locked share is known.
+export const LIQUIDITY_LOCKERS = {
+  ethereum: {
+    '0x663a5c229c09b049e36dcc11a9b0d4a8eb9db214': { label: 'UNCX (Uniswap V2)', type: 'uncx' },
+    '0xe2fe530c047f2d85298b07d9333c05737f1435fb': { label: 'Team Finance', type: 'generic' }
+  },
+  bsc: {
+    '0xc765bddb93b0d1c1a88282ba0fa6b2d00e3e0c83': { label: 'UNCX (PancakeSwap V2)', type: 'uncx' },
+    '0x407993575c91ce7643a4d4ccacc9a98c36ee1bbe': { label: 'PinkLock', type: 'generic' }
+  }
+};
+
+// Solana AMM programs whose pool accounts record the LP mint and LP supply:
+// byte offsets of the LP mint, the tracked LP supply (u64) and the pool creator
+export const SOLANA_LP_LAYOUTS = {
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': { name: 'Raydium AMM v4', lpMint: 464, lpSupply: 720, creator: null },
+  CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C: { name: 'Raydium CPMM', lpMint: 136, lpSupply: 333, creator: 40 },
+  pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA: { name: 'PumpSwap', lpMint: 107, lpSupply: 203, creator: 11 }
+};
+
+const encoder = new TextEncoder();
+const selector = signature => Buffer.from(keccak_256(encoder.encode(signature)).slice(0, 4)).toString('hex');
+
+const UNCX_SELECTORS = {
+  getNumLocksForToken: selector('getNumLocksForToken(address)'),
+  tokenLocks: selector('tokenLocks(address,uint256)')
+};
+
+const LP_HOLDER_PAGE_SIZE = 100;
+
+const toPct = (amount, total) => total > 0n ? Number((amount * 1000000n) / total) / 10000 : 0;
+const word = value => BigInt(value).toString(16).padStart(64, '0');
+const addressWord = address => address.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+
+export class LiquidityLockInspector {
+  constructor(options = {}) {
+    this.explorer = options.explorer || new ContractExplorer(options);
+    this.solana = options.solana || new SolanaMintInspector(options);
+    this.fixtureDir = options.fixtureDir || process.env.LIQUIDITY_FIXTURE_DIR ||
+      path.join(process.cwd(), 'fixtures', 'liquidity');
+  }
+
+  /**
+   * LP distribution of each pool ({ pairAddress, dexId, liquidityUsd }).
+   * Pools that cannot be read are returned with status unsupported/unavailable.
+   */
+  async inspect(tokenAddress, blockchain, pools) {
+    const deployer = blockchain === 'solana' ? null : await this.getDeployer(tokenAddress, blockchain);
+    return Promise.all(pools.map(async pool => {
+      const base = { pairAddress: pool.pairAddress, dexId: pool.dexId, liquidityUsd: pool.liquidityUsd };
+      try {
+        const distribution = blockchain === 'solana'
+          ? await this.inspectSolanaPool(pool.pairAddress)
+          : await this.inspectEvmPool(pool.pairAddress, blockchain, deployer);
+        return { ...base, ...distribution };
+      } catch (error) {
+        console.warn(`⚠️ LP inspection failed for ${pool.pairAddress}: ${error.message}`);
+        return { ...base, status: 'unavailable', reason: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Contract creator via the explorer, else the `deployer` recorded in any
+   * fixture for the token
+   */
+  async getDeployer(tokenAddress, blockchain) {
+    if (this.explorer.apiKey && this.explorer.supports(blockchain)) {
+      try {
+        const [creation] = await this.explorer.call(blockchain, {
+          module: 'contract', action: 'getcontractcreation', contractaddresses: tokenAddress
+        });
+        if (creation?.contractCreator) return creation.contractCreator.toLowerCase();
+      } catch (error) {
+        console.warn(`⚠️ Deployer lookup failed for ${tokenAddress} (${error.message})`);
+      }
+    }
+    return null;
+  }
+
+  async inspectEvmPool(pairAddress, blockchain, deployer) {
+    const snapshot = await this.fetchLpHolders(pairAddress, blockchain);
+    if (!snapshot) {
+      return { status: 'unavailable', reason: 'No LP holder data (explorer key or liquidity fixture required)' };
+    }
+
+    const totalSupply = BigInt(snapshot.totalSupply);
+    if (totalSupply === 0n) return { status: 'unsupported', reason: 'Pool has no fungible LP token' };
+
+    const lockers = LIQUIDITY_LOCKERS[blockchain] || {};
+    const owner = deployer || snapshot.deployer?.toLowerCase() || null;
+    let burned = 0n;
+    let deployerAmount = 0n;
+    const lockedBy = new Map();
+    snapshot.holders.forEach(holder => {
+      const address = holder.address.toLowerCase();
+      const amount = BigInt(holder.balance);
+      if (address === ZERO_ADDRESS || address === DEAD_ADDRESS) burned += amount;
+      else if (lockers[address]) lockedBy.set(address, amount);
+      else if (owner && address === owner) deployerAmount += amount;
+    });
+
+    // Lock records: recorded in the fixture, or read from UNCX lockers
+    let locks = snapshot.locks;
+    if (!locks) {
+      locks = [];
+      for (const [locker, amount] of lockedBy) {
+        const records = lockers[locker].type === 'uncx'
+          ? await this.readUncxLocks(locker, pairAddress, blockchain).catch(() => null)
+          : null;
+        if (records?.length > 0) locks.push(...records.map(record => ({ ...record, locker })));
+        else locks.push({ locker, amount: amount.toString(), unlockAt: null });
+      }
+    }
+
+    return {
+      status: 'analyzed',
+      source: snapshot.source,
+      lpToken: pairAddress,
+      burnedPct: toPct(burned, totalSupply),
+      locks: locks.map(lock => ({
+        locker: lock.locker,
+        label: lockers[lock.locker?.toLowerCase()]?.label || lock.label || 'Locker',
+        pct: toPct(BigInt(lock.amount), totalSupply),
+        unlockAt: lock.unlockAt || null
+      })),
+      deployer: owner,
+      deployerPct: owner ? toPct(deployerAmount, totalSupply) : null
+    };
+  }
+
+  /**
+   * LP holders from the explorer's tokenholderlist, falling back to
+   * `<fixtureDir>/<chain>/<pair>.json`: { totalSupply, holders, locks?, deployer? }
+   */
+  async fetchLpHolders(pairAddress, blockchain) {
+    if (this.explorer.apiKey && this.explorer.supports(blockchain)) {
+      try {
+        const [holders, totalSupply] = await Promise.all([
+          this.explorer.call(blockchain, {
+            module: 'token', action: 'tokenholderlist', contractaddress: pairAddress, page: '1', offset: String(LP_HOLDER_PAGE_SIZE)
+          }),
+          this.explorer.call(blockchain, { module: 'stats', action: 'tokensupply', contractaddress: pairAddress })
+        ]);
+        return {
+          source: 'explorer',
+          totalSupply,
+          holders: holders.map(holder => ({ address: holder.TokenHolderAddress, balance: holder.TokenHolderQuantity }))
+        };
+      } catch (error) {
+        console.warn(`⚠️ LP holder lookup failed for ${pairAddress} (${error.message}) - trying fixtures`);
+      }
+    }
+
+    const file = path.join(this.fixtureDir, blockchain, `${pairAddress.toLowerCase()}.json`);
+    if (!fs.existsSync(file)) return null;
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { source: 'fixture', ...saved, holders: saved.holders || [] };
+  }
+
+  /**
+   * UNCX V2 lock records for an LP token: tokenLocks(lpToken, i) returns
+   * (lockDate, amount, initialAmount, unlockDate, lockID, owner)
+   */
+  async readUncxLocks(locker, pairAddress, blockchain) {
+    const ethCall = data => this.explorer.call(blockchain, {
+      module: 'proxy', action: 'eth_call', to: locker, data: `0x${data}`, tag: 'latest'
+    });
+    const count = Number(BigInt(await ethCall(UNCX_SELECTORS.getNumLocksForToken + addressWord(pairAddress))));
+
+    const locks = [];
+    for (let i = 0; i < count; i++) {
+      const result = (await ethCall(UNCX_SELECTORS.tokenLocks + addressWord(pairAddress) + word(i))).replace(/^0x/, '');
+      const field = index => BigInt(`0x${result.slice(index * 64, (index + 1) * 64)}`);
+      const amount = field(1);
+      if (amount > 0n) {
+        locks.push({ amount: amount.toString(), unlockAt: new Date(Number(field(3)) * 1000).toISOString() });
+      }
+    }
+    return locks;
+  }
+
+  /**
+   * Burned LP share of a Solana pool: LP supply the pool has issued vs. the
+   * LP mint's remaining supply (burning LP tokens does not update the pool)
+   */
+  async inspectSolanaPool(poolAddress) {
+    const account = await this.solana.getAccount(poolAddress);
+    if (!account) return { status: 'unavailable', reason: 'Pool account not found' };
+
+    const layout = SOLANA_LP_LAYOUTS[account.owner];
+    if (!layout) {
+      return { status: 'unsupported', reason: 'Pool program has no fungible LP token (concentrated liquidity or unknown AMM)' };
+    }
+
+    const view = new DataView(account.data.buffer, account.data.byteOffset, account.data.byteLength);
+    const pubkeyAt = offset => encodeBase58(account.data.slice(offset, offset + 32));
+    const lpMint = pubkeyAt(layout.lpMint);
+    const issued = view.getBigUint64(layout.lpSupply, true);
+
+    const mintAccount = await this.solana.getAccount(lpMint);
+    if (!mintAccount) return { status: 'unavailable', reason: `LP mint ${lpMint} not found` };
+    const outstanding = BigInt(decodeMint(mintAccount.data, mintAccount.owner).supply);
+    const burned = issued > outstanding ? issued - outstanding : 0n;
+
+    return {
+      status: 'analyzed',
+      source: account.source,
+      program: layout.name,
+      lpToken: lpMint,
+      burnedPct: toPct(burned, issued),
+      locks: [],
+      deployer: layout.creator !== null ? pubkeyAt(layout.creator) : null,
+      // Who holds the outstanding LP is not read for Solana pools
+      deployerPct: null
+    };
+  }
+}
+
+export default LiquidityLockInspector;
@@ -0,0 +1,393 @@
+import fs from 'fs';
+import path from 'path';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { ed25519 } from '@noble/curves/ed25519.js';
+
+// Reads an SPL token mint and its metadata from a Solana JSON-RPC endpoint,
+// falling back to recorded `getAccountInfo` values under a fixture directory.
+// Decodes the mint (authorities, supply, decimals), Token-2022 extensions and
+// Metaplex / Token-2022 metadata.
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+export const METADATA_PROGRAM_ID = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+
+const MINT_SIZE = 82;
+// Token-2022 pads mints to the token account size before the account type byte
+const ACCOUNT_TYPE_OFFSET = 165;
+const ACCOUNT_TYPE_MINT = 1;
+
+// Token-2022 extension types, by TLV type id
+export const EXTENSION_TYPES = {
+  1: 'transferFeeConfig',
+  3: 'mintCloseAuthority',
+  4: 'confidentialTransferMint',
+  6: 'defaultAccountState',
+  9: 'nonTransferable',
+  10: 'interestBearingConfig',
+  12: 'permanentDelegate',
+  14: 'transferHook',
+  16: 'confidentialTransferFeeConfig',
+  18: 'metadataPointer',
+  19: 'tokenMetadata',
+  20: 'groupPointer',
+  21: 'tokenGroup',
+  22: 'groupMemberPointer',
+  23: 'tokenGroupMember',
+  24: 'confidentialMintBurn',
+  25: 'scaledUiAmount',
+  26: 'pausable'
+};
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+export function encodeBase58(bytes) {
+  let value = bytes.reduce((acc, byte) => acc * 256n + BigInt(byte), 0n);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  const leadingZeros = bytes.findIndex(byte => byte !== 0);
+  return '1'.repeat(leadingZeros === -1 ? bytes.length : leadingZeros) + encoded;
+}
+
+export function decodeBase58(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) throw new Error(`Invalid base58 character "${char}"`);
+    value = value * 58n + BigInt(digit);
+  }
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+  const leadingOnes = text.length - text.replace(/^1+/, '').length;
+  return Uint8Array.from([...new Array(leadingOnes).fill(0), ...bytes]);
+}
+
+function isOnCurve(bytes) {
+  try {
+    ed25519.Point.fromBytes(bytes);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Program-derived address: the first bump (255 down) whose hash is off the
+ * ed25519 curve, as `findProgramAddressSync` does
+ */
+export function findProgramAddress(seeds, programId) {
+  const program = decodeBase58(programId);
+  const marker = new TextEncoder().encode('ProgramDerivedAddress');
+  for (let bump = 255; bump >= 0; bump--) {
+    const hash = sha256(concat(...seeds, Uint8Array.of(bump), program, marker));
+    if (!isOnCurve(hash)) return encodeBase58(hash);
+  }
+  throw new Error('Unable to find a program address');
+}
+
+function concat(...arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  arrays.forEach(array => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+}
+
+/**
+ * Sequential little-endian reader over account data
+ */
+class Reader {
+  constructor(bytes, offset = 0) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = offset;
+  }
+
+  u8() {
+    return this.bytes[this.offset++];
+  }
+
+  u16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  u64() {
+    const value = this.view.getBigUint64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  bool() {
+    return this.u8() !== 0;
+  }
+
+  pubkey() {
+    const key = this.bytes.slice(this.offset, this.offset + 32);
+    this.offset += 32;
+    return encodeBase58(key);
+  }
+
+  // OptionalNonZeroPubkey: all zeroes means "none"
+  optionalPubkey() {
+    const key = this.bytes.slice(this.offset, this.offset + 32);
+    this.offset += 32;
+    return key.every(byte => byte === 0) ? null : encodeBase58(key);
+  }
+
+  // Borsh string; Metaplex pads fixed-width fields with NUL characters
+  string() {
+    const length = this.u32();
+    const text = new TextDecoder().decode(this.bytes.slice(this.offset, this.offset + length));
+    this.offset += length;
+    return text.replace(/\0+$/, '');
+  }
+}
+
+function decodeTransferFee(reader) {
+  return {
+    epoch: reader.u64().toString(),
+    maximumFee: reader.u64().toString(),
+    basisPoints: reader.u16()
+  };
+}
+
+function decodeExtension(type, value) {
+  const reader = new Reader(value);
+  switch (EXTENSION_TYPES[type]) {
+    case 'transferFeeConfig':
+      return {
+        configAuthority: reader.optionalPubkey(),
+        withdrawAuthority: reader.optionalPubkey(),
+        withheldAmount: reader.u64().toString(),
+        olderFee: decodeTransferFee(reader),
+        newerFee: decodeTransferFee(reader)
+      };
+    case 'mintCloseAuthority':
+      return { closeAuthority: reader.optionalPubkey() };
+    case 'defaultAccountState':
+      // AccountState: 0 uninitialized, 1 initialized, 2 frozen
+      return { frozen: reader.u8() === 2 };
+    case 'permanentDelegate':
+      return { delegate: reader.optionalPubkey() };
+    case 'transferHook':
+      return { authority: reader.optionalPubkey(), programId: reader.optionalPubkey() };
+    case 'metadataPointer':
+      return { authority: reader.optionalPubkey(), metadataAddress: reader.optionalPubkey() };
+    case 'tokenMetadata':
+      return {
+        updateAuthority: reader.optionalPubkey(),
+        mint: reader.pubkey(),
+        name: reader.string(),
+        symbol: reader.string(),
+        uri: reader.string()
+      };
+    case 'pausable':
+      return { authority: reader.optionalPubkey(), paused: reader.bool() };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Decode a mint account (SPL Token or Token-2022)
+ */
+export function decodeMint(data, owner) {
+  if (data.length < MINT_SIZE) throw new Error(`Account data is ${data.length} bytes - not a mint`);
+
+  const reader = new Reader(data);
+  const hasMintAuthority = reader.u32() === 1;
+  const mintAuthority = reader.pubkey();
+  const supply = reader.u64();
+  const decimals = reader.u8();
+  const isInitialized = reader.bool();
+  const hasFreezeAuthority = reader.u32() === 1;
+  const freezeAuthority = reader.pubkey();
+
+  const extensions = [];
+  if (data.length > ACCOUNT_TYPE_OFFSET && data[ACCOUNT_TYPE_OFFSET] === ACCOUNT_TYPE_MINT) {
+    const tlv = new Reader(data, ACCOUNT_TYPE_OFFSET + 1);
+    while (tlv.offset + 4 <= data.length) {
+      const type = tlv.u16();
+      const length = tlv.u16();
+      if (type === 0) break;
+      const value = data.slice(tlv.offset, tlv.offset + length);
+      tlv.offset += length;
+      extensions.push({
+        type,
+        name: EXTENSION_TYPES[type] || `extension_${type}`,
+        data: decodeExtension(type, value)
+      });
+    }
+  }
+
+  return {
+    program: owner === TOKEN_2022_PROGRAM_ID ? 'token-2022' : 'spl-token',
+    mintAuthority: hasMintAuthority ? mintAuthority : null,
+    freezeAuthority: hasFreezeAuthority ? freezeAuthority : null,
+    supply: supply.toString(),
+    decimals,
+    isInitialized,
+    extensions
+  };
+}
+
+/**
+ * Decode a Metaplex Token Metadata account (MetadataV1)
+ */
+export function decodeMetaplexMetadata(data) {
+  const reader = new Reader(data);
+  const key = reader.u8();
+  if (key !== 4) throw new Error(`Not a Metaplex metadata account (key ${key})`);
+
+  const updateAuthority = reader.pubkey();
+  const mint = reader.pubkey();
+  const name = reader.string();
+  const symbol = reader.string();
+  const uri = reader.string();
+  const sellerFeeBasisPoints = reader.u16();
+  if (reader.bool()) {
+    // Creators: address (32) + verified (1) + share (1)
+    const creatorCount = reader.u32();
+    reader.offset += creatorCount * 34;
+  }
+  const primarySaleHappened = reader.bool();
+  const isMutable = reader.bool();
+
+  return { updateAuthority, mint, name, symbol, uri, sellerFeeBasisPoints, primarySaleHappened, isMutable };
+}
+
+export class SolanaMintInspector {
+  constructor(options = {}) {
+    this.rpcUrl = options.rpcUrl ?? process.env.SOLANA_RPC_URL;
+    this.fixtureDir = options.fixtureDir || process.env.SOLANA_ACCOUNT_FIXTURE_DIR ||
+      path.join(process.cwd(), 'fixtures', 'solana-accounts');
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Decoded mint plus its metadata (Metaplex account, else the Token-2022
+   * metadata extension). Null when the account is not found anywhere.
+   */
+  async getMint(address) {
+    const account = await this.getAccount(address);
+    if (!account) return null;
+    if (![TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].includes(account.owner)) {
+      throw new Error(`${address} is owned by ${account.owner}, not a token program`);
+    }
+
+    const mint = decodeMint(account.data, account.owner);
+    mint.address = address;
+    mint.source = account.source;
+    mint.metadata = await this.getMetadata(address, mint);
+
+    console.log(`🪙 SPL mint ${address} (${mint.program}, via ${account.source}): ` +
+      `mint authority ${mint.mintAuthority ? 'set' : 'none'}, freeze authority ${mint.freezeAuthority ? 'set' : 'none'}`);
+    return mint;
+  }
+
+  async getMetadata(mintAddress, mint) {
+    const metadataAddress = findProgramAddress([
+      new TextEncoder().encode('metadata'),
+      decodeBase58(METADATA_PROGRAM_ID),
+      decodeBase58(mintAddress)
+    ], METADATA_PROGRAM_ID);
+
+    const account = await this.getAccount(metadataAddress).catch(() => null);
+    if (account?.owner === METADATA_PROGRAM_ID) {
+      try {
+        return { source: 'metaplex', address: metadataAddress, ...decodeMetaplexMetadata(account.data) };
+      } catch (error) {
+        console.warn(`⚠️ Could not decode Metaplex metadata for ${mintAddress}: ${error.message}`);
+      }
+    }
+
+    // Token-2022 mints can carry their metadata in an extension instead
+    const embedded = mint.extensions.find(extension => extension.name === 'tokenMetadata')?.data;
+    if (embedded) {
+      return {
+        source: 'token-2022',
+        address: mintAddress,
+        updateAuthority: embedded.updateAuthority,
+        name: embedded.name,
+        symbol: embedded.symbol,
+        uri: embedded.uri,
+        isMutable: !!embedded.updateAuthority
+      };
+    }
+    return null;
+  }
+
+  /**
+   * `getAccountInfo` via RPC, falling back to `<fixtureDir>/<address>.json`
+   * (the RPC `value` or the whole response) when there is no RPC URL or the
+   * request fails
+   */
+  async getAccount(address) {
+    if (this.rpcUrl) {
+      try {
+        return await this.fetchAccount(address);
+      } catch (error) {
+        console.warn(`⚠️ Solana RPC lookup failed for ${address} (${error.message}) - trying fixtures`);
+      }
+    }
+    return this.readFixture(address);
+  }
+
+  async fetchAccount(address) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'getAccountInfo',
+          params: [address, { encoding: 'base64', commitment: 'confirmed' }]
+        }),
+        signal: controller.signal
+      });
+      if (!response.ok) throw new Error(`Solana RPC request failed (${response.status})`);
+
+      const data = await response.json();
+      if (data.error) throw new Error(data.error.message || 'getAccountInfo failed');
+      return data.result?.value ? toAccount(data.result.value, 'rpc') : null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  readFixture(address) {
+    const file = path.join(this.fixtureDir, `${address}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const value = saved.result ? saved.result.value : ('value' in saved ? saved.value : saved);
+    return value ? toAccount(value, 'fixture') : null;
+  }
+}
+
+function toAccount(value, source) {
+  const [encoded] = Array.isArray(value.data) ? value.data : [value.data];
+  return { owner: value.owner, data: Uint8Array.from(Buffer.from(encoded || '', 'base64')), source };
+}
+
+export default SolanaMintInspector;
@@ -0,0 +1,145 @@
+// Liquidity-removal risk from per-pool LP distributions
+// (LiquidityLockInspector.inspect()).
+//
+// Burned LP can never be withdrawn and locked LP only after its unlock date;
+// everything else - deployer-held, team-held or expired locks - can be pulled
+// at any time and is counted as liquidity at risk.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of liquidity (0-1) that can be pulled at or above which the risk is high / medium
+const AT_RISK_HIGH = 0.5;
+const AT_RISK_MEDIUM = 0.2;
+// Share of LP (%) held by the deployer that is a risk on its own
+const DEPLOYER_LP_PCT = 20;
+// Locks expiring within these windows (days) raise the risk level
+const UNLOCK_SOON_HIGH_DAYS = 7;
+const UNLOCK_SOON_MEDIUM_DAYS = 30;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const usd = value => `$${Math.round(value).toLocaleString()}`;
+
+/**
+ * Burned / locked / at-risk split of one analyzed pool. Locks without a known
+ * unlock date count as locked; locks past their unlock date do not.
+ */
+function splitPool(pool, now) {
+  const activeLocks = pool.locks.filter(lock => !lock.unlockAt || Date.parse(lock.unlockAt) > now);
+  const lockedPct = Math.min(100 - pool.burnedPct, activeLocks.reduce((sum, lock) => sum + lock.pct, 0));
+  const atRiskPct = Math.max(0, 100 - pool.burnedPct - lockedPct);
+  const share = pct => (pool.liquidityUsd || 0) * pct / 100;
+
+  return {
+    ...pool,
+    lockedPct: round(lockedPct),
+    expiredLockPct: round(pool.locks.filter(lock => !activeLocks.includes(lock)).reduce((sum, lock) => sum + lock.pct, 0)),
+    atRiskPct: round(atRiskPct),
+    burnedUsd: share(pool.burnedPct),
+    lockedUsd: share(lockedPct),
+    atRiskUsd: share(atRiskPct),
+    earliestUnlock: activeLocks
+      .filter(lock => lock.unlockAt)
+      .sort((a, b) => Date.parse(a.unlockAt) - Date.parse(b.unlockAt))[0] || null
+  };
+}
+
+/**
+ * Assess liquidity-removal risk across pools. Returns per-pool splits, USD
+ * totals (`unlockedUsd` is the liquidity at risk), the earliest future unlock,
+ * a risk level and findings/risks for the report.
+ */
+export function assessLiquidityLocks(pools, { now = Date.now() } = {}) {
+  const analyzed = pools.filter(pool => pool.status === 'analyzed').map(pool => splitPool(pool, now));
+  const unverified = pools.filter(pool => pool.status !== 'analyzed');
+  const sum = key => analyzed.reduce((total, pool) => total + pool[key], 0);
+
+  const totals = {
+    analyzedUsd: analyzed.reduce((total, pool) => total + (pool.liquidityUsd || 0), 0),
+    burnedUsd: sum('burnedUsd'),
+    lockedUsd: sum('lockedUsd'),
+    unlockedUsd: sum('atRiskUsd'),
+    unverifiedUsd: unverified.reduce((total, pool) => total + (pool.liquidityUsd || 0), 0)
+  };
+
+  const earliest = analyzed
+    .filter(pool => pool.earliestUnlock)
+    .map(pool => ({ pairAddress: pool.pairAddress, dexId: pool.dexId, ...pool.earliestUnlock }))
+    .sort((a, b) => Date.parse(a.unlockAt) - Date.parse(b.unlockAt))[0] || null;
+  const earliestUnlock = earliest && {
+    date: earliest.unlockAt,
+    daysAway: Math.ceil((Date.parse(earliest.unlockAt) - now) / DAY_MS),
+    pairAddress: earliest.pairAddress,
+    dexId: earliest.dexId,
+    locker: earliest.label,
+    pct: earliest.pct
+  };
+
+  const findings = [];
+  const risks = [];
+
+  if (analyzed.length === 0) {
+    return {
+      level: 'UNKNOWN',
+      pools: pools.map(pool => ({ ...pool })),
+      totals,
+      atRiskShare: null,
+      earliestUnlock: null,
+      findings,
+      risks: unverified.length > 0
+        ? [`LP ownership could not be verified for ${unverified.length} pool(s) (${usd(totals.unverifiedUsd)}) - Liquidity may be removable`]
+        : []
+    };
+  }
+
+  const atRiskShare = totals.analyzedUsd > 0 ? totals.unlockedUsd / totals.analyzedUsd : 0;
+  const deployerPools = analyzed.filter(pool => pool.deployerPct !== null && pool.deployerPct >= DEPLOYER_LP_PCT);
+
+  let level = 'LOW';
+  if (atRiskShare >= AT_RISK_HIGH || deployerPools.length > 0 ||
+    (earliestUnlock && earliestUnlock.daysAway <= UNLOCK_SOON_HIGH_DAYS)) {
+    level = 'HIGH';
+  } else if (atRiskShare >= AT_RISK_MEDIUM || (earliestUnlock && earliestUnlock.daysAway <= UNLOCK_SOON_MEDIUM_DAYS)) {
+    level = 'MEDIUM';
+  }
+
+  const summary = `${usd(totals.unlockedUsd)} of ${usd(totals.analyzedUsd)} liquidity is unlocked (${round(atRiskShare * 100)}%)`;
+  if (atRiskShare >= AT_RISK_MEDIUM) {
+    risks.push(`Unlocked liquidity at risk: ${summary} - LP holders can remove it at any time`);
+  } else {
+    findings.push(`Liquidity secured: ${usd(totals.burnedUsd)} burned, ${usd(totals.lockedUsd)} locked - ${summary}`);
+  }
+
+  deployerPools.forEach(pool => {
+    risks.push(`Deployer holds ${pool.deployerPct}% of the ${pool.dexId} pool's LP tokens - They can pull ${usd(pool.liquidityUsd * pool.deployerPct / 100)} of liquidity`);
+  });
+
+  analyzed.forEach(pool => {
+    if (pool.burnedPct >= 95) {
+      findings.push(`${pool.dexId} pool LP ${pool.burnedPct}% burned - This liquidity cannot be withdrawn`);
+    }
+    if (pool.expiredLockPct > 0) {
+      risks.push(`${pool.expiredLockPct}% of the ${pool.dexId} pool's LP sits in an expired lock - Withdrawable now`);
+    }
+  });
+
+  if (earliestUnlock) {
+    const message = `Earliest LP unlock ${earliestUnlock.date.slice(0, 10)} (${earliestUnlock.daysAway} days) - ${earliestUnlock.pct}% of the ${earliestUnlock.dexId} pool's LP in ${earliestUnlock.locker}`;
+    (earliestUnlock.daysAway <= UNLOCK_SOON_MEDIUM_DAYS ? risks : findings).push(message);
+  } else if (analyzed.some(pool => pool.lockedPct > 0)) {
+    findings.push('LP lock found without a readable unlock date');
+  }
+
+  if (unverified.length > 0) {
+    risks.push(`LP ownership could not be verified for ${unverified.length} pool(s) (${usd(totals.unverifiedUsd)})`);
+  }
+
+  return {
+    level,
+    pools: [...analyzed, ...unverified],
+    totals,
+    atRiskShare: round(atRiskShare, 3),
+    earliestUnlock,
+    findings,
+    risks
+  };
+}
@@ -0,0 +1,135 @@
+// Risk analysis of a decoded SPL token mint.
+//
+// On Solana the dangerous powers live in authorities rather than in contract
+// code: a mint authority can inflate supply, a freeze authority can lock any
+// holder's account, and Token-2022 extensions can tax, redirect or block
+// transfers. Each authority that is still set becomes a finding.
+
+import { SEVERITY_PENALTIES } from './sourceAnalysis.js';
+
+// Transfer fee (basis points) at or above which the fee is a high risk
+const HIGH_TRANSFER_FEE_BPS = 1000;
+
+function formatSupply(supply, decimals) {
+  const raw = BigInt(supply);
+  const scale = 10n ** BigInt(decimals);
+  return (raw / scale).toLocaleString();
+}
+
+/**
+ * Analyze a mint as returned by SolanaMintInspector.getMint().
+ * Returns the same shape as analyzeContractSource() - flags, findings and a
+ * 0-100 score - with `kind: 'spl_mint'` and the decoded mint fields.
+ */
+export function analyzeMint(mint) {
+  const findings = [];
+  const addFinding = (id, severity, title, detail) => findings.push({ id, severity, title, detail, functions: [] });
+  const extension = name => mint.extensions.find(ext => ext.name === name)?.data;
+
+  if (mint.mintAuthority) {
+    addFinding('mint_authority', 'high', 'Mint authority active',
+      `${mint.mintAuthority} can mint new tokens (current supply ${formatSupply(mint.supply, mint.decimals)})`);
+  }
+  if (mint.freezeAuthority) {
+    addFinding('freeze_authority', 'high', 'Freeze authority active',
+      `${mint.freezeAuthority} can freeze any holder's token account - frozen tokens cannot be sold`);
+  }
+
+  const permanentDelegate = extension('permanentDelegate');
+  if (permanentDelegate?.delegate) {
+    addFinding('permanent_delegate', 'critical', 'Permanent delegate',
+      `${permanentDelegate.delegate} can transfer or burn tokens from any holder's account`);
+  }
+
+  if (extension('nonTransferable')) {
+    addFinding('non_transferable', 'critical', 'Non-transferable token',
+      'Token-2022 NonTransferable extension - tokens cannot be transferred or sold');
+  }
+
+  const transferHook = extension('transferHook');
+  if (transferHook?.programId) {
+    addFinding('transfer_hook', 'high', 'Transfer hook',
+      `Every transfer calls program ${transferHook.programId}, which can block or alter transfers` +
+        (transferHook.authority ? ` (hook program changeable by ${transferHook.authority})` : ''));
+  }
+
+  const transferFee = extension('transferFeeConfig');
+  if (transferFee) {
+    const { basisPoints } = transferFee.newerFee;
+    const adjustable = !!transferFee.configAuthority;
+    if (basisPoints > 0 || adjustable) {
+      addFinding('transfer_fee', basisPoints >= HIGH_TRANSFER_FEE_BPS || adjustable ? 'high' : 'medium', 'Transfer fee',
+        `${basisPoints / 100}% fee on every transfer` +
+          (adjustable ? ` - ${transferFee.configAuthority} can change it` : ' (fee authority revoked)'));
+    }
+  }
+
+  const defaultState = extension('defaultAccountState');
+  if (defaultState?.frozen) {
+    addFinding('default_frozen', 'high', 'Accounts frozen by default',
+      'New token accounts start frozen and must be thawed by the freeze authority before they can trade');
+  }
+
+  const pausable = extension('pausable');
+  if (pausable?.authority) {
+    addFinding('pausable', pausable.paused ? 'critical' : 'medium', 'Pausable transfers',
+      `${pausable.authority} can pause all transfers${pausable.paused ? ' - transfers are paused right now' : ''}`);
+  }
+
+  const closeAuthority = extension('mintCloseAuthority');
+  if (closeAuthority?.closeAuthority) {
+    addFinding('mint_close_authority', 'low', 'Mint close authority',
+      `${closeAuthority.closeAuthority} can close the mint once supply reaches zero`);
+  }
+
+  const { metadata } = mint;
+  if (metadata?.isMutable && metadata.updateAuthority) {
+    addFinding('mutable_metadata', 'medium', 'Mutable metadata',
+      `${metadata.updateAuthority} can change the token's name, symbol and image (${metadata.source} metadata)`);
+  } else if (metadata && !metadata.isMutable) {
+    addFinding('immutable_metadata', 'info', 'Immutable metadata', 'Name, symbol and image can no longer be changed');
+  }
+
+  const authoritiesRevoked = !mint.mintAuthority && !mint.freezeAuthority;
+  if (authoritiesRevoked) {
+    addFinding('authorities_revoked', 'info', 'Mint and freeze authorities revoked',
+      'Supply is fixed and holder accounts cannot be frozen');
+  }
+
+  const penalty = findings.reduce((sum, finding) => sum + SEVERITY_PENALTIES[finding.severity], 0);
+
+  return {
+    kind: 'spl_mint',
+    verified: false,
+    contractName: metadata?.name || null,
+    program: mint.program,
+    supply: mint.supply,
+    decimals: mint.decimals,
+    mintAuthority: mint.mintAuthority,
+    freezeAuthority: mint.freezeAuthority,
+    extensions: mint.extensions.map(ext => ext.name),
+    metadata: metadata ? {
+      source: metadata.source,
+      name: metadata.name,
+      symbol: metadata.symbol,
+      updateAuthority: metadata.updateAuthority,
+      isMutable: !!metadata.isMutable
+    } : null,
+    // Revoked authorities are Solana's equivalent of renounced ownership
+    ownership: {
+      status: authoritiesRevoked ? 'renounced' : 'active',
+      owner: mint.mintAuthority || mint.freezeAuthority
+    },
+    flags: {
+      mintable: !!mint.mintAuthority,
+      freezable: !!mint.freezeAuthority,
+      permanentDelegate: !!permanentDelegate?.delegate,
+      transferHook: !!transferHook?.programId,
+      transferFee: !!transferFee,
+      mutableMetadata: !!metadata?.isMutable,
+      ownershipRenounced: authoritiesRevoked
+    },
+    findings,
+    score: Math.max(0, 100 - penalty)
+  };
+}
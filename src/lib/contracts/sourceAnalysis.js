@@ -0,0 +1,284 @@
+// Static analysis of verified Solidity source and ABI.
+//
+// Looks for the privileged controls that make a token risky to hold: minting,
+// owner-only setters, blacklists/whitelists, pausing, adjustable fees, proxy
+// upgradeability - and whether ownership has been renounced, which makes
+// owner-only controls inert.
+
+import { ZERO_ADDRESS } from './ContractExplorer.js';
+
+export const SEVERITY_PENALTIES = { critical: 40, high: 20, medium: 10, low: 5, info: 0 };
+
+const VERIFIED_BASE_SCORE = 100;
+const UNVERIFIED_SCORE = 20;
+
+// Upgradeability: the ERC-1967 implementation slot, upgradeTo*() or an OZ proxy
+// base. A bare delegatecall is not enough - Address.functionDelegateCall and
+// multicall helpers use it without making the contract upgradeable.
+const UPGRADEABLE_PATTERN = new RegExp([
+  // keccak256('eip1967.proxy.implementation') - 1
+  '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  /\b_IMPLEMENTATION_SLOT\b/.source,
+  /\bupgradeTo(AndCall)?\s*\(/.source,
+  /\b(is\s+[\w\s,]*|contract\s+)\b(UUPSUpgradeable|TransparentUpgradeableProxy|ERC1967Proxy)\b/.source
+].join('|'));
+const BLACKLIST_NAME = /black|block(ed)?list|banned|\bisBot|bots?\b|sniper/i;
+const WHITELIST_NAME = /white|allow(ed)?list/i;
+const OWNER_CHECK = /msg\.sender\s*==\s*_?owner\b|msg\.sender\s*==\s*owner\(\)|_checkOwner\(\)/;
+const ROLE_CHECK = /hasRole\s*\(|_checkRole\s*\(/;
+
+function stripComments(code) {
+  return code.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/[^\n]*/g, '');
+}
+
+/**
+ * Text between the brace at `openIndex` and its matching closing brace
+ */
+function extractBody(code, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < code.length; i++) {
+    if (code[i] === '{') depth++;
+    else if (code[i] === '}' && --depth === 0) return code.slice(openIndex + 1, i);
+  }
+  return code.slice(openIndex + 1);
+}
+
+/**
+ * Every function declaration with its modifiers, body and access gate.
+ * `gate` is 'owner' (Ownable), 'role' (AccessControl-style) or null.
+ */
+export function parseFunctions(code) {
+  const functions = [];
+  const pattern = /function\s+(\w+)\s*\(([^)]*)\)([^{;]*)([{;])/g;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    const [, name, params, modifiers, terminator] = match;
+    const body = terminator === '{' ? extractBody(code, match.index + match[0].length - 1) : '';
+
+    let gate = null;
+    if (/\bonlyOwner\b/.test(modifiers) || OWNER_CHECK.test(body)) gate = 'owner';
+    else if (/\bonly\w+/.test(modifiers) || ROLE_CHECK.test(body)) gate = 'role';
+
+    functions.push({
+      name,
+      params: params.trim(),
+      external: /\b(public|external)\b/.test(modifiers),
+      readOnly: /\b(view|pure)\b/.test(modifiers),
+      payable: /\bpayable\b/.test(modifiers),
+      gate,
+      body
+    });
+  }
+  return functions;
+}
+
+/**
+ * `mapping(address => bool)` state variables, by name
+ */
+function addressFlagMappings(code) {
+  const names = [];
+  const pattern = /mapping\s*\(\s*address\s*=>\s*bool\s*\)\s*(?:public\s+|private\s+|internal\s+)*(\w+)/g;
+  let match;
+  while ((match = pattern.exec(code)) !== null) names.push(match[1]);
+  return names;
+}
+
+function describeOwnership(owner, functions) {
+  if (owner === undefined) {
+    return { status: 'unknown', owner: null };
+  }
+  if (owner === null) {
+    // No owner() - only AccessControl-style roles (if any) can hold privileges
+    return { status: functions.some(fn => fn.gate === 'owner') ? 'unknown' : 'none', owner: null };
+  }
+  return { status: owner === ZERO_ADDRESS ? 'renounced' : 'active', owner };
+}
+
+/**
+ * Analyze a contract as returned by ContractExplorer.getContract().
+ * Returns flags, findings (with severity) and a 0-100 score.
+ */
+export function analyzeContractSource(contract) {
+  if (!contract?.verified) {
+    return {
+      verified: false,
+      contractName: contract?.contractName || null,
+      proxy: !!contract?.proxy,
+      ownership: { status: 'unknown', owner: null },
+      flags: {},
+      findings: [{
+        id: 'unverified_source',
+        severity: 'critical',
+        title: 'Unverified contract',
+        detail: 'Source code is not verified on the explorer - its behaviour cannot be checked',
+        functions: []
+      }],
+      score: UNVERIFIED_SCORE
+    };
+  }
+
+  // For proxies the implementation holds the token logic
+  const logic = contract.implementationContract?.verified ? contract.implementationContract : contract;
+  const code = stripComments([
+    ...logic.sourceFiles,
+    ...(logic === contract ? [] : contract.sourceFiles)
+  ].map(file => file.content).join('\n'));
+
+  const abiNames = Array.isArray(logic.abi) && logic.abi.length > 0
+    ? new Set(logic.abi.filter(item => item.type === 'function').map(item => item.name))
+    : null;
+  // Public surface: external/public functions, restricted to the ABI when there is one
+  const functions = parseFunctions(code)
+    .filter(fn => fn.external && !fn.readOnly && (!abiNames || abiNames.has(fn.name)));
+  const uniqueByName = list => [...new Map(list.map(fn => [fn.name, fn])).values()];
+
+  const ownership = describeOwnership(contract.owner, functions);
+  const findings = [];
+
+  // Owner-only powers are inert once ownership is renounced; role-gated or
+  // ungated ones are not
+  const addFinding = (id, severity, title, detail, matched = []) => {
+    const inert = ownership.status === 'renounced' && matched.length > 0
+      && matched.every(fn => fn.gate === 'owner');
+    findings.push({
+      id,
+      severity: inert ? 'info' : severity,
+      title,
+      detail: inert ? `${detail} (inert: ownership renounced)` : detail,
+      functions: [...new Set(matched.map(fn => fn.name))]
+    });
+  };
+
+  const mintFunctions = uniqueByName(functions.filter(fn => /^mint/i.test(fn.name)));
+  if (mintFunctions.length > 0) {
+    const ungated = mintFunctions.filter(fn => !fn.gate);
+    addFinding(
+      'mint',
+      ungated.some(fn => !fn.payable) ? 'critical' : 'high',
+      'Mintable supply',
+      `Supply can be increased via ${mintFunctions.map(fn => `${fn.name}()`).join(', ')}` +
+        (ungated.length > 0 ? ' - without an access check' : ''),
+      mintFunctions
+    );
+  }
+
+  const mappings = addressFlagMappings(code);
+  const blacklistFunctions = uniqueByName(functions.filter(fn => fn.gate && BLACKLIST_NAME.test(fn.name)));
+  const blacklistMappings = mappings.filter(name => BLACKLIST_NAME.test(name));
+  if (blacklistMappings.length > 0 || blacklistFunctions.length > 0) {
+    addFinding(
+      'blacklist',
+      'high',
+      'Blacklist',
+      `Addresses can be blocked from transferring (${[...blacklistMappings, ...blacklistFunctions.map(fn => `${fn.name}()`)].join(', ')})`,
+      blacklistFunctions
+    );
+  }
+
+  const whitelistFunctions = uniqueByName(functions.filter(fn => fn.gate && WHITELIST_NAME.test(fn.name)));
+  const whitelistMappings = mappings.filter(name => WHITELIST_NAME.test(name));
+  if (whitelistMappings.length > 0 || whitelistFunctions.length > 0) {
+    addFinding(
+      'whitelist',
+      'medium',
+      'Whitelist',
+      `Trading can be restricted to approved addresses (${[...whitelistMappings, ...whitelistFunctions.map(fn => `${fn.name}()`)].join(', ')})`,
+      whitelistFunctions
+    );
+  }
+
+  const pauseFunctions = uniqueByName(functions.filter(fn => /^(pause|unpause|setPaused)$/i.test(fn.name)));
+  if (pauseFunctions.length > 0 || /\bwhenNotPaused\b/.test(code)) {
+    addFinding(
+      'pausable',
+      'medium',
+      'Pausable transfers',
+      'Transfers can be halted by a privileged account',
+      pauseFunctions
+    );
+  }
+
+  const feeFunctions = uniqueByName(functions.filter(fn => fn.gate && /fee|tax/i.test(fn.name)));
+  if (feeFunctions.length > 0) {
+    // A `require(x <= limit)` in every setter means the fee has a hard cap
+    const capped = feeFunctions.every(fn => /require\s*\([^;]*<=?/.test(fn.body));
+    addFinding(
+      'adjustable_fees',
+      capped ? 'medium' : 'high',
+      'Adjustable fees',
+      `Buy/sell fees can be changed via ${feeFunctions.map(fn => `${fn.name}()`).join(', ')}` +
+        (capped ? ' (capped by a require check)' : ' with no visible cap'),
+      feeFunctions
+    );
+  }
+
+  const categorized = new Set([...mintFunctions, ...blacklistFunctions, ...whitelistFunctions, ...pauseFunctions, ...feeFunctions]
+    .map(fn => fn.name));
+  const setters = uniqueByName(functions.filter(fn => fn.gate && !categorized.has(fn.name)
+    && /^(set|update|change|exclude|include|enable|disable|toggle|add|remove)/i.test(fn.name)));
+  if (setters.length > 0) {
+    addFinding(
+      'owner_setters',
+      setters.length > 5 ? 'medium' : 'low',
+      'Privileged setters',
+      `${setters.length} owner/role-only setter(s): ${setters.slice(0, 6).map(fn => `${fn.name}()`).join(', ')}` +
+        (setters.length > 6 ? ', ...' : ''),
+      setters
+    );
+  }
+
+  // The explorer's Proxy/Implementation fields, else the source itself
+  const proxy = contract.proxy || !!contract.implementation || UPGRADEABLE_PATTERN.test(code);
+  if (proxy) {
+    findings.push({
+      id: 'upgradeable',
+      severity: 'high',
+      title: 'Upgradeable proxy',
+      detail: 'Contract logic can be replaced by the proxy admin' +
+        (contract.implementation ? ` (current implementation ${contract.implementation})` : '') +
+        (ownership.status === 'renounced' ? ' - renounced ownership does not remove the proxy admin' : ''),
+      functions: []
+    });
+  }
+
+  if (ownership.status === 'renounced') {
+    findings.push({
+      id: 'ownership_renounced',
+      severity: 'info',
+      title: 'Ownership renounced',
+      detail: 'owner() is the zero address - owner-only functions can no longer be called',
+      functions: []
+    });
+  } else if (ownership.status === 'active') {
+    findings.push({
+      id: 'ownership_active',
+      severity: 'low',
+      title: 'Active owner',
+      detail: `Owner ${ownership.owner} still controls owner-only functions`,
+      functions: []
+    });
+  }
+
+  const penalty = findings.reduce((sum, finding) => sum + SEVERITY_PENALTIES[finding.severity], 0);
+
+  return {
+    verified: true,
+    contractName: logic.contractName || contract.contractName,
+    compilerVersion: logic.compilerVersion || contract.compilerVersion,
+    proxy,
+    implementation: contract.implementation || null,
+    ownership,
+    flags: {
+      mintable: mintFunctions.length > 0,
+      ownerSetters: setters.length,
+      blacklist: findings.some(finding => finding.id === 'blacklist'),
+      whitelist: findings.some(finding => finding.id === 'whitelist'),
+      pausable: findings.some(finding => finding.id === 'pausable'),
+      adjustableFees: feeFunctions.length > 0,
+      proxy,
+      ownershipRenounced: ownership.status === 'renounced'
+    },
+    findings,
+    score: Math.max(0, VERIFIED_BASE_SCORE - penalty)
+  };
+}
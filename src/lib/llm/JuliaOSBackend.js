@@ -0,0 +1,79 @@
+import JuliaOSClient from '../juliaos/JuliaOSClient.js';
+
+// LLM backend that runs prompts through a JuliaOS agent (/api/agents/llm)
+export class JuliaOSBackend {
+  constructor(options = {}) {
+    this.name = 'juliaos';
+    this.client = options.client || new JuliaOSClient();
+    this.timeout = options.timeout || 30000;
+    this.agentId = null;
+  }
+
+  /**
+   * Create the backing JuliaOS agent; throws if JuliaOS is unreachable
+   */
+  async initialize({ agentType, agentConfig = {} }) {
+    if (this.agentId) return this.agentId;
+
+    const health = await this.client.healthCheck();
+    if (!health.available) {
+      throw new Error(`JuliaOS not available: ${health.error}`);
+    }
+
+    const agent = await this.client.createAgent(
+      agentType,
+      agentConfig.name || `${agentType}Agent`,
+      agentConfig.description || ''
+    );
+    if (!agent) {
+      throw new Error(`Failed to create JuliaOS ${agentType} agent`);
+    }
+
+    this.agentId = agent.id;
+    return this.agentId;
+  }
+
+  /**
+   * Run an arbitrary task on the agent and wait for its result
+   */
+  async runTask(task, initOptions) {
+    await this.initialize(initOptions);
+
+    const execution = await this.client.runAgent(this.agentId, task);
+    if (!execution) {
+      throw new Error('Agent execution failed');
+    }
+
+    return this.client.waitForCompletion(this.agentId, this.timeout);
+  }
+
+  async complete({ prompt, context = {}, agentType, agentConfig }) {
+    const task = {
+      name: `${agentType}-llm-analysis`,
+      prompt: prompt,
+      context: context,
+      type: 'llm_processing',
+      endpoint: '/api/agents/llm', // JuliaOS LLM processing endpoint
+      api_version: 'v1',
+      agent_type: agentType
+    };
+
+    const result = await this.runTask(task, { agentType, agentConfig });
+
+    return {
+      output: result.output || result.result,
+      confidence: result.confidence || 0.85,
+      source: 'juliaos',
+      agentId: this.agentId,
+      endpoint: '/api/agents/llm'
+    };
+  }
+
+  async cleanup() {
+    if (!this.agentId) return;
+    await this.client.deleteAgent(this.agentId);
+    this.agentId = null;
+  }
+}
+
+export default JuliaOSBackend;
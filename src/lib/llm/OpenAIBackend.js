@@ -0,0 +1,75 @@
+// LLM backend for any OpenAI-compatible chat-completions API
+// (OpenAI itself, or a local model server such as Ollama, vLLM or llama.cpp)
+export class OpenAIBackend {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.temperature = options.temperature ?? 0.2;
+    this.timeout = options.timeout || 30000;
+  }
+
+  async complete({ prompt, agentType, agentConfig = {}, json = false }) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        signal: controller.signal,
+        body: JSON.stringify({
+          model: this.model,
+          temperature: this.temperature,
+          messages: [
+            {
+              role: 'system',
+              content: agentConfig.description || `You are a ${agentType} analysis agent for token research.`
+            },
+            { role: 'user', content: prompt }
+          ],
+          ...(json ? { response_format: { type: 'json_object' } } : {})
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`Chat completion failed (${response.status}): ${errorText.slice(0, 200)}`);
+      }
+
+      const data = await response.json();
+      const output = data.choices?.[0]?.message?.content;
+      if (!output) {
+        throw new Error('Chat completion returned no content');
+      }
+
+      return {
+        output,
+        confidence: 0.8,
+        source: 'openai',
+        model: data.model || this.model,
+        endpoint: `${this.baseUrl}/chat/completions`
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async cleanup() {}
+
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TokenAI/1.0'
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+}
+
+export default OpenAIBackend;
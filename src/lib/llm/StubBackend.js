@@ -0,0 +1,41 @@
+// Deterministic local LLM backend for tests and offline runs.
+//
+// `responses` may be:
+//   - a function ({ prompt, context, agentType, call }) => string | object
+//   - an object keyed by agent type (or `default`), whose values are a
+//     response or an array of responses served in call order (last one repeats)
+// Objects are serialized to JSON. Without a match the stub answers '{}'.
+export class StubBackend {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.responses = options.responses || {};
+    this.confidence = options.confidence ?? 0.5;
+    this.calls = [];
+  }
+
+  async complete({ prompt, context = {}, agentType }) {
+    const call = this.calls.filter(entry => entry.agentType === agentType).length;
+    this.calls.push({ agentType, prompt });
+
+    let response;
+    if (typeof this.responses === 'function') {
+      response = await this.responses({ prompt, context, agentType, call });
+    } else {
+      const configured = this.responses[agentType] ?? this.responses.default;
+      response = Array.isArray(configured)
+        ? configured[Math.min(call, configured.length - 1)]
+        : configured;
+    }
+
+    return {
+      output: typeof response === 'string' ? response : JSON.stringify(response ?? {}),
+      confidence: this.confidence,
+      source: 'stub',
+      endpoint: 'stub://local'
+    };
+  }
+
+  async cleanup() {}
+}
+
+export default StubBackend;
@@ -0,0 +1,42 @@
+import { JuliaOSBackend } from './JuliaOSBackend.js';
+import { OpenAIBackend } from './OpenAIBackend.js';
+import { StubBackend } from './StubBackend.js';
+
+const BACKENDS = {
+  juliaos: JuliaOSBackend,
+  openai: OpenAIBackend,
+  stub: StubBackend
+};
+
+/**
+ * Build a single LLM backend.
+ * `spec` is a backend name, `{ backend, ...options }`, or an object that
+ * already implements `complete()` (returned as-is).
+ */
+export function createLLMBackend(spec = process.env.LLM_BACKEND || 'juliaos') {
+  if (spec && typeof spec.complete === 'function') return spec;
+
+  const { backend, ...options } = typeof spec === 'string' ? { backend: spec } : spec;
+  const Backend = BACKENDS[backend];
+  if (!Backend) {
+    throw new Error(`Unknown LLM backend "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  return new Backend(options);
+}
+
+/**
+ * Build the ordered list of backends an agent tries: the primary backend,
+ * then any `fallback` backends (e.g. a local model server when JuliaOS is down).
+ */
+export function createLLMBackendChain(spec = process.env.LLM_BACKEND || 'juliaos') {
+  const isConfig = spec && typeof spec === 'object' && typeof spec.complete !== 'function';
+  const { fallback = process.env.LLM_FALLBACK_BACKEND || null, ...primary } = isConfig ? spec : { backend: spec };
+
+  return [
+    createLLMBackend(typeof primary.backend?.complete === 'function' ? primary.backend : primary),
+    ...[].concat(fallback || []).map(createLLMBackend)
+  ];
+}
+
+export { JuliaOSBackend, OpenAIBackend, StubBackend };
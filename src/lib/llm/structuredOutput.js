@@ -0,0 +1,142 @@
+// Structured (JSON) output contract for agent LLM responses.
+// Supports the JSON Schema subset the agents use: type, properties, required,
+// items, enum, minimum/maximum, minLength and additionalProperties: false.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Validate a value against a schema; returns a list of human-readable errors
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} should have at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Pull a JSON object out of raw LLM text (tolerates code fences and prose)
+ */
+export function extractJSON(text) {
+  if (text && typeof text === 'object') return text;
+  if (typeof text !== 'string') return undefined;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) return undefined;
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Parse and validate an LLM response against a schema
+ */
+export function parseStructuredOutput(text, schema) {
+  const data = extractJSON(text);
+  if (data === undefined) {
+    return { valid: false, data: null, errors: ['Response did not contain a JSON object'] };
+  }
+
+  const errors = validateSchema(data, schema);
+  return errors.length === 0
+    ? { valid: true, data, errors: [] }
+    : { valid: false, data: null, errors };
+}
+
+/**
+ * Instructions appended to a prompt to request schema-conforming output
+ */
+export function buildSchemaInstructions(schema) {
+  return `
+Respond ONLY with a single JSON object, no prose and no code fences.
+The JSON must validate against this JSON Schema:
+${JSON.stringify(schema, null, 2)}
+`;
+}
+
+/**
+ * Follow-up prompt asking the model to fix output that failed validation
+ */
+export function buildRepairPrompt(schema, previousOutput, errors) {
+  const previous = typeof previousOutput === 'string' ? previousOutput : JSON.stringify(previousOutput);
+
+  return `
+Your previous response did not match the required JSON Schema.
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${(previous || '').slice(0, 4000)}
+${buildSchemaInstructions(schema)}`;
+}
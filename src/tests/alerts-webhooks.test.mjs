@@ -0,0 +1,148 @@
+// Alert webhooks against a local receiver on an ephemeral port: signing,
+// retries, and when an alert counts as fired
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { deliverWebhook } = require('../../netlify/functions/lib/alerts/webhooks.js');
+const { AlertEngine, buildRule, createAlertStore } = require('../../netlify/functions/lib/alerts/index.js');
+
+/**
+ * Receiver answering each path with its queued status codes (200 once they
+ * run out), recording every request
+ */
+async function startReceiver(statuses = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(statuses[req.url]?.shift() ?? 200).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = path => `http://127.0.0.1:${server.address().port}${path}`;
+  return { requests, url, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const alert = {
+  id: 'thin:solana:BONK:1',
+  ruleName: 'Thin liquidity',
+  severity: 'warning',
+  expression: 'liquidity < 200000',
+  token: { symbol: 'BONK', blockchain: 'solana', tokenKey: 'solana:BONK' },
+  values: { liquidity: 150000 },
+  analysis: { overallScore: 40, recommendation: 'HOLD/WATCH' },
+  firedAt: '2026-01-01T00:00:00.000Z',
+  test: false
+};
+
+const analysisBody = liquidity => ({
+  requestId: 'req-1',
+  data: {
+    tokenInfo: { name: 'Bonk', symbol: 'BONK', address: 'BonkMint' },
+    blockchainInfo: { blockchain: 'solana' },
+    analysis: { overallScore: 40, recommendation: 'HOLD/WATCH', riskLevel: 'MEDIUM', keyMetrics: { liquidity } }
+  }
+});
+
+// Deliveries log failures; keep the test output clean
+const quiet = async fn => {
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('signed deliveries carry a timestamp and an HMAC of "<timestamp>.<body>"', async () => {
+  const receiver = await startReceiver();
+  try {
+    const outcome = await deliverWebhook({ url: receiver.url('/hook'), secret: 's3cret' }, alert);
+    assert.equal(outcome.ok, true);
+
+    const [{ headers, body }] = receiver.requests;
+    const timestamp = headers['x-signature-timestamp'];
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+    const expected = `sha256=${crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${body}`).digest('hex')}`;
+    assert.equal(headers['x-signature-256'], expected);
+    assert.equal(headers['x-alert-id'], alert.id);
+    assert.equal(JSON.parse(body).alert.id, alert.id);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a 5xx is retried once; a 4xx is not', async () => {
+  const receiver = await startReceiver({ '/flaky': [503], '/gone': [404] });
+  try {
+    const retried = await quiet(() => deliverWebhook({ url: receiver.url('/flaky') }, alert));
+    assert.deepEqual([retried.ok, retried.attempts], [true, 2]);
+
+    const rejected = await quiet(() => deliverWebhook({ url: receiver.url('/gone') }, alert));
+    assert.deepEqual([rejected.ok, rejected.status, rejected.attempts], [false, 404, 1]);
+    assert.deepEqual(receiver.requests.map(request => request.path), ['/flaky', '/flaky', '/gone']);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('an alert fires once per match, then waits out its cooldown', async () => {
+  const receiver = await startReceiver();
+  try {
+    const engine = new AlertEngine(createAlertStore('memory'));
+    const { rule } = buildRule({ name: 'Thin', expression: 'liquidity < 200000', cooldownMinutes: 60, webhooks: [receiver.url('/hook')] });
+    await engine.store.putRule(rule);
+    const start = new Date('2026-01-01T00:00:00Z');
+    const at = minutes => new Date(start.getTime() + minutes * 60 * 1000);
+
+    const [fired] = await engine.evaluate(analysisBody(150000), at(0));
+    assert.equal(fired.status, 'fired');
+    // Still firing while the delivery is in flight
+    assert.equal((await engine.evaluate(analysisBody(150000), at(1)))[0].status, 'duplicate');
+    await engine.flush();
+    assert.equal((await engine.evaluate(analysisBody(120000), at(2)))[0].status, 'duplicate');
+
+    // Cleared, then matching again inside the cooldown
+    assert.deepEqual(await engine.evaluate(analysisBody(900000), at(3)), []);
+    assert.equal((await engine.evaluate(analysisBody(150000), at(30)))[0].status, 'cooldown');
+    assert.equal((await engine.evaluate(analysisBody(150000), at(61)))[0].status, 'fired');
+    await engine.flush();
+    assert.equal(receiver.requests.length, 2);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('an alert no webhook accepted fires again at the next match', async () => {
+  const receiver = await startReceiver({ '/down': [500, 500] });
+  try {
+    const engine = new AlertEngine(createAlertStore('memory'));
+    const { rule } = buildRule({ name: 'Thin', expression: 'liquidity < 200000', webhooks: [receiver.url('/down')] });
+    await engine.store.putRule(rule);
+
+    assert.equal((await engine.evaluate(analysisBody(150000)))[0].status, 'fired');
+    await quiet(() => engine.flush());
+    const state = await engine.store.getState('thin|solana:BonkMint');
+    assert.deepEqual([state.firing, state.lastFiredAt], [false, null]);
+
+    assert.equal((await engine.evaluate(analysisBody(150000)))[0].status, 'fired');
+    await engine.flush();
+    assert.equal((await engine.store.getState('thin|solana:BonkMint')).firing, true);
+    assert.equal(receiver.requests.length, 3);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('rule input that is not an object is rejected', () => {
+  assert.match(buildRule(null).error, /JSON object/);
+  assert.match(buildRule([]).error, /JSON object/);
+  assert.ok(buildRule({ name: 'No expression' }).error);
+});
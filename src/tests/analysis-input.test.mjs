@@ -0,0 +1,56 @@
+// Analyze request validation and symbol/address classification; every case is
+// rejected or classified before any source is called
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { detectInputKind } = require('../../netlify/functions/lib/providers/index.js');
+const { handler } = require('../../netlify/functions/analyze.js');
+
+// The pipeline logs each request; keep the test output clean
+async function post(body) {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return await handler({ httpMethod: 'POST', headers: {}, body });
+  } finally {
+    console.log = log;
+  }
+}
+
+test('addresses are recognized by format, not length', () => {
+  assert.equal(detectInputKind('0xdAC17F958D2ee523a2206206994597C13D831ec7'), 'address');
+  assert.equal(detectInputKind(' JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN '), 'address');
+  assert.equal(detectInputKind('So11111111111111111111111111111111111111112'), 'address');
+
+  assert.equal(detectInputKind('BONK'), 'symbol');
+  // Long symbols and names are not addresses
+  assert.equal(detectInputKind('PEPECOINFORLIFE'), 'symbol');
+  assert.equal(detectInputKind('dogwifhat token'), 'symbol');
+  // Truncated hex, and base58-length input with characters base58 leaves out
+  assert.equal(detectInputKind('0xdAC17F958D2ee523a2206206994597C13D831e'), 'symbol');
+  assert.equal(detectInputKind('JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvC0'), 'symbol');
+});
+
+test('a tokenInput that is not a short string is a 400', async () => {
+  for (const tokenInput of [42, ['BONK'], { symbol: 'BONK' }, '   ', 'X'.repeat(101)]) {
+    const response = await post(JSON.stringify({ tokenInput }));
+    assert.equal(response.statusCode, 400, JSON.stringify(tokenInput));
+    assert.ok(JSON.parse(response.body).error);
+  }
+});
+
+test('a body that is not a JSON object is a 400', async () => {
+  for (const body of ['not json', 'null', '[]', '"BONK"']) {
+    const response = await post(body);
+    assert.equal(response.statusCode, 400, body);
+  }
+});
+
+test('a malformed selection is a 400', async () => {
+  for (const selection of ['BONK', { address: 42 }]) {
+    const response = await post(JSON.stringify({ tokenInput: 'BONK', selection }));
+    assert.equal(response.statusCode, 400, JSON.stringify(selection));
+  }
+});
@@ -0,0 +1,81 @@
+// End-to-end analysis of JUP served entirely from recorded HTTP fixtures
+// (HTTP_FIXTURE_MODE=replay): any request without a fixture fails instead of
+// reaching the network, so the result is the same on every run.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const JUP = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+
+Object.assign(process.env, {
+  HTTP_FIXTURE_MODE: 'replay',
+  HTTP_FIXTURE_DIR: fileURLToPath(new URL('./fixtures/http', import.meta.url)),
+  CACHE_STORE: 'none',
+  HISTORY_STORE: 'memory',
+  ALERT_STORE: 'memory',
+  SWARM_EXECUTION_MODE: 'heuristics'
+});
+
+// The pipeline logs every stage; keep the test output clean
+async function analyzeQuietly(tokenInput) {
+  const quiet = ['log', 'warn', 'error'].map(method => [method, console[method]]);
+  quiet.forEach(([method]) => { console[method] = () => {}; });
+  try {
+    const { handler } = require('../../netlify/functions/analyze.js');
+    return await handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ tokenInput }) });
+  } finally {
+    quiet.forEach(([method, original]) => { console[method] = original; });
+  }
+}
+
+test('analyze replays a recorded JUP analysis', async () => {
+  const response = await analyzeQuietly(JUP);
+
+  assert.equal(response.statusCode, 200);
+  const body = JSON.parse(response.body);
+  const { tokenInfo, blockchainInfo, analysis } = body.data;
+
+  assert.equal(tokenInfo.symbol, 'JUP');
+  assert.equal(blockchainInfo.blockchain, 'solana');
+  assert.equal(analysis.keyMetrics.primaryDataSource, 'CoinGecko');
+  // Three recorded pools: 6.12M + 2.48M + 0.91M
+  assert.equal(analysis.keyMetrics.liquidity, 9510000);
+  assert.equal(analysis.keyMetrics.marketCap, 1306420000);
+  assert.equal(analysis.overallScore, 58);
+  assert.equal(analysis.recommendation, 'HOLD/WATCH');
+  assert.equal(analysis.riskLevel, 'MEDIUM-HIGH');
+  assert.equal(body.juliaos_analysis.consensus_score, 70);
+  assert.equal(body.juliaos_analysis.swarm_coordination.execution_mode, 'local_heuristics');
+});
+
+test('analyze sends the alert webhooks before it returns', async () => {
+  // A slow receiver: a handler that did not wait would resolve first
+  const received = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => setTimeout(() => {
+      received.push(req.url);
+      res.writeHead(200).end();
+    }, 300));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const { getAlertEngine, buildRule } = require('../../netlify/functions/lib/alerts/index.js');
+    const { rule } = buildRule({
+      name: 'Any JUP',
+      expression: 'overallScore < 100',
+      webhooks: [`http://127.0.0.1:${server.address().port}/hook`]
+    });
+    await getAlertEngine().store.putRule(rule);
+
+    const response = await analyzeQuietly(JUP);
+    const [alert] = JSON.parse(response.body).alerts;
+    assert.equal(alert.status, 'fired');
+    assert.deepEqual(received, ['/hook']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
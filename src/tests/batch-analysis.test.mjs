@@ -0,0 +1,123 @@
+// Batch analysis over recorded HTTP fixtures (HTTP_FIXTURE_MODE=replay): list
+// parsing, ranking, the per-token timeout and the whole-batch budget. A local
+// RPC node that never answers a state read stalls the TKN trade simulation.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const JUP = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+const TKN = '0xabc0000000000000000000000000000000000001';
+
+Object.assign(process.env, {
+  HTTP_FIXTURE_MODE: 'replay',
+  HTTP_FIXTURE_DIR: fileURLToPath(new URL('./fixtures/http', import.meta.url)),
+  CACHE_STORE: 'none',
+  HISTORY_STORE: 'memory',
+  ALERT_STORE: 'memory',
+  SWARM_EXECUTION_MODE: 'heuristics'
+});
+
+const { runBatch, parseTokenList, rankRows, mapWithConcurrency } = require('../../netlify/functions/lib/batch-analysis.js');
+const { getAnalysisHistory } = require('../../netlify/functions/lib/history/index.js');
+
+// The pipeline logs every stage, and sources without a fixture fail loudly;
+// keep the test output clean
+async function batchQuietly(tokens, options) {
+  const quiet = ['log', 'warn', 'error'].map(method => [method, console[method]]);
+  quiet.forEach(([method]) => { console[method] = () => {}; });
+  try {
+    return await runBatch(tokens, { startIntervalMs: 0, ...options });
+  } finally {
+    quiet.forEach(([method, original]) => { console[method] = original; });
+  }
+}
+
+async function startStalledNode() {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const { id, method } = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      if (method === 'eth_getBlockByNumber') {
+        res.writeHead(200, { 'content-type': 'application/json' })
+          .end(JSON.stringify({ jsonrpc: '2.0', id, result: { number: '0x1', timestamp: '0x65a00000' } }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+test('pasted lists drop blanks and duplicates', () => {
+  assert.deepEqual(parseTokenList(`BONK, bonk;${TKN}\n${TKN.toUpperCase().replace('0X', '0x')}  ${JUP} ${JUP.toLowerCase()}`),
+    ['BONK', TKN, JUP, JUP.toLowerCase()]);
+  assert.deepEqual(parseTokenList([' JUP ', '', null, 'jup']), ['JUP']);
+  assert.deepEqual(parseTokenList(undefined), []);
+});
+
+test('rows rank by score, then liquidity, with failures last', () => {
+  const ranked = rankRows([
+    { input: 'A', status: 'failed', error: 'No market data found for this token' },
+    { input: 'B', status: 'ok', overallScore: 60, liquidity: 1000 },
+    { input: 'C', status: 'ok', overallScore: 72, liquidity: 10 },
+    { input: 'D', status: 'ok', overallScore: 60, liquidity: 5000 }
+  ]);
+  assert.deepEqual(ranked.map(row => [row.rank, row.input]), [[1, 'C'], [2, 'D'], [3, 'B'], [null, 'A']]);
+});
+
+test('at most `limit` workers run at once, and results keep the input order', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5], { limit: 2, startIntervalMs: 0 }, async delay => {
+    peak = Math.max(peak, ++running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running--;
+    return delay * 2;
+  });
+  assert.deepEqual(results, [60, 20, 40, 10]);
+  assert.equal(peak, 2);
+});
+
+test('a stuck token times out in its own row and leaves no history', async () => {
+  const node = await startStalledNode();
+  process.env.ETHEREUM_RPC_URL = node.url;
+  try {
+    const batch = await batchQuietly(['TKN'], { tokenTimeoutMs: 1000 });
+    assert.deepEqual(batch.results.map(({ rank, status, error }) => [rank, status, error]),
+      [[null, 'failed', 'Analysis timed out after 1s']]);
+    assert.ok(batch.results[0].durationMs < 3000);
+    assert.deepEqual(await getAnalysisHistory().resolve(TKN), []);
+  } finally {
+    delete process.env.ETHEREUM_RPC_URL;
+    await node.close();
+  }
+});
+
+test('a batch ranks the analyzed tokens and reports the unknown one', async () => {
+  const batch = await batchQuietly([JUP, 'TKN', 'NOPE']);
+
+  assert.deepEqual(batch.results.map(({ rank, input, status }) => [rank, input, status]),
+    [[1, JUP, 'ok'], [2, 'TKN', 'ok'], [null, 'NOPE', 'failed']]);
+  assert.ok(batch.results[0].overallScore > batch.results[1].overallScore);
+  // TKN took the verified Ethereum contract, though other tokens share the symbol
+  assert.deepEqual([batch.results[1].address, batch.results[1].ambiguous], [TKN, true]);
+  assert.equal(batch.results[2].error, 'No market data found for this token');
+  assert.deepEqual([batch.summary.requested, batch.summary.analyzed, batch.summary.failed], [3, 2, 1]);
+});
+
+test('tokens the budget leaves no time for are skipped', async () => {
+  const batch = await batchQuietly([JUP, 'TKN'], { concurrency: 1, startIntervalMs: 50, budgetMs: 20 });
+  assert.deepEqual(batch.results.map(({ input, error }) => [input, error]), [
+    [JUP, 'Analysis timed out after 0s'],
+    ['TKN', 'Skipped - this run ran out of time']
+  ]);
+});
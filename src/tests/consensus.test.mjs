@@ -0,0 +1,113 @@
+// Consensus strategies over the agents' scores, and the debate round's
+// disagreement check
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateConsensus, resolveConsensusSpec } from '../lib/agents/consensus.js';
+import { measureDisagreement } from '../lib/agents/debate.js';
+
+const results = ({ research, market, contract }) => ({
+  research: { overall_score: research, confidence: 0.8 },
+  market: { market_score: market, confidence: 0.6 },
+  contract: { security_score: contract, confidence: 0.4, risk_level: 'LOW' }
+});
+
+const spread = () => results({ research: 80, market: 60, contract: 20 });
+
+test('weighted uses the 0.4 / 0.4 / 0.2 split unless weights are given', () => {
+  const byDefault = calculateConsensus(spread(), 'weighted');
+  assert.equal(byDefault.score, 60);
+  assert.deepEqual(byDefault.weights, { research: 0.4, market: 0.4, contract: 0.2 });
+
+  // Given weights override the defaults per agent and are renormalized
+  const custom = calculateConsensus(spread(), { strategy: 'weighted', weights: { contract: 0.6 } });
+  assert.equal(custom.score, 49);
+  assert.deepEqual(custom.weights, { research: 0.286, market: 0.286, contract: 0.429 });
+});
+
+test('confidence_weighted weights each agent by its own confidence', () => {
+  const consensus = calculateConsensus(spread(), 'confidence_weighted');
+  assert.equal(consensus.score, 60);
+  assert.deepEqual(consensus.weights, { research: 0.444, market: 0.333, contract: 0.222 });
+});
+
+test('median takes the middle vote, or splits the two middle ones', () => {
+  const odd = calculateConsensus(spread(), 'median');
+  assert.equal(odd.score, 60);
+  assert.deepEqual(odd.weights, { contract: 0, market: 1, research: 0 });
+
+  const { research, market } = spread();
+  const even = calculateConsensus({ research, market }, 'median');
+  assert.equal(even.score, 70);
+  assert.deepEqual(even.weights, { market: 0.5, research: 0.5 });
+});
+
+test('trimmed_mean only trims when the swarm is big enough for the trim', () => {
+  // 3 votes at the default 0.2 trim drop nothing
+  assert.equal(calculateConsensus(spread(), 'trimmed_mean').score, 53);
+
+  const trimmed = calculateConsensus(spread(), { strategy: 'trimmed_mean', trim: 0.4 });
+  assert.equal(trimmed.score, 60);
+  assert.deepEqual(trimmed.trimmed_agents, ['contract', 'research']);
+});
+
+test('veto caps the base score when the contract is CRITICAL', () => {
+  const critical = spread();
+  critical.contract.risk_level = 'CRITICAL';
+
+  const capped = calculateConsensus(critical, 'veto');
+  assert.equal(capped.score, 25);
+  assert.deepEqual(capped.veto, { applied: true, cap: 25, reason: 'Contract agent reported CRITICAL risk', uncapped_score: 60 });
+
+  const median = calculateConsensus(critical, { strategy: 'veto', base: 'median', cap: 70 });
+  assert.equal(median.score, 60);
+  assert.equal(median.base_strategy, 'median');
+  assert.equal(median.veto.applied, false);
+
+  assert.equal(calculateConsensus(spread(), 'veto').veto.applied, false);
+});
+
+test('unknown strategies and options are rejected', () => {
+  assert.throws(() => resolveConsensusSpec('majority'), /Unknown consensus strategy "majority"/);
+  assert.throws(() => resolveConsensusSpec({ strategy: 'median', trim: 0.2 }), /Unknown option "trim" for median/);
+  assert.throws(() => resolveConsensusSpec({ strategy: 'trimmed_mean', trim: 0.5 }), /trim must be a number from 0 to 0.49/);
+  assert.throws(() => resolveConsensusSpec({ strategy: 'weighted', weights: { whale: 1 } }), /weights must map/);
+  assert.throws(() => resolveConsensusSpec({ strategy: 'veto', base: 'veto' }), /Invalid base strategy "veto"/);
+  // Veto also takes its base strategy's options
+  assert.deepEqual(resolveConsensusSpec({ strategy: 'veto', base: 'trimmed_mean', trim: 0.3 }),
+    { strategy: 'veto', options: { base: 'trimmed_mean', trim: 0.3 } });
+});
+
+test('agents without a score do not vote; with none left there is no consensus', () => {
+  const agents = spread();
+  agents.market.market_score = null;
+  assert.deepEqual(calculateConsensus(agents, 'weighted').weights, { research: 0.667, contract: 0.333 });
+
+  const none = calculateConsensus({ research: { overall_score: null } }, 'median');
+  assert.equal(none.score, null);
+  assert.equal(none.note, 'No agent scores available');
+});
+
+test('a degraded agent is left out of the consensus and listed as excluded', () => {
+  const agents = results({ research: 90, market: 40, contract: 50 });
+  agents.research = { ...agents.research, degraded: true, degraded_reason: 'llm_unavailable' };
+
+  const consensus = calculateConsensus(agents, 'weighted');
+  // Market 0.4 and contract 0.2, renormalized: (40 * 0.4 + 50 * 0.2) / 0.6
+  assert.equal(consensus.score, 43);
+  assert.deepEqual(consensus.weights, { market: 0.667, contract: 0.333 });
+  assert.deepEqual(consensus.votes.map(vote => vote.agent), ['market', 'contract']);
+  assert.deepEqual(consensus.excluded, [{ agent: 'research', score: 90, reason: 'llm_unavailable' }]);
+
+  // Its outlying score does not count as disagreement either
+  assert.equal(measureDisagreement(agents).spread, 10);
+});
+
+test('when every agent is degraded their heuristic scores still vote', () => {
+  const agents = results({ research: 90, market: 40, contract: 50 });
+  Object.values(agents).forEach(agent => { agent.degraded = true; });
+
+  const consensus = calculateConsensus(agents, 'median');
+  assert.equal(consensus.score, 50);
+  assert.deepEqual(consensus.excluded, []);
+  assert.match(consensus.note, /heuristic scores only/);
+});
@@ -0,0 +1,95 @@
+// Static analysis of verified Solidity source, read from saved explorer
+// responses under fixtures/contracts/<chain>/<address>.json (optionally with
+// the `Owner` that owner() returned)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { ContractExplorer } from '../lib/contracts/ContractExplorer.js';
+import { analyzeContractSource } from '../lib/contracts/sourceAnalysis.js';
+
+const explorer = new ContractExplorer({
+  apiKey: '',
+  fixtureDir: fileURLToPath(new URL('./fixtures/contracts', import.meta.url))
+});
+
+async function analyzeFixture(address) {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return analyzeContractSource(await explorer.getContract(address, 'ethereum'));
+  } finally {
+    console.log = log;
+  }
+}
+
+test('a delegatecall through the Address library is not an upgradeable proxy', async () => {
+  const analysis = await analyzeFixture('0x00000000000000000000000000000000000add01');
+  assert.equal(analysis.proxy, false);
+  assert.equal(analysis.findings.some(finding => finding.id === 'upgradeable'), false);
+  assert.equal(analysis.score, 100);
+});
+
+test('a UUPS token is upgradeable', async () => {
+  const analysis = await analyzeFixture('0x000000000000000000000000000000000000a0a1');
+  assert.equal(analysis.proxy, true);
+  assert.equal(analysis.findings.find(finding => finding.id === 'upgradeable').severity, 'high');
+});
+
+test('a proxy the explorer reports is analyzed through its implementation', async () => {
+  const analysis = await analyzeFixture('0x0000000000000000000000000000000000000b01');
+  assert.equal(analysis.proxy, true);
+  assert.equal(analysis.contractName, 'PlainToken');
+  assert.equal(analysis.implementation, '0x00000000000000000000000000000000000add01');
+  assert.match(analysis.findings.find(finding => finding.id === 'upgradeable').detail, /current implementation 0x0+add01/);
+});
+
+const severities = analysis => Object.fromEntries(analysis.findings.map(finding => [finding.id, finding.severity]));
+
+test('each owner-only control is reported while the owner is active', async () => {
+  const analysis = await analyzeFixture('0x000000000000000000000000000000000000c001');
+  assert.deepEqual(analysis.ownership, { status: 'active', owner: '0x00000000000000000000000000000000000bee71' });
+  assert.deepEqual(severities(analysis), {
+    mint: 'high',
+    blacklist: 'high',
+    whitelist: 'medium',
+    pausable: 'medium',
+    adjustable_fees: 'medium',
+    owner_setters: 'low',
+    ownership_active: 'low'
+  });
+  assert.match(analysis.findings.find(finding => finding.id === 'adjustable_fees').detail, /capped by a require check/);
+  assert.deepEqual(analysis.findings.find(finding => finding.id === 'pausable').functions, ['pause', 'unpause']);
+  assert.equal(analysis.score, 20);
+});
+
+test('renounced ownership makes owner-only controls inert', async () => {
+  const analysis = await analyzeFixture('0x000000000000000000000000000000000000c002');
+  assert.equal(analysis.flags.ownershipRenounced, true);
+  assert.ok(analysis.findings.every(finding => finding.severity === 'info'));
+  assert.match(analysis.findings.find(finding => finding.id === 'mint').detail, /\(inert: ownership renounced\)$/);
+  assert.equal(analysis.score, 100);
+});
+
+test('a role-gated mint survives renounced ownership', async () => {
+  const analysis = await analyzeFixture('0x000000000000000000000000000000000000c003');
+  assert.equal(severities(analysis).mint, 'high');
+  assert.equal(severities(analysis).blacklist, 'info');
+  assert.equal(analysis.score, 80);
+});
+
+test('an ungated mint is critical and a fee setter without a require is uncapped', async () => {
+  const analysis = await analyzeFixture('0x000000000000000000000000000000000000c004');
+  // No Owner was read, and an owner check is in the source
+  assert.deepEqual(analysis.ownership, { status: 'unknown', owner: null });
+  assert.deepEqual(severities(analysis), { mint: 'critical', adjustable_fees: 'high' });
+  assert.match(analysis.findings[0].detail, /without an access check/);
+  assert.match(analysis.findings[1].detail, /setTaxFee\(\) with no visible cap/);
+  assert.equal(analysis.score, 40);
+});
+
+test('unverified source is a critical finding with a fixed score', async () => {
+  const analysis = await analyzeFixture('0x000000000000000000000000000000000000c005');
+  assert.equal(analysis.verified, false);
+  assert.deepEqual(analysis.findings.map(finding => [finding.id, finding.severity]), [['unverified_source', 'critical']]);
+  assert.equal(analysis.score, 20);
+});
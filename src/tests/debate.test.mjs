@@ -0,0 +1,93 @@
+// Agent disagreement detection and the debate round, with scripted debaters
+// in place of LLM-backed agents
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { measureDisagreement, runDebateRound } from '../lib/agents/debate.js';
+import { SwarmCoordinator } from '../lib/agents/SwarmCoordinator.js';
+
+const results = ({ research, market, contract }) => ({
+  research: { overall_score: research, key_findings: ['Listed on 3 major exchanges'] },
+  market: { market_score: market, market_insights: ['Volume up 40% this week'] },
+  contract: { security_score: contract, risk_factors: ['Owner can mint'], recommendations: ['Check the mint cap'] }
+});
+
+// The coordinator logs each debate; keep the test output clean
+const quiet = async fn => {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+test('the spread between agent scores sets the disagreement level', () => {
+  assert.equal(measureDisagreement(results({ research: 70, market: 60, contract: 55 })).level, 'LOW');
+  assert.equal(measureDisagreement(results({ research: 70, market: 60, contract: 45 })).level, 'MODERATE');
+
+  const high = measureDisagreement(results({ research: 85, market: 60, contract: 20 }));
+  assert.deepEqual([high.level, high.high, high.spread], ['HIGH', true, 65]);
+  assert.deepEqual(high.highest, { agent: 'research', score: 85 });
+  assert.deepEqual(high.lowest, { agent: 'contract', score: 20 });
+  assert.equal(measureDisagreement(results({ research: 85, market: 60, contract: 20 }), 70).level, 'MODERATE');
+
+  // One vote is no disagreement
+  assert.equal(measureDisagreement({ research: { overall_score: 90 } }).spread, 0);
+});
+
+test('each agent debates against the others, and a failed debate keeps its score', async () => {
+  const seen = {};
+  const debated = await runDebateRound(results({ research: 85, market: 60, contract: 20 }), async (agentType, position, peers) => {
+    seen[agentType] = { position, peers: peers.map(peer => peer.agent) };
+    if (agentType === 'market') throw new Error('LLM timed out');
+    return agentType === 'research'
+      ? { stance: 'revise', revised_score: 55, rationale: 'The mint authority outweighs the listings' }
+      : { stance: 'defend', revised_score: 20, rationale: 'An uncapped mint is critical' };
+  });
+
+  assert.deepEqual(seen.research.peers, ['market', 'contract']);
+  assert.deepEqual(seen.contract.position.findings, ['Owner can mint', 'Check the mint cap']);
+
+  assert.equal(debated.results.research.overall_score, 55);
+  assert.deepEqual(debated.debate.research, {
+    stance: 'revise', initial_score: 85, revised_score: 55, rationale: 'The mint authority outweighs the listings', degraded: false
+  });
+  assert.deepEqual([debated.debate.market.stance, debated.debate.market.revised_score, debated.debate.market.degraded], ['defend', 60, true]);
+  assert.equal(debated.results.contract.debate.stance, 'defend');
+});
+
+test('an agent without a score sits the debate out', async () => {
+  const agents = results({ research: 85, market: null, contract: 20 });
+  const debaters = [];
+  const debated = await runDebateRound(agents, async (agentType, position) => {
+    debaters.push(agentType);
+    return { stance: 'defend', revised_score: position.score, rationale: 'Unchanged' };
+  });
+  assert.deepEqual(debaters, ['research', 'contract']);
+  assert.equal(debated.debate.market, undefined);
+});
+
+test('the coordinator debates only high disagreement, and only when enabled', async () => {
+  const debater = {
+    mode: 'scripted',
+    runDebate: async (agentType, position) => ({ stance: 'revise', revised_score: Math.round((position.score + 50) / 2), rationale: 'Met halfway' })
+  };
+  const initial = results({ research: 90, market: 60, contract: 10 });
+
+  const enabled = new SwarmCoordinator({ executor: debater, debate: true });
+  const { results: final, rounds, disagreement } = await quiet(() => enabled.resolveDisagreement(initial));
+  assert.deepEqual(rounds.map(round => round.type), ['initial', 'debate']);
+  assert.deepEqual(rounds[1].scores, { research: 70, market: 55, contract: 30 });
+  assert.equal(final.contract.security_score, 30);
+  assert.equal(disagreement.spread, 40);
+
+  const calm = await enabled.resolveDisagreement(results({ research: 70, market: 60, contract: 55 }));
+  assert.equal(calm.rounds.length, 1);
+
+  const disabled = await quiet(() => new SwarmCoordinator({ executor: debater, debate: false }).resolveDisagreement(initial));
+  assert.deepEqual([disabled.rounds.length, disabled.rounds[0].debate_skipped], [1, 'Debate round disabled']);
+
+  const heuristics = await quiet(() => new SwarmCoordinator({ mode: 'heuristics', debate: true }).resolveDisagreement(initial));
+  assert.equal(heuristics.rounds[0].debate_skipped, 'No debate round in local_heuristics mode');
+});
@@ -0,0 +1,56 @@
+// Analysis history store selection and symbol lookups
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { AnalysisHistory, FileHistoryStore, createHistoryStore } = require('../../netlify/functions/lib/history/index.js');
+
+const snapshot = (symbol, address) => ({
+  createdAt: '2026-01-01T00:00:00.000Z',
+  token: { name: symbol, symbol, blockchain: address.startsWith('0x') ? 'ethereum' : 'solana', address },
+  risks: []
+});
+
+test('symbol lookups use the index, including history written before it existed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  try {
+    const writer = new FileHistoryStore({ dir });
+    await writer.append('solana:BonkMint', snapshot('BONK', 'BonkMint'));
+    await writer.append('ethereum:0xb0b', snapshot('bonk', '0xb0b'));
+    await writer.append('solana:WifMint', snapshot('WIF', 'WifMint'));
+    // History from before the index: snapshots only
+    fs.rmSync(path.join(dir, 'symbols'), { recursive: true });
+
+    const history = new AnalysisHistory(new FileHistoryStore({ dir }));
+    assert.deepEqual(await history.resolve('Bonk'), ['ethereum:0xb0b', 'solana:BonkMint']);
+    assert.deepEqual(await history.resolve('NOPE'), []);
+
+    await writer.append('solana:WifTwo', snapshot('WIF', 'WifTwo'));
+    assert.deepEqual(await history.resolve('wif'), ['solana:WifMint', 'solana:WifTwo']);
+    assert.deepEqual(await history.resolve('0xB0B'), ['ethereum:0xb0b']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a deployed function needs an explicit durable history store', () => {
+  const saved = { HISTORY_STORE: process.env.HISTORY_STORE, AWS_LAMBDA_FUNCTION_NAME: process.env.AWS_LAMBDA_FUNCTION_NAME };
+  try {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'history';
+    delete process.env.HISTORY_STORE;
+    assert.throws(() => createHistoryStore(), /HISTORY_STORE=\(unset\) does not persist/);
+    process.env.HISTORY_STORE = 'file';
+    assert.throws(() => createHistoryStore(), /set HISTORY_STORE to redis or none/);
+    process.env.HISTORY_STORE = 'none';
+    assert.equal(createHistoryStore(), null);
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+});
@@ -0,0 +1,69 @@
+// Holder concentration over the snapshots in fixtures/holders.json: an
+// Etherscan-style EVM list with burn, pool and exchange wallets, and an even
+// Solana Tracker list
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { analyzeHolders, giniCoefficient } = require('../../netlify/functions/lib/holder-analysis.js');
+
+const { evm, solana } = JSON.parse(readFileSync(new URL('./fixtures/holders.json', import.meta.url), 'utf8'));
+const WHALE = '0xa000000000000000000000000000000000000001';
+
+test('burned supply leaves circulation; pool and exchange wallets are not holders', () => {
+  const analysis = analyzeHolders(evm.holders, { totalSupply: evm.totalSupply, lpAddresses: evm.lpAddresses });
+
+  assert.equal(analysis.circulatingBase, 800000);
+  assert.deepEqual(analysis.excluded.map(({ category, label, pct }) => [category, label, pct]),
+    [['burn', 'Dead address', 20], ['lp', 'DEX pool', 15], ['exchange', 'Binance 14', 5]]);
+  assert.deepEqual(analysis.largestHolder, { address: WHALE, pct: 31.3 });
+  assert.deepEqual([analysis.top5Pct, analysis.top10Pct, analysis.top50Pct], [55, 64.4, 66.3]);
+});
+
+test('a majority held by three wallets is HIGH concentration', () => {
+  const analysis = analyzeHolders(evm.holders, { totalSupply: evm.totalSupply, lpAddresses: evm.lpAddresses });
+
+  assert.equal(analysis.nakamoto, 3);
+  assert.equal(analysis.level, 'HIGH');
+  assert.equal(analysis.gini, 0.566);
+  assert.deepEqual(analysis.risks, [
+    'Top 5 wallets hold 55% of circulating supply, top 10 hold 64.4% - A few wallets can move the price',
+    `Largest wallet ${WHALE} holds 31.3% of circulating supply`,
+    '3 wallets together control a majority of circulating supply'
+  ]);
+});
+
+test('an even holder list is LOW with no controlling group', () => {
+  const analysis = analyzeHolders(solana.holders, { totalSupply: solana.totalSupply, totalHolders: solana.totalHolders, source: 'solana_tracker' });
+
+  assert.deepEqual([analysis.level, analysis.nakamoto, analysis.gini, analysis.top10Pct], ['LOW', null, 0, 10.5]);
+  assert.deepEqual([analysis.sampleSize, analysis.totalHolders, analysis.source], [21, 5400, 'solana_tracker']);
+  assert.deepEqual(analysis.risks, []);
+  assert.ok(analysis.findings.includes('No group of the top 20 wallets controls a majority of circulating supply'));
+});
+
+test('HOLDER_EXCLUDE_ADDRESSES sets further wallets aside', () => {
+  process.env.HOLDER_EXCLUDE_ADDRESSES = `${WHALE}:lp`;
+  try {
+    const analysis = analyzeHolders(evm.holders, { totalSupply: evm.totalSupply, lpAddresses: evm.lpAddresses });
+    assert.deepEqual(analysis.excluded.find(holder => holder.address === WHALE), { address: WHALE, category: 'lp', label: 'Configured exclusion', pct: 25 });
+    assert.equal(analysis.largestHolder.pct, 12.5);
+  } finally {
+    delete process.env.HOLDER_EXCLUDE_ADDRESSES;
+  }
+});
+
+test('a supply below the listed total falls back to the list, and an empty list has no analysis', () => {
+  const analysis = analyzeHolders(solana.holders, { totalSupply: 1000 });
+  assert.equal(analysis.circulatingBase, 20000);
+  assert.equal(analyzeHolders([]), null);
+  assert.equal(analyzeHolders([{ wallet: '1nc1nerator11111111111111111111111111111111', amount: 5 }]), null);
+});
+
+test('the Gini coefficient runs from 0 (even) towards 1 (one holder)', () => {
+  assert.equal(giniCoefficient([5, 5, 5, 5]), 0);
+  assert.equal(giniCoefficient([0, 0, 0, 100]), 0.75);
+  assert.equal(giniCoefficient([]), null);
+});
@@ -0,0 +1,149 @@
+// Honeypot / transfer-tax simulation: deadlines against a local JSON-RPC node,
+// state files under fixtures/evm-state, and the risk levels drawn from the
+// recorded results in fixtures/simulations.json
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { HoneypotSimulator, assessSimulation } from '../lib/contracts/HoneypotSimulator.js';
+import { ContractAgent } from '../lib/agents/ContractAgent.js';
+
+const simulations = JSON.parse(readFileSync(new URL('./fixtures/simulations.json', import.meta.url), 'utf8'));
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const POOL = {
+  pairAddress: '0x2222222222222222222222222222222222222222',
+  quoteTokenAddress: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
+  dexId: 'uniswap'
+};
+
+/**
+ * RPC node that answers the latest block and never answers a state read
+ */
+async function startStalledNode() {
+  const methods = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const { id, method } = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      methods.push(method);
+      if (method === 'eth_getBlockByNumber') {
+        res.writeHead(200, { 'content-type': 'application/json' })
+          .end(JSON.stringify({ jsonrpc: '2.0', id, result: { number: '0x1', timestamp: '0x65a00000' } }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    methods,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Failed simulations are logged; keep the test output clean
+const quiet = async fn => {
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('the timeout stops a run waiting on a state fetch', async () => {
+  const node = await startStalledNode();
+  try {
+    const simulator = new HoneypotSimulator({ rpcUrls: { ethereum: node.url } });
+    const startedAt = Date.now();
+    const result = await quiet(() => simulator.simulate(TOKEN, 'ethereum', POOL, { timeoutMs: 300 }));
+
+    assert.equal(result.status, 'failed');
+    assert.match(result.reason, /timed out after 300ms/);
+    assert.ok(Date.now() - startedAt < 2000);
+    assert.ok(node.methods.some(method => method !== 'eth_getBlockByNumber'), 'the run reached a state fetch');
+  } finally {
+    await node.close();
+  }
+});
+
+test("the caller's signal stops the run", async () => {
+  const node = await startStalledNode();
+  try {
+    const simulator = new HoneypotSimulator({ rpcUrls: { ethereum: node.url } });
+    const caller = new AbortController();
+    setTimeout(() => caller.abort(new Error('Analysis cancelled')), 200);
+    const result = await quiet(() => simulator.simulate(TOKEN, 'ethereum', POOL, { signal: caller.signal }));
+
+    assert.deepEqual(result, { status: 'failed', reason: 'Analysis cancelled' });
+  } finally {
+    await node.close();
+  }
+});
+
+test('the default timeout fits inside the batch per-token timeout', () => {
+  assert.ok(new HoneypotSimulator().timeout < 20000);
+});
+
+test('taxes, reverts and tight limits set the simulated risk level', () => {
+  const assess = name => assessSimulation(simulations[name]);
+
+  assert.deepEqual(assess('clean'), { riskLevel: 'LOW', riskFactors: [] });
+  assert.deepEqual(assess('taxed'), {
+    riskLevel: 'HIGH',
+    riskFactors: ['Buy tax of 6% measured in simulation', 'Sell tax of 12% measured in simulation']
+  });
+  assert.deepEqual(assess('sellTax').riskFactors, ['Sell tax of 60% measured in simulation - effectively a honeypot']);
+  assert.equal(assess('sellTax').riskLevel, 'CRITICAL');
+
+  const sellReverts = assess('sellReverts');
+  assert.equal(sellReverts.riskLevel, 'CRITICAL');
+  assert.match(sellReverts.riskFactors[0], /^Honeypot: selling reverts in simulation during transfer \(TRANSFER_FROM_FAILED\)/);
+
+  // A failed buy is suspicious, not proof of a honeypot
+  const buyReverts = assess('buyReverts');
+  assert.equal(buyReverts.riskLevel, 'HIGH');
+  assert.match(buyReverts.riskFactors[0], /Buy reverts in simulation \(Trading not enabled\)/);
+
+  const tight = assess('tightLimits');
+  assert.equal(tight.riskLevel, 'MEDIUM');
+  assert.deepEqual(tight.riskFactors, ['Max transaction limit of 0.5% of supply (_maxTxAmount()) - exits may need to be split']);
+});
+
+test("the simulated risk level caps the contract agent's score", () => {
+  const agent = new ContractAgent();
+  const clean = { security_score: 90, risk_level: 'LOW', risk_factors: ['Active owner'] };
+
+  const honeypot = agent.applySimulation(clean, simulations.sellReverts);
+  assert.deepEqual([honeypot.security_score, honeypot.risk_level], [35, 'CRITICAL']);
+  assert.match(honeypot.risk_factors[0], /^Honeypot: selling reverts/);
+  assert.equal(honeypot.risk_factors[1], 'Active owner');
+
+  assert.equal(agent.applySimulation(clean, simulations.tightLimits).security_score, 75);
+  assert.equal(agent.applySimulation(clean, simulations.clean).security_score, 90);
+});
+
+test('a run that did not simulate carries no risk level', () => {
+  assert.deepEqual(assessSimulation({ status: 'failed', reason: 'Simulation timed out after 300ms' }), { riskLevel: null, riskFactors: [] });
+  assert.deepEqual(assessSimulation(null), { riskLevel: null, riskFactors: [] });
+});
+
+test('without an RPC URL the run uses the local state file, if there is one', async () => {
+  const simulator = new HoneypotSimulator({
+    rpcUrls: {},
+    stateDir: fileURLToPath(new URL('./fixtures/evm-state', import.meta.url))
+  });
+
+  // The state file has no pool, and the caller gave none
+  assert.deepEqual(await simulator.simulate(TOKEN, 'ethereum'), { status: 'unavailable', reason: 'No DEX pair to trade through' });
+  assert.match((await simulator.simulate('0x3333333333333333333333333333333333333333', 'ethereum', POOL)).reason,
+    /^No ETHEREUM_RPC_URL and no local state file/);
+  assert.equal((await simulator.simulate(TOKEN, 'solana', POOL)).status, 'unsupported');
+  assert.equal((await simulator.simulate('TKN', 'ethereum', POOL)).status, 'unsupported');
+});
@@ -0,0 +1,66 @@
+// Recorded fixtures must never contain API keys, wherever the URL carries them
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import httpFixtures from '../../netlify/functions/lib/http-fixtures.js';
+
+const { normalizeUrl, createFixtureFetch } = httpFixtures;
+
+test('query keys are stripped and the query sorted', () => {
+  assert.equal(
+    normalizeUrl('https://public-api.birdeye.so/defi/price?x-api-key=abc&b=2&a=1'),
+    'https://public-api.birdeye.so/defi/price?a=1&b=2'
+  );
+});
+
+test('keys in RPC provider paths are replaced', () => {
+  assert.equal(normalizeUrl('https://eth-mainnet.g.alchemy.com/v2/AbCdEf123456'), 'https://eth-mainnet.g.alchemy.com/v2/:key');
+  assert.equal(normalizeUrl('https://mainnet.infura.io/v3/0123456789abcdef'), 'https://mainnet.infura.io/v3/:key');
+  assert.equal(normalizeUrl('https://a-b.solana-mainnet.quiknode.pro/t0k3n/'), 'https://a-b.solana-mainnet.quiknode.pro/:key/');
+  assert.equal(normalizeUrl('https://rpc.ankr.com/eth/k3yk3yk3y'), 'https://rpc.ankr.com/eth/:key');
+  // Token addresses in ordinary paths stay
+  assert.equal(
+    normalizeUrl('https://api.dexscreener.com/latest/dex/tokens/JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN'),
+    'https://api.dexscreener.com/latest/dex/tokens/JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN'
+  );
+});
+
+test('configured secrets are stripped from any path segment or query value', () => {
+  process.env.TEST_PROVIDER_API_KEY = 'sup3r-s3cret-value';
+  try {
+    assert.equal(
+      normalizeUrl('https://rpc.example.com/sup3r-s3cret-value/rpc?key=sup3r-s3cret-value&chain=1'),
+      'https://rpc.example.com/:key/rpc?chain=1'
+    );
+  } finally {
+    delete process.env.TEST_PROVIDER_API_KEY;
+  }
+});
+
+test('recorded fixture files carry no key in their name or content', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+  process.env.TEST_PROVIDER_API_KEY = 'AbCdEf1234567890';
+  try {
+    const upstream = async () => new Response(JSON.stringify({ echo: 'AbCdEf1234567890', ok: true }), {
+      status: 200,
+      headers: { 'content-type': 'application/json' }
+    });
+    const record = createFixtureFetch({ mode: 'record', dir, fetch: upstream });
+    await record('https://eth-mainnet.g.alchemy.com/v2/AbCdEf1234567890', { method: 'POST', body: '{"method":"eth_call"}' });
+
+    const files = fs.readdirSync(dir, { recursive: true }).map(String).filter(file => file.endsWith('.json'));
+    assert.equal(files.length, 1);
+    assert.ok(!files[0].includes('AbCdEf1234567890'));
+    assert.ok(!fs.readFileSync(path.join(dir, files[0]), 'utf8').includes('AbCdEf1234567890'));
+
+    // Replay finds the fixture whatever key the caller is configured with
+    const replay = createFixtureFetch({ mode: 'replay', dir, fetch: upstream });
+    const response = await replay('https://eth-mainnet.g.alchemy.com/v2/OtherKey987654', { method: 'POST', body: '{"method":"eth_call"}' });
+    assert.deepEqual(await response.json(), { echo: ':key', ok: true });
+  } finally {
+    delete process.env.TEST_PROVIDER_API_KEY;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
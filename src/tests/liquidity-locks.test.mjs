@@ -0,0 +1,111 @@
+// LP lock and liquidity-removal risk. EVM LP holders come from
+// fixtures/liquidity/<chain>/<pair>.json; Solana pool and LP mint accounts
+// from fixtures/solana-accounts.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { ContractExplorer } from '../lib/contracts/ContractExplorer.js';
+import { LiquidityLockInspector } from '../lib/contracts/LiquidityLockInspector.js';
+import { SolanaMintInspector } from '../lib/contracts/SolanaMintInspector.js';
+import { assessLiquidityLocks } from '../lib/contracts/liquidityLocks.js';
+
+const fixtures = dir => fileURLToPath(new URL(`./fixtures/${dir}`, import.meta.url));
+const inspector = new LiquidityLockInspector({
+  fixtureDir: fixtures('liquidity'),
+  explorer: new ContractExplorer({ apiKey: '' }),
+  solana: new SolanaMintInspector({ rpcUrl: '', fixtureDir: fixtures('solana-accounts') })
+});
+
+const NOW = Date.parse('2026-10-19T00:00:00.000Z');
+const EVM_POOLS = [
+  // Half burned, UNCX locks (one already expired), a little held by the deployer
+  { pairAddress: '0x10000000000000000000000000000000000000a1', dexId: 'uniswap', liquidityUsd: 600000 },
+  // Mostly held by the deployer
+  { pairAddress: '0x10000000000000000000000000000000000000b2', dexId: 'sushiswap', liquidityUsd: 200000 },
+  // No LP holder data
+  { pairAddress: '0x10000000000000000000000000000000000000c3', dexId: 'pancakeswap', liquidityUsd: 50000 }
+];
+
+// Unreadable pools are logged; keep the test output clean
+async function inspect(tokenAddress, blockchain, pools) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await inspector.inspect(tokenAddress, blockchain, pools);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+test('LP holders split into burned, locked and deployer shares', async () => {
+  const [uniswap, sushiswap, pancakeswap] = await inspect('0xabc0000000000000000000000000000000000001', 'ethereum', EVM_POOLS);
+
+  assert.equal(uniswap.burnedPct, 50);
+  assert.deepEqual(uniswap.locks.map(({ label, pct, unlockAt }) => [label, pct, unlockAt]), [
+    ['UNCX (Uniswap V2)', 20, '2027-01-17T00:00:00.000Z'],
+    ['UNCX (Uniswap V2)', 10, '2026-10-01T00:00:00.000Z']
+  ]);
+  assert.equal(uniswap.deployerPct, 5);
+
+  // A generic locker without lock records: the locked share, no unlock date
+  assert.deepEqual(sushiswap.locks, [{ locker: '0xe2fe530c047f2d85298b07d9333c05737f1435fb', label: 'Team Finance', pct: 40, unlockAt: null }]);
+  assert.equal(sushiswap.deployerPct, 60);
+
+  assert.equal(pancakeswap.status, 'unavailable');
+});
+
+test('expired locks, deployer LP and unverified pools count as liquidity at risk', async () => {
+  const assessment = assessLiquidityLocks(await inspect('0xabc0000000000000000000000000000000000001', 'ethereum', EVM_POOLS), { now: NOW });
+
+  assert.equal(assessment.level, 'HIGH');
+  assert.deepEqual(assessment.totals, { analyzedUsd: 800000, burnedUsd: 300000, lockedUsd: 200000, unlockedUsd: 300000, unverifiedUsd: 50000 });
+  assert.equal(assessment.atRiskShare, 0.375);
+  assert.equal(assessment.pools[0].expiredLockPct, 10);
+  assert.deepEqual(assessment.earliestUnlock, {
+    date: '2027-01-17T00:00:00.000Z',
+    daysAway: 90,
+    pairAddress: '0x10000000000000000000000000000000000000a1',
+    dexId: 'uniswap',
+    locker: 'UNCX (Uniswap V2)',
+    pct: 20
+  });
+  assert.deepEqual(assessment.risks, [
+    'Unlocked liquidity at risk: $300,000 of $800,000 liquidity is unlocked (37.5%) - LP holders can remove it at any time',
+    "Deployer holds 60% of the sushiswap pool's LP tokens - They can pull $120,000 of liquidity",
+    "10% of the uniswap pool's LP sits in an expired lock - Withdrawable now",
+    'LP ownership could not be verified for 1 pool(s) ($50,000)'
+  ]);
+});
+
+test('an unlock within a week raises the level to HIGH', async () => {
+  const [uniswap] = await inspect('0xabc0000000000000000000000000000000000001', 'ethereum', EVM_POOLS.slice(0, 1));
+
+  assert.equal(assessLiquidityLocks([uniswap], { now: NOW }).level, 'MEDIUM');
+  const soon = assessLiquidityLocks([uniswap], { now: Date.parse('2027-01-12T00:00:00.000Z') });
+  assert.equal(soon.level, 'HIGH');
+  assert.equal(soon.earliestUnlock.daysAway, 5);
+  assert.ok(soon.risks.includes("Earliest LP unlock 2027-01-17 (5 days) - 20% of the uniswap pool's LP in UNCX (Uniswap V2)"));
+});
+
+test("a Solana pool's burned LP is the issued supply the LP mint no longer has", async () => {
+  const [raydium, orca] = await inspect('TKN', 'solana', [
+    { pairAddress: 'c9ZKGGgjzFwQdDJWLTVTHjbKEjNKfW5EM8m5wXZWmcU', dexId: 'raydium', liquidityUsd: 300000 },
+    { pairAddress: 'cCDogVTqNfUbpbuHidue8pCGgffE1Fp9yD4kVjNbMbZ', dexId: 'orca', liquidityUsd: 100000 }
+  ]);
+
+  assert.deepEqual([raydium.program, raydium.lpToken, raydium.burnedPct, raydium.deployer],
+    ['Raydium CPMM', 'cBLJskY8urxsRUNMvaSFBnfHY2EFtfuBRrJCJzmZpwC', 99, 'cASp51cST4T92LqS8WxrEm8JPNoHn5zCtVXe8GAYJGq']);
+  assert.equal(orca.status, 'unsupported');
+
+  const assessment = assessLiquidityLocks([raydium, orca], { now: NOW });
+  assert.equal(assessment.level, 'LOW');
+  assert.ok(assessment.findings.includes('raydium pool LP 99% burned - This liquidity cannot be withdrawn'));
+});
+
+test('with no readable pool the risk is UNKNOWN', () => {
+  const assessment = assessLiquidityLocks([{ pairAddress: '0x1', dexId: 'uniswap', liquidityUsd: 1000, status: 'unavailable' }], { now: NOW });
+  assert.equal(assessment.level, 'UNKNOWN');
+  assert.deepEqual(assessment.risks, ['LP ownership could not be verified for 1 pool(s) ($1,000) - Liquidity may be removable']);
+});
@@ -0,0 +1,65 @@
+// Liquidity aggregation across every DexScreener pool of a token. The pairs
+// fixture is a symbol search for TKN: two Ethereum pools, a Base WETH/TKN pool
+// that quotes TKN the other way round, and a same-symbol copycat holding the
+// deepest pool.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { aggregatePairs } = require('../../netlify/functions/lib/pair-aggregation.js');
+
+const readJson = path => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const { tokenAddress, pairs } = readJson('./fixtures/dexscreener-pairs.json');
+
+test('pools of the requested token are summed across chains and DEXes', () => {
+  const aggregate = aggregatePairs(pairs, { tokenAddress });
+
+  // The copycat's pool is dropped; the address matches whatever its case
+  assert.equal(aggregate.token.address, '0xabc0000000000000000000000000000000000001');
+  assert.deepEqual(aggregate.totals, { liquidityUsd: 1000000, volume24h: 500000, txns24h: 250, poolCount: 3 });
+  assert.deepEqual(aggregate.pools.map(pool => pool.dexId), ['uniswap', 'aerodrome', 'sushiswap']);
+
+  assert.equal(aggregate.primaryChain, 'ethereum');
+  assert.deepEqual(aggregate.byChain.map(({ chainId, liquidityUsd, poolCount }) => [chainId, liquidityUsd, poolCount]),
+    [['ethereum', 750000, 2], ['base', 250000, 1]]);
+  assert.equal(aggregate.byDex.length, 3);
+  assert.deepEqual(aggregate.fragmentation, { level: 'MODERATE', canonicalShare: 0.6, hhi: 0.445, chainCount: 2, dexCount: 3 });
+});
+
+test('a pool quoting the token is inverted and left out of market cap', () => {
+  const aggregate = aggregatePairs(pairs, { tokenAddress });
+  const inverted = aggregate.pools.find(pool => pool.dexId === 'aerodrome');
+
+  // 3000 USD per WETH / 1500 TKN per WETH
+  assert.equal(inverted.tokenSide, 'quote');
+  assert.equal(inverted.priceUsd, 2);
+  assert.deepEqual([inverted.marketCap, inverted.priceChange24h], [0, null]);
+  // The canonical pool prices the token as its base
+  assert.equal(aggregate.canonicalPool.dexId, 'uniswap');
+});
+
+test('the price is volume-weighted, then liquidity-weighted without volume', () => {
+  // (2.00 * 300k + 2.10 * 100k + 2.00 * 100k) / 500k
+  assert.equal(aggregatePairs(pairs, { tokenAddress }).priceUsd.toFixed(4), '2.0200');
+
+  const quiet = pairs.map(pair => ({ ...pair, volume: { h24: 0 } }));
+  // (2.00 * 600k + 2.10 * 150k + 2.00 * 250k) / 1M
+  assert.equal(aggregatePairs(quiet, { tokenAddress }).priceUsd.toFixed(4), '2.0150');
+});
+
+test('without an address the deepest pool decides which token is meant', () => {
+  const aggregate = aggregatePairs(pairs);
+  assert.equal(aggregate.token.address, '0xbad0000000000000000000000000000000000002');
+  assert.deepEqual([aggregate.totals.poolCount, aggregate.fragmentation.level], [1, 'CONCENTRATED']);
+  assert.equal(aggregatePairs([]), null);
+});
+
+test('the recorded JUP pools add up to the liquidity the analysis reports', () => {
+  const recorded = readJson('./fixtures/http/api.dexscreener.com/get-latest_dex_tokens_JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvC-06ba970643.json');
+  const aggregate = aggregatePairs(recorded.response.json.pairs, { tokenAddress: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN' });
+  assert.equal(aggregate.totals.liquidityUsd, 9510000);
+  assert.equal(aggregate.canonicalPool.dexId, 'meteora');
+  assert.equal(aggregate.fragmentation.level, 'MODERATE');
+});
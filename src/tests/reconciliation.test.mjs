@@ -0,0 +1,47 @@
+// Cross-source reconciliation of price, market cap and supply. The fixture is
+// normalized provider output where DexScreener prices a different (spoofed)
+// pool and Birdeye's market cap is somewhat off.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { reconcileSources } = require('../../netlify/functions/lib/reconciliation.js');
+
+const { normalized, fieldSources } = JSON.parse(
+  readFileSync(new URL('./fixtures/normalized-sources.json', import.meta.url), 'utf8')
+);
+
+test('each source is measured against the source whose value was used', () => {
+  const { fields } = reconcileSources(normalized, fieldSources);
+
+  assert.deepEqual(fields.currentPrice.sources.map(({ source, divergencePct }) => [source, divergencePct]),
+    [['CoinGecko', 0], ['Birdeye', 3], ['DexScreener', 30]]);
+  assert.equal(fields.currentPrice.maxDivergencePct, 30);
+  // A zero is "not reported", not a 100% divergence
+  assert.deepEqual(fields.marketCap.sources.map(report => report.source), ['CoinGecko', 'Birdeye']);
+  assert.equal(fields.totalSupply.status, 'ok');
+  assert.equal(fields.circulatingSupply.status, 'single_source');
+});
+
+test('divergence past a field threshold is a warning, past the critical one an issue with a hint', () => {
+  const { status, fields, issues } = reconcileSources(normalized, fieldSources);
+
+  assert.equal(fields.currentPrice.status, 'critical');
+  assert.equal(fields.marketCap.status, 'warning');
+  assert.equal(status, 'critical');
+  assert.deepEqual(issues.map(({ field, severity, source }) => [field, severity, source]),
+    [['currentPrice', 'critical', 'DexScreener'], ['marketCap', 'warning', 'Birdeye']]);
+  assert.match(issues[0].message, /^Price divergence: DexScreener reports \$1\.300, 30% off CoinGecko \(\$1\.000\) - possible spoofed pool/);
+  assert.doesNotMatch(issues[1].message, / - /);
+});
+
+test('fields without a winning source are not compared', () => {
+  const report = reconcileSources(normalized, {});
+  assert.equal(report.status, 'ok');
+  assert.deepEqual(report.issues, []);
+  assert.equal(report.fields.currentPrice.status, 'single_source');
+  assert.equal(reconcileSources([], {}).fields.marketCap.status, 'missing');
+  assert.deepEqual(report.sourcesCompared, ['CoinGecko', 'Birdeye', 'DexScreener', 'Solana Tracker']);
+});
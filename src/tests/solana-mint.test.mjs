@@ -0,0 +1,86 @@
+// SPL Token and Token-2022 mint decoding, read from recorded getAccountInfo
+// values under fixtures/solana-accounts/<address>.json
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { SolanaMintInspector, decodeBase58, encodeBase58, TOKEN_PROGRAM_ID } from '../lib/contracts/SolanaMintInspector.js';
+import { analyzeMint } from '../lib/contracts/mintAnalysis.js';
+
+const inspector = new SolanaMintInspector({
+  rpcUrl: '',
+  fixtureDir: fileURLToPath(new URL('./fixtures/solana-accounts', import.meta.url))
+});
+
+const FIXED_SUPPLY = 'ULk2GpWxKGWbEyMVKvbfSF8oDbpumJG4cWz5Yua5AHn';
+const TAXED = 'UNX1tJNMEsY43ERLv3YTLJCmWtgqzU61hEXBvNn8DcW';
+const WALLET = 'UTqzijvY1gcSS1cugQNq2TQgQmGefyZrwP8X2nQHPag';
+
+async function getMint(address) {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return await inspector.getMint(address);
+  } finally {
+    console.log = log;
+  }
+}
+
+test('base58 round-trips 32-byte keys, leading zero bytes included', () => {
+  assert.equal(decodeBase58(TOKEN_PROGRAM_ID).length, 32);
+  assert.equal(encodeBase58(decodeBase58(TOKEN_PROGRAM_ID)), TOKEN_PROGRAM_ID);
+  assert.equal(encodeBase58(new Uint8Array(32)), '11111111111111111111111111111111');
+  assert.throws(() => decodeBase58('0OIl'), /Invalid base58 character "0"/);
+});
+
+test('a classic mint with revoked authorities reads its Metaplex metadata', async () => {
+  const mint = await getMint(FIXED_SUPPLY);
+  assert.deepEqual(
+    [mint.program, mint.mintAuthority, mint.freezeAuthority, mint.supply, mint.decimals, mint.extensions],
+    ['spl-token', null, null, '1000000000000000', 6, []]
+  );
+  assert.equal(mint.metadata.source, 'metaplex');
+  assert.equal(mint.metadata.address, '8GEv8JugfyTRmamZ7NCss3KjrMCj2uwyhwpuoFHC4Ycd');
+  // Metaplex pads the fixed-width fields with NULs
+  assert.deepEqual([mint.metadata.name, mint.metadata.symbol, mint.metadata.isMutable], ['Fixed Supply', 'FIX', false]);
+
+  const analysis = analyzeMint(mint);
+  assert.deepEqual(analysis.ownership, { status: 'renounced', owner: null });
+  assert.deepEqual(analysis.findings.map(finding => finding.id), ['immutable_metadata', 'authorities_revoked']);
+  assert.equal(analysis.score, 100);
+});
+
+test('Token-2022 extensions are decoded from the TLV data after the mint', async () => {
+  const mint = await getMint(TAXED);
+  assert.equal(mint.program, 'token-2022');
+  assert.deepEqual(mint.extensions.map(extension => extension.name),
+    ['transferFeeConfig', 'permanentDelegate', 'metadataPointer', 'tokenMetadata']);
+
+  const transferFee = mint.extensions[0].data;
+  assert.equal(transferFee.configAuthority, 'URBWJX9SdH5FEd28JDxeBNoixpykLDpwKJprUabCobb');
+  assert.deepEqual(transferFee.newerFee, { epoch: '600', maximumFee: '1000000', basisPoints: 250 });
+
+  // No Metaplex account: the metadata comes from the extension
+  assert.deepEqual(
+    [mint.metadata.source, mint.metadata.name, mint.metadata.symbol, mint.metadata.isMutable],
+    ['token-2022', 'Taxed Token', 'TAX', true]
+  );
+});
+
+test('each authority or extension still set is a finding', async () => {
+  const analysis = analyzeMint(await getMint(TAXED));
+  assert.deepEqual(Object.fromEntries(analysis.findings.map(finding => [finding.id, finding.severity])), {
+    mint_authority: 'high',
+    freeze_authority: 'high',
+    permanent_delegate: 'critical',
+    transfer_fee: 'high',
+    mutable_metadata: 'medium'
+  });
+  assert.match(analysis.findings.find(finding => finding.id === 'mint_authority').detail, /current supply 5,000\)$/);
+  assert.match(analysis.findings.find(finding => finding.id === 'transfer_fee').detail, /^2\.5% fee on every transfer - \w+ can change it$/);
+  assert.equal(analysis.score, 0);
+});
+
+test('an account outside the token programs is not a mint, and no account is null', async () => {
+  await assert.rejects(getMint(WALLET), /owned by 11111111111111111111111111111111, not a token program/);
+  assert.equal(await getMint('UMdX5ZSen52Ke6tR7z54PGfnNFFsstB39skdjeB6gx9'), null);
+});
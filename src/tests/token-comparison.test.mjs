@@ -0,0 +1,76 @@
+// Side-by-side comparison over recorded HTTP fixtures (HTTP_FIXTURE_MODE=replay):
+// JUP against the TKN symbol, plus a token no source knows
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const JUP = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+
+Object.assign(process.env, {
+  HTTP_FIXTURE_MODE: 'replay',
+  HTTP_FIXTURE_DIR: fileURLToPath(new URL('./fixtures/http', import.meta.url)),
+  CACHE_STORE: 'none',
+  HISTORY_STORE: 'memory',
+  ALERT_STORE: 'memory',
+  SWARM_EXECUTION_MODE: 'heuristics'
+});
+
+const { compareTokens, markExtremes } = require('../../netlify/functions/lib/token-comparison.js');
+const { handler } = require('../../netlify/functions/analyze-compare.js');
+
+// The pipeline logs every stage, and sources without a fixture fail loudly;
+// keep the test output clean
+async function quietly(fn) {
+  const quiet = ['log', 'warn', 'error'].map(method => [method, console[method]]);
+  quiet.forEach(([method]) => { console[method] = () => {}; });
+  try {
+    return await fn();
+  } finally {
+    quiet.forEach(([method, original]) => { console[method] = original; });
+  }
+}
+
+test('best and worst follow the direction of the row', () => {
+  assert.deepEqual(markExtremes([10, 30, 20], 'higher'), { best: [1], worst: [0] });
+  assert.deepEqual(markExtremes([10, 30, 20], 'lower'), { best: [0], worst: [1] });
+  // Ties mark every tied column; missing values take no part
+  assert.deepEqual(markExtremes([30, null, 30, 5], 'higher'), { best: [0, 2], worst: [3] });
+});
+
+test('a row needs two distinct values to mark anything', () => {
+  assert.deepEqual(markExtremes([42, null, null], 'higher'), { best: [], worst: [] });
+  assert.deepEqual(markExtremes([60, 60], 'higher'), { best: [], worst: [] });
+  assert.deepEqual(markExtremes([null, null], 'lower'), { best: [], worst: [] });
+});
+
+test('columns keep the input order and a failed token keeps its column', async () => {
+  const comparison = await quietly(() => compareTokens([JUP, 'TKN', 'NOPE'], { startIntervalMs: 0 }));
+
+  assert.deepEqual(comparison.tokens.map(({ input, status, symbol }) => [input, status, symbol]),
+    [[JUP, 'ok', 'JUP'], ['TKN', 'ok', 'TKN'], ['NOPE', 'failed', undefined]]);
+  assert.equal(comparison.tokens[1].ambiguous, true);
+  assert.equal(comparison.tokens[2].error, 'No market data found for this token');
+
+  const row = key => comparison.rows.find(candidate => candidate.key === key);
+  assert.deepEqual(row('overallScore').values, [58, 46, null]);
+  assert.deepEqual([row('overallScore').best, row('overallScore').worst], [[0], [1]]);
+  assert.deepEqual([row('liquidity').best, row('liquidity').worst], [[0], [1]]);
+  // Less dilution to come wins: TKN's FDV is 1.25x its market cap, JUP's 2.58x
+  assert.equal(row('fdvToMarketCap').better, 'lower');
+  assert.deepEqual([row('fdvToMarketCap').best, row('fdvToMarketCap').worst], [[1], [0]]);
+  // Equal agent scores and single values mark nothing
+  assert.deepEqual([row('contractScore').best, row('priceToAthRatio').best], [[], []]);
+  assert.deepEqual(row('traderCount').values, [null, null, null]);
+});
+
+test('the compare endpoint takes 2 to 4 distinct tokens', async () => {
+  const post = tokens => quietly(() => handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ tokens }) }));
+
+  for (const tokens of [['JUP'], 'JUP jup', ['A', 'B', 'C', 'D', 'E']]) {
+    const response = await post(tokens);
+    assert.equal(response.statusCode, 400, JSON.stringify(tokens));
+    assert.match(JSON.parse(response.body).error, /^Compare 2 to 4 different tokens/);
+  }
+});
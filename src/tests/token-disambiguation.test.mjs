@@ -0,0 +1,73 @@
+// Ambiguous symbols: TKN names two CoinGecko coins and a copycat contract, so
+// the analysis stops at a candidate list until the caller picks one. Served
+// from recorded HTTP fixtures (HTTP_FIXTURE_MODE=replay).
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+Object.assign(process.env, {
+  HTTP_FIXTURE_MODE: 'replay',
+  HTTP_FIXTURE_DIR: fileURLToPath(new URL('./fixtures/http', import.meta.url)),
+  CACHE_STORE: 'none',
+  HISTORY_STORE: 'memory',
+  ALERT_STORE: 'memory',
+  SWARM_EXECUTION_MODE: 'heuristics'
+});
+
+const TKN = '0xabc0000000000000000000000000000000000001';
+const CLASSIC = '0xc1a0000000000000000000000000000000000003';
+
+// The pipeline logs every stage, and sources without a fixture fail loudly;
+// keep the test output clean
+async function analyzeQuietly(request) {
+  const quiet = ['log', 'warn', 'error'].map(method => [method, console[method]]);
+  quiet.forEach(([method]) => { console[method] = () => {}; });
+  try {
+    const { handler } = require('../../netlify/functions/analyze.js');
+    const response = await handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify(request) });
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+  } finally {
+    quiet.forEach(([method, original]) => { console[method] = original; });
+  }
+}
+
+test('an ambiguous symbol returns the ranked candidates instead of an analysis', async () => {
+  const { statusCode, body } = await analyzeQuietly({ tokenInput: 'TKN' });
+
+  assert.equal(statusCode, 200);
+  assert.equal(body.needsDisambiguation, true);
+  assert.equal(body.input, 'TKN');
+  assert.equal(body.data, undefined);
+  assert.deepEqual(body.candidates.map(({ chain, address, verification, coingeckoId }) => [chain, address, verification, coingeckoId]), [
+    ['ethereum', TKN, 'verified', 'token'],
+    ['base', TKN, 'verified', 'token'],
+    [null, null, 'listed', 'tkn-classic'],
+    ['ethereum', '0xbad0000000000000000000000000000000000002', 'impersonation', null]
+  ]);
+  assert.equal(body.candidateCount, 4);
+});
+
+test('picking a candidate by address pins the analysis to that contract', async () => {
+  const { body } = await analyzeQuietly({ tokenInput: 'TKN', selection: { chain: 'ethereum', address: ` ${TKN} ` } });
+
+  assert.equal(body.needsDisambiguation, undefined);
+  assert.equal(body.data.tokenInfo.address, TKN);
+});
+
+test('a coin picked without an address is analyzed at its listed contract', async () => {
+  const { body } = await analyzeQuietly({ tokenInput: 'TKN', selection: { coingeckoId: 'tkn-classic' } });
+
+  assert.equal(body.needsDisambiguation, undefined);
+  assert.equal(body.data.tokenInfo.address, CLASSIC);
+});
+
+test('disambiguate: false keeps the top candidate', async () => {
+  const { body } = await analyzeQuietly({ tokenInput: 'TKN', disambiguate: false });
+
+  assert.equal(body.needsDisambiguation, undefined);
+  assert.equal(body.data.tokenInfo.address, TKN);
+  assert.equal(body.data.tokenInfo.blockchain, 'ethereum');
+});
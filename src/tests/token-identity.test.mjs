@@ -0,0 +1,82 @@
+// Token identity resolution over the TKN symbol search: the CoinGecko listing
+// (fixtures/coingecko-coin.json) names the Ethereum and Base contracts, while
+// the DexScreener pairs also hold a same-symbol copycat at another address.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { resolveTokenIdentity, scopeSourcesToIdentity } = require('../../netlify/functions/lib/identity.js');
+
+const readJson = path => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const coingecko = readJson('./fixtures/coingecko-coin.json');
+const dexscreener = { pairs: readJson('./fixtures/dexscreener-pairs.json').pairs };
+
+const TKN = '0xabc0000000000000000000000000000000000001';
+const COPYCAT = '0xbad0000000000000000000000000000000000002';
+
+// Dropping a mismatched listing is logged; keep the test output clean
+const quiet = fn => {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+test('listed contracts rank first, the deepest pool breaking the tie', async () => {
+  const identity = await resolveTokenIdentity('TKN', 'symbol', { coingecko, dexscreener });
+
+  assert.deepEqual(identity.candidates.map(({ chain, address, verification }) => [chain, address, verification]), [
+    ['ethereum', TKN, 'verified'],
+    ['base', TKN, 'verified'],
+    [null, null, 'listed'],
+    ['ethereum', COPYCAT, 'impersonation']
+  ]);
+  assert.deepEqual([identity.resolved.liquidityUsd, identity.resolved.poolCount], [750000, 2]);
+  assert.equal(identity.candidates[2].coingeckoId, 'tkn-classic');
+  assert.equal(identity.coingecko.status, 'confirmed');
+  assert.equal(identity.impersonation.flagged, false);
+});
+
+test('a same-symbol token at another address is a copycat, however deep its pool', async () => {
+  const identity = await resolveTokenIdentity('TKN', 'symbol', { coingecko, dexscreener });
+
+  assert.deepEqual(identity.copycats.map(copycat => copycat.address), [COPYCAT]);
+  assert.deepEqual(identity.copycats[0].impersonates, {
+    coingeckoId: 'token',
+    name: 'Token',
+    symbol: 'TKN',
+    marketCapRank: 120,
+    officialAddress: TKN,
+    officialChains: ['ethereum', 'base']
+  });
+});
+
+test('analyzing the copycat by address flags the impersonation and drops the listing', async () => {
+  const identity = await resolveTokenIdentity(COPYCAT, 'address', { coingecko, dexscreener });
+
+  assert.equal(identity.resolved.address, COPYCAT);
+  assert.equal(identity.ambiguous, false);
+  assert.equal(identity.coingecko.status, 'mismatch');
+  assert.equal(identity.impersonation.flagged, true);
+  assert.equal(identity.impersonation.message,
+    `Reuses the symbol of Token (CoinGecko rank #120) but ${COPYCAT} is not one of its listed contracts ` +
+    `(official ethereum contract: ${TKN})`);
+
+  const scoped = quiet(() => scopeSourcesToIdentity({ coingecko, dexscreener }, identity));
+  assert.equal(scoped.coingecko, null);
+  assert.deepEqual(scoped.dexscreener.pairs.map(pair => pair.pairAddress), ['0x1000000000000000000000000000000000000004']);
+  assert.equal(scoped.dexscreener.aggregate.totals.liquidityUsd, 5000000);
+});
+
+test('reusing the symbol of a coin outside the well-known ranks is not an impersonation', async () => {
+  const obscure = { ...coingecko, market_cap_rank: 2000 };
+  const identity = await resolveTokenIdentity(COPYCAT, 'address', { coingecko: obscure, dexscreener });
+
+  assert.equal(identity.resolved.verification, 'unlisted');
+  assert.deepEqual(identity.impersonation, { flagged: false });
+});
@@ -0,0 +1,61 @@
+// FIFO trader PnL against a recorded Solana Tracker trade list with known totals
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import traderPnl from '../../netlify/functions/lib/trader-pnl.js';
+
+const { computeWalletPnl, summarizeTraderPerformance, normalizeTrade } = traderPnl;
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/solana-tracker-trades.json', import.meta.url), 'utf8'));
+
+const byWallet = wallets => Object.fromEntries(wallets.map(wallet => [wallet.wallet, wallet]));
+
+test('realized and unrealized PnL per wallet', () => {
+  const { wallets, markPrice, tradesUsed } = computeWalletPnl(fixture.trades, { markPrice: fixture.markPrice });
+  const pnl = byWallet(wallets);
+
+  assert.equal(markPrice, 2);
+  // The SOL-quoted trade without a USD price is not used
+  assert.equal(tradesUsed, 7);
+  assert.equal(pnl.WalletEEEE, undefined);
+
+  // 100 @ 1 and 20 @ 2 sold at 3; 30 @ 2 still open at mark 2
+  assert.equal(pnl.WalletAAAA.realizedPnl, 220);
+  assert.equal(pnl.WalletAAAA.unrealizedPnl, 0);
+  assert.equal(pnl.WalletAAAA.openAmount, 30);
+  // 5 of 10 @ 4 sold at 1; 5 open at mark 2
+  assert.equal(pnl.WalletBBBB.realizedPnl, -15);
+  assert.equal(pnl.WalletBBBB.unrealizedPnl, -10);
+  // Price from USD volume: 20 / 40 = 0.5
+  assert.equal(pnl.WalletCCCC.unrealizedPnl, 60);
+  // Sold tokens bought before the recorded window have no cost basis
+  assert.equal(pnl.WalletDDDD.realizedPnl, 0);
+  assert.equal(pnl.WalletDDDD.unmatchedSellAmount, 5);
+});
+
+test('summary totals', () => {
+  const performance = summarizeTraderPerformance(computeWalletPnl(fixture.trades, { markPrice: fixture.markPrice }));
+
+  assert.equal(performance.totalTraders, 4);
+  assert.equal(performance.totalRealizedPnl, 205);
+  assert.equal(performance.totalUnrealizedPnl, 50);
+  assert.equal(performance.profitableTraders, 2);
+  assert.equal(performance.losingTraders, 1);
+  assert.equal(performance.topProfitAmount, 220);
+  assert.equal(performance.topLossAmount, 25);
+  assert.equal(performance.method, 'fifo_cost_basis');
+});
+
+test('same result regardless of feed order', () => {
+  const expected = computeWalletPnl(fixture.trades, { markPrice: fixture.markPrice });
+  const reversed = computeWalletPnl([...fixture.trades].reverse(), { markPrice: fixture.markPrice });
+  assert.deepEqual(reversed, expected);
+});
+
+test('only USD prices are accepted', () => {
+  const trade = { wallet: 'W', type: 'buy', amount: 10, time: 1722000000 };
+  assert.equal(normalizeTrade({ ...trade, price: 0.013 }), null);
+  assert.equal(normalizeTrade({ ...trade, price: { usd: 2, quote: 0.013 } }).priceUsd, 2);
+  assert.equal(normalizeTrade({ ...trade, priceUsd: '1.5' }).priceUsd, 1.5);
+  // Unix seconds become milliseconds
+  assert.equal(normalizeTrade({ ...trade, priceUsd: 1 }).timestamp, 1722000000000);
+});